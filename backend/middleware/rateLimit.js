@@ -0,0 +1,91 @@
+import { prisma } from '../prisma/client.js';
+
+// Fixed-window request counters, kept in the RateLimitWindow table so every
+// backend instance counts against the same limits and restarts do not reset
+// them. Expired windows are deleted every PRUNE_INTERVAL_MS.
+
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+
+setInterval(() => {
+  prisma.rateLimitWindow.deleteMany({ where: { resetAt: { lte: new Date() } } })
+    .catch(error => {
+      console.error('Error deleting expired rate limit windows:', error);
+    });
+}, PRUNE_INTERVAL_MS).unref();
+
+// Count one request against a window in a single statement, so concurrent
+// requests on any instance cannot both read the same count. A window past its
+// reset time starts over.
+async function countRequest(id, now, windowMs) {
+  const [window] = await prisma.$queryRaw`
+    INSERT INTO "RateLimitWindow" ("key", "count", "resetAt")
+    VALUES (${id}, 1, ${new Date(now + windowMs)})
+    ON CONFLICT ("key") DO UPDATE SET
+      "count" = CASE WHEN "RateLimitWindow"."resetAt" <= ${new Date(now)}
+        THEN 1 ELSE "RateLimitWindow"."count" + 1 END,
+      "resetAt" = CASE WHEN "RateLimitWindow"."resetAt" <= ${new Date(now)}
+        THEN EXCLUDED."resetAt" ELSE "RateLimitWindow"."resetAt" END
+    RETURNING "count", "resetAt"`;
+  return window;
+}
+
+/**
+ * Create middleware that allows at most `max` requests per key in each
+ * window of `windowMinutes`
+ * @param {Object} options
+ * @param {string} options.name - Limiter name, keeps each limiter's counters apart
+ * @param {number} options.max - Requests allowed per window
+ * @param {number} options.windowMinutes - Window length
+ * @param {Function} options.key - (req) => key to count against, e.g. the
+ *   client IP; requests without a key are not limited
+ * @returns {Function} Express middleware responding 429 once the limit is hit
+ */
+export function rateLimit({ name, max, windowMinutes, key }) {
+  const windowMs = windowMinutes * 60 * 1000;
+
+  return async (req, res, next) => {
+    const value = key(req);
+    if (!value) {
+      return next();
+    }
+
+    const now = Date.now();
+    let window;
+    try {
+      window = await countRequest(`${name}:${value}`, now, windowMs);
+    } catch (error) {
+      console.error('Rate limit error:', error);
+      return res.status(500).json({
+        error: 'Rate limit check failed',
+        message: 'An error occurred. Please try again.'
+      });
+    }
+
+    if (window.count > max) {
+      const retryAfterSeconds = Math.ceil((window.resetAt.getTime() - now) / 1000);
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        error: 'Too many requests',
+        message: `Too many attempts. Please try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s).`
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Client IP for rate limiting
+ * Behind a reverse proxy this is only the real client when TRUST_PROXY is set.
+ */
+export function clientIp(req) {
+  return req.ip;
+}
+
+/**
+ * Lowercased `email` from the request body, for per-account limits
+ */
+export function bodyEmail(req) {
+  const email = req.body?.email;
+  return typeof email === 'string' ? email.trim().toLowerCase() : null;
+}
@@ -0,0 +1,27 @@
+/**
+ * Record the browser and IP address a signed-in session is used from, for
+ * the user's list of active sessions. Only changes the session (and so
+ * causes a save) when either differs from what is stored.
+ * Call after setting req.session.userId on sign-in.
+ */
+export function recordSessionClient(req) {
+  if (!req.session?.userId) {
+    return;
+  }
+
+  const userAgent = req.get('user-agent')?.slice(0, 512) || null;
+  if (req.session.userAgent !== userAgent) {
+    req.session.userAgent = userAgent;
+  }
+  if (req.session.ipAddress !== req.ip) {
+    req.session.ipAddress = req.ip;
+  }
+}
+
+/**
+ * Middleware keeping each signed-in session's browser and IP address current
+ */
+export function trackSessionClient(req, res, next) {
+  recordSessionClient(req);
+  next();
+}
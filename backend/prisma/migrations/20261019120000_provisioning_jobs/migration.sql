@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "ScriptJob" ADD COLUMN     "product" TEXT;
+
+-- CreateIndex
+CREATE INDEX "ScriptJob_requestId_idx" ON "ScriptJob"("requestId");
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Contact" ADD COLUMN     "phone" TEXT,
+ADD COLUMN     "roles" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Contact_companyId_idx" ON "Contact"("companyId");
+
+-- CreateIndex
+CREATE INDEX "Contact_applicationId_idx" ON "Contact"("applicationId");
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "Application" ADD COLUMN     "currentKnowledgeScore" INTEGER,
+ADD COLUMN     "currentToolScore" INTEGER,
+ADD COLUMN     "currentTotalScore" INTEGER,
+ADD COLUMN     "scoreCalculatedAt" TIMESTAMP(3),
+ADD COLUMN     "scoreConfigVersion" INTEGER;
+
+-- Backfill the cache from each application's latest Score row.
+-- scoreConfigVersion stays NULL so the first startup re-checks every cached score.
+UPDATE "Application" AS a
+SET "currentKnowledgeScore" = s."knowledgeScore",
+    "currentToolScore" = s."toolScore",
+    "currentTotalScore" = s."totalScore",
+    "scoreCalculatedAt" = s."calculatedAt"
+FROM (
+    SELECT DISTINCT ON ("applicationId") "applicationId", "knowledgeScore", "toolScore", "totalScore", "calculatedAt"
+    FROM "Score"
+    ORDER BY "applicationId", "calculatedAt" DESC
+) AS s
+WHERE s."applicationId" = a."id";
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "Score" ADD COLUMN     "configVersion" INTEGER;
+
+-- CreateTable
+CREATE TABLE "ScoringConfig" (
+    "id" SERIAL NOT NULL,
+    "version" INTEGER NOT NULL,
+    "config" TEXT NOT NULL,
+    "changes" TEXT,
+    "note" TEXT,
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ScoringConfig_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ScoringConfig_version_key" ON "ScoringConfig"("version");
@@ -0,0 +1,49 @@
+/*
+  Warnings:
+
+  - You are about to drop the column `sastTool`, `sastIntegrationLevel`, `dastTool`, `dastIntegrationLevel`, `appFirewallTool`, `appFirewallIntegrationLevel`, `apiSecurityTool`, `apiSecurityIntegrationLevel` and `apiSecurityNA` on the `Application` table. Their values are copied into `ApplicationTool` first.
+
+*/
+-- CreateTable
+CREATE TABLE "ApplicationTool" (
+    "id" TEXT NOT NULL,
+    "applicationId" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "tool" TEXT,
+    "integrationLevel" INTEGER,
+    "notApplicable" BOOLEAN NOT NULL DEFAULT false,
+    "naReason" TEXT,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ApplicationTool_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ApplicationTool_applicationId_category_key" ON "ApplicationTool"("applicationId", "category");
+
+-- AddForeignKey
+ALTER TABLE "ApplicationTool" ADD CONSTRAINT "ApplicationTool_applicationId_fkey" FOREIGN KEY ("applicationId") REFERENCES "Application"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Copy the fixed per-category columns into ApplicationTool rows
+INSERT INTO "ApplicationTool" ("id", "applicationId", "category", "tool", "integrationLevel", "notApplicable", "updatedAt")
+SELECT md5(random()::text || a."id" || t."category"), a."id", t."category", t."tool", t."integrationLevel", t."notApplicable", CURRENT_TIMESTAMP
+FROM "Application" AS a
+CROSS JOIN LATERAL (
+    VALUES
+        ('sast', a."sastTool", a."sastIntegrationLevel", false),
+        ('dast', a."dastTool", a."dastIntegrationLevel", false),
+        ('appFirewall', a."appFirewallTool", a."appFirewallIntegrationLevel", false),
+        ('apiSecurity', a."apiSecurityTool", a."apiSecurityIntegrationLevel", COALESCE(a."apiSecurityNA", false))
+) AS t("category", "tool", "integrationLevel", "notApplicable")
+WHERE t."tool" IS NOT NULL OR t."integrationLevel" IS NOT NULL OR t."notApplicable";
+
+-- AlterTable
+ALTER TABLE "Application" DROP COLUMN "apiSecurityIntegrationLevel",
+DROP COLUMN "apiSecurityNA",
+DROP COLUMN "apiSecurityTool",
+DROP COLUMN "appFirewallIntegrationLevel",
+DROP COLUMN "appFirewallTool",
+DROP COLUMN "dastIntegrationLevel",
+DROP COLUMN "dastTool",
+DROP COLUMN "sastIntegrationLevel",
+DROP COLUMN "sastTool";
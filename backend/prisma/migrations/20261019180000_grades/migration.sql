@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "Grade" (
+    "id" TEXT NOT NULL,
+    "companyId" TEXT,
+    "applicationId" TEXT,
+    "communicationScore" INTEGER NOT NULL,
+    "securityProceduresScore" INTEGER NOT NULL,
+    "dataFreshnessScore" INTEGER NOT NULL,
+    "notes" TEXT,
+    "automatedScore" INTEGER,
+    "blendedScore" INTEGER NOT NULL,
+    "letterGrade" TEXT NOT NULL,
+    "gradedBy" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Grade_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Grade_companyId_idx" ON "Grade"("companyId");
+
+-- CreateIndex
+CREATE INDEX "Grade_applicationId_idx" ON "Grade"("applicationId");
+
+-- AddForeignKey
+ALTER TABLE "Grade" ADD CONSTRAINT "Grade_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "Company"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Grade" ADD CONSTRAINT "Grade_applicationId_fkey" FOREIGN KEY ("applicationId") REFERENCES "Application"("id") ON DELETE CASCADE ON UPDATE CASCADE;
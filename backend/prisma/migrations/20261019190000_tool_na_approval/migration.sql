@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "ApplicationTool" ADD COLUMN     "naExpiresAt" TIMESTAMP(3),
+ADD COLUMN     "naRequestedAt" TIMESTAMP(3),
+ADD COLUMN     "naRequestedBy" TEXT,
+ADD COLUMN     "naReviewedAt" TIMESTAMP(3),
+ADD COLUMN     "naReviewedBy" TEXT,
+ADD COLUMN     "naStatus" TEXT;
+
+-- Existing N/A flags were never reviewed, so they wait for an admin like new ones
+UPDATE "ApplicationTool" SET "naStatus" = 'PENDING', "naRequestedAt" = "updatedAt" WHERE "notApplicable" = true;
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "RiskAcceptance" (
+    "id" TEXT NOT NULL,
+    "applicationId" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "compensatingControls" TEXT,
+    "rule" TEXT,
+    "toolCategory" TEXT,
+    "approver" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "createdBy" TEXT NOT NULL,
+    "reviewedBy" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RiskAcceptance_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RiskAcceptance_applicationId_idx" ON "RiskAcceptance"("applicationId");
+
+-- AddForeignKey
+ALTER TABLE "RiskAcceptance" ADD CONSTRAINT "RiskAcceptance_applicationId_fkey" FOREIGN KEY ("applicationId") REFERENCES "Application"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "ScoreRecalculation" (
+    "id" SERIAL NOT NULL,
+    "status" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "requestedBy" TEXT,
+    "configVersion" INTEGER NOT NULL,
+    "total" INTEGER NOT NULL DEFAULT 0,
+    "processed" INTEGER NOT NULL DEFAULT 0,
+    "changed" INTEGER NOT NULL DEFAULT 0,
+    "failed" INTEGER NOT NULL DEFAULT 0,
+    "failures" TEXT,
+    "error" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "endedAt" TIMESTAMP(3),
+
+    CONSTRAINT "ScoreRecalculation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ScoreRecalculation_startedAt_idx" ON "ScoreRecalculation"("startedAt");
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "magicCodeFailedAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "magicCodeLockedUntil" TIMESTAMP(3);
+
+-- Codes are now bound to the requesting email and generated with a CSPRNG;
+-- drop any outstanding codes issued under the old scheme
+DELETE FROM "MagicCode" WHERE "usedAt" IS NULL;
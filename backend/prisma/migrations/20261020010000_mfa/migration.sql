@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "mfaSecret" TEXT,
+ADD COLUMN     "mfaPendingSecret" TEXT,
+ADD COLUMN     "mfaEnabledAt" TIMESTAMP(3),
+ADD COLUMN     "mfaLastUsedStep" INTEGER,
+ADD COLUMN     "mfaFailedAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "mfaLockedUntil" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Company" ADD COLUMN     "requireMfa" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "MfaRecoveryCode" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MfaRecoveryCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MfaRecoveryCode_userId_idx" ON "MfaRecoveryCode"("userId");
+
+-- AddForeignKey
+ALTER TABLE "MfaRecoveryCode" ADD CONSTRAINT "MfaRecoveryCode_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
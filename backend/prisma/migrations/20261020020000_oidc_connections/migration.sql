@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "OidcConnection" (
+    "id" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "issuer" TEXT NOT NULL,
+    "clientId" TEXT NOT NULL,
+    "clientSecret" TEXT,
+    "autoVerify" BOOLEAN NOT NULL DEFAULT false,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "OidcConnection_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OidcConnection_companyId_key" ON "OidcConnection"("companyId");
+
+-- AddForeignKey
+ALTER TABLE "OidcConnection" ADD CONSTRAINT "OidcConnection_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "Company"("id") ON DELETE CASCADE ON UPDATE CASCADE;
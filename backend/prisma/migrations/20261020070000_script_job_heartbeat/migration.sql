@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ScriptJob" ADD COLUMN "heartbeatAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
@@ -1,6 +1,25 @@
 import express from 'express';
 import { prisma } from '../prisma/client.js';
 import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import {
+  parseScoringConfig,
+  normalizeScoringConfig,
+  prepareRestoredConfig,
+  saveScoringConfig,
+  simulateScoringConfig,
+} from '../services/scoringConfig.js';
+import { getScoringConfig, notApplicableStatus, KNOWLEDGE_FIELDS } from '../services/scoring.js';
+import { refreshStaleScores, recordScore } from '../services/scoreHistory.js';
+import { reviewNotApplicable } from '../services/applicationTools.js';
+import { getPortfolioRollup } from '../services/rollups.js';
+import { getBenchmarks } from '../services/benchmarking.js';
+import { normalizePolicy, getPolicies, withCompliance } from '../services/policies.js';
+import { formatRisk, getExpiringRisks, EXPIRY_WARNING_DAYS } from '../services/risks.js';
+import {
+  startScoreRecalculation,
+  getScoreRecalculation,
+  getScoreRecalculations,
+} from '../services/scoreRecalculation.js';
 
 const router = express.Router();
 
@@ -19,6 +38,8 @@ router.get('/stats', async (req, res) => {
       applicationsByStatus,
       verifiedUsers,
       unverifiedUsers,
+      expiringRisks,
+      [lastScoreRecalculation],
     ] = await Promise.all([
       prisma.company.count(),
       prisma.application.count(),
@@ -36,6 +57,8 @@ router.get('/stats', async (req, res) => {
       prisma.user.count({
         where: { verifiedAccount: false },
       }),
+      getExpiringRisks(),
+      getScoreRecalculations(1),
     ]);
 
     // Format applications by status
@@ -60,6 +83,13 @@ router.get('/stats', async (req, res) => {
       domains: {
         total: totalDomains,
       },
+      // Accepted risks that have expired or expire within the warning window
+      risks: {
+        expiryWarningDays: EXPIRY_WARNING_DAYS,
+        expiring: expiringRisks,
+      },
+      // Most recent full score recalculation, which may still be running
+      scoreRecalculation: lastScoreRecalculation || null,
     });
   } catch (error) {
     console.error('Error fetching admin stats:', error);
@@ -101,19 +131,452 @@ router.get('/applications', async (req, res) => {
             name: true,
           },
         },
+        tools: true,
       },
       orderBy: {
         name: 'asc',
       },
     });
 
-    res.json(applications);
+    res.json(await withCompliance(applications));
   } catch (error) {
     console.error('Error fetching admin applications:', error);
     res.status(500).json({ error: 'Failed to fetch applications' });
   }
 });
 
-export default router;
+// Recalculate cached scores after a config change without holding up the response
+function refreshScoresInBackground() {
+  refreshStaleScores().catch(error => {
+    console.error('Error refreshing scores after config change:', error);
+  });
+}
+
+// ADMIN-6: Get the active scoring config
+router.get('/scoring-config', async (req, res) => {
+  try {
+    const active = await prisma.scoringConfig.findUnique({
+      where: { version: getScoringConfig().version },
+    });
+
+    if (!active) {
+      return res.status(404).json({ error: 'Scoring config not loaded' });
+    }
+
+    // Fields the config can count toward metadata completeness, with labels
+    res.json({ ...parseScoringConfig(active), knowledgeFields: KNOWLEDGE_FIELDS });
+  } catch (error) {
+    console.error('Error fetching scoring config:', error);
+    res.status(500).json({ error: 'Failed to fetch scoring config' });
+  }
+});
+
+// ADMIN-7: Get scoring config version history, newest first
+router.get('/scoring-config/versions', async (req, res) => {
+  try {
+    const versions = await prisma.scoringConfig.findMany({
+      orderBy: { version: 'desc' },
+    });
+
+    res.json(versions.map(parseScoringConfig));
+  } catch (error) {
+    console.error('Error fetching scoring config versions:', error);
+    res.status(500).json({ error: 'Failed to fetch scoring config versions' });
+  }
+});
+
+// ADMIN-8: Save a new scoring config version
+// Body: { config: { integrationLevels, toolQuality, riskFactors, toolCategories, knowledgeSharing }, note? }
+router.put('/scoring-config', async (req, res) => {
+  try {
+    const { config, note } = req.body;
+
+    const normalized = normalizeScoringConfig(config);
+    if (normalized.error) {
+      return res.status(400).json({ error: normalized.error });
+    }
+
+    const saved = await saveScoringConfig(normalized.config, req.session.email, note?.trim() || null);
+    if (!saved) {
+      return res.status(400).json({ error: 'No changes to save' });
+    }
+
+    refreshScoresInBackground();
+
+    res.status(201).json(parseScoringConfig(saved));
+  } catch (error) {
+    console.error('Error saving scoring config:', error);
+    res.status(500).json({ error: 'Failed to save scoring config' });
+  }
+});
+
+// ADMIN-9: Restore an earlier scoring config version (saved as a new version)
+// Sections added to config/scoring since that version get their defaults
+router.post('/scoring-config/versions/:version/restore', async (req, res) => {
+  try {
+    const version = parseInt(req.params.version);
+
+    const previous = Number.isNaN(version) ? null : await prisma.scoringConfig.findUnique({
+      where: { version },
+    });
+
+    if (!previous) {
+      return res.status(404).json({ error: 'Scoring config version not found' });
+    }
+
+    const restored = prepareRestoredConfig(JSON.parse(previous.config));
+    if (restored.error) {
+      return res.status(400).json({ error: `Version ${version} cannot be restored: ${restored.error}` });
+    }
+
+    const saved = await saveScoringConfig(
+      restored.config,
+      req.session.email,
+      `Restored version ${version}`
+    );
+    if (!saved) {
+      return res.status(400).json({ error: 'This version is already active' });
+    }
+
+    refreshScoresInBackground();
+
+    res.status(201).json(parseScoringConfig(saved));
+  } catch (error) {
+    console.error('Error restoring scoring config:', error);
+    res.status(500).json({ error: 'Failed to restore scoring config' });
+  }
+});
+
+// ADMIN-10: Preview the effect of a draft scoring config on every application
+// Body: { config: { integrationLevels, toolQuality, riskFactors, toolCategories, knowledgeSharing } }. Nothing is saved.
+router.post('/scoring-config/simulate', async (req, res) => {
+  try {
+    const normalized = normalizeScoringConfig(req.body.config);
+    if (normalized.error) {
+      return res.status(400).json({ error: normalized.error });
+    }
+
+    const simulation = await simulateScoringConfig(normalized.config);
 
+    res.json(simulation);
+  } catch (error) {
+    console.error('Error simulating scoring config:', error);
+    res.status(500).json({ error: 'Failed to simulate scoring config' });
+  }
+});
+
+// Tool category N/A with its effective status (EXPIRED once an approval lapses)
+function formatNotApplicable(assignment) {
+  const { toolCategories } = getScoringConfig();
+  return {
+    ...assignment,
+    categoryName: toolCategories[assignment.category]?.name || assignment.category,
+    naStatus: notApplicableStatus(assignment),
+  };
+}
+
+// ADMIN-11: Get tool categories marked Not Applicable, oldest request first
+// Query: status=PENDING|APPROVED|REJECTED|EXPIRED (optional)
+router.get('/not-applicable', async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const assignments = await prisma.applicationTool.findMany({
+      where: { notApplicable: true },
+      include: {
+        application: {
+          select: {
+            id: true,
+            name: true,
+            company: {
+              select: {
+                id: true,
+                name: true,
+              },
+            },
+          },
+        },
+      },
+      orderBy: {
+        naRequestedAt: 'asc',
+      },
+    });
+
+    const formatted = assignments.map(formatNotApplicable);
+
+    res.json(status ? formatted.filter(assignment => assignment.naStatus === status) : formatted);
+  } catch (error) {
+    console.error('Error fetching N/A requests:', error);
+    res.status(500).json({ error: 'Failed to fetch N/A requests' });
+  }
+});
+
+// Approve or reject an N/A and rescore the application
+async function reviewNotApplicableRoute(req, res, approved) {
+  const { id } = req.params;
+
+  const assignment = await prisma.applicationTool.findUnique({
+    where: { id },
+  });
 
+  if (!assignment) {
+    return res.status(404).json({ error: 'N/A request not found' });
+  }
+
+  const status = notApplicableStatus(assignment);
+  if (!status) {
+    return res.status(400).json({ error: 'Tool category is not marked Not Applicable' });
+  }
+  if (status === (approved ? 'APPROVED' : 'REJECTED')) {
+    return res.status(400).json({ error: `N/A has already been ${approved ? 'approved' : 'rejected'}` });
+  }
+
+  const updated = formatNotApplicable(await reviewNotApplicable(id, approved, req.session.email));
+
+  const application = await prisma.application.findUnique({
+    where: { id: assignment.applicationId },
+    include: {
+      tools: true,
+    },
+  });
+  await recordScore(application, `${updated.categoryName} N/A ${approved ? 'approved' : 'rejected'}`);
+
+  res.json(updated);
+}
+
+// ADMIN-12: Approve an N/A; it earns full points until it expires
+router.post('/not-applicable/:id/approve', async (req, res) => {
+  try {
+    await reviewNotApplicableRoute(req, res, true);
+  } catch (error) {
+    console.error('Error approving N/A:', error);
+    res.status(500).json({ error: 'Failed to approve N/A' });
+  }
+});
+
+// ADMIN-13: Reject (or revoke) an N/A; the category scores as having no tool
+router.post('/not-applicable/:id/reject', async (req, res) => {
+  try {
+    await reviewNotApplicableRoute(req, res, false);
+  } catch (error) {
+    console.error('Error rejecting N/A:', error);
+    res.status(500).json({ error: 'Failed to reject N/A' });
+  }
+});
+
+// ADMIN-14: Get the portfolio score rollup across all companies, with each
+// company's weighted score (weakest first)
+router.get('/portfolio-rollup', async (req, res) => {
+  try {
+    res.json(await getPortfolioRollup());
+  } catch (error) {
+    console.error('Error calculating portfolio rollup:', error);
+    res.status(500).json({ error: 'Failed to calculate portfolio rollup' });
+  }
+});
+
+// ADMIN-15: Benchmark companies against each other: weighted score rank,
+// tool coverage per category, onboarding completion and metadata freshness
+router.get('/benchmarks', async (req, res) => {
+  try {
+    res.json(await getBenchmarks());
+  } catch (error) {
+    console.error('Error calculating benchmarks:', error);
+    res.status(500).json({ error: 'Failed to calculate benchmarks' });
+  }
+});
+
+// ADMIN-16: Get security policies
+router.get('/policies', async (req, res) => {
+  try {
+    res.json(await getPolicies());
+  } catch (error) {
+    console.error('Error fetching policies:', error);
+    res.status(500).json({ error: 'Failed to fetch policies' });
+  }
+});
+
+// Company scope must name an existing company
+async function policyCompanyExists(companyId) {
+  if (!companyId) {
+    return true;
+  }
+  const company = await prisma.company.findUnique({
+    where: { id: companyId },
+    select: { id: true },
+  });
+  return Boolean(company);
+}
+
+// ADMIN-17: Create a security policy
+router.post('/policies', async (req, res) => {
+  try {
+    const { policy, error } = normalizePolicy(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (!(await policyCompanyExists(policy.companyId))) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const created = await prisma.policy.create({
+      data: {
+        ...policy,
+        createdBy: req.session.email,
+      },
+    });
+
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Error creating policy:', error);
+    res.status(500).json({ error: 'Failed to create policy' });
+  }
+});
+
+// ADMIN-18: Update a security policy
+router.put('/policies/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.policy.findUnique({
+      where: { id },
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Policy not found' });
+    }
+
+    const { policy, error } = normalizePolicy(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (!(await policyCompanyExists(policy.companyId))) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const updated = await prisma.policy.update({
+      where: { id },
+      data: policy,
+    });
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating policy:', error);
+    res.status(500).json({ error: 'Failed to update policy' });
+  }
+});
+
+// ADMIN-19: Delete a security policy
+router.delete('/policies/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.policy.findUnique({
+      where: { id },
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Policy not found' });
+    }
+
+    await prisma.policy.delete({
+      where: { id },
+    });
+
+    res.json({ message: 'Policy deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting policy:', error);
+    res.status(500).json({ error: 'Failed to delete policy' });
+  }
+});
+
+// ADMIN-20: Get the risk register across all applications, soonest expiry first
+// Query: status=PENDING|ACCEPTED|REJECTED|CLOSED|EXPIRED (optional)
+router.get('/risks', async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const risks = await prisma.riskAcceptance.findMany({
+      include: {
+        application: {
+          select: {
+            id: true,
+            name: true,
+            company: {
+              select: {
+                id: true,
+                name: true,
+              },
+            },
+          },
+        },
+      },
+      orderBy: {
+        expiresAt: 'asc',
+      },
+    });
+
+    const formatted = risks.map(risk => formatRisk(risk));
+
+    res.json(status ? formatted.filter(risk => risk.status === status) : formatted);
+  } catch (error) {
+    console.error('Error fetching risk register:', error);
+    res.status(500).json({ error: 'Failed to fetch risk register' });
+  }
+});
+
+// ADMIN-21: Start recalculating every application's score in the background
+// Responds once the run is recorded; poll ADMIN-23 for progress
+router.post('/score-recalculations', async (req, res) => {
+  try {
+    const { recalculation, error } = await startScoreRecalculation({
+      reason: 'Full recalculation',
+      requestedBy: req.session.email,
+    });
+
+    if (error) {
+      return res.status(409).json({ error });
+    }
+
+    res.status(202).json(recalculation);
+  } catch (error) {
+    console.error('Error starting score recalculation:', error);
+    res.status(500).json({ error: 'Failed to start score recalculation' });
+  }
+});
+
+// ADMIN-22: Get recent score recalculations, newest first
+router.get('/score-recalculations', async (req, res) => {
+  try {
+    res.json(await getScoreRecalculations());
+  } catch (error) {
+    console.error('Error fetching score recalculations:', error);
+    res.status(500).json({ error: 'Failed to fetch score recalculations' });
+  }
+});
+
+// ADMIN-23: Get a score recalculation's progress and failures
+router.get('/score-recalculations/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid score recalculation ID' });
+    }
+
+    const recalculation = await getScoreRecalculation(id);
+
+    if (!recalculation) {
+      return res.status(404).json({ error: 'Score recalculation not found' });
+    }
+
+    res.json(recalculation);
+  } catch (error) {
+    console.error('Error fetching score recalculation:', error);
+    res.status(500).json({ error: 'Failed to fetch score recalculation' });
+  }
+});
+
+export default router;
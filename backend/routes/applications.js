@@ -1,7 +1,11 @@
 import express from 'express';
 import { prisma } from '../prisma/client.js';
 import { requireAuth, requireAdmin } from '../middleware/auth.js';
-import { calculateApplicationScore } from '../services/scoring.js';
+import { recordScore, describeScoringChanges, getScoreHistory } from '../services/scoreHistory.js';
+import { normalizeToolAssignments, saveToolAssignments, notApplicableRequest, isEmptyAssignment } from '../services/applicationTools.js';
+import { normalizeGrade, recordGrade, getGrading } from '../services/grading.js';
+import { withCompliance } from '../services/policies.js';
+import { calculateKnowledgeBreakdown, calculateToolBreakdown, recommendToolImprovements } from '../services/scoring.js';
 import { isValidDomain, normalizeDomain } from '../utils/domainValidation.js';
 
 const router = express.Router();
@@ -75,6 +79,10 @@ router.post('/onboard/executive', async (req, res) => {
       })
     );
 
+    for (const application of createdApplications) {
+      await recordScore(application, 'Application created');
+    }
+
     // Return single application for backward compatibility, or array for multiple
     if (appsToCreate.length === 1) {
       res.status(201).json({
@@ -118,13 +126,14 @@ router.get('/', requireAuth, async (req, res) => {
             name: true,
           },
         },
+        tools: true,
       },
       orderBy: {
         name: 'asc',
       },
     });
 
-    res.json(applications);
+    res.json(await withCompliance(applications));
   } catch (error) {
     console.error('Error fetching applications:', error);
     res.status(500).json({ error: 'Failed to fetch applications' });
@@ -146,6 +155,7 @@ router.get('/public/:id', async (req, res) => {
             slug: true,
           },
         },
+        tools: true,
       },
     });
 
@@ -181,26 +191,26 @@ router.put('/public/:id', async (req, res) => {
       hasSecurityTesting,
       securityTestingDescription,
       additionalNotes,
-      sastTool,
-      sastIntegrationLevel,
-      dastTool,
-      dastIntegrationLevel,
-      appFirewallTool,
-      appFirewallIntegrationLevel,
-      apiSecurityTool,
-      apiSecurityIntegrationLevel,
-      apiSecurityNA,
+      tools, // [{ category, tool, integrationLevel, notApplicable, naReason }]
     } = req.body;
 
     // Find application
     const existing = await prisma.application.findUnique({
       where: { id },
+      include: {
+        tools: true,
+      },
     });
 
     if (!existing) {
       return res.status(404).json({ error: 'Application not found' });
     }
 
+    const toolAssignments = normalizeToolAssignments(tools || []);
+    if (toolAssignments.error) {
+      return res.status(400).json({ error: toolAssignments.error });
+    }
+
     // Process deploymentType - concatenate frequency and method
     let deploymentType = null;
     const deploymentParts = [];
@@ -304,37 +314,26 @@ router.put('/public/:id', async (req, res) => {
       interfaces: interfacesJson || existing.interfaces,
       description: description || null,
       securityTestingDescription: securityTestingDescription?.trim() || null,
-      sastTool: sastTool?.trim() || null,
-      sastIntegrationLevel: sastIntegrationLevel ? parseInt(sastIntegrationLevel) : null,
-      dastTool: dastTool?.trim() || null,
-      dastIntegrationLevel: dastIntegrationLevel ? parseInt(dastIntegrationLevel) : null,
-      appFirewallTool: appFirewallTool?.trim() || null,
-      appFirewallIntegrationLevel: appFirewallIntegrationLevel ? parseInt(appFirewallIntegrationLevel) : null,
-      apiSecurityTool: apiSecurityTool?.trim() || null,
-      apiSecurityIntegrationLevel: apiSecurityIntegrationLevel ? parseInt(apiSecurityIntegrationLevel) : null,
-      apiSecurityNA: apiSecurityNA === true || apiSecurityNA === 'true',
       status: 'onboarded', // Mark as fully onboarded
     };
 
-    const application = await prisma.application.update({
-      where: { id },
-      data: updateData,
-    });
+    const application = await prisma.$transaction(async (tx) => {
+      await tx.application.update({
+        where: { id },
+        data: updateData,
+      });
+      await saveToolAssignments(tx, id, toolAssignments.assignments, req.session.email);
 
-    // Recalculate and save score after update
-    try {
-      const scores = calculateApplicationScore(application);
-      await prisma.score.create({
-        data: {
-          applicationId: application.id,
-          knowledgeScore: scores.knowledgeScore,
-          toolScore: scores.toolScore,
-          totalScore: scores.totalScore,
+      return tx.application.findUnique({
+        where: { id },
+        include: {
+          tools: true,
         },
       });
-    } catch (error) {
-      console.error('Error saving score after update:', error);
-    }
+    });
+
+    // Recalculate and save score after update
+    await recordScore(application, describeScoringChanges(existing, application));
 
     res.json({
       application,
@@ -361,6 +360,7 @@ router.get('/:id', requireAuth, async (req, res) => {
           },
         },
         contacts: true,
+        tools: true,
         applicationDomains: {
           include: {
             domain: true,
@@ -387,7 +387,8 @@ router.get('/:id', requireAuth, async (req, res) => {
       });
     }
 
-    res.json(application);
+    const [withPolicies] = await withCompliance([application]);
+    res.json(withPolicies);
   } catch (error) {
     console.error('Error fetching application:', error);
     res.status(500).json({ error: 'Failed to fetch application' });
@@ -408,6 +409,7 @@ router.get('/:id/score', requireAuth, async (req, res) => {
             name: true,
           },
         },
+        tools: true,
       },
     });
 
@@ -423,46 +425,16 @@ router.get('/:id/score', requireAuth, async (req, res) => {
       });
     }
 
-    // Calculate score
-    const scores = calculateApplicationScore(application);
-
-    // Save score to database
-    try {
-      await prisma.score.create({
-        data: {
-          applicationId: application.id,
-          knowledgeScore: scores.knowledgeScore,
-          toolScore: scores.toolScore,
-          totalScore: scores.totalScore,
-        },
-      });
-    } catch (error) {
-      // Log but don't fail the request if score saving fails
-      console.error('Error saving score to database:', error);
-    }
-
-    // Calculate breakdown for knowledge sharing
-    const knowledgeFields = [
-      'description',
-      'devTeamContact',
-      'repoUrl',
-      'language',
-      'framework',
-      'serverEnvironment',
-      'authProfiles',
-      'dataTypes',
-    ];
-    const fieldsFilled = knowledgeFields.filter(field => application[field]).length;
+    // Calculate score; history is only written if it changed since last time
+    const scores = await recordScore(application);
 
     res.json({
       ...scores,
       breakdown: {
-        knowledgeSharing: {
-          fieldsFilled,
-          totalFields: knowledgeFields.length,
-          completenessScore: Math.round((fieldsFilled / knowledgeFields.length) * 40),
-          reviewScore: scores.knowledgeScore - Math.round((fieldsFilled / knowledgeFields.length) * 40),
-          lastReviewed: application.metadataLastReviewed,
+        knowledgeSharing: calculateKnowledgeBreakdown(application),
+        toolUsage: {
+          ...calculateToolBreakdown(application),
+          recommendations: recommendToolImprovements(application),
         },
       },
     });
@@ -472,6 +444,40 @@ router.get('/:id/score', requireAuth, async (req, res) => {
   }
 });
 
+// Get application score history (one point per score change, oldest first)
+router.get('/:id/score-history', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const application = await prisma.application.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        companyId: true,
+      },
+    });
+
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    // Check if user has access (admin or member of same company)
+    if (!req.session.isAdmin && req.session.companyId !== application.companyId) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'You can only access applications in your company',
+      });
+    }
+
+    const history = await getScoreHistory(id);
+
+    res.json(history);
+  } catch (error) {
+    console.error('Error fetching score history:', error);
+    res.status(500).json({ error: 'Failed to fetch score history' });
+  }
+});
+
 // Mark application metadata as reviewed (Admin only)
 router.post('/:id/review', requireAuth, requireAdmin, async (req, res) => {
   try {
@@ -491,24 +497,13 @@ router.post('/:id/review', requireAuth, requireAdmin, async (req, res) => {
       data: {
         metadataLastReviewed: new Date(),
       },
+      include: {
+        tools: true,
+      },
     });
 
-    // Recalculate score
-    const scores = calculateApplicationScore(updated);
-
-    // Save updated score to database
-    try {
-      await prisma.score.create({
-        data: {
-          applicationId: updated.id,
-          knowledgeScore: scores.knowledgeScore,
-          toolScore: scores.toolScore,
-          totalScore: scores.totalScore,
-        },
-      });
-    } catch (error) {
-      console.error('Error saving score to database:', error);
-    }
+    // Recalculate and save updated score
+    const scores = await recordScore(updated, 'Metadata reviewed');
 
     res.json({
       application: updated,
@@ -521,6 +516,68 @@ router.post('/:id/review', requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
+// GRADE-4: Get application grading history and current letter grade
+router.get('/:id/grades', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const application = await prisma.application.findUnique({
+      where: { id },
+      select: {
+        companyId: true,
+        currentTotalScore: true,
+      },
+    });
+
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    // Check if user has access (admin or member of same company)
+    if (!req.session.isAdmin && req.session.companyId !== application.companyId) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'You can only access applications in your company',
+      });
+    }
+
+    res.json(await getGrading({ applicationId: id }, application.currentTotalScore));
+  } catch (error) {
+    console.error('Error fetching application grades:', error);
+    res.status(500).json({ error: 'Failed to fetch application grades' });
+  }
+});
+
+// GRADE-2: Grade application (Admin only)
+router.post('/:id/grade', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const application = await prisma.application.findUnique({
+      where: { id },
+      select: {
+        currentTotalScore: true,
+      },
+    });
+
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const { grade, error } = normalizeGrade(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const saved = await recordGrade({ applicationId: id }, application.currentTotalScore, grade, req.session.email);
+
+    res.status(201).json(saved);
+  } catch (error) {
+    console.error('Error grading application:', error);
+    res.status(500).json({ error: 'Failed to grade application' });
+  }
+});
+
 // APP-1: Create application (single form submission)
 router.post('/', requireAuth, async (req, res) => {
   try {
@@ -542,15 +599,7 @@ router.post('/', requireAuth, async (req, res) => {
       devTeamContact,
       securityTestingDescription,
       additionalNotes,
-      sastTool,
-      sastIntegrationLevel,
-      dastTool,
-      dastIntegrationLevel,
-      appFirewallTool,
-      appFirewallIntegrationLevel,
-      apiSecurityTool,
-      apiSecurityIntegrationLevel,
-      apiSecurityNA,
+      tools, // [{ category, tool, integrationLevel, notApplicable, naReason }]
     } = req.body;
 
     // Validate required fields
@@ -585,6 +634,11 @@ router.post('/', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'Company not found' });
     }
 
+    const toolAssignments = normalizeToolAssignments(tools || []);
+    if (toolAssignments.error) {
+      return res.status(400).json({ error: toolAssignments.error });
+    }
+
     // Process interfaces - create applications if they don't exist
     let interfacesJson = null;
     if (interfaces && Array.isArray(interfaces) && interfaces.length > 0) {
@@ -648,16 +702,15 @@ router.post('/', requireAuth, async (req, res) => {
         devTeamContact: devTeamContact?.trim() || null,
         securityTestingDescription: securityTestingDescription?.trim() || null,
         additionalNotes: additionalNotes?.trim() || null,
-        sastTool: sastTool?.trim() || null,
-        sastIntegrationLevel: sastIntegrationLevel ? parseInt(sastIntegrationLevel) : null,
-        dastTool: dastTool?.trim() || null,
-        dastIntegrationLevel: dastIntegrationLevel ? parseInt(dastIntegrationLevel) : null,
-        appFirewallTool: appFirewallTool?.trim() || null,
-        appFirewallIntegrationLevel: appFirewallIntegrationLevel ? parseInt(appFirewallIntegrationLevel) : null,
-        apiSecurityTool: apiSecurityTool?.trim() || null,
-        apiSecurityIntegrationLevel: apiSecurityIntegrationLevel ? parseInt(apiSecurityIntegrationLevel) : null,
-        apiSecurityNA: apiSecurityNA || false,
         status: 'onboarded',
+        tools: {
+          create: toolAssignments.assignments
+            .filter(assignment => !isEmptyAssignment(assignment))
+            .map(assignment => ({
+              ...assignment,
+              ...notApplicableRequest(assignment, null, req.session.email),
+            })),
+        },
       },
       include: {
         company: {
@@ -666,9 +719,12 @@ router.post('/', requireAuth, async (req, res) => {
             name: true,
           },
         },
+        tools: true,
       },
     });
 
+    await recordScore(application, 'Application created');
+
     res.status(201).json(application);
   } catch (error) {
     console.error('Error creating application:', error);
@@ -697,15 +753,7 @@ router.put('/:id', requireAuth, async (req, res) => {
       devTeamContact,
       securityTestingDescription,
       additionalNotes,
-      sastTool,
-      sastIntegrationLevel,
-      dastTool,
-      dastIntegrationLevel,
-      appFirewallTool,
-      appFirewallIntegrationLevel,
-      apiSecurityTool,
-      apiSecurityIntegrationLevel,
-      apiSecurityNA,
+      tools, // [{ category, tool, integrationLevel, notApplicable, naReason }]
       status,
     } = req.body;
 
@@ -714,6 +762,7 @@ router.put('/:id', requireAuth, async (req, res) => {
       where: { id },
       include: {
         company: true,
+        tools: true,
       },
     });
 
@@ -729,6 +778,11 @@ router.put('/:id', requireAuth, async (req, res) => {
       });
     }
 
+    const toolAssignments = tools !== undefined ? normalizeToolAssignments(tools) : { assignments: [] };
+    if (toolAssignments.error) {
+      return res.status(400).json({ error: toolAssignments.error });
+    }
+
     // Process interfaces if provided
     let interfacesJson = existing.interfaces;
     if (interfaces !== undefined) {
@@ -777,55 +831,42 @@ router.put('/:id', requireAuth, async (req, res) => {
       }
     }
 
-    const application = await prisma.application.update({
-      where: { id },
-      data: {
-        ...(name && { name: name.trim() }),
-        ...(description !== undefined && { description: description?.trim() || null }),
-        ...(repoUrl !== undefined && { repoUrl: repoUrl?.trim() || null }),
-        ...(language !== undefined && { language: language?.trim() || null }),
-        ...(framework !== undefined && { framework: framework?.trim() || null }),
-        ...(serverEnvironment !== undefined && { serverEnvironment: serverEnvironment?.trim() || null }),
-        ...(facing !== undefined && { facing: facing?.trim() || null }),
-        ...(deploymentType !== undefined && { deploymentType: deploymentType?.trim() || null }),
-        ...(authProfiles !== undefined && { authProfiles: authProfiles?.trim() || null }),
-        ...(dataTypes !== undefined && { dataTypes: dataTypes?.trim() || null }),
-        ...(interfaces !== undefined && { interfaces: interfacesJson }),
-        ...(businessCriticality !== undefined && { businessCriticality: businessCriticality ? parseInt(businessCriticality) : null }),
-        ...(criticalAspects !== undefined && { criticalAspects: criticalAspectsStr }),
-        ...(devTeamContact !== undefined && { devTeamContact: devTeamContact?.trim() || null }),
-        ...(securityTestingDescription !== undefined && { securityTestingDescription: securityTestingDescription?.trim() || null }),
-        ...(additionalNotes !== undefined && { additionalNotes: additionalNotes?.trim() || null }),
-        ...(sastTool !== undefined && { sastTool: sastTool?.trim() || null }),
-        ...(sastIntegrationLevel !== undefined && { sastIntegrationLevel: sastIntegrationLevel ? parseInt(sastIntegrationLevel) : null }),
-        ...(dastTool !== undefined && { dastTool: dastTool?.trim() || null }),
-        ...(dastIntegrationLevel !== undefined && { dastIntegrationLevel: dastIntegrationLevel ? parseInt(dastIntegrationLevel) : null }),
-        ...(appFirewallTool !== undefined && { appFirewallTool: appFirewallTool?.trim() || null }),
-        ...(appFirewallIntegrationLevel !== undefined && { appFirewallIntegrationLevel: appFirewallIntegrationLevel ? parseInt(appFirewallIntegrationLevel) : null }),
-        ...(apiSecurityTool !== undefined && { apiSecurityTool: apiSecurityTool?.trim() || null }),
-        ...(apiSecurityIntegrationLevel !== undefined && { apiSecurityIntegrationLevel: apiSecurityIntegrationLevel ? parseInt(apiSecurityIntegrationLevel) : null }),
-        ...(apiSecurityNA !== undefined && { apiSecurityNA: apiSecurityNA }),
-        ...(status !== undefined && { status }),
-      },
-      include: {
-        company: true,
-      },
-    });
-
-    // Recalculate and save score after update
-    try {
-      const scores = calculateApplicationScore(application);
-      await prisma.score.create({
+    const application = await prisma.$transaction(async (tx) => {
+      await tx.application.update({
+        where: { id },
         data: {
-          applicationId: application.id,
-          knowledgeScore: scores.knowledgeScore,
-          toolScore: scores.toolScore,
-          totalScore: scores.totalScore,
+          ...(name && { name: name.trim() }),
+          ...(description !== undefined && { description: description?.trim() || null }),
+          ...(repoUrl !== undefined && { repoUrl: repoUrl?.trim() || null }),
+          ...(language !== undefined && { language: language?.trim() || null }),
+          ...(framework !== undefined && { framework: framework?.trim() || null }),
+          ...(serverEnvironment !== undefined && { serverEnvironment: serverEnvironment?.trim() || null }),
+          ...(facing !== undefined && { facing: facing?.trim() || null }),
+          ...(deploymentType !== undefined && { deploymentType: deploymentType?.trim() || null }),
+          ...(authProfiles !== undefined && { authProfiles: authProfiles?.trim() || null }),
+          ...(dataTypes !== undefined && { dataTypes: dataTypes?.trim() || null }),
+          ...(interfaces !== undefined && { interfaces: interfacesJson }),
+          ...(businessCriticality !== undefined && { businessCriticality: businessCriticality ? parseInt(businessCriticality) : null }),
+          ...(criticalAspects !== undefined && { criticalAspects: criticalAspectsStr }),
+          ...(devTeamContact !== undefined && { devTeamContact: devTeamContact?.trim() || null }),
+          ...(securityTestingDescription !== undefined && { securityTestingDescription: securityTestingDescription?.trim() || null }),
+          ...(additionalNotes !== undefined && { additionalNotes: additionalNotes?.trim() || null }),
+          ...(status !== undefined && { status }),
         },
       });
-    } catch (error) {
-      console.error('Error saving score after update:', error);
-    }
+      await saveToolAssignments(tx, id, toolAssignments.assignments, req.session.email);
+
+      return tx.application.findUnique({
+        where: { id },
+        include: {
+          company: true,
+          tools: true,
+        },
+      });
+    });
+
+    // Recalculate and save score after update
+    await recordScore(application, describeScoringChanges(existing, application));
 
     res.json(application);
   } catch (error) {
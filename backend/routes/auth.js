@@ -1,12 +1,136 @@
 import express from 'express';
 import { prisma } from '../prisma/client.js';
 import { hashPassword, comparePassword } from '../utils/password.js';
-import { createMagicCode, validateMagicCode, cleanupExpiredMagicCodes } from '../utils/magicCode.js';
+import {
+  createMagicCode,
+  validateMagicCode,
+  cleanupExpiredMagicCodes,
+  getMagicCodeLockout,
+  normalizeEmail,
+  MAGIC_CODE_CONFIG,
+} from '../utils/magicCode.js';
 import { extractDomain, findCompanyByDomain } from '../utils/domain.js';
 import { requireAuth } from '../middleware/auth.js';
+import { sendMail } from '../services/mail.js';
+import { rateLimit, clientIp, bodyEmail } from '../middleware/rateLimit.js';
+import { establishSession } from '../services/sessions.js';
+import {
+  MFA_CONFIG,
+  beginSignIn,
+  getPendingSignIn,
+  createMfaSetup,
+  enableMfa,
+  verifySecondFactor,
+  disableMfa,
+  regenerateRecoveryCodes,
+  getMfaStatus,
+  isMfaRequired,
+} from '../services/mfa.js';
+import {
+  SSO_CONFIG,
+  findOidcConnectionForEmail,
+  startOidcSignIn,
+  completeOidcSignIn,
+  findOrCreateSsoUser,
+} from '../services/oidc.js';
 
 const router = express.Router();
 
+// Throttle magic-code endpoints per client IP and per email address
+function magicCodeRateLimits(name) {
+  const { perIp, perEmail } = MAGIC_CODE_CONFIG.rateLimits[name];
+  return [
+    rateLimit({ name: `${name}:ip`, ...perIp, key: clientIp }),
+    rateLimit({ name: `${name}:email`, ...perEmail, key: bodyEmail }),
+  ];
+}
+
+// Throttle endpoints that check second-factor codes per client IP
+const mfaRateLimit = rateLimit({ name: 'mfa:ip', ...MFA_CONFIG.rateLimits.verify.perIp, key: clientIp });
+
+// Throttle SSO sign-in starts, which fetch from identity providers, per client IP
+const ssoRateLimit = rateLimit({ name: 'sso:ip', ...SSO_CONFIG.rateLimits.start.perIp, key: clientIp });
+
+// Respond 429 for an account locked after too many incorrect codes
+function sendLockedOut(res, lockedUntil, codeType = 'magic codes') {
+  const retryAfterSeconds = Math.ceil((lockedUntil.getTime() - Date.now()) / 1000);
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    error: 'Account temporarily locked',
+    message: `Too many incorrect ${codeType}. Please try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s).`
+  });
+}
+
+// Signed-in user details returned by the login endpoints
+function userResponse(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    verifiedAccount: user.verifiedAccount,
+    isAdmin: user.isAdmin,
+    companyId: user.companyId,
+    company: user.company,
+  };
+}
+
+// Respond to correct credentials: the signed-in user, or which second-factor
+// step must follow
+async function sendSignInResult(req, res, user) {
+  const outcome = await beginSignIn(req, user);
+
+  if (outcome === 'challenge') {
+    return res.json({
+      message: 'Enter the code from your authenticator app',
+      mfaRequired: true,
+    });
+  }
+
+  if (outcome === 'enroll') {
+    return res.json({
+      message: 'Your account requires two-factor authentication. Set it up to finish signing in.',
+      mfaEnrollmentRequired: true,
+    });
+  }
+
+  res.json({
+    message: 'Login successful',
+    user: userResponse(user),
+  });
+}
+
+// User for the second-factor endpoints: the signed-in user, or the user
+// whose sign-in is waiting on enrolment
+async function findMfaUser(req, { allowPendingEnrollment = false } = {}) {
+  let userId = req.session?.userId;
+  if (!userId && allowPendingEnrollment) {
+    const pending = getPendingSignIn(req);
+    userId = pending?.enroll ? pending.userId : null;
+  }
+  if (!userId) {
+    return null;
+  }
+
+  return prisma.user.findUnique({
+    where: { id: userId },
+    include: {
+      company: {
+        select: {
+          id: true,
+          name: true,
+        },
+      },
+    },
+  });
+}
+
+// Second factor from a request body: { code } or { recoveryCode }
+function secondFactorFromBody(body) {
+  return {
+    code: typeof body?.code === 'string' ? body.code : null,
+    recoveryCode: typeof body?.recoveryCode === 'string' ? body.recoveryCode : null,
+  };
+}
+
 /**
  * Register a new user
  * POST /api/auth/register
@@ -102,6 +226,9 @@ router.post('/register', async (req, res) => {
 /**
  * Login with email and password
  * POST /api/auth/login
+ * - With two-factor authentication the response is { mfaRequired: true } and
+ *   POST /api/auth/mfa/verify finishes signing in; accounts required to have it
+ *   but not enrolled get { mfaEnrollmentRequired: true } and finish by enrolling
  */
 router.post('/login', async (req, res) => {
   try {
@@ -151,24 +278,8 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Create session
-    req.session.userId = user.id;
-    req.session.email = user.email;
-    req.session.verified = user.verifiedAccount;
-    req.session.isAdmin = user.isAdmin;
-    req.session.companyId = user.companyId;
-
-    res.json({
-      message: 'Login successful',
-      user: {
-        id: user.id,
-        email: user.email,
-        verifiedAccount: user.verifiedAccount,
-        isAdmin: user.isAdmin,
-        companyId: user.companyId,
-        company: user.company,
-      },
-    });
+    // Create session, or ask for the second factor
+    await sendSignInResult(req, res, user);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ 
@@ -182,7 +293,7 @@ router.post('/login', async (req, res) => {
  * Request a magic code (works for both login and registration)
  * POST /api/auth/request-magic-code
  */
-router.post('/request-magic-code', async (req, res) => {
+router.post('/request-magic-code', magicCodeRateLimits('requestCode'), async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -193,17 +304,17 @@ router.post('/request-magic-code', async (req, res) => {
       });
     }
 
+    const emailLower = normalizeEmail(email);
+
     // Validate email format
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
+    if (!emailRegex.test(emailLower)) {
       return res.status(400).json({ 
         error: 'Invalid email format',
         message: 'Please provide a valid email address'
       });
     }
 
-    const emailLower = email.toLowerCase();
-
     // Find or create user
     let user = await prisma.user.findUnique({
       where: { email: emailLower },
@@ -226,21 +337,32 @@ router.post('/request-magic-code', async (req, res) => {
       });
     }
 
+    const lockedUntil = getMagicCodeLockout(user);
+    if (lockedUntil) {
+      return sendLockedOut(res, lockedUntil);
+    }
+
     // Clean up expired magic codes before creating a new one
     await cleanupExpiredMagicCodes();
 
     // Create magic code
     const { code, expiresAt } = await createMagicCode(user.id);
 
-    // Print to console (for now, email later)
-    console.log(`\n🔑 Magic Code for ${user.email}: ${code}`);
-    console.log(`   Expires at: ${expiresAt.toISOString()}\n`);
+    try {
+      await sendMail(user.email, 'magicCode', {
+        code,
+        expiresInMinutes: Math.round((expiresAt.getTime() - Date.now()) / 60000),
+      });
+    } catch (mailError) {
+      console.error('Magic code email error:', mailError);
+      return res.status(500).json({
+        error: 'Failed to send magic code',
+        message: 'The magic code could not be emailed. Please try again later.'
+      });
+    }
 
     res.json({
-      message: 'A magic code has been sent. Please ask your administrator to retrieve it from the console.',
-      // In production, don't return the code
-      // For development, we can return it
-      ...(process.env.NODE_ENV !== 'production' && { code }),
+      message: 'A magic code has been sent to your email address.',
     });
   } catch (error) {
     console.error('Magic code request error:', error);
@@ -254,21 +376,26 @@ router.post('/request-magic-code', async (req, res) => {
 /**
  * Login with magic code
  * POST /api/auth/login-magic
+ * - Second factor as for POST /api/auth/login
  */
-router.post('/login-magic', async (req, res) => {
+router.post('/login-magic', magicCodeRateLimits('login'), async (req, res) => {
   try {
-    const { code } = req.body;
+    const { email, code } = req.body;
 
-    if (!code) {
+    if (!email || !code) {
       return res.status(400).json({ 
-        error: 'Missing required field',
-        message: 'Magic code is required'
+        error: 'Missing required fields',
+        message: 'Email and magic code are required'
       });
     }
 
-    // Validate magic code
-    const validation = await validateMagicCode(code.toUpperCase());
-    
+    // Validate magic code against the email it was sent to
+    const validation = await validateMagicCode(email, String(code).toUpperCase());
+
+    if (validation.lockedUntil) {
+      return sendLockedOut(res, validation.lockedUntil);
+    }
+
     if (!validation.valid) {
       return res.status(401).json({ 
         error: 'Invalid magic code',
@@ -296,33 +423,446 @@ router.post('/login-magic', async (req, res) => {
       });
     }
 
-    // Create session
-    req.session.userId = user.id;
-    req.session.email = user.email;
-    req.session.verified = user.verifiedAccount;
-    req.session.isAdmin = user.isAdmin;
-    req.session.companyId = user.companyId;
+    // Create session, or ask for the second factor
+    await sendSignInResult(req, res, user);
+  } catch (error) {
+    console.error('Magic code login error:', error);
+    res.status(500).json({ 
+      error: 'Login failed',
+      message: 'An error occurred during login'
+    });
+  }
+});
+
+/**
+ * Start signing in through the identity provider of the company an email
+ * address belongs to
+ * POST /api/auth/sso/start
+ * - Returns the provider URL to send the user to; they come back to the
+ *   frontend's /sso/callback, which calls POST /api/auth/sso/callback
+ *
+ * Request body:
+ * - email: string (required)
+ */
+router.post('/sso/start', ssoRateLimit, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'Email is required'
+      });
+    }
+
+    const connection = await findOidcConnectionForEmail(email.trim());
+
+    if (!connection) {
+      return res.status(404).json({
+        error: 'SSO not available',
+        message: 'Single sign-on is not set up for this email domain'
+      });
+    }
+
+    let signIn;
+    try {
+      signIn = await startOidcSignIn(connection, email.trim());
+    } catch (providerError) {
+      console.error(`SSO discovery error for ${connection.issuer}:`, providerError);
+      return res.status(502).json({
+        error: 'Identity provider unavailable',
+        message: `Could not reach the identity provider for ${connection.company.name}. Please try again later.`
+      });
+    }
+
+    req.session.oidc = signIn.pending;
+
+    res.json({ authorizationUrl: signIn.authorizationUrl });
+  } catch (error) {
+    console.error('SSO start error:', error);
+    res.status(500).json({
+      error: 'Failed to start single sign-on',
+      message: 'An error occurred while starting single sign-on'
+    });
+  }
+});
+
+/**
+ * Finish signing in through an identity provider
+ * POST /api/auth/sso/callback
+ * - Second factor as for POST /api/auth/login
+ *
+ * Request body:
+ * - query: string (required) - Query string the provider redirected back with
+ */
+router.post('/sso/callback', async (req, res) => {
+  try {
+    const { query } = req.body;
+    const pending = req.session.oidc;
+    delete req.session.oidc; // Each sign-in attempt can be completed once
+
+    if (!pending || pending.expiresAt <= Date.now()) {
+      return res.status(400).json({
+        error: 'No sign-in in progress',
+        message: 'Your single sign-on attempt has expired. Please sign in again.'
+      });
+    }
+
+    if (typeof query !== 'string') {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'The identity provider response is required'
+      });
+    }
+
+    const connection = await prisma.oidcConnection.findUnique({
+      where: { id: pending.connectionId },
+      include: { company: { select: { id: true, name: true } } },
+    });
+
+    if (!connection?.enabled) {
+      return res.status(400).json({
+        error: 'SSO not available',
+        message: 'Single sign-on is no longer set up for this company'
+      });
+    }
+
+    let claims;
+    try {
+      claims = await completeOidcSignIn(connection, pending, query);
+    } catch (providerError) {
+      console.error(`SSO callback error for ${connection.issuer}:`, providerError);
+      return res.status(401).json({
+        error: 'Single sign-on failed',
+        message: providerError.error_description || 'The identity provider did not confirm your sign-in'
+      });
+    }
+
+    const result = await findOrCreateSsoUser(connection, claims);
+
+    if (result.error) {
+      return res.status(result.status).json({
+        error: 'Single sign-on failed',
+        message: result.error
+      });
+    }
+
+    // Create session, or ask for the second factor
+    await sendSignInResult(req, res, result.user);
+  } catch (error) {
+    console.error('SSO callback error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      message: 'An error occurred during login'
+    });
+  }
+});
+
+/**
+ * Finish a sign-in with a second factor
+ * POST /api/auth/mfa/verify
+ *
+ * Request body (one of):
+ * - code: string - Code from the authenticator app
+ * - recoveryCode: string - Unused recovery code
+ */
+router.post('/mfa/verify', mfaRateLimit, async (req, res) => {
+  try {
+    const factor = secondFactorFromBody(req.body);
+    if (!factor.code && !factor.recoveryCode) {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'An authentication code or recovery code is required'
+      });
+    }
+
+    const pending = getPendingSignIn(req);
+    const user = pending && !pending.enroll
+      ? await prisma.user.findUnique({
+        where: { id: pending.userId },
+        include: {
+          company: {
+            select: {
+              id: true,
+              name: true,
+            },
+          },
+        },
+      })
+      : null;
+
+    if (!user?.mfaEnabledAt) {
+      return res.status(400).json({
+        error: 'No sign-in in progress',
+        message: 'Your sign-in has expired. Please sign in again.'
+      });
+    }
+
+    const result = await verifySecondFactor(user, factor);
+
+    if (result.lockedUntil) {
+      return sendLockedOut(res, result.lockedUntil, 'authentication codes');
+    }
+
+    if (!result.valid) {
+      return res.status(401).json({
+        error: 'Invalid code',
+        message: result.error
+      });
+    }
+
+    await establishSession(req, user);
 
     res.json({
       message: 'Login successful',
-      user: {
-        id: user.id,
-        email: user.email,
-        verifiedAccount: user.verifiedAccount,
-        isAdmin: user.isAdmin,
-        companyId: user.companyId,
-        company: user.company,
-      },
+      user: userResponse(user),
     });
   } catch (error) {
-    console.error('Magic code login error:', error);
-    res.status(500).json({ 
+    console.error('MFA verify error:', error);
+    res.status(500).json({
       error: 'Login failed',
       message: 'An error occurred during login'
     });
   }
 });
 
+/**
+ * Get the current user's two-factor authentication status
+ * GET /api/auth/mfa
+ */
+router.get('/mfa', requireAuth, async (req, res) => {
+  try {
+    const user = await findMfaUser(req);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User associated with this session was not found'
+      });
+    }
+
+    res.json(await getMfaStatus(user));
+  } catch (error) {
+    console.error('Get MFA status error:', error);
+    res.status(500).json({
+      error: 'Failed to get two-factor status',
+      message: 'An error occurred while fetching two-factor authentication status'
+    });
+  }
+});
+
+/**
+ * Start setting up two-factor authentication
+ * POST /api/auth/mfa/setup
+ * - Available when signed in, or during a sign-in that requires enrolment
+ * - Returns the secret, its otpauth:// provisioning URI and a QR code of it
+ *   as a data URL; POST /api/auth/mfa/enable confirms the setup
+ */
+router.post('/mfa/setup', async (req, res) => {
+  try {
+    const user = await findMfaUser(req, { allowPendingEnrollment: true });
+
+    if (!user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'You must be logged in to access this resource'
+      });
+    }
+
+    if (user.mfaEnabledAt) {
+      return res.status(409).json({
+        error: 'Two-factor authentication already enabled',
+        message: 'Turn off two-factor authentication before setting it up again'
+      });
+    }
+
+    res.json(await createMfaSetup(user));
+  } catch (error) {
+    console.error('MFA setup error:', error);
+    res.status(500).json({
+      error: 'Failed to start two-factor setup',
+      message: 'An error occurred while setting up two-factor authentication'
+    });
+  }
+});
+
+/**
+ * Confirm two-factor setup with a code from the authenticator app
+ * POST /api/auth/mfa/enable
+ * - Returns recovery codes, which are not shown again
+ * - During a sign-in that required enrolment, also finishes signing in and
+ *   returns the user
+ *
+ * Request body:
+ * - code: string (required) - Code from the authenticator app
+ */
+router.post('/mfa/enable', mfaRateLimit, async (req, res) => {
+  try {
+    const { code } = secondFactorFromBody(req.body);
+    if (!code) {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'An authentication code is required'
+      });
+    }
+
+    const user = await findMfaUser(req, { allowPendingEnrollment: true });
+
+    if (!user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'You must be logged in to access this resource'
+      });
+    }
+
+    if (user.mfaEnabledAt) {
+      return res.status(409).json({
+        error: 'Two-factor authentication already enabled',
+        message: 'Two-factor authentication is already enabled for this account'
+      });
+    }
+
+    const result = await enableMfa(user, code);
+
+    if (result.error) {
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: result.error
+      });
+    }
+
+    const completesSignIn = !req.session.userId;
+    if (completesSignIn) {
+      await establishSession(req, user);
+    }
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: result.recoveryCodes,
+      ...(completesSignIn && { user: userResponse(user) }),
+    });
+  } catch (error) {
+    console.error('MFA enable error:', error);
+    res.status(500).json({
+      error: 'Failed to enable two-factor authentication',
+      message: 'An error occurred while enabling two-factor authentication'
+    });
+  }
+});
+
+/**
+ * Turn off two-factor authentication for the current user
+ * POST /api/auth/mfa/disable
+ * - Refused when policy requires two-factor authentication for the account
+ *
+ * Request body (one of):
+ * - code: string - Code from the authenticator app
+ * - recoveryCode: string - Unused recovery code
+ */
+router.post('/mfa/disable', requireAuth, mfaRateLimit, async (req, res) => {
+  try {
+    const factor = secondFactorFromBody(req.body);
+    if (!factor.code && !factor.recoveryCode) {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'An authentication code or recovery code is required'
+      });
+    }
+
+    const user = await findMfaUser(req);
+
+    if (!user?.mfaEnabledAt) {
+      return res.status(400).json({
+        error: 'Two-factor authentication not enabled',
+        message: 'Two-factor authentication is not enabled for this account'
+      });
+    }
+
+    if (await isMfaRequired(user)) {
+      return res.status(403).json({
+        error: 'Two-factor authentication required',
+        message: 'Your account is required to use two-factor authentication'
+      });
+    }
+
+    const result = await verifySecondFactor(user, factor);
+
+    if (result.lockedUntil) {
+      return sendLockedOut(res, result.lockedUntil, 'authentication codes');
+    }
+
+    if (!result.valid) {
+      return res.status(401).json({
+        error: 'Invalid code',
+        message: result.error
+      });
+    }
+
+    await disableMfa(user.id);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    res.status(500).json({
+      error: 'Failed to disable two-factor authentication',
+      message: 'An error occurred while disabling two-factor authentication'
+    });
+  }
+});
+
+/**
+ * Replace the current user's recovery codes
+ * POST /api/auth/mfa/recovery-codes
+ * - The old codes stop working; the new ones are not shown again
+ *
+ * Request body:
+ * - code: string (required) - Code from the authenticator app
+ */
+router.post('/mfa/recovery-codes', requireAuth, mfaRateLimit, async (req, res) => {
+  try {
+    const { code } = secondFactorFromBody(req.body);
+    if (!code) {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'An authentication code is required'
+      });
+    }
+
+    const user = await findMfaUser(req);
+
+    if (!user?.mfaEnabledAt) {
+      return res.status(400).json({
+        error: 'Two-factor authentication not enabled',
+        message: 'Two-factor authentication is not enabled for this account'
+      });
+    }
+
+    const result = await verifySecondFactor(user, { code });
+
+    if (result.lockedUntil) {
+      return sendLockedOut(res, result.lockedUntil, 'authentication codes');
+    }
+
+    if (!result.valid) {
+      return res.status(401).json({
+        error: 'Invalid code',
+        message: result.error
+      });
+    }
+
+    res.json({
+      message: 'New recovery codes generated',
+      recoveryCodes: await regenerateRecoveryCodes(user.id),
+    });
+  } catch (error) {
+    console.error('MFA recovery codes error:', error);
+    res.status(500).json({
+      error: 'Failed to generate recovery codes',
+      message: 'An error occurred while generating recovery codes'
+    });
+  }
+});
+
 /**
  * Get current user session
  * GET /api/auth/me
@@ -0,0 +1,198 @@
+import express from 'express';
+import { prisma } from '../prisma/client.js';
+import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import { parseChangeDetails, approveCompanyChange } from '../services/companyChanges.js';
+
+const router = express.Router();
+
+// Return the ChangeLog with changeDetails parsed into { field: { from, to } }
+function formatChangeLog(changeLog) {
+  return {
+    ...changeLog,
+    changeDetails: parseChangeDetails(changeLog),
+  };
+}
+
+// Get proposed company changes
+// Admin: all changes (optionally filtered by status or companyId)
+// Company member: changes proposed for their company
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { status, companyId } = req.query;
+
+    let whereClause = {};
+
+    if (!req.session.isAdmin) {
+      if (!req.session.companyId) {
+        return res.json([]);
+      }
+      whereClause.targetCompanyId = req.session.companyId;
+    } else if (companyId) {
+      whereClause.targetCompanyId = companyId;
+    }
+
+    if (status) {
+      whereClause.status = status;
+    }
+
+    const changeLogs = await prisma.changeLog.findMany({
+      where: whereClause,
+      orderBy: {
+        createdAt: 'desc',
+      },
+    });
+
+    res.json(changeLogs.map(formatChangeLog));
+  } catch (error) {
+    console.error('Error fetching change logs:', error);
+    res.status(500).json({ error: 'Failed to fetch changes' });
+  }
+});
+
+// Get a single proposed change, with the company's current values for comparison
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const changeLog = await prisma.changeLog.findUnique({
+      where: { id },
+    });
+
+    if (!changeLog) {
+      return res.status(404).json({ error: 'Change not found' });
+    }
+
+    // Check if user has access (admin or member of the target company)
+    if (!req.session.isAdmin && req.session.companyId !== changeLog.targetCompanyId) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'You can only access changes for your own company',
+      });
+    }
+
+    const changes = parseChangeDetails(changeLog);
+
+    const company = changeLog.targetCompanyId
+      ? await prisma.company.findUnique({
+        where: { id: changeLog.targetCompanyId },
+      })
+      : null;
+
+    // Values may have moved on since the change was proposed
+    const currentValues = {};
+    if (company) {
+      for (const field of Object.keys(changes)) {
+        currentValues[field] = company[field] ?? null;
+      }
+    }
+
+    res.json({
+      ...changeLog,
+      changeDetails: changes,
+      currentValues: company ? currentValues : null,
+    });
+  } catch (error) {
+    console.error('Error fetching change log:', error);
+    res.status(500).json({ error: 'Failed to fetch change' });
+  }
+});
+
+// Approve a proposed change (Admin only)
+// Body: { fields?: string[] } - fields to apply; defaults to every proposed field
+router.post('/:id/approve', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { fields } = req.body;
+
+    const changeLog = await prisma.changeLog.findUnique({
+      where: { id },
+    });
+
+    if (!changeLog) {
+      return res.status(404).json({ error: 'Change not found' });
+    }
+
+    if (changeLog.status !== 'PENDING') {
+      return res.status(400).json({ error: 'Change has already been reviewed' });
+    }
+
+    const changes = parseChangeDetails(changeLog);
+    const approvedFields = fields === undefined ? Object.keys(changes) : fields;
+
+    if (!Array.isArray(approvedFields) || approvedFields.length === 0) {
+      return res.status(400).json({
+        error: 'Select at least one field to approve, or reject the change',
+      });
+    }
+
+    const unknownFields = approvedFields.filter(field => !(field in changes));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        error: `Field(s) not part of this change: ${unknownFields.join(', ')}`,
+      });
+    }
+
+    const company = changeLog.targetCompanyId
+      ? await prisma.company.findUnique({
+        where: { id: changeLog.targetCompanyId },
+      })
+      : null;
+
+    if (!company) {
+      return res.status(404).json({ error: 'Company no longer exists' });
+    }
+
+    const result = await approveCompanyChange(changeLog, approvedFields, req.session.email);
+    if (!result) {
+      return res.status(409).json({ error: 'Change has already been reviewed' });
+    }
+
+    res.json(formatChangeLog(result.changeLog));
+  } catch (error) {
+    console.error('Error approving change:', error);
+    res.status(500).json({ error: 'Failed to approve change' });
+  }
+});
+
+// Reject a proposed change (Admin only)
+router.post('/:id/reject', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const changeLog = await prisma.changeLog.findUnique({
+      where: { id },
+    });
+
+    if (!changeLog) {
+      return res.status(404).json({ error: 'Change not found' });
+    }
+
+    if (changeLog.status !== 'PENDING') {
+      return res.status(400).json({ error: 'Change has already been reviewed' });
+    }
+
+    // Only one reviewer can move the change out of PENDING
+    const { count } = await prisma.changeLog.updateMany({
+      where: { id, status: 'PENDING' },
+      data: {
+        status: 'REJECTED',
+        approvedBy: req.session.email,
+        approvedAt: new Date(),
+      },
+    });
+    if (count === 0) {
+      return res.status(409).json({ error: 'Change has already been reviewed' });
+    }
+
+    const updated = await prisma.changeLog.findUnique({
+      where: { id },
+    });
+
+    res.json(formatChangeLog(updated));
+  } catch (error) {
+    console.error('Error rejecting change:', error);
+    res.status(500).json({ error: 'Failed to reject change' });
+  }
+});
+
+export default router;
@@ -2,6 +2,12 @@ import express from 'express';
 import { prisma } from '../prisma/client.js';
 import { requireAuth, requireAdmin } from '../middleware/auth.js';
 import { generateSlug, ensureUniqueSlug } from '../utils/slug.js';
+import { diffCompanyFields, proposeCompanyChange, parseChangeDetails } from '../services/companyChanges.js';
+import { mergeCompanies } from '../services/companyMerge.js';
+import { normalizeGrade, recordGrade, getGrading, companyAutomatedScore } from '../services/grading.js';
+import { getCompanyRollup } from '../services/rollups.js';
+import { getCompanyBenchmark } from '../services/benchmarking.js';
+import { formatOidcConnection, validateOidcConnection, checkOidcDiscovery } from '../services/oidc.js';
 
 const router = express.Router();
 
@@ -144,7 +150,8 @@ router.get('/', requireAuth, async (req, res) => {
   }
 });
 
-// Get company average score
+// Get company score rollup: plain and criticality-weighted averages,
+// percentile bands and the applications below the failing threshold
 router.get('/:id/average-score', requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
@@ -157,91 +164,110 @@ router.get('/:id/average-score', requireAuth, async (req, res) => {
       });
     }
 
-    // Get all applications for this company
-    const applications = await prisma.application.findMany({
-      where: { companyId: id },
-      select: { id: true },
-    });
+    const rollup = await getCompanyRollup(id);
 
-    if (applications.length === 0) {
+    if (rollup.applicationCount === 0) {
       return res.json({
-        averageScore: null,
-        applicationCount: 0,
+        ...rollup,
         message: 'No applications found for this company',
       });
     }
 
-    const applicationIds = applications.map(app => app.id);
-
-    // Get all scores for these applications, ordered by date
-    const allScores = await prisma.score.findMany({
-      where: {
-        applicationId: { in: applicationIds },
-      },
-      orderBy: {
-        calculatedAt: 'desc',
-      },
-      include: {
-        application: {
-          select: {
-            id: true,
-            name: true,
-          },
-        },
-      },
-    });
-
-    if (allScores.length === 0) {
+    if (rollup.scoredApplicationCount === 0) {
       return res.json({
-        averageScore: null,
-        applicationCount: applications.length,
+        ...rollup,
         message: 'No scores found for applications in this company',
       });
     }
 
-    // Get the most recent score for each application
-    const latestScoresMap = new Map();
-    for (const score of allScores) {
-      if (!latestScoresMap.has(score.applicationId)) {
-        latestScoresMap.set(score.applicationId, score);
-      }
+    res.json(rollup);
+  } catch (error) {
+    console.error('Error calculating company average score:', error);
+    res.status(500).json({ error: 'Failed to calculate average score' });
+  }
+});
+
+// Get a company's benchmark report: its figures and rank against the
+// portfolio medians, without naming other companies
+router.get('/:id/benchmark', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check if user has access (admin or member of company)
+    if (!req.session.isAdmin && req.session.companyId !== id) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'You can only access your own company',
+      });
     }
-    const latestScores = Array.from(latestScoresMap.values());
 
-    const totalScore = latestScores.reduce((sum, score) => sum + score.totalScore, 0);
-    const averageScore = Math.round(totalScore / latestScores.length);
+    const report = await getCompanyBenchmark(id);
+    if (!report) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
 
-    // Find highest and lowest scoring applications
-    let highestScore = latestScores[0];
-    let lowestScore = latestScores[0];
-    
-    for (const score of latestScores) {
-      if (score.totalScore > highestScore.totalScore) {
-        highestScore = score;
-      }
-      if (score.totalScore < lowestScore.totalScore) {
-        lowestScore = score;
-      }
+    res.json(report);
+  } catch (error) {
+    console.error('Error building company benchmark:', error);
+    res.status(500).json({ error: 'Failed to build company benchmark' });
+  }
+});
+
+// GRADE-4: Get company grading history and current letter grade
+router.get('/:id/grades', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check if user has access (admin or member of company)
+    if (!req.session.isAdmin && req.session.companyId !== id) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'You can only access your own company',
+      });
     }
 
-    res.json({
-      averageScore,
-      applicationCount: applications.length,
-      scoredApplicationCount: latestScores.length,
-      highestApplication: {
-        id: highestScore.application.id,
-        name: highestScore.application.name,
-        score: highestScore.totalScore,
-      },
-      lowestApplication: {
-        id: lowestScore.application.id,
-        name: lowestScore.application.name,
-        score: lowestScore.totalScore,
-      },
+    const company = await prisma.company.findUnique({
+      where: { id },
+      select: { id: true },
     });
+
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json(await getGrading({ companyId: id }, await companyAutomatedScore(id)));
   } catch (error) {
-    console.error('Error calculating company average score:', error);
-    res.status(500).json({ error: 'Failed to calculate average score' });
+    console.error('Error fetching company grades:', error);
+    res.status(500).json({ error: 'Failed to fetch company grades' });
+  }
+});
+
+// GRADE-3: Grade company (Admin only)
+// Blended with the average score of the company's applications
+router.post('/:id/grade', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const company = await prisma.company.findUnique({
+      where: { id },
+      select: { id: true },
+    });
+
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const { grade, error } = normalizeGrade(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const saved = await recordGrade({ companyId: id }, await companyAutomatedScore(id), grade, req.session.email);
+
+    res.status(201).json(saved);
+  } catch (error) {
+    console.error('Error grading company:', error);
+    res.status(500).json({ error: 'Failed to grade company' });
   }
 });
 
@@ -273,6 +299,7 @@ router.get('/:id', requireAuth, async (req, res) => {
         deploymentType: true,
         authProfiles: true,
         dataTypes: true,
+        requireMfa: true,
         users: {
           select: {
             id: true,
@@ -395,7 +422,9 @@ router.post('/', requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
-// COMP-4: Update company (Admin only)
+// COMP-4: Update company
+// Admin: changes are applied directly
+// Company member: changes are submitted as a pending ChangeLog for admin approval
 router.put('/:id', requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
@@ -410,6 +439,7 @@ router.put('/:id', requireAuth, async (req, res) => {
       deploymentType,
       authProfiles,
       dataTypes,
+      requireMfa,
     } = req.body;
 
     // Check if company exists
@@ -454,13 +484,35 @@ router.put('/:id', requireAuth, async (req, res) => {
       updateData.slug = slug;
     }
 
-    if (domains !== undefined && !req.session.isAdmin) {
+    if (domains !== undefined && (domains?.trim() || null) !== existing.domains && !req.session.isAdmin) {
       return res.status(403).json({
         error: 'Permission denied',
         message: 'Only admins can change company domains',
       });
     }
 
+    if (requireMfa !== undefined && Boolean(requireMfa) !== existing.requireMfa && !req.session.isAdmin) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'Only admins can change the two-factor authentication policy',
+      });
+    }
+
+    if (!req.session.isAdmin) {
+      const changes = diffCompanyFields(existing, req.body);
+
+      if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ error: 'No changes to submit' });
+      }
+
+      const changeLog = await proposeCompanyChange(existing, changes, req.session.email);
+
+      return res.status(202).json({
+        message: 'Changes submitted for admin approval',
+        changeLog: { ...changeLog, changeDetails: changes },
+      });
+    }
+
     const company = await prisma.company.update({
       where: { id },
       data: {
@@ -474,6 +526,7 @@ router.put('/:id', requireAuth, async (req, res) => {
         ...(deploymentType !== undefined && { deploymentType: deploymentType?.trim() || null }),
         ...(authProfiles !== undefined && { authProfiles: authProfiles?.trim() || null }),
         ...(dataTypes !== undefined && { dataTypes: dataTypes?.trim() || null }),
+        ...(requireMfa !== undefined && { requireMfa: Boolean(requireMfa) }),
       },
     });
 
@@ -573,5 +626,133 @@ router.delete('/:id/users/:userId', requireAuth, requireAdmin, async (req, res)
   }
 });
 
+// COMP-7: Merge company into another company (Admin only)
+// Moves everything from :id into targetCompanyId, then deletes :id
+// Refused when both companies have SSO set up
+router.post('/:id/merge', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { id: sourceId } = req.params;
+    const { targetCompanyId } = req.body;
+
+    if (!targetCompanyId) {
+      return res.status(400).json({ error: 'Target company is required' });
+    }
+
+    if (targetCompanyId === sourceId) {
+      return res.status(400).json({ error: 'Cannot merge a company into itself' });
+    }
+
+    const [source, target] = await Promise.all([
+      prisma.company.findUnique({ where: { id: sourceId }, include: { oidcConnection: true } }),
+      prisma.company.findUnique({ where: { id: targetCompanyId }, include: { oidcConnection: true } }),
+    ]);
+
+    if (!source) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    if (!target) {
+      return res.status(404).json({ error: 'Target company not found' });
+    }
+
+    // A company has at most one SSO connection, and deleting the source would
+    // silently drop its connection
+    if (source.oidcConnection && target.oidcConnection) {
+      return res.status(409).json({
+        error: `Both ${source.name} and ${target.name} have single sign-on set up. Remove one company's SSO settings before merging.`,
+      });
+    }
+
+    const { company, changeLog } = await mergeCompanies(sourceId, targetCompanyId, req.session.email);
+
+    res.json({
+      message: `${source.name} merged into ${company.name}`,
+      company,
+      changeLog: { ...changeLog, changeDetails: parseChangeDetails(changeLog) },
+    });
+  } catch (error) {
+    console.error('Error merging companies:', error);
+    res.status(500).json({ error: 'Failed to merge companies' });
+  }
+});
+
+// COMP-8: Get company SSO settings (Admin only)
+// The client secret is never returned; hasClientSecret says whether one is set
+router.get('/:id/sso', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const company = await prisma.company.findUnique({
+      where: { id: req.params.id },
+      include: { oidcConnection: true },
+    });
+
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json(formatOidcConnection(company.oidcConnection, company));
+  } catch (error) {
+    console.error('Error fetching SSO settings:', error);
+    res.status(500).json({ error: 'Failed to fetch SSO settings' });
+  }
+});
+
+// COMP-9: Create or update company SSO settings (Admin only)
+// The issuer's discovery document must load before settings are saved
+router.put('/:id/sso', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const company = await prisma.company.findUnique({
+      where: { id: req.params.id },
+      include: { oidcConnection: true },
+    });
+
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const { data, error } = validateOidcConnection(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const discoveryError = await checkOidcDiscovery({
+      clientSecret: company.oidcConnection?.clientSecret,
+      ...data,
+    });
+    if (discoveryError) {
+      return res.status(400).json({ error: discoveryError });
+    }
+
+    const connection = await prisma.oidcConnection.upsert({
+      where: { companyId: company.id },
+      create: { companyId: company.id, ...data },
+      update: data,
+    });
+
+    res.json(formatOidcConnection(connection, company));
+  } catch (error) {
+    console.error('Error updating SSO settings:', error);
+    res.status(500).json({ error: 'Failed to update SSO settings' });
+  }
+});
+
+// COMP-10: Remove company SSO settings (Admin only)
+// Users who signed in through SSO keep their accounts and can use magic codes
+router.delete('/:id/sso', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { count } = await prisma.oidcConnection.deleteMany({
+      where: { companyId: req.params.id },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'SSO is not set up for this company' });
+    }
+
+    res.json({ message: 'SSO settings removed' });
+  } catch (error) {
+    console.error('Error removing SSO settings:', error);
+    res.status(500).json({ error: 'Failed to remove SSO settings' });
+  }
+});
+
 export default router;
 
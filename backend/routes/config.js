@@ -2,6 +2,7 @@ import express from 'express';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getScoringConfig } from '../services/scoring.js';
 
 const router = express.Router();
 const __filename = fileURLToPath(import.meta.url);
@@ -10,13 +11,11 @@ const __dirname = path.dirname(__filename);
 // Public: Get integration levels
 router.get('/integration-levels', (req, res) => {
   try {
-    const configPath = path.join(__dirname, '../config/scoring/integrationLevels.json');
-    const configData = fs.readFileSync(configPath, 'utf8');
-    const integrationLevels = JSON.parse(configData);
-    
+    // Levels come from the active scoring config so admin edits show up in forms
+    const { integrationLevels } = getScoringConfig();
+
     // Convert to array format for Select component
     const options = Object.entries(integrationLevels)
-      .filter(([key]) => key !== '//') // Filter out comment
       .map(([key, value]) => ({
         value: key,
         label: value.name,
@@ -29,5 +28,71 @@ router.get('/integration-levels', (req, res) => {
   }
 });
 
+// Public: Get tool categories scored on applications
+router.get('/tool-categories', (req, res) => {
+  try {
+    const { toolCategories } = getScoringConfig();
+
+    // Convert to array format for the tool assignment fields
+    const options = Object.entries(toolCategories)
+      .map(([key, value]) => ({
+        value: key,
+        label: value.name,
+        weight: value.weight,
+      }));
+
+    res.json(options);
+  } catch (error) {
+    console.error('Error loading tool categories:', error);
+    res.status(500).json({ error: 'Failed to load tool categories' });
+  }
+});
+
+// Public: Get products that can be requested for an application
+router.get('/products', (req, res) => {
+  try {
+    const configPath = path.join(__dirname, '../config/products.json');
+    const configData = fs.readFileSync(configPath, 'utf8');
+    const products = JSON.parse(configData);
+
+    // Convert to array format for Select/Checkbox components
+    const options = Object.entries(products)
+      .filter(([key]) => key !== '//') // Filter out comment
+      .map(([key, value]) => ({
+        value: key,
+        label: key,
+        category: value.category,
+        doc: value.doc,
+      }));
+
+    res.json(options);
+  } catch (error) {
+    console.error('Error loading products:', error);
+    res.status(500).json({ error: 'Failed to load products' });
+  }
+});
+
+// Public: Get role tags for company and application contacts
+router.get('/contact-roles', (req, res) => {
+  try {
+    const configPath = path.join(__dirname, '../config/contactRoles.json');
+    const configData = fs.readFileSync(configPath, 'utf8');
+    const roles = JSON.parse(configData);
+
+    // Convert to array format for Select/Checkbox components
+    const options = Object.entries(roles)
+      .filter(([key]) => key !== '//') // Filter out comment
+      .map(([key, value]) => ({
+        value: key,
+        label: value.name,
+      }));
+
+    res.json(options);
+  } catch (error) {
+    console.error('Error loading contact roles:', error);
+    res.status(500).json({ error: 'Failed to load contact roles' });
+  }
+});
+
 export default router;
 
@@ -0,0 +1,236 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { prisma } from '../prisma/client.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const contactRoles = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '..', 'config', 'contactRoles.json'), 'utf-8')
+);
+const CONTACT_ROLES = Object.keys(contactRoles).filter(key => key !== '//');
+
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Resolve the company that owns a contact's parent (the company itself, or the
+// application's company). Returns null if the parent does not exist.
+async function getOwningCompanyId({ companyId, applicationId }) {
+  if (companyId) {
+    const company = await prisma.company.findUnique({
+      where: { id: companyId },
+      select: { id: true },
+    });
+    return company?.id || null;
+  }
+
+  if (applicationId) {
+    const application = await prisma.application.findUnique({
+      where: { id: applicationId },
+      select: { companyId: true },
+    });
+    return application?.companyId || null;
+  }
+
+  return null;
+}
+
+// Convert roles to a comma-separated string; returns undefined if any role is unknown
+function normalizeRoles(roles) {
+  const roleList = (Array.isArray(roles) ? roles : (roles || '').split(','))
+    .map(r => r && r.trim())
+    .filter(Boolean);
+
+  if (roleList.some(r => !CONTACT_ROLES.includes(r))) {
+    return undefined;
+  }
+
+  return [...new Set(roleList)].join(',') || null;
+}
+
+// Get contacts for a company or an application
+// Query: companyId or applicationId (one is required)
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { companyId, applicationId } = req.query;
+
+    if (!companyId && !applicationId) {
+      return res.status(400).json({ error: 'companyId or applicationId is required' });
+    }
+
+    const owningCompanyId = await getOwningCompanyId({ companyId, applicationId });
+
+    if (!owningCompanyId) {
+      return res.status(404).json({ error: companyId ? 'Company not found' : 'Application not found' });
+    }
+
+    // Check if user has access (admin or member of company)
+    if (!req.session.isAdmin && req.session.companyId !== owningCompanyId) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'You can only access contacts for your own company',
+      });
+    }
+
+    const contacts = await prisma.contact.findMany({
+      where: companyId ? { companyId } : { applicationId },
+      orderBy: {
+        name: 'asc',
+      },
+    });
+
+    res.json(contacts);
+  } catch (error) {
+    console.error('Error fetching contacts:', error);
+    res.status(500).json({ error: 'Failed to fetch contacts' });
+  }
+});
+
+// Create a contact for a company or an application
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const { name, title, email, phone, roles, companyId, applicationId } = req.body;
+
+    if (!name || name.trim() === '') {
+      return res.status(400).json({ error: 'Contact name is required' });
+    }
+
+    if (!companyId === !applicationId) {
+      return res.status(400).json({ error: 'A contact belongs to either a company or an application' });
+    }
+
+    if (email?.trim() && !emailRegex.test(email.trim())) {
+      return res.status(400).json({ error: 'Invalid email format' });
+    }
+
+    const rolesStr = normalizeRoles(roles);
+    if (rolesStr === undefined) {
+      return res.status(400).json({ error: 'Invalid contact role' });
+    }
+
+    const owningCompanyId = await getOwningCompanyId({ companyId, applicationId });
+
+    if (!owningCompanyId) {
+      return res.status(404).json({ error: companyId ? 'Company not found' : 'Application not found' });
+    }
+
+    // Check if user has access (admin or member of company)
+    if (!req.session.isAdmin && req.session.companyId !== owningCompanyId) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'You can only add contacts to your own company',
+      });
+    }
+
+    const contact = await prisma.contact.create({
+      data: {
+        name: name.trim(),
+        title: title?.trim() || null,
+        email: email?.trim().toLowerCase() || null,
+        phone: phone?.trim() || null,
+        roles: rolesStr,
+        companyId: companyId || null,
+        applicationId: applicationId || null,
+      },
+    });
+
+    res.status(201).json(contact);
+  } catch (error) {
+    console.error('Error creating contact:', error);
+    res.status(500).json({ error: 'Failed to create contact' });
+  }
+});
+
+// Update a contact
+router.put('/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, title, email, phone, roles } = req.body;
+
+    const existing = await prisma.contact.findUnique({
+      where: { id },
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const owningCompanyId = await getOwningCompanyId(existing);
+
+    // Check if user has access (admin or member of company)
+    if (!req.session.isAdmin && req.session.companyId !== owningCompanyId) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'You can only update contacts for your own company',
+      });
+    }
+
+    if (name !== undefined && (!name || name.trim() === '')) {
+      return res.status(400).json({ error: 'Contact name is required' });
+    }
+
+    if (email?.trim() && !emailRegex.test(email.trim())) {
+      return res.status(400).json({ error: 'Invalid email format' });
+    }
+
+    const rolesStr = roles !== undefined ? normalizeRoles(roles) : null;
+    if (rolesStr === undefined) {
+      return res.status(400).json({ error: 'Invalid contact role' });
+    }
+
+    const contact = await prisma.contact.update({
+      where: { id },
+      data: {
+        ...(name !== undefined && { name: name.trim() }),
+        ...(title !== undefined && { title: title?.trim() || null }),
+        ...(email !== undefined && { email: email?.trim().toLowerCase() || null }),
+        ...(phone !== undefined && { phone: phone?.trim() || null }),
+        ...(roles !== undefined && { roles: rolesStr }),
+      },
+    });
+
+    res.json(contact);
+  } catch (error) {
+    console.error('Error updating contact:', error);
+    res.status(500).json({ error: 'Failed to update contact' });
+  }
+});
+
+// Delete a contact
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.contact.findUnique({
+      where: { id },
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const owningCompanyId = await getOwningCompanyId(existing);
+
+    // Check if user has access (admin or member of company)
+    if (!req.session.isAdmin && req.session.companyId !== owningCompanyId) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'You can only delete contacts for your own company',
+      });
+    }
+
+    await prisma.contact.delete({
+      where: { id },
+    });
+
+    res.json({ message: 'Contact deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting contact:', error);
+    res.status(500).json({ error: 'Failed to delete contact' });
+  }
+});
+
+export default router;
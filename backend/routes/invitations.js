@@ -2,6 +2,7 @@ import express from 'express';
 import { prisma } from '../prisma/client.js';
 import { validateInvitation, markInvitationUsed } from '../utils/invitation.js';
 import bcrypt from 'bcrypt';
+import { beginSignIn } from '../services/mfa.js';
 
 const router = express.Router();
 
@@ -102,6 +103,8 @@ router.post('/:token/accept', async (req, res) => {
           email: true,
           verifiedAccount: true,
           isAdmin: true,
+          companyId: true,
+          mfaEnabledAt: true,
           company: {
             select: {
               id: true,
@@ -126,6 +129,8 @@ router.post('/:token/accept', async (req, res) => {
           email: true,
           verifiedAccount: true,
           isAdmin: true,
+          companyId: true,
+          mfaEnabledAt: true,
           company: {
             select: {
               id: true,
@@ -139,16 +144,20 @@ router.post('/:token/accept', async (req, res) => {
     // Mark invitation as used
     await markInvitationUsed(token);
 
-    // Create session to automatically log the user in
-    req.session.userId = user.id;
-    req.session.email = user.email;
-    req.session.verified = user.verifiedAccount;
-    req.session.isAdmin = user.isAdmin;
-    req.session.companyId = user.companyId;
+    // Log the user in automatically, unless a second factor is needed first
+    const { mfaEnabledAt, ...userDetails } = user;
+    const outcome = await beginSignIn(req, user);
+
+    if (outcome !== 'signed-in') {
+      return res.json({
+        message: 'Password set. Finish signing in with two-factor authentication.',
+        ...(outcome === 'challenge' ? { mfaRequired: true } : { mfaEnrollmentRequired: true }),
+      });
+    }
 
     res.json({
       message: 'Account created successfully',
-      user,
+      user: userDetails,
     });
   } catch (error) {
     console.error('Accept invitation error:', error);
@@ -0,0 +1,410 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { prisma } from '../prisma/client.js';
+import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import { runProvisioning, getFailedProducts } from '../services/provisioning.js';
+
+const router = express.Router();
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Products that can be requested through the catalog
+const productConfig = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '..', 'config', 'products.json'), 'utf-8')
+);
+const REQUEST_PRODUCTS = Object.keys(productConfig).filter(key => key !== '//');
+
+// NEW_ACCESS: onboard the application to the product
+// ADD_USERS / REMOVE_USERS: change who has access to the application in the product
+const REQUEST_TYPES = ['NEW_ACCESS', 'ADD_USERS', 'REMOVE_USERS'];
+
+// APPROVED: provisioned where automated, the remaining products are onboarded by hand
+const REQUEST_STATUSES = ['PENDING', 'IN_PROGRESS', 'APPROVED', 'COMPLETED', 'FAILED'];
+
+const requestInclude = {
+  User: {
+    select: {
+      id: true,
+      email: true,
+    },
+  },
+  application: {
+    select: {
+      id: true,
+      name: true,
+      companyId: true,
+      company: {
+        select: {
+          id: true,
+          name: true,
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Get product requests
+ * GET /api/requests
+ * - Admin: see all requests (optionally filtered by status, companyId or applicationId)
+ * - Company member: see requests for applications in their company
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { status, companyId, applicationId } = req.query;
+
+    let whereClause = {};
+
+    if (!req.session.isAdmin) {
+      if (!req.session.companyId) {
+        return res.json([]);
+      }
+      whereClause.application = { companyId: req.session.companyId };
+    } else if (companyId) {
+      whereClause.application = { companyId };
+    }
+
+    if (status) {
+      whereClause.status = status;
+    }
+
+    if (applicationId) {
+      whereClause.applicationId = applicationId;
+    }
+
+    const requests = await prisma.request.findMany({
+      where: whereClause,
+      include: requestInclude,
+      orderBy: {
+        createdAt: 'desc',
+      },
+    });
+
+    res.json(requests);
+  } catch (error) {
+    console.error('Error fetching requests:', error);
+    res.status(500).json({ error: 'Failed to fetch requests' });
+  }
+});
+
+/**
+ * Get a single product request
+ * GET /api/requests/:id
+ */
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid request ID' });
+    }
+
+    const request = await prisma.request.findUnique({
+      where: { id },
+      include: requestInclude,
+    });
+
+    if (!request) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    // Check if user has access (admin or member of the application's company)
+    if (!req.session.isAdmin && req.session.companyId !== request.application?.companyId) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'You can only access requests for applications in your company',
+      });
+    }
+
+    res.json(request);
+  } catch (error) {
+    console.error('Error fetching request:', error);
+    res.status(500).json({ error: 'Failed to fetch request' });
+  }
+});
+
+/**
+ * Create a product request for an application
+ * POST /api/requests
+ *
+ * Request body:
+ * - applicationId: string (required)
+ * - products: string[] | string (required) - One or more of REQUEST_PRODUCTS
+ * - requestType: string (required) - One of REQUEST_TYPES
+ * - users: string[] | string (optional) - Emails of users who need access
+ * - notes: string (optional)
+ */
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const { applicationId, products, requestType, users, notes } = req.body;
+
+    if (!applicationId) {
+      return res.status(400).json({ error: 'Application is required' });
+    }
+
+    // Process products - convert array to comma-separated string if needed
+    const productList = (Array.isArray(products) ? products : (products || '').split(','))
+      .map(p => p && p.trim())
+      .filter(Boolean);
+
+    if (productList.length === 0) {
+      return res.status(400).json({ error: 'At least one product is required' });
+    }
+
+    const unknownProducts = productList.filter(p => !REQUEST_PRODUCTS.includes(p));
+    if (unknownProducts.length > 0) {
+      return res.status(400).json({
+        error: `Unknown product(s): ${unknownProducts.join(', ')}`,
+      });
+    }
+
+    if (!REQUEST_TYPES.includes(requestType)) {
+      return res.status(400).json({ error: 'Invalid request type' });
+    }
+
+    const application = await prisma.application.findUnique({
+      where: { id: applicationId },
+    });
+
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    // Check if user has access (admin or member of same company)
+    if (!req.session.isAdmin && req.session.companyId !== application.companyId) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'You can only create requests for applications in your company',
+      });
+    }
+
+    // Process users - convert array to comma-separated string if needed
+    let usersStr = null;
+    if (users) {
+      if (Array.isArray(users)) {
+        usersStr = users.filter(u => u && u.trim()).map(u => u.trim()).join(', ') || null;
+      } else {
+        usersStr = users.trim() || null;
+      }
+    }
+
+    if ((requestType === 'ADD_USERS' || requestType === 'REMOVE_USERS') && !usersStr) {
+      return res.status(400).json({ error: 'Users are required for this request type' });
+    }
+
+    const request = await prisma.request.create({
+      data: {
+        products: productList.join(', '),
+        requestType,
+        users: usersStr,
+        notes: notes?.trim() || null,
+        status: 'PENDING',
+        userId: req.session.userId,
+        applicationId,
+      },
+      include: requestInclude,
+    });
+
+    res.status(201).json(request);
+  } catch (error) {
+    console.error('Error creating request:', error);
+    res.status(500).json({ error: 'Failed to create request' });
+  }
+});
+
+/**
+ * Update a product request status and admin notes (Admin only)
+ * PUT /api/requests/:id
+ *
+ * Request body (optional):
+ * - status: string - One of REQUEST_STATUSES
+ * - adminNotes: string
+ */
+router.put('/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { status, adminNotes } = req.body;
+
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid request ID' });
+    }
+
+    if (status !== undefined && !REQUEST_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid request status' });
+    }
+
+    const existing = await prisma.request.findUnique({
+      where: { id },
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    const request = await prisma.request.update({
+      where: { id },
+      data: {
+        ...(status !== undefined && { status }),
+        ...(adminNotes !== undefined && { adminNotes: adminNotes?.trim() || null }),
+      },
+      include: requestInclude,
+    });
+
+    res.json(request);
+  } catch (error) {
+    console.error('Error updating request:', error);
+    res.status(500).json({ error: 'Failed to update request' });
+  }
+});
+
+// Move a request from `fromStatus` to IN_PROGRESS. The status check is part
+// of the update, so of two concurrent approvals (or retries) only one gets
+// the request back; the other gets null.
+async function claimRequest(id, fromStatus) {
+  const { count } = await prisma.request.updateMany({
+    where: { id, status: fromStatus },
+    data: { status: 'IN_PROGRESS' },
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  return prisma.request.findUnique({
+    where: { id },
+    include: requestInclude,
+  });
+}
+
+// Provision in the background. If provisioning itself breaks (rather than a
+// script failing), mark the request FAILED so it can be retried instead of
+// staying IN_PROGRESS.
+function startProvisioning(id, products) {
+  runProvisioning(id, products).catch(async (error) => {
+    console.error('Error provisioning request:', error);
+    try {
+      await prisma.request.update({
+        where: { id },
+        data: { status: 'FAILED' },
+      });
+    } catch (updateError) {
+      console.error('Error marking request as failed:', updateError);
+    }
+  });
+}
+
+/**
+ * Approve a pending request and provision each product (Admin only)
+ * POST /api/requests/:id/approve
+ *
+ * Provisioning runs in the background; poll GET /api/requests/:id/jobs for progress.
+ */
+router.post('/:id/approve', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid request ID' });
+    }
+
+    const existing = await prisma.request.findUnique({
+      where: { id },
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    if (existing.status !== 'PENDING') {
+      return res.status(400).json({ error: 'Only pending requests can be approved' });
+    }
+
+    const products = existing.products.split(',').map(p => p.trim()).filter(Boolean);
+
+    const request = await claimRequest(id, 'PENDING');
+    if (!request) {
+      return res.status(409).json({ error: 'Request is already being approved' });
+    }
+
+    startProvisioning(id, products);
+
+    res.status(202).json(request);
+  } catch (error) {
+    console.error('Error approving request:', error);
+    res.status(500).json({ error: 'Failed to approve request' });
+  }
+});
+
+/**
+ * Re-run provisioning for products whose last attempt failed (Admin only)
+ * POST /api/requests/:id/retry
+ */
+router.post('/:id/retry', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid request ID' });
+    }
+
+    const existing = await prisma.request.findUnique({
+      where: { id },
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    if (existing.status !== 'FAILED') {
+      return res.status(400).json({ error: 'Only failed requests can be retried' });
+    }
+
+    const products = await getFailedProducts(id);
+
+    if (products.length === 0) {
+      return res.status(400).json({ error: 'No failed products to retry' });
+    }
+
+    const request = await claimRequest(id, 'FAILED');
+    if (!request) {
+      return res.status(409).json({ error: 'Request is already being retried' });
+    }
+
+    startProvisioning(id, products);
+
+    res.status(202).json(request);
+  } catch (error) {
+    console.error('Error retrying request:', error);
+    res.status(500).json({ error: 'Failed to retry request' });
+  }
+});
+
+/**
+ * Get provisioning jobs for a request, newest first (Admin only)
+ * GET /api/requests/:id/jobs
+ */
+router.get('/:id/jobs', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid request ID' });
+    }
+
+    const jobs = await prisma.scriptJob.findMany({
+      where: { requestId: id },
+      orderBy: {
+        id: 'desc',
+      },
+    });
+
+    res.json(jobs);
+  } catch (error) {
+    console.error('Error fetching provisioning jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch provisioning jobs' });
+  }
+});
+
+export default router;
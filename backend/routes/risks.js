@@ -0,0 +1,241 @@
+import express from 'express';
+import { prisma } from '../prisma/client.js';
+import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import { normalizeRisk, formatRisk, reviewRisk, riskStatus } from '../services/risks.js';
+
+const router = express.Router();
+
+// Company that owns an application, or null if the application does not exist
+async function getApplicationCompanyId(applicationId) {
+  const application = await prisma.application.findUnique({
+    where: { id: applicationId },
+    select: { companyId: true },
+  });
+  return application?.companyId || null;
+}
+
+// Get risk acceptances for an application, newest first
+// Query: applicationId (required)
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { applicationId } = req.query;
+
+    if (!applicationId) {
+      return res.status(400).json({ error: 'applicationId is required' });
+    }
+
+    const owningCompanyId = await getApplicationCompanyId(applicationId);
+
+    if (!owningCompanyId) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    // Check if user has access (admin or member of company)
+    if (!req.session.isAdmin && req.session.companyId !== owningCompanyId) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'You can only access risks for your own company',
+      });
+    }
+
+    const risks = await prisma.riskAcceptance.findMany({
+      where: { applicationId },
+      orderBy: {
+        createdAt: 'desc',
+      },
+    });
+
+    res.json(risks.map(risk => formatRisk(risk)));
+  } catch (error) {
+    console.error('Error fetching risks:', error);
+    res.status(500).json({ error: 'Failed to fetch risks' });
+  }
+});
+
+// Record a risk for an application; it is pending until an admin accepts it
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const { applicationId } = req.body;
+
+    if (!applicationId) {
+      return res.status(400).json({ error: 'applicationId is required' });
+    }
+
+    const { risk, error } = normalizeRisk(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const owningCompanyId = await getApplicationCompanyId(applicationId);
+
+    if (!owningCompanyId) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    // Check if user has access (admin or member of company)
+    if (!req.session.isAdmin && req.session.companyId !== owningCompanyId) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'You can only record risks for your own company',
+      });
+    }
+
+    const created = await prisma.riskAcceptance.create({
+      data: {
+        ...risk,
+        applicationId,
+        createdBy: req.session.email,
+      },
+    });
+
+    res.status(201).json(formatRisk(created));
+  } catch (error) {
+    console.error('Error creating risk:', error);
+    res.status(500).json({ error: 'Failed to create risk' });
+  }
+});
+
+// Update a risk
+// Changes by a company member send the risk back to pending for admin review
+router.put('/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.riskAcceptance.findUnique({
+      where: { id },
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Risk not found' });
+    }
+
+    const owningCompanyId = await getApplicationCompanyId(existing.applicationId);
+
+    // Check if user has access (admin or member of company)
+    if (!req.session.isAdmin && req.session.companyId !== owningCompanyId) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'You can only update risks for your own company',
+      });
+    }
+
+    const { risk, error } = normalizeRisk(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const updated = await prisma.riskAcceptance.update({
+      where: { id },
+      data: {
+        ...risk,
+        ...(!req.session.isAdmin && {
+          status: 'PENDING',
+          reviewedBy: null,
+          reviewedAt: null,
+        }),
+      },
+    });
+
+    res.json(formatRisk(updated));
+  } catch (error) {
+    console.error('Error updating risk:', error);
+    res.status(500).json({ error: 'Failed to update risk' });
+  }
+});
+
+// Delete a risk
+// Company members cannot delete an accepted risk; an admin closes it instead
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.riskAcceptance.findUnique({
+      where: { id },
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Risk not found' });
+    }
+
+    const owningCompanyId = await getApplicationCompanyId(existing.applicationId);
+
+    // Check if user has access (admin or member of company)
+    if (!req.session.isAdmin && req.session.companyId !== owningCompanyId) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'You can only delete risks for your own company',
+      });
+    }
+
+    if (!req.session.isAdmin && existing.status === 'ACCEPTED') {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'Accepted risks can only be closed by an administrator',
+      });
+    }
+
+    await prisma.riskAcceptance.delete({
+      where: { id },
+    });
+
+    res.json({ message: 'Risk deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting risk:', error);
+    res.status(500).json({ error: 'Failed to delete risk' });
+  }
+});
+
+// Record an admin decision on a risk
+async function reviewRiskRoute(req, res, status) {
+  const { id } = req.params;
+
+  const existing = await prisma.riskAcceptance.findUnique({
+    where: { id },
+  });
+
+  if (!existing) {
+    return res.status(404).json({ error: 'Risk not found' });
+  }
+
+  if (riskStatus(existing) === status) {
+    return res.status(400).json({ error: `Risk is already ${status.toLowerCase()}` });
+  }
+
+  if (status === 'ACCEPTED' && new Date(existing.expiresAt) <= new Date()) {
+    return res.status(400).json({ error: 'Risk has expired; set a new expiry date before accepting it' });
+  }
+
+  res.json(await reviewRisk(id, status, req.session.email));
+}
+
+// Accept a risk; it excuses the policy rule it covers until it expires
+router.post('/:id/accept', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    await reviewRiskRoute(req, res, 'ACCEPTED');
+  } catch (error) {
+    console.error('Error accepting risk:', error);
+    res.status(500).json({ error: 'Failed to accept risk' });
+  }
+});
+
+// Reject a risk
+router.post('/:id/reject', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    await reviewRiskRoute(req, res, 'REJECTED');
+  } catch (error) {
+    console.error('Error rejecting risk:', error);
+    res.status(500).json({ error: 'Failed to reject risk' });
+  }
+});
+
+// Close a risk that no longer applies (e.g. the control is now in place)
+router.post('/:id/close', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    await reviewRiskRoute(req, res, 'CLOSED');
+  } catch (error) {
+    console.error('Error closing risk:', error);
+    res.status(500).json({ error: 'Failed to close risk' });
+  }
+});
+
+export default router;
@@ -3,9 +3,40 @@ import { prisma } from '../prisma/client.js';
 import { requireAuth, requireAdmin, requireAdminOrCompanyMember } from '../middleware/auth.js';
 import { createInvitation } from '../utils/invitation.js';
 import { hashPassword, comparePassword } from '../utils/password.js';
+import { sendMail } from '../services/mail.js';
+import { getUserSessions, revokeSessions, revokeUserSessions } from '../services/sessions.js';
+import { disableMfa } from '../services/mfa.js';
 
 const router = express.Router();
 
+/**
+ * Email a user a link to accept their invitation
+ * Verified users get a password reset email instead, since for them the link
+ * only sets a new password. Failures are logged rather than thrown: the
+ * inviter still gets the link and can share it another way.
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+async function emailInvitation(user, invitationUrl, expiresAt, invitedBy) {
+  try {
+    if (user.verifiedAccount) {
+      await sendMail(user.email, 'passwordReset', {
+        resetUrl: invitationUrl,
+        expiresAt: expiresAt.toUTCString(),
+      });
+    } else {
+      await sendMail(user.email, 'invitation', {
+        invitationUrl,
+        invitedBy,
+        expiresAt: expiresAt.toUTCString(),
+      });
+    }
+    return true;
+  } catch (error) {
+    console.error(`Invitation email error for ${user.email}:`, error);
+    return false;
+  }
+}
+
 /**
  * Get pending (unverified) users
  * GET /api/users/pending
@@ -143,6 +174,17 @@ router.post('/:id/verify', requireAuth, requireAdminOrCompanyMember, async (req,
       },
     });
 
+    // Let the user know they can sign in; a failed email does not undo the approval
+    if (!targetUser.verifiedAccount) {
+      const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+      sendMail(updatedUser.email, 'accountVerified', {
+        email: updatedUser.email,
+        signInUrl: `${baseUrl}/login`,
+      }).catch(error => {
+        console.error(`Account approval email error for ${updatedUser.email}:`, error);
+      });
+    }
+
     res.json({
       message: 'User verified successfully',
       user: updatedUser,
@@ -234,6 +276,74 @@ router.put('/me/password', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Get the current user's active sessions
+ * GET /api/users/me/sessions
+ * - Each session has its device, IP address and when it was last seen;
+ *   `current` marks the session making the request
+ */
+router.get('/me/sessions', requireAuth, async (req, res) => {
+  try {
+    res.json(await getUserSessions(req.session.userId, req.sessionID));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch sessions',
+      message: 'An error occurred while fetching your sessions'
+    });
+  }
+});
+
+/**
+ * Sign out of all of the current user's other sessions
+ * DELETE /api/users/me/sessions
+ */
+router.delete('/me/sessions', requireAuth, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.session.userId, req.sessionID);
+
+    res.json({
+      message: `Signed out of ${revoked} other session(s)`,
+      revoked,
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke sessions',
+      message: 'An error occurred while signing out your other sessions'
+    });
+  }
+});
+
+/**
+ * Sign out of one of the current user's sessions
+ * DELETE /api/users/me/sessions/:id
+ * - Revoking the current session signs the user out
+ */
+router.delete('/me/sessions/:id', requireAuth, async (req, res) => {
+  try {
+    const count = await revokeSessions({
+      id: req.params.id,
+      userId: req.session.userId,
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'The session does not exist or has already ended'
+      });
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke session',
+      message: 'An error occurred while revoking the session'
+    });
+  }
+});
+
 /**
  * Get all users
  * GET /api/users
@@ -267,6 +377,7 @@ router.get('/', requireAuth, async (req, res) => {
         isAdmin: true,
         companyId: true,
         password: true, // Need to check if password exists, but won't send it
+        mfaEnabledAt: true,
         company: {
           select: {
             id: true,
@@ -279,12 +390,14 @@ router.get('/', requireAuth, async (req, res) => {
       },
     });
 
-    // Map users to include hasPassword boolean instead of password hash
+    // Map users to include hasPassword and mfaEnabled booleans instead of
+    // the password hash and enrolment date
     const usersWithHasPassword = users.map(user => {
-      const { password, ...userWithoutPassword } = user;
+      const { password, mfaEnabledAt, ...userWithoutPassword } = user;
       return {
         ...userWithoutPassword,
         hasPassword: password !== null && password !== undefined,
+        mfaEnabled: mfaEnabledAt !== null,
       };
     });
 
@@ -487,20 +600,19 @@ router.post('/invite', requireAuth, async (req, res) => {
     const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
     const invitationUrl = `${baseUrl}/invite/${token}`;
 
-    // In production, send email here
-    // For now, log it
-    console.log(`\n📧 Invitation for ${emailLower}:`);
-    console.log(`   URL: ${invitationUrl}`);
-    console.log(`   Expires at: ${expiresAt.toISOString()}\n`);
+    const emailSent = await emailInvitation(existingUser, invitationUrl, expiresAt, req.session.email);
 
     res.json({
-      message: 'Invitation created successfully',
+      message: emailSent
+        ? 'Invitation created and emailed successfully'
+        : 'Invitation created, but the email could not be sent. Share the link with the user instead.',
       invitation: {
         id: invitation.id,
         email: invitation.email,
         expiresAt: invitation.expiresAt,
       },
-      invitationUrl, // Return URL for development/testing
+      invitationUrl, // Returned so the inviter can share it if the email goes astray
+      emailSent,
     });
   } catch (error) {
     console.error('Create invitation error:', error);
@@ -577,19 +689,19 @@ router.post('/:id/regenerate-invite', requireAuth, async (req, res) => {
     const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
     const invitationUrl = `${baseUrl}/invite/${token}`;
 
-    // Log it
-    console.log(`\n📧 Regenerated invitation for ${user.email}:`);
-    console.log(`   URL: ${invitationUrl}`);
-    console.log(`   Expires at: ${expiresAt.toISOString()}\n`);
+    const emailSent = await emailInvitation(user, invitationUrl, expiresAt, req.session.email);
 
     res.json({
-      message: 'Invitation regenerated successfully',
+      message: emailSent
+        ? 'Invitation regenerated and emailed successfully'
+        : 'Invitation regenerated, but the email could not be sent. Share the link with the user instead.',
       invitation: {
         id: invitation.id,
         email: invitation.email,
         expiresAt: invitation.expiresAt,
       },
       invitationUrl,
+      emailSent,
     });
   } catch (error) {
     console.error('Regenerate invitation error:', error);
@@ -600,6 +712,85 @@ router.post('/:id/regenerate-invite', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Force a user to sign in again (Admin only)
+ * POST /api/users/:id/logout
+ * - Ends all of the user's sessions, except the admin's own session when
+ *   they sign themselves out elsewhere
+ */
+router.post('/:id/logout', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true, email: true },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The specified user does not exist'
+      });
+    }
+
+    const revoked = await revokeUserSessions(id, id === req.session.userId ? req.sessionID : null);
+
+    res.json({
+      message: `Signed ${user.email} out of ${revoked} session(s)`,
+      revoked,
+    });
+  } catch (error) {
+    console.error('Force logout error:', error);
+    res.status(500).json({
+      error: 'Failed to sign user out',
+      message: 'An error occurred while ending the user\'s sessions'
+    });
+  }
+});
+
+/**
+ * Reset a user's two-factor authentication (Admin only)
+ * POST /api/users/:id/mfa/reset
+ * - For users who lost their authenticator app and recovery codes. If policy
+ *   requires two-factor authentication they set it up again at next sign-in.
+ */
+router.post('/:id/mfa/reset', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true, email: true, mfaEnabledAt: true },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The specified user does not exist'
+      });
+    }
+
+    if (!user.mfaEnabledAt) {
+      return res.status(400).json({
+        error: 'Two-factor authentication not enabled',
+        message: `${user.email} does not have two-factor authentication enabled`
+      });
+    }
+
+    await disableMfa(id);
+    console.log(`Two-factor authentication reset for ${user.email} by ${req.session.email}`);
+
+    res.json({ message: `Two-factor authentication reset for ${user.email}` });
+  } catch (error) {
+    console.error('Reset MFA error:', error);
+    res.status(500).json({
+      error: 'Failed to reset two-factor authentication',
+      message: 'An error occurred while resetting two-factor authentication'
+    });
+  }
+});
+
 /**
  * Delete a user (Admin only)
  * DELETE /api/users/:id
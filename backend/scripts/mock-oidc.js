@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+import http from 'http';
+
+// Minimal OpenID Connect provider for trying single sign-on locally. Its
+// sign-in page asks only for an email address and signs in whoever is named,
+// so it only listens on the loopback interface.
+//
+// Usage: node scripts/mock-oidc.js   (or npm run mock-oidc)
+//
+// Then, as an admin, open a company with email domains set and configure SSO
+// with the issuer printed below and any client ID. Any client secret is
+// accepted, as is none.
+
+const HOST = '127.0.0.1';
+const PORT = Number(process.env.MOCK_OIDC_PORT) || 9400;
+const ISSUER = `http://${HOST}:${PORT}`;
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 300;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomUUID();
+const codes = new Map(); // authorization code -> { clientId, redirectUri, nonce, codeChallenge, email, expiresAt }
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function signIdToken(claims) {
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KEY_ID }));
+  const payload = base64url(JSON.stringify(claims));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey);
+  return `${header}.${payload}.${signature.toString('base64url')}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(data));
+}
+
+const HIDDEN_PARAMS = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method'];
+
+function signInPage(params) {
+  const hidden = HIDDEN_PARAMS
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params.get(name))}">`)
+    .join('\n      ');
+
+  return `<!DOCTYPE html>
+<html>
+  <head><title>Mock OIDC sign-in</title></head>
+  <body style="font-family: sans-serif; max-width: 24rem; margin: 4rem auto">
+    <h1>Mock OIDC sign-in</h1>
+    <p>Client: ${escapeHtml(params.get('client_id'))}</p>
+    <form method="post" action="/authorize">
+      ${hidden}
+      <label>Email <input type="email" name="email" value="${escapeHtml(params.get('login_hint'))}" required autofocus></label>
+      <p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+      <button type="submit">Sign in</button>
+    </form>
+  </body>
+</html>`;
+}
+
+async function authorize(req, res) {
+  const params = new URLSearchParams(req.url.split('?')[1] || '');
+  res.writeHead(200, { 'Content-Type': 'text/html' });
+  res.end(signInPage(params));
+}
+
+async function approve(req, res) {
+  const form = await readForm(req);
+  const redirectUri = form.get('redirect_uri');
+  if (!redirectUri || form.get('code_challenge_method') !== 'S256') {
+    return sendJson(res, 400, { error: 'invalid_request', error_description: 'redirect_uri and S256 PKCE are required' });
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    clientId: form.get('client_id'),
+    redirectUri,
+    nonce: form.get('nonce'),
+    codeChallenge: form.get('code_challenge'),
+    email: form.get('email'),
+    emailVerified: form.get('email_verified') === 'true',
+    expiresAt: Date.now() + CODE_TTL_MS,
+  });
+
+  const location = new URL(redirectUri);
+  location.searchParams.set('code', code);
+  location.searchParams.set('state', form.get('state') || '');
+  location.searchParams.set('iss', ISSUER);
+  res.writeHead(302, { Location: location.href });
+  res.end();
+}
+
+async function token(req, res) {
+  const form = await readForm(req);
+  const grant = codes.get(form.get('code'));
+  codes.delete(form.get('code'));
+
+  const basicClientId = req.headers.authorization?.startsWith('Basic ')
+    ? decodeURIComponent(Buffer.from(req.headers.authorization.slice(6), 'base64').toString().split(':')[0])
+    : null;
+  const clientId = form.get('client_id') || basicClientId;
+  const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+
+  if (!grant || grant.expiresAt < Date.now() || grant.clientId !== clientId
+    || grant.redirectUri !== form.get('redirect_uri') || grant.codeChallenge !== challenge) {
+    return sendJson(res, 400, { error: 'invalid_grant' });
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  sendJson(res, 200, {
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: TOKEN_TTL_SECONDS,
+    id_token: signIdToken({
+      iss: ISSUER,
+      sub: crypto.createHash('sha256').update(grant.email).digest('hex'),
+      aud: clientId,
+      iat: now,
+      exp: now + TOKEN_TTL_SECONDS,
+      nonce: grant.nonce,
+      email: grant.email,
+      email_verified: grant.emailVerified,
+    }),
+  });
+}
+
+const routes = {
+  'GET /.well-known/openid-configuration': (req, res) => sendJson(res, 200, {
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['none', 'client_secret_post', 'client_secret_basic'],
+    scopes_supported: ['openid', 'email', 'profile'],
+    authorization_response_iss_parameter_supported: true,
+  }),
+  'GET /jwks': (req, res) => sendJson(res, 200, {
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' }],
+  }),
+  'GET /authorize': authorize,
+  'POST /authorize': approve,
+  'POST /token': token,
+};
+
+const server = http.createServer((req, res) => {
+  const handler = routes[`${req.method} ${req.url.split('?')[0]}`];
+  if (!handler) {
+    return sendJson(res, 404, { error: 'not_found' });
+  }
+  Promise.resolve(handler(req, res)).catch(error => {
+    console.error('Mock OIDC error:', error);
+    sendJson(res, 500, { error: 'server_error' });
+  });
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Mock OIDC provider running. Issuer: ${ISSUER}`);
+});
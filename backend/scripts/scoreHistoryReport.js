@@ -0,0 +1,86 @@
+import { prisma } from '../prisma/client.js';
+
+// Report how many Score rows are redundant, i.e. repeat the previous row for the
+// same application. These were written by the old read path, which saved a row
+// every time a score was viewed. Pass --prune to delete them.
+//
+// Usage: node scripts/scoreHistoryReport.js [--prune]
+
+const DELETE_BATCH_SIZE = 1000; // Ids per DELETE, well under Postgres' bind parameter limit
+
+const REDUNDANT_SCORES = `
+  SELECT "id", "applicationId"
+  FROM (
+    SELECT
+      "id",
+      "applicationId",
+      "knowledgeScore" = LAG("knowledgeScore") OVER w
+        AND "toolScore" = LAG("toolScore") OVER w
+        AND "totalScore" = LAG("totalScore") OVER w AS "redundant"
+    FROM "Score"
+    WINDOW w AS (PARTITION BY "applicationId" ORDER BY "calculatedAt", "id")
+  ) AS history
+  WHERE "redundant"
+`;
+
+async function scoreHistoryReport() {
+  const prune = process.argv.includes('--prune');
+
+  try {
+    const totalRows = await prisma.score.count();
+    const redundant = await prisma.$queryRawUnsafe(REDUNDANT_SCORES);
+
+    console.log(`Score rows: ${totalRows}`);
+    console.log(`Redundant rows (unchanged from previous): ${redundant.length}`);
+    console.log(`Rows after de-duplication: ${totalRows - redundant.length}`);
+
+    if (redundant.length === 0) {
+      return;
+    }
+
+    // Applications with the most redundant history
+    const perApplication = new Map();
+    for (const row of redundant) {
+      perApplication.set(row.applicationId, (perApplication.get(row.applicationId) || 0) + 1);
+    }
+
+    const worst = [...perApplication.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 10);
+
+    const applications = await prisma.application.findMany({
+      where: { id: { in: worst.map(([id]) => id) } },
+      select: { id: true, name: true },
+    });
+    const names = new Map(applications.map(app => [app.id, app.name]));
+
+    console.log('\nMost inflated applications:');
+    for (const [applicationId, count] of worst) {
+      console.log(`  ${names.get(applicationId) || applicationId}: ${count} redundant rows`);
+    }
+
+    if (!prune) {
+      console.log('\nRun with --prune to delete redundant rows.');
+      return;
+    }
+
+    let deleted = 0;
+    for (let start = 0; start < redundant.length; start += DELETE_BATCH_SIZE) {
+      const batch = redundant.slice(start, start + DELETE_BATCH_SIZE);
+      const { count } = await prisma.score.deleteMany({
+        where: { id: { in: batch.map(row => row.id) } },
+      });
+      deleted += count;
+      console.log(`Deleted ${deleted} of ${redundant.length}...`);
+    }
+
+    console.log(`\nDeleted ${deleted} redundant score rows.`);
+  } catch (error) {
+    console.error('Error reporting score history:', error);
+    process.exit(1);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+scoreHistoryReport();
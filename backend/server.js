@@ -4,6 +4,14 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import { prisma, disconnectPrisma } from './prisma/client.js';
 import { initializeAdminUsers } from './utils/adminInit.js';
+import { scheduleInterruptedJobRecovery } from './services/provisioning.js';
+import { registerSnykProvisioning } from './services/snykProvisioning.js';
+import { refreshStaleScores } from './services/scoreHistory.js';
+import { recoverInterruptedRecalculations, scheduleNightlyScoreRefresh } from './services/scoreRecalculation.js';
+import { loadScoringConfig, refreshScoringConfig } from './services/scoringConfig.js';
+import { verifyMailTransport } from './services/mail.js';
+import { PrismaSessionStore, deleteExpiredSessions } from './services/sessions.js';
+import { trackSessionClient } from './middleware/sessionClient.js';
 import authRoutes from './routes/auth.js';
 import userRoutes from './routes/users.js';
 import companyRoutes from './routes/companies.js';
@@ -12,12 +20,24 @@ import adminRoutes from './routes/admin.js';
 import configRoutes from './routes/config.js';
 import invitationRoutes from './routes/invitations.js';
 import domainRoutes from './routes/domains.js';
+import requestRoutes from './routes/requests.js';
+import changeRoutes from './routes/changes.js';
+import contactRoutes from './routes/contacts.js';
+import riskRoutes from './routes/risks.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a reverse proxy, take the client IP from X-Forwarded-For so rate
+// limits apply per client rather than to the proxy. TRUST_PROXY is the number
+// of proxy hops, "true", or a list of proxy addresses (see Express "trust proxy").
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Middleware - CORS configuration
 // Allow all origins for now (you can restrict this later with FRONTEND_URL)
 app.use(cors({
@@ -32,7 +52,10 @@ app.use(cors({
 app.use(express.json());
 
 // Session configuration
+// Sessions are stored in Postgres so they survive restarts and are shared
+// between backend instances
 app.use(session({
+  store: new PrismaSessionStore(),
   secret: process.env.SESSION_SECRET || 'your-secret-key-change-in-production',
   resave: false,
   saveUninitialized: false,
@@ -43,6 +66,14 @@ app.use(session({
     sameSite: 'lax',
   },
 }));
+app.use(trackSessionClient);
+
+// Pick up scoring config versions saved on other backend instances, so every
+// instance validates and scores with the same weights
+app.use('/api', async (req, res, next) => {
+  await refreshScoringConfig();
+  next();
+});
 
 // Routes
 app.use('/api/auth', authRoutes);
@@ -53,6 +84,10 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/config', configRoutes);
 app.use('/api/invitations', invitationRoutes);
 app.use('/api/domains', domainRoutes);
+app.use('/api/requests', requestRoutes);
+app.use('/api/changes', changeRoutes);
+app.use('/api/contacts', contactRoutes);
+app.use('/api/risks', riskRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -88,6 +123,42 @@ initializeAdminUsers().catch(error => {
   console.error('Failed to initialize admin users:', error);
 });
 
+// Report where mail goes, and whether the SMTP server is reachable
+verifyMailTransport().catch(error => {
+  console.error('Mail transport check failed:', error);
+});
+
+// Drop sessions that expired while the server was down
+deleteExpiredSessions().catch(error => {
+  console.error('Failed to delete expired sessions:', error);
+});
+
+// Provision Snyk through its API when configured; products without a handler
+// are left for manual onboarding
+if (registerSnykProvisioning()) {
+  console.log('✅ Snyk requests are provisioned through the Snyk API');
+}
+
+// Fail provisioning jobs whose server stopped while running them
+scheduleInterruptedJobRecovery();
+
+// Fail score recalculations that were cut off by the last shutdown
+recoverInterruptedRecalculations().catch(error => {
+  console.error('Failed to recover score recalculations:', error);
+});
+
+// Load the active scoring config, then recalculate cached scores left over
+// from a previous config version
+loadScoringConfig()
+  .then(refreshStaleScores)
+  .catch(error => {
+    console.error('Failed to load scoring config:', error);
+  });
+
+// Recalculate every score nightly so metadata freshness decay and expired N/A
+// approvals reach dashboards without anyone opening the application
+scheduleNightlyScoreRefresh();
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Backend server running on http://localhost:${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
@@ -0,0 +1,157 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { prisma } from '../prisma/client.js';
+import { getScoringConfig } from './scoring.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const NA_CONFIG = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '..', 'config', 'notApplicable.json'), 'utf-8')
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate tool assignments submitted with an application
+ * Accepts [{ category, tool, integrationLevel, notApplicable, naReason }].
+ * Categories and integration levels are checked against the active scoring
+ * config. Returns { assignments } with values normalised (trimmed, empty ->
+ * null) or { error }.
+ */
+export function normalizeToolAssignments(tools) {
+  if (!Array.isArray(tools)) {
+    return { error: 'tools must be an array of tool assignments' };
+  }
+
+  const { toolCategories, integrationLevels } = getScoringConfig();
+  const assignments = [];
+  const seen = new Set();
+
+  for (const entry of tools) {
+    const category = toolCategories[entry?.category];
+    if (!category) {
+      return { error: `Unknown tool category: ${entry?.category}` };
+    }
+    if (seen.has(entry.category)) {
+      return { error: `Tool category ${category.name} is listed more than once` };
+    }
+    seen.add(entry.category);
+
+    const hasLevel = entry.integrationLevel !== undefined && entry.integrationLevel !== null && entry.integrationLevel !== '';
+    const integrationLevel = hasLevel ? parseInt(entry.integrationLevel) : null;
+    if (hasLevel && !integrationLevels[String(integrationLevel)]) {
+      return { error: `Invalid integration level for ${category.name}` };
+    }
+
+    const notApplicable = entry.notApplicable === true || entry.notApplicable === 'true';
+    if (notApplicable && !entry.naReason?.trim()) {
+      return { error: `Give a reason for marking ${category.name} Not Applicable` };
+    }
+
+    assignments.push({
+      category: entry.category,
+      tool: notApplicable ? null : entry.tool?.trim() || null,
+      integrationLevel: notApplicable ? null : integrationLevel,
+      notApplicable,
+      naReason: notApplicable ? entry.naReason?.trim() || null : null,
+    });
+  }
+
+  return { assignments };
+}
+
+/**
+ * Whether a normalised assignment has no tool, level or N/A flag, i.e. says
+ * nothing about its category and should not be stored
+ */
+export function isEmptyAssignment(assignment) {
+  return !assignment.tool && assignment.integrationLevel === null && !assignment.notApplicable;
+}
+
+/**
+ * N/A review fields for a normalised assignment
+ * A new N/A, or one whose reason changed, goes back to PENDING for admin
+ * review. Re-saving an unchanged N/A keeps its review (returns {}).
+ * Clearing N/A clears the review.
+ */
+export function notApplicableRequest(assignment, existing, requestedBy) {
+  if (!assignment.notApplicable) {
+    return {
+      naStatus: null,
+      naRequestedBy: null,
+      naRequestedAt: null,
+      naReviewedBy: null,
+      naReviewedAt: null,
+      naExpiresAt: null,
+    };
+  }
+
+  if (existing?.notApplicable && existing.naReason === assignment.naReason) {
+    return {};
+  }
+
+  return {
+    naStatus: 'PENDING',
+    naRequestedBy: requestedBy || null,
+    naRequestedAt: new Date(),
+    naReviewedBy: null,
+    naReviewedAt: null,
+    naExpiresAt: null,
+  };
+}
+
+/**
+ * Save normalised tool assignments for an application
+ * Categories not included are left untouched; an assignment with no tool,
+ * level or N/A flag clears the category. `requestedBy` is recorded on new
+ * N/A requests (null for the public onboarding form). Pass a transaction
+ * client to save alongside other application changes.
+ */
+export async function saveToolAssignments(client, applicationId, assignments, requestedBy = null) {
+  for (const assignment of assignments) {
+    const { category, ...fields } = assignment;
+
+    if (isEmptyAssignment(assignment)) {
+      await client.applicationTool.deleteMany({
+        where: { applicationId, category },
+      });
+      continue;
+    }
+
+    const existing = await client.applicationTool.findUnique({
+      where: {
+        applicationId_category: { applicationId, category },
+      },
+    });
+    const data = { ...fields, ...notApplicableRequest(assignment, existing, requestedBy) };
+
+    await client.applicationTool.upsert({
+      where: {
+        applicationId_category: { applicationId, category },
+      },
+      create: { applicationId, category, ...data },
+      update: data,
+    });
+  }
+}
+
+/**
+ * Approve or reject an N/A tool category
+ * Approval lasts approvalDays from config/notApplicable.json.
+ * Returns the updated ApplicationTool row.
+ */
+export async function reviewNotApplicable(id, approved, adminEmail) {
+  const now = new Date();
+
+  return prisma.applicationTool.update({
+    where: { id },
+    data: {
+      naStatus: approved ? 'APPROVED' : 'REJECTED',
+      naReviewedBy: adminEmail,
+      naReviewedAt: now,
+      naExpiresAt: approved ? new Date(now.getTime() + NA_CONFIG.approvalDays * DAY_MS) : null,
+    },
+  });
+}
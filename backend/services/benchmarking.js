@@ -0,0 +1,213 @@
+import { prisma } from '../prisma/client.js';
+import { getScoringConfig, calculateKnowledgeBreakdown, coversToolCategory } from './scoring.js';
+import { rollupScores, getScorePolicies } from './rollups.js';
+
+const PORTFOLIO_CACHE_MS = 5 * 60 * 1000; // How long company reports reuse the portfolio figures
+
+// Every company's weighted score and the portfolio medians from the last full
+// benchmark: { configVersion, scores (company id -> weightedScore), medians, expiresAt }
+let portfolioCache = null;
+
+// Share of values, as a whole percentage; null when there is nothing to measure
+const percentage = (count, total) => (total > 0 ? Math.round((count / total) * 100) : null);
+
+const median = (values) => {
+  const sorted = values.filter(value => value !== null).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+/**
+ * Benchmark figures for one company's applications
+ * - weightedScore / averageScore: score rollups (see services/rollups.js)
+ * - toolCoverage: per tool category, % of applications covering it
+ * - onboardingCompletion: % of applications fully onboarded
+ * - metadataFreshness: average share of the freshness points still earned
+ */
+function benchmarkApplications(applications, categories, policies) {
+  const rollup = rollupScores(applications, policies);
+
+  const toolCoverage = Object.fromEntries(categories.map(({ key }) => [
+    key,
+    percentage(applications.filter(application => coversToolCategory(application, key)).length, applications.length),
+  ]));
+
+  const freshnessTotal = applications.reduce(
+    (sum, application) => sum + calculateKnowledgeBreakdown(application).freshnessScore,
+    0
+  );
+
+  return {
+    applicationCount: applications.length,
+    scoredApplicationCount: rollup.scoredApplicationCount,
+    weightedScore: rollup.weightedScore,
+    averageScore: rollup.averageScore,
+    belowThresholdCount: rollup.belowThreshold.count,
+    toolCoverage,
+    onboardingCompletion: percentage(
+      applications.filter(application => application.status === 'onboarded').length,
+      applications.length
+    ),
+    // Freshness is worth 10 points, so points x 10 is the percentage earned
+    metadataFreshness: applications.length > 0 ? Math.round((freshnessTotal / applications.length) * 10) : null,
+  };
+}
+
+// Tool categories of the active scoring config, as [{ key, name }]
+function benchmarkCategories() {
+  return Object.entries(getScoringConfig().toolCategories)
+    .map(([key, category]) => ({ key, name: category.name }));
+}
+
+// Median of each benchmark figure across companies
+function portfolioMedians(companies, categories) {
+  const figure = (key) => median(companies.map(company => company[key]));
+
+  return {
+    weightedScore: figure('weightedScore'),
+    onboardingCompletion: figure('onboardingCompletion'),
+    metadataFreshness: figure('metadataFreshness'),
+    toolCoverage: Object.fromEntries(categories.map(({ key }) => [
+      key,
+      median(companies.map(company => company.toolCoverage[key])),
+    ])),
+  };
+}
+
+/**
+ * Benchmark every company against the others
+ * Companies are ranked by weighted score (1 = best); companies without a
+ * scored application are unranked.
+ * Returns { categories, companies, rankedCount, medians }.
+ */
+export async function getBenchmarks() {
+  const { version } = getScoringConfig();
+  const categories = benchmarkCategories();
+
+  const [companies, policies] = await Promise.all([
+    prisma.company.findMany({
+      select: {
+        id: true,
+        name: true,
+        applications: {
+          include: {
+            tools: true,
+          },
+        },
+      },
+      orderBy: {
+        name: 'asc',
+      },
+    }),
+    getScorePolicies(),
+  ]);
+
+  const benchmarks = companies.map(({ applications, ...company }) => ({
+    ...company,
+    ...benchmarkApplications(applications, categories, policies),
+  }));
+
+  const ranked = benchmarks
+    .filter(company => company.weightedScore !== null)
+    .sort((a, b) => b.weightedScore - a.weightedScore);
+  for (const company of benchmarks) {
+    const index = ranked.indexOf(company);
+    company.rank = index === -1 ? null : index + 1;
+  }
+
+  const medians = portfolioMedians(benchmarks, categories);
+  portfolioCache = {
+    configVersion: version,
+    scores: new Map(benchmarks.map(company => [company.id, company.weightedScore])),
+    medians,
+    expiresAt: Date.now() + PORTFOLIO_CACHE_MS,
+  };
+
+  return {
+    categories,
+    companies: benchmarks,
+    rankedCount: ranked.length,
+    medians,
+  };
+}
+
+// Portfolio figures for company reports, benchmarking every company again
+// only when the scoring config changed or PORTFOLIO_CACHE_MS passed
+async function getPortfolio() {
+  const cached = portfolioCache;
+  if (cached && cached.configVersion === getScoringConfig().version && cached.expiresAt > Date.now()) {
+    return cached;
+  }
+
+  await getBenchmarks();
+  return portfolioCache;
+}
+
+/**
+ * One company's benchmark report: its figures, rank and the portfolio
+ * medians to compare against, plus per-application detail. Other companies
+ * are not named, so the report can be shared with the company itself.
+ * The company's own figures are current; the other companies' scores and the
+ * medians may be up to PORTFOLIO_CACHE_MS old.
+ * Returns null if the company does not exist.
+ */
+export async function getCompanyBenchmark(companyId) {
+  const categories = benchmarkCategories();
+
+  const [found, applications, policies, portfolio] = await Promise.all([
+    prisma.company.findUnique({
+      where: { id: companyId },
+      select: {
+        id: true,
+        name: true,
+      },
+    }),
+    prisma.application.findMany({
+      where: { companyId },
+      include: {
+        tools: true,
+      },
+      orderBy: {
+        name: 'asc',
+      },
+    }),
+    getScorePolicies(companyId),
+    getPortfolio(),
+  ]);
+
+  if (!found) {
+    return null;
+  }
+
+  const company = { ...found, ...benchmarkApplications(applications, categories, policies) };
+
+  // Rank among the other companies' scores (1 = best); unranked without a score
+  const otherScores = [...portfolio.scores]
+    .filter(([id]) => id !== companyId)
+    .map(([, weightedScore]) => weightedScore);
+  const rankedScores = otherScores.filter(weightedScore => weightedScore !== null);
+  company.rank = company.weightedScore === null
+    ? null
+    : rankedScores.filter(weightedScore => weightedScore > company.weightedScore).length + 1;
+
+  return {
+    company,
+    categories,
+    rankedCount: rankedScores.length + (company.weightedScore === null ? 0 : 1),
+    companyCount: otherScores.length + 1,
+    medians: portfolio.medians,
+    applications: applications.map(application => ({
+      id: application.id,
+      name: application.name,
+      status: application.status,
+      businessCriticality: application.businessCriticality,
+      facing: application.facing,
+      totalScore: application.currentTotalScore,
+      metadataLastReviewed: application.metadataLastReviewed,
+      freshnessScore: calculateKnowledgeBreakdown(application).freshnessScore,
+      coverage: Object.fromEntries(categories.map(({ key }) => [key, coversToolCategory(application, key)])),
+    })),
+    generatedAt: new Date(),
+  };
+}
@@ -0,0 +1,110 @@
+import { prisma } from '../prisma/client.js';
+
+// Company fields that members can propose changes to. Name and email domains
+// stay admin-only and are never routed through the approval queue.
+export const PROPOSABLE_COMPANY_FIELDS = [
+  'engManager',
+  'language',
+  'framework',
+  'serverEnvironment',
+  'facing',
+  'deploymentType',
+  'authProfiles',
+  'dataTypes',
+];
+
+/**
+ * Parse a ChangeLog's changeDetails JSON into { field: { from, to } }
+ */
+export function parseChangeDetails(changeLog) {
+  try {
+    return JSON.parse(changeLog.changeDetails) || {};
+  } catch (error) {
+    console.error('Error parsing change details:', error);
+    return {};
+  }
+}
+
+/**
+ * Diff proposed values against the company's current values
+ * Only fields present in `proposed` are considered. Values are normalised
+ * the same way PUT /api/companies/:id stores them (trimmed, empty -> null).
+ * Returns { field: { from, to } } for fields that would actually change.
+ */
+export function diffCompanyFields(company, proposed) {
+  const changes = {};
+
+  for (const field of PROPOSABLE_COMPANY_FIELDS) {
+    if (proposed[field] === undefined) continue;
+
+    const to = proposed[field]?.trim() || null;
+    const from = company[field] ?? null;
+
+    if (to !== from) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Record proposed company changes as a PENDING ChangeLog entry
+ */
+export async function proposeCompanyChange(company, changes, userEmail) {
+  return prisma.changeLog.create({
+    data: {
+      userEmail,
+      companyName: company.name,
+      targetCompanyId: company.id,
+      changeDetails: JSON.stringify(changes),
+      status: 'PENDING',
+    },
+  });
+}
+
+/**
+ * Apply the selected fields of a pending ChangeLog to its company
+ * The company update and the ChangeLog approval happen in one transaction.
+ * Returns { company, changeLog }, or null if the change is no longer PENDING.
+ */
+export async function approveCompanyChange(changeLog, fields, reviewerEmail) {
+  const changes = parseChangeDetails(changeLog);
+
+  const data = {};
+  for (const field of fields) {
+    data[field] = changes[field].to;
+  }
+
+  return prisma.$transaction(async (tx) => {
+    // Only one reviewer can move the change out of PENDING
+    const { count } = await tx.changeLog.updateMany({
+      where: { id: changeLog.id, status: 'PENDING' },
+      data: {
+        status: 'APPROVED',
+        approvedBy: reviewerEmail,
+        approvedAt: new Date(),
+        actionTaken: 'UPDATE',
+        approvedFields: fields.join(','),
+      },
+    });
+    if (count === 0) {
+      return null;
+    }
+
+    const company = await tx.company.update({
+      where: { id: changeLog.targetCompanyId },
+      data,
+    });
+
+    const updatedLog = await tx.changeLog.update({
+      where: { id: changeLog.id },
+      data: {
+        finalTargetCompanyId: company.id,
+        finalTargetCompanyName: company.name,
+      },
+    });
+
+    return { company, changeLog: updatedLog };
+  });
+}
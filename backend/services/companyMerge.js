@@ -0,0 +1,186 @@
+import { prisma } from '../prisma/client.js';
+import { PROPOSABLE_COMPANY_FIELDS } from './companyChanges.js';
+
+function splitList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Merge a source company into a target company and delete the source
+ *
+ * Applications, users, invitations, contacts, grades, policies and hosting
+ * domains move to the target. A hosting domain the target already has (Domain
+ * is unique per name + company) is folded into the target's domain: its
+ * application links are moved across and the source copy is deleted. Email domains are unioned
+ * and target defaults that are empty are filled from the source. If either
+ * company requires two-factor authentication, the merged company does, so
+ * moved users do not lose the requirement.
+ * The source's single sign-on connection moves to the target; callers must
+ * refuse the merge when both companies have one.
+ * Changes members proposed to the source that are still pending are moved to
+ * the target, so they can still be reviewed.
+ *
+ * Everything happens in one transaction and is recorded as a ChangeLog entry
+ * with actionTaken MERGE. Returns { company, changeLog }.
+ */
+export async function mergeCompanies(sourceId, targetId, adminEmail) {
+  return prisma.$transaction(async (tx) => {
+    const source = await tx.company.findUnique({
+      where: { id: sourceId },
+      include: {
+        domainList: {
+          include: {
+            applicationDomains: true,
+          },
+        },
+        oidcConnection: true,
+      },
+    });
+    const target = await tx.company.findUnique({
+      where: { id: targetId },
+      include: {
+        domainList: {
+          include: {
+            applicationDomains: true,
+          },
+        },
+        oidcConnection: true,
+      },
+    });
+
+    // Hosting domains: move, or fold into the target's domain of the same name
+    const mergedDomains = [];
+    let movedDomains = 0;
+    for (const domain of source.domainList) {
+      const existing = target.domainList.find(d => d.name === domain.name);
+
+      if (!existing) {
+        await tx.domain.update({
+          where: { id: domain.id },
+          data: { companyId: targetId },
+        });
+        movedDomains++;
+        continue;
+      }
+
+      const linkedApps = new Set(existing.applicationDomains.map(link => link.applicationId));
+      for (const link of domain.applicationDomains) {
+        if (linkedApps.has(link.applicationId)) {
+          await tx.applicationDomain.delete({ where: { id: link.id } });
+        } else {
+          await tx.applicationDomain.update({
+            where: { id: link.id },
+            data: { domainId: existing.id },
+          });
+        }
+      }
+
+      await tx.domain.delete({ where: { id: domain.id } });
+      mergedDomains.push(domain.name);
+    }
+
+    const applications = await tx.application.updateMany({
+      where: { companyId: sourceId },
+      data: { companyId: targetId },
+    });
+    const users = await tx.user.updateMany({
+      where: { companyId: sourceId },
+      data: { companyId: targetId },
+    });
+    const invitations = await tx.invitation.updateMany({
+      where: { companyId: sourceId },
+      data: { companyId: targetId },
+    });
+    const contacts = await tx.contact.updateMany({
+      where: { companyId: sourceId },
+      data: { companyId: targetId },
+    });
+    const grades = await tx.grade.updateMany({
+      where: { companyId: sourceId },
+      data: { companyId: targetId },
+    });
+    const policies = await tx.policy.updateMany({
+      where: { companyId: sourceId },
+      data: { companyId: targetId },
+    });
+
+    // Moved before the source is deleted, which would cascade to it
+    const ssoConnectionMoved = Boolean(source.oidcConnection);
+    if (ssoConnectionMoved) {
+      await tx.oidcConnection.update({
+        where: { id: source.oidcConnection.id },
+        data: { companyId: targetId },
+      });
+    }
+
+    const pendingChanges = await tx.changeLog.updateMany({
+      where: { targetCompanyId: sourceId, status: 'PENDING' },
+      data: { targetCompanyId: targetId, companyName: target.name },
+    });
+
+    // Email domains are unioned so users from either company still auto-assign
+    const emailDomains = [...new Set([...splitList(target.domains), ...splitList(source.domains)])];
+    const addedEmailDomains = emailDomains.filter(d => !splitList(target.domains).includes(d));
+
+    // Keep the target's defaults, only filling in what it does not have
+    const filledFields = {};
+    for (const field of PROPOSABLE_COMPANY_FIELDS) {
+      if (!target[field] && source[field]) {
+        filledFields[field] = source[field];
+      }
+    }
+
+    const requireMfaAdded = source.requireMfa && !target.requireMfa;
+
+    await tx.company.delete({ where: { id: sourceId } });
+
+    const company = await tx.company.update({
+      where: { id: targetId },
+      data: {
+        domains: emailDomains.join(', ') || null,
+        ...filledFields,
+        ...(requireMfaAdded && { requireMfa: true }),
+      },
+    });
+
+    const summary = {
+      sourceCompanyId: sourceId,
+      applications: applications.count,
+      users: users.count,
+      invitations: invitations.count,
+      contacts: contacts.count,
+      grades: grades.count,
+      policies: policies.count,
+      domainsMoved: movedDomains,
+      domainsMerged: mergedDomains,
+      emailDomainsAdded: addedEmailDomains,
+      fieldsFilled: Object.keys(filledFields),
+      requireMfaAdded,
+      ssoConnectionMoved,
+      pendingChangesMoved: pendingChanges.count,
+    };
+
+    const changeLog = await tx.changeLog.create({
+      data: {
+        userEmail: adminEmail,
+        companyName: source.name,
+        targetCompanyId: targetId, // The source is gone; its id is kept in changeDetails
+        changeDetails: JSON.stringify(summary),
+        status: 'APPROVED',
+        approvedBy: adminEmail,
+        approvedAt: new Date(),
+        actionTaken: 'MERGE',
+        finalTargetCompanyId: company.id,
+        finalTargetCompanyName: company.name,
+      },
+    });
+
+    return { company, changeLog };
+  }, {
+    // Companies with many domains need more than the default 5s
+    timeout: 30000,
+  });
+}
@@ -0,0 +1,146 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { prisma } from '../prisma/client.js';
+import { getCompanyRollup } from './rollups.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const GRADING_CONFIG = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '..', 'config', 'grading.json'), 'utf-8')
+);
+delete GRADING_CONFIG['//'];
+
+export const GRADE_CRITERIA = GRADING_CONFIG.criteria;
+
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+
+// Letters from highest minimum to lowest, so the first match wins
+const LETTER_GRADES = Object.entries(GRADING_CONFIG.letterGrades)
+  .sort((a, b) => b[1] - a[1]);
+
+/**
+ * Letter grade for a 0-100 score
+ */
+export function letterGrade(score) {
+  if (score === null || score === undefined) {
+    return null;
+  }
+  // Scores below every minimum get the lowest letter
+  const match = LETTER_GRADES.find(([, min]) => score >= min) || LETTER_GRADES[LETTER_GRADES.length - 1];
+  return match[0];
+}
+
+/**
+ * Validate assessor ratings submitted by an admin
+ * Returns { grade } with the ratings as integers and notes trimmed, or { error }.
+ */
+export function normalizeGrade(input) {
+  const grade = {};
+
+  for (const [field, label] of Object.entries(GRADE_CRITERIA)) {
+    const rating = Number(input?.[field]);
+    if (!Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING) {
+      return { error: `${label} must be a whole number from ${MIN_RATING} to ${MAX_RATING}` };
+    }
+    grade[field] = rating;
+  }
+
+  grade.notes = input.notes?.trim() || null;
+
+  return { grade };
+}
+
+/**
+ * Blend assessor ratings with an automated 0-100 score
+ * The average rating is mapped onto 0-100 (1 -> 0, 5 -> 100). Without an
+ * automated score the assessor score stands alone.
+ * Returns { assessorScore, blendedScore, letterGrade }.
+ */
+export function blendGrade(automatedScore, grade) {
+  const ratings = Object.keys(GRADE_CRITERIA).map(field => grade[field]);
+  const averageRating = ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length;
+  const assessorScore = Math.round(((averageRating - MIN_RATING) / (MAX_RATING - MIN_RATING)) * 100);
+
+  const { automated, assessor } = GRADING_CONFIG.weights;
+  const blendedScore = automatedScore === null || automatedScore === undefined
+    ? assessorScore
+    : Math.round((automatedScore * automated + assessorScore * assessor) / (automated + assessor));
+
+  return {
+    assessorScore,
+    blendedScore,
+    letterGrade: letterGrade(blendedScore),
+  };
+}
+
+/**
+ * Automated score for a company: the criticality-weighted average of its
+ * applications' cached scores (see services/rollups.js)
+ * Returns null when none of its applications have been scored.
+ */
+export async function companyAutomatedScore(companyId) {
+  const { weightedScore } = await getCompanyRollup(companyId);
+  return weightedScore;
+}
+
+/**
+ * Record an assessor grade for a company ({ companyId }) or an application
+ * ({ applicationId }), snapshotting the automated score it was blended with.
+ */
+export async function recordGrade(owner, automatedScore, grade, adminEmail) {
+  const { blendedScore, letterGrade: letter } = blendGrade(automatedScore, grade);
+
+  return prisma.grade.create({
+    data: {
+      ...owner,
+      ...grade,
+      automatedScore,
+      blendedScore,
+      letterGrade: letter,
+      gradedBy: adminEmail,
+    },
+  });
+}
+
+/**
+ * Current grade and grading history for a company or an application
+ * The current grade blends the latest assessor grade with today's automated
+ * score, so it moves as the automated score does. Before any assessor grade
+ * the letter comes from the automated score alone. History is newest first
+ * and keeps the blend recorded at the time of each grading.
+ */
+export async function getGrading(owner, automatedScore) {
+  const history = await prisma.grade.findMany({
+    where: owner,
+    orderBy: { createdAt: 'desc' },
+  });
+
+  const latest = history[0];
+  const current = latest
+    ? {
+      ...blendGrade(automatedScore, latest),
+      automatedScore,
+      gradedBy: latest.gradedBy,
+      gradedAt: latest.createdAt,
+    }
+    : {
+      assessorScore: null,
+      blendedScore: automatedScore,
+      letterGrade: letterGrade(automatedScore),
+      automatedScore,
+      gradedBy: null,
+      gradedAt: null,
+    };
+
+  return {
+    current,
+    history: history.map(grade => ({
+      ...grade,
+      assessorScore: blendGrade(grade.automatedScore, grade).assessorScore,
+    })),
+    criteria: GRADE_CRITERIA,
+  };
+}
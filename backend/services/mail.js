@@ -0,0 +1,166 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import nodemailer from 'nodemailer';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'mail');
+
+// 'smtp' sends through SMTP_HOST; 'maildir' writes each message to a local
+// Maildir for development. Defaults to SMTP when a host is configured.
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'maildir');
+const MAIL_FROM = process.env.MAIL_FROM || 'AppSec Catalog <no-reply@localhost>';
+const MAILDIR_PATH = process.env.MAILDIR_PATH || path.join(__dirname, '..', 'maildir');
+
+// Subject line of each template; bodies live in templates/mail/<name>.txt and .html
+const SUBJECTS = {
+  magicCode: 'Your AppSec Catalog sign-in code',
+  invitation: "You've been invited to AppSec Catalog",
+  passwordReset: 'Set a new AppSec Catalog password',
+  accountVerified: 'Your AppSec Catalog account has been approved',
+};
+
+let transporter = null;
+let maildirSequence = 0;
+
+function createTransporter() {
+  if (MAIL_TRANSPORT === 'smtp') {
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      // Implicit TLS on 465; other ports upgrade with STARTTLS when offered
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      ...(process.env.SMTP_USER && {
+        auth: {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASSWORD,
+        },
+      }),
+    });
+  }
+
+  if (MAIL_TRANSPORT === 'maildir') {
+    // Build the raw message only; deliverToMaildir writes it out
+    return nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+      newline: 'unix',
+    });
+  }
+
+  throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}" (expected smtp or maildir)`);
+}
+
+function getTransporter() {
+  if (!transporter) {
+    transporter = createTransporter();
+  }
+  return transporter;
+}
+
+// Write a raw message into MAILDIR_PATH/new, via tmp so readers never see a
+// partial file
+async function deliverToMaildir(message) {
+  for (const dir of ['tmp', 'new', 'cur']) {
+    await fs.promises.mkdir(path.join(MAILDIR_PATH, dir), { recursive: true });
+  }
+
+  const filename = `${Date.now()}.P${process.pid}Q${++maildirSequence}.${os.hostname()}`;
+  const tmpPath = path.join(MAILDIR_PATH, 'tmp', filename);
+  const newPath = path.join(MAILDIR_PATH, 'new', filename);
+
+  await fs.promises.writeFile(tmpPath, message);
+  await fs.promises.rename(tmpPath, newPath);
+
+  return newPath;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Replace {{name}} placeholders with data values, HTML-escaped when `escape`
+// is set except for keys listed in `raw`. Unknown placeholders are an error
+// so a typo in a template cannot go out as literal braces.
+function fillTemplate(template, data, escape, raw = []) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    if (!(key in data)) {
+      throw new Error(`Missing mail template value "${key}"`);
+    }
+    return escape && !raw.includes(key) ? escapeHtml(data[key]) : String(data[key]);
+  });
+}
+
+/**
+ * Render a mail template as { subject, text, html }
+ * The HTML body is wrapped in templates/mail/layout.html; values are escaped
+ * for HTML but inserted as-is into the text body.
+ */
+export async function renderMail(template, data = {}) {
+  if (!SUBJECTS[template]) {
+    throw new Error(`Unknown mail template "${template}"`);
+  }
+
+  const [text, body, layout] = await Promise.all([
+    fs.promises.readFile(path.join(TEMPLATES_DIR, `${template}.txt`), 'utf-8'),
+    fs.promises.readFile(path.join(TEMPLATES_DIR, `${template}.html`), 'utf-8'),
+    fs.promises.readFile(path.join(TEMPLATES_DIR, 'layout.html'), 'utf-8'),
+  ]);
+
+  const subject = SUBJECTS[template];
+  const html = fillTemplate(layout, { subject, body: fillTemplate(body, data, true) }, true, ['body']);
+
+  return {
+    subject,
+    text: fillTemplate(text, data, false),
+    html,
+  };
+}
+
+/**
+ * Send a templated email
+ * `template` is one of magicCode, invitation, passwordReset or
+ * accountVerified, filled in from `data`. Throws if the message could not be
+ * delivered, so callers decide whether that fails the request.
+ */
+export async function sendMail(to, template, data = {}) {
+  const { subject, text, html } = await renderMail(template, data);
+
+  const info = await getTransporter().sendMail({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  if (MAIL_TRANSPORT === 'maildir') {
+    const file = await deliverToMaildir(info.message);
+    console.log(`📧 ${template} mail for ${to} written to ${file}`);
+  }
+
+  return info;
+}
+
+/**
+ * Check the mail transport at startup so misconfiguration shows up in the
+ * logs rather than on the first sign-in
+ */
+export async function verifyMailTransport() {
+  if (MAIL_TRANSPORT === 'maildir') {
+    console.log(`📧 Mail is written to ${MAILDIR_PATH} (set SMTP_HOST to send email)`);
+    return;
+  }
+
+  await getTransporter().verify();
+  console.log(`📧 Mail is sent through ${process.env.SMTP_HOST}`);
+}
@@ -0,0 +1,391 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import QRCode from 'qrcode';
+import { prisma } from '../prisma/client.js';
+import { establishSession, regenerateSession } from './sessions.js';
+import { encryptSecret, decryptSecret } from '../utils/encryption.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const MFA_CONFIG = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '..', 'config', 'mfa.json'), 'utf-8')
+);
+delete MFA_CONFIG['//'];
+
+// RFC 6238 parameters understood by all common authenticator apps
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1; // Codes from one step either side of now are accepted
+const SECRET_BYTES = 20;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const RECOVERY_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I
+const RECOVERY_CODE_LENGTH = 10;
+const INVALID_CODE_ERROR = 'Invalid authentication code';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(string) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of string.replace(/=+$/, '').toUpperCase()) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// The code for one time step of a base32 secret (RFC 4226 dynamic truncation)
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+// The time step whose code matches, or null
+function matchTotpStep(secret, code) {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  for (let step = currentStep - TOTP_DRIFT_STEPS; step <= currentStep + TOTP_DRIFT_STEPS; step++) {
+    if (crypto.timingSafeEqual(Buffer.from(totpCode(secret, step)), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code).replace(/[\s-]/g, '').toUpperCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Random recovery codes formatted as XXXXX-XXXXX
+function generateRecoveryCodes() {
+  return Array.from({ length: MFA_CONFIG.recoveryCodeCount }, () => {
+    let code = '';
+    for (let i = 0; i < RECOVERY_CODE_LENGTH; i++) {
+      code += RECOVERY_CODE_CHARS.charAt(crypto.randomInt(RECOVERY_CODE_CHARS.length));
+    }
+    return `${code.slice(0, RECOVERY_CODE_LENGTH / 2)}-${code.slice(RECOVERY_CODE_LENGTH / 2)}`;
+  });
+}
+
+/**
+ * Whether policy requires a user to use two-factor authentication: admins
+ * when requireForAdmins is set, and members of companies with requireMfa
+ * @param {Object} user - User with isAdmin and companyId
+ * @returns {Promise<boolean>}
+ */
+export async function isMfaRequired(user) {
+  if (user.isAdmin && MFA_CONFIG.requireForAdmins) {
+    return true;
+  }
+  if (!user.companyId) {
+    return false;
+  }
+
+  const company = await prisma.company.findUnique({
+    where: { id: user.companyId },
+    select: { requireMfa: true },
+  });
+  return company?.requireMfa === true;
+}
+
+/**
+ * When a user's second-factor lockout ends, or null if not locked
+ * @param {Object} user - User with mfaLockedUntil
+ * @returns {Date|null}
+ */
+export function getMfaLockout(user) {
+  return user.mfaLockedUntil && user.mfaLockedUntil > new Date()
+    ? user.mfaLockedUntil
+    : null;
+}
+
+/**
+ * Start signing a user in once their password or magic code has been checked
+ * Users with two-factor authentication get a pending sign-in that a code
+ * completes; users required to have it but not enrolled get a pending
+ * sign-in that enrolling completes. Anyone else is signed in immediately.
+ * @param {Object} req - Express request
+ * @param {Object} user - User who gave correct credentials
+ * @returns {Promise<'signed-in'|'challenge'|'enroll'>} What happened
+ */
+export async function beginSignIn(req, user) {
+  let enroll = false;
+  if (!user.mfaEnabledAt) {
+    enroll = await isMfaRequired(user);
+    if (!enroll) {
+      await establishSession(req, user);
+      return 'signed-in';
+    }
+  }
+
+  // A new session, so an earlier sign-in on this one is not used meanwhile
+  await regenerateSession(req);
+  req.session.pendingMfa = {
+    userId: user.id,
+    enroll,
+    expiresAt: Date.now() + MFA_CONFIG.challengeMinutes * 60 * 1000,
+  };
+  return enroll ? 'enroll' : 'challenge';
+}
+
+/**
+ * The sign-in waiting on a second factor (or enrolment) on this session, or
+ * null if there is none or it has expired
+ * @param {Object} req - Express request
+ * @returns {{userId: string, enroll: boolean, expiresAt: number}|null}
+ */
+export function getPendingSignIn(req) {
+  const pending = req.session?.pendingMfa;
+  if (!pending) {
+    return null;
+  }
+  if (pending.expiresAt <= Date.now()) {
+    delete req.session.pendingMfa;
+    return null;
+  }
+  return pending;
+}
+
+/**
+ * Start enrolment: generate a new secret, kept pending until enableMfa
+ * confirms the user's authenticator app produces codes for it
+ * @param {Object} user - User enrolling
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>}
+ *   Base32 secret for manual entry, provisioning URI, and that URI as a QR
+ *   code PNG data URL
+ */
+export async function createMfaSetup(user) {
+  const secret = base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { mfaPendingSecret: encryptSecret(secret) },
+  });
+
+  const label = encodeURIComponent(`${MFA_CONFIG.issuer}:${user.email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: MFA_CONFIG.issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  const otpauthUrl = `otpauth://totp/${label}?${params}`;
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl),
+  };
+}
+
+/**
+ * Finish enrolment with a code from the pending secret
+ * @param {Object} user - User enrolling
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<{recoveryCodes?: string[], error?: string}>} New recovery
+ *   codes, shown to the user once
+ */
+export async function enableMfa(user, code) {
+  if (!user.mfaPendingSecret) {
+    return { error: 'Two-factor setup has not been started' };
+  }
+
+  const step = matchTotpStep(decryptSecret(user.mfaPendingSecret), code);
+  if (step === null) {
+    return { error: INVALID_CODE_ERROR };
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      mfaSecret: user.mfaPendingSecret,
+      mfaPendingSecret: null,
+      mfaEnabledAt: new Date(),
+      mfaLastUsedStep: step,
+      mfaFailedAttempts: 0,
+      mfaLockedUntil: null,
+    },
+  });
+
+  return { recoveryCodes: await regenerateRecoveryCodes(user.id) };
+}
+
+// Count a wrong code against the user, locking second-factor verification
+// once maxFailedAttempts is reached
+async function recordFailedAttempt(user) {
+  const { mfaFailedAttempts } = await prisma.user.update({
+    where: { id: user.id },
+    data: { mfaFailedAttempts: { increment: 1 } },
+    select: { mfaFailedAttempts: true },
+  });
+
+  if (mfaFailedAttempts < MFA_CONFIG.maxFailedAttempts) {
+    return { valid: false, error: INVALID_CODE_ERROR };
+  }
+
+  const lockedUntil = new Date();
+  lockedUntil.setMinutes(lockedUntil.getMinutes() + MFA_CONFIG.lockoutMinutes);
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      mfaFailedAttempts: 0,
+      mfaLockedUntil: lockedUntil,
+    },
+  });
+
+  console.warn(`Two-factor verification locked for ${user.email} until ${lockedUntil.toISOString()}`);
+  return { valid: false, lockedUntil, error: 'Too many incorrect codes' };
+}
+
+/**
+ * Check a second factor: a TOTP code, or a recovery code which is then used up
+ * Each TOTP code is accepted once. Wrong codes count toward the account's
+ * lockout; a correct code resets the count.
+ * @param {Object} user - User with two-factor authentication enabled
+ * @param {Object} factor
+ * @param {string} [factor.code] - Code from the authenticator app
+ * @param {string} [factor.recoveryCode] - Recovery code
+ * @returns {Promise<{valid: boolean, lockedUntil?: Date, error?: string}>}
+ */
+export async function verifySecondFactor(user, { code, recoveryCode }) {
+  const lockedUntil = getMfaLockout(user);
+  if (lockedUntil) {
+    return { valid: false, lockedUntil, error: 'Too many incorrect codes' };
+  }
+
+  let accepted = false;
+  if (code) {
+    const step = matchTotpStep(decryptSecret(user.mfaSecret), code);
+    if (step !== null) {
+      // The step condition rejects a code that was already used, including
+      // by a concurrent request
+      const { count } = await prisma.user.updateMany({
+        where: {
+          id: user.id,
+          OR: [{ mfaLastUsedStep: null }, { mfaLastUsedStep: { lt: step } }],
+        },
+        data: { mfaLastUsedStep: step },
+      });
+      accepted = count > 0;
+    }
+  } else if (recoveryCode) {
+    const { count } = await prisma.mfaRecoveryCode.updateMany({
+      where: {
+        userId: user.id,
+        codeHash: hashRecoveryCode(recoveryCode),
+        usedAt: null,
+      },
+      data: { usedAt: new Date() },
+    });
+    accepted = count > 0;
+  }
+
+  if (!accepted) {
+    return recordFailedAttempt(user);
+  }
+
+  if (user.mfaFailedAttempts > 0 || user.mfaLockedUntil) {
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        mfaFailedAttempts: 0,
+        mfaLockedUntil: null,
+      },
+    });
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Turn off two-factor authentication for a user and discard their recovery
+ * codes
+ * @param {string} userId - User ID
+ */
+export async function disableMfa(userId) {
+  await prisma.$transaction([
+    prisma.mfaRecoveryCode.deleteMany({ where: { userId } }),
+    prisma.user.update({
+      where: { id: userId },
+      data: {
+        mfaSecret: null,
+        mfaPendingSecret: null,
+        mfaEnabledAt: null,
+        mfaLastUsedStep: null,
+        mfaFailedAttempts: 0,
+        mfaLockedUntil: null,
+      },
+    }),
+  ]);
+}
+
+/**
+ * Replace a user's recovery codes, invalidating the old ones
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} New recovery codes, shown to the user once
+ */
+export async function regenerateRecoveryCodes(userId) {
+  const codes = generateRecoveryCodes();
+  await prisma.$transaction([
+    prisma.mfaRecoveryCode.deleteMany({ where: { userId } }),
+    prisma.mfaRecoveryCode.createMany({
+      data: codes.map(code => ({ userId, codeHash: hashRecoveryCode(code) })),
+    }),
+  ]);
+  return codes;
+}
+
+/**
+ * A user's two-factor authentication status
+ * @param {Object} user - User
+ * @returns {Promise<{enabled: boolean, enabledAt: Date|null, required: boolean, recoveryCodesRemaining: number}>}
+ */
+export async function getMfaStatus(user) {
+  const [required, recoveryCodesRemaining] = await Promise.all([
+    isMfaRequired(user),
+    prisma.mfaRecoveryCode.count({ where: { userId: user.id, usedAt: null } }),
+  ]);
+
+  return {
+    enabled: !!user.mfaEnabledAt,
+    enabledAt: user.mfaEnabledAt,
+    required,
+    recoveryCodesRemaining,
+  };
+}
@@ -0,0 +1,280 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as oidc from 'openid-client';
+import { prisma } from '../prisma/client.js';
+import { extractDomain, findCompanyByDomain, parseCompanyDomains } from '../utils/domain.js';
+import { encryptSecret, decryptSecret } from '../utils/encryption.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const SSO_CONFIG = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '..', 'config', 'sso.json'), 'utf-8')
+);
+delete SSO_CONFIG['//'];
+
+// Plain-HTTP issuers are only accepted on the local machine, e.g. the mock
+// provider in scripts/mock-oidc.js
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+const discoveryCache = new Map(); // connection id -> { updatedAt, config, expiresAt }
+
+/**
+ * The URL identity providers send users back to; register it as the client's
+ * redirect URI
+ */
+export function getOidcRedirectUri() {
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${baseUrl.replace(/\/$/, '')}/sso/callback`;
+}
+
+function isLocalHttpIssuer(issuer) {
+  const url = new URL(issuer);
+  return url.protocol === 'http:' && LOCAL_HOSTNAMES.includes(url.hostname);
+}
+
+// Fetch an issuer's discovery document and set up the client
+function discoverProvider({ issuer, clientId, clientSecret }) {
+  return oidc.discovery(
+    new URL(issuer),
+    clientId,
+    clientSecret ? decryptSecret(clientSecret) : undefined,
+    clientSecret ? undefined : oidc.None(),
+    isLocalHttpIssuer(issuer) ? { execute: [oidc.allowInsecureRequests] } : undefined
+  );
+}
+
+// Discovered provider configuration for a connection, cached until the
+// connection changes or discoveryCacheMinutes pass
+async function getProviderConfig(connection) {
+  const cached = discoveryCache.get(connection.id);
+  if (cached && cached.updatedAt === connection.updatedAt.getTime() && cached.expiresAt > Date.now()) {
+    return cached.config;
+  }
+
+  const config = await discoverProvider(connection);
+
+  discoveryCache.set(connection.id, {
+    updatedAt: connection.updatedAt.getTime(),
+    config,
+    expiresAt: Date.now() + SSO_CONFIG.discoveryCacheMinutes * 60 * 1000,
+  });
+  return config;
+}
+
+/**
+ * The enabled SSO connection for an email address, found through the
+ * company its domain belongs to
+ * @param {string} email - Email address
+ * @returns {Promise<Object|null>} OidcConnection with its company, or null
+ */
+export async function findOidcConnectionForEmail(email) {
+  const company = await findCompanyByDomain(extractDomain(email));
+  if (!company) {
+    return null;
+  }
+
+  const connection = await prisma.oidcConnection.findUnique({
+    where: { companyId: company.id },
+    include: { company: { select: { id: true, name: true } } },
+  });
+  return connection?.enabled ? connection : null;
+}
+
+/**
+ * Start signing in through a connection's identity provider
+ * @param {Object} connection - OidcConnection
+ * @param {string} email - Email address the user entered, passed on as a login hint
+ * @returns {Promise<{authorizationUrl: string, pending: Object}>} Where to send
+ *   the user, and the state to keep in their session until they come back
+ */
+export async function startOidcSignIn(connection, email) {
+  const config = await getProviderConfig(connection);
+
+  const codeVerifier = oidc.randomPKCECodeVerifier();
+  const state = oidc.randomState();
+  const nonce = oidc.randomNonce();
+
+  const authorizationUrl = oidc.buildAuthorizationUrl(config, {
+    redirect_uri: getOidcRedirectUri(),
+    scope: 'openid email profile',
+    code_challenge: await oidc.calculatePKCECodeChallenge(codeVerifier),
+    code_challenge_method: 'S256',
+    state,
+    nonce,
+    login_hint: email,
+  });
+
+  return {
+    authorizationUrl: authorizationUrl.href,
+    pending: {
+      connectionId: connection.id,
+      codeVerifier,
+      state,
+      nonce,
+      expiresAt: Date.now() + SSO_CONFIG.signInTimeoutMinutes * 60 * 1000,
+    },
+  };
+}
+
+/**
+ * Finish signing in: exchange the authorization code from the identity
+ * provider's redirect and validate the ID token
+ * @param {Object} connection - OidcConnection the sign-in started with
+ * @param {Object} pending - State saved by startOidcSignIn
+ * @param {string} query - Query string of the redirect back to getOidcRedirectUri()
+ * @returns {Promise<Object>} ID token claims
+ * @throws If the provider reported an error or the response does not validate
+ */
+export async function completeOidcSignIn(connection, pending, query) {
+  const config = await getProviderConfig(connection);
+  const callbackUrl = new URL(getOidcRedirectUri());
+  callbackUrl.search = query;
+
+  const tokens = await oidc.authorizationCodeGrant(config, callbackUrl, {
+    pkceCodeVerifier: pending.codeVerifier,
+    expectedState: pending.state,
+    expectedNonce: pending.nonce,
+    idTokenExpected: true,
+  });
+  return tokens.claims();
+}
+
+/**
+ * The user an identity provider signed in, created on first sign-in
+ * The email must belong to one of the connection's company's email domains,
+ * so a provider cannot sign in users of other companies, and admin accounts
+ * are refused. New users join the company; with autoVerify they skip admin
+ * approval.
+ * @param {Object} connection - OidcConnection the user signed in through
+ * @param {Object} claims - Validated ID token claims
+ * @returns {Promise<{user?: Object, error?: string, status?: number}>} User
+ *   with company, or an error and HTTP status
+ */
+export async function findOrCreateSsoUser(connection, claims) {
+  const email = typeof claims.email === 'string' ? claims.email.trim().toLowerCase() : null;
+  if (!email) {
+    return { error: 'The identity provider did not share an email address', status: 400 };
+  }
+  if (claims.email_verified === false) {
+    return { error: 'The identity provider has not verified this email address', status: 403 };
+  }
+
+  const company = await findCompanyByDomain(extractDomain(email));
+  if (company?.id !== connection.companyId) {
+    return { error: `${email} is not an email domain of ${connection.company.name}`, status: 403 };
+  }
+
+  const include = {
+    company: {
+      select: {
+        id: true,
+        name: true,
+      },
+    },
+  };
+
+  const existing = await prisma.user.findUnique({ where: { email } });
+
+  if (!existing) {
+    const user = await prisma.user.create({
+      data: {
+        email,
+        password: null, // Signs in through the identity provider
+        verifiedAccount: connection.autoVerify,
+        isAdmin: false,
+        companyId: connection.companyId,
+      },
+      include,
+    });
+    return { user };
+  }
+
+  if (existing.companyId && existing.companyId !== connection.companyId) {
+    return { error: 'This account belongs to a different company', status: 403 };
+  }
+
+  // A company's provider must not be able to grant admin access
+  if (existing.isAdmin) {
+    return { error: 'Admin accounts cannot sign in with company single sign-on', status: 403 };
+  }
+
+  const user = await prisma.user.update({
+    where: { id: existing.id },
+    data: {
+      companyId: connection.companyId,
+      ...(connection.autoVerify && { verifiedAccount: true }),
+    },
+    include,
+  });
+  return { user };
+}
+
+/**
+ * A connection as shown to admins: the client secret is never returned
+ * @param {Object|null} connection - OidcConnection
+ * @param {Object} company - Company the connection belongs to
+ */
+export function formatOidcConnection(connection, company) {
+  const { clientSecret, ...rest } = connection || {};
+  return {
+    connection: connection ? { ...rest, hasClientSecret: !!clientSecret } : null,
+    emailDomains: parseCompanyDomains(company.domains),
+    redirectUri: getOidcRedirectUri(),
+  };
+}
+
+/**
+ * Validate an admin's SSO settings
+ * @param {Object} body - Request body with issuer, clientId, and optionally
+ *   clientSecret (omit to keep the stored one, '' or null to remove it),
+ *   autoVerify and enabled
+ * @returns {{data?: Object, error?: string}} Prisma data for the connection
+ */
+export function validateOidcConnection(body) {
+  const issuer = typeof body.issuer === 'string' ? body.issuer.trim().replace(/\/$/, '') : '';
+  const clientId = typeof body.clientId === 'string' ? body.clientId.trim() : '';
+
+  if (!issuer || !clientId) {
+    return { error: 'Issuer and client ID are required' };
+  }
+
+  let issuerUrl;
+  try {
+    issuerUrl = new URL(issuer);
+  } catch {
+    return { error: 'Issuer must be a URL' };
+  }
+  if (issuerUrl.protocol !== 'https:' && !isLocalHttpIssuer(issuer)) {
+    return { error: 'Issuer must use HTTPS' };
+  }
+
+  const data = {
+    issuer,
+    clientId,
+    ...(body.autoVerify !== undefined && { autoVerify: Boolean(body.autoVerify) }),
+    ...(body.enabled !== undefined && { enabled: Boolean(body.enabled) }),
+  };
+
+  if (body.clientSecret !== undefined) {
+    data.clientSecret = body.clientSecret ? encryptSecret(String(body.clientSecret)) : null;
+  }
+
+  return { data };
+}
+
+/**
+ * Check that an issuer publishes a usable discovery document
+ * @param {Object} settings - issuer, clientId and encrypted clientSecret, as
+ *   returned by validateOidcConnection
+ * @returns {Promise<string|null>} Error message, or null if discovery worked
+ */
+export async function checkOidcDiscovery(settings) {
+  try {
+    await discoverProvider(settings);
+    return null;
+  } catch (error) {
+    return `Could not load the identity provider's configuration from ${settings.issuer}: ${error.message}`;
+  }
+}
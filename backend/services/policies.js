@@ -0,0 +1,202 @@
+import { prisma } from '../prisma/client.js';
+import { getScoringConfig, coversToolCategory } from './scoring.js';
+import { riskCovers, getAcceptedRisks } from './risks.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MIN_CRITICALITY = 1;
+const MAX_CRITICALITY = 5;
+
+function splitList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// Optional whole number within a range: undefined when blank, NaN when invalid
+function optionalInteger(value, min, max) {
+  if (value === null || value === undefined || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max ? number : NaN;
+}
+
+/**
+ * Validate a policy submitted by an admin
+ * A policy needs a name and at least one rule. Company and criticality tier
+ * are optional scopes; leaving them out applies the policy everywhere.
+ * Returns { policy } ready to save, or { error }.
+ */
+export function normalizePolicy(input) {
+  const name = input?.name?.trim();
+  if (!name) {
+    return { error: 'Policy name is required' };
+  }
+
+  const businessCriticality = optionalInteger(input.businessCriticality, MIN_CRITICALITY, MAX_CRITICALITY);
+  if (Number.isNaN(businessCriticality)) {
+    return { error: `Criticality tier must be a whole number from ${MIN_CRITICALITY} to ${MAX_CRITICALITY}` };
+  }
+
+  const minTotalScore = optionalInteger(input.minTotalScore, 0, 100);
+  if (Number.isNaN(minTotalScore)) {
+    return { error: 'Minimum score must be a whole number from 0 to 100' };
+  }
+
+  const maxReviewAgeDays = optionalInteger(input.maxReviewAgeDays, 1, Infinity);
+  if (Number.isNaN(maxReviewAgeDays)) {
+    return { error: 'Maximum review age must be a whole number of days' };
+  }
+
+  const { toolCategories } = getScoringConfig();
+  const categories = Array.isArray(input.requiredToolCategories)
+    ? input.requiredToolCategories
+    : splitList(input.requiredToolCategories);
+  const unknown = categories.find(category => !toolCategories[category]);
+  if (unknown) {
+    return { error: `Unknown tool category: ${unknown}` };
+  }
+
+  if (minTotalScore === undefined && maxReviewAgeDays === undefined && categories.length === 0) {
+    return { error: 'A policy needs at least one rule' };
+  }
+
+  return {
+    policy: {
+      name,
+      companyId: input.companyId || null,
+      businessCriticality: businessCriticality ?? null,
+      minTotalScore: minTotalScore ?? null,
+      requiredToolCategories: [...new Set(categories)].join(',') || null,
+      maxReviewAgeDays: maxReviewAgeDays ?? null,
+    },
+  };
+}
+
+/**
+ * Whether a policy's company and criticality tier scopes include an application
+ */
+export function policyApplies(policy, application) {
+  if (policy.companyId && policy.companyId !== application.companyId) {
+    return false;
+  }
+  if (policy.businessCriticality && policy.businessCriticality !== application.businessCriticality) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * The strictest minimum score among the policies that apply to an
+ * application, or null if none sets one
+ */
+export function minimumScore(application, policies) {
+  const scoreTargets = policies
+    .filter(policy => policy.minTotalScore !== null && policyApplies(policy, application))
+    .map(policy => policy.minTotalScore);
+
+  return scoreTargets.length > 0 ? Math.max(...scoreTargets) : null;
+}
+
+/**
+ * Evaluate an application against every policy that applies to it
+ * The score rule uses the cached current total score; an application that
+ * has not been scored yet fails it. Tool categories are covered by a tool at
+ * a known integration level or an approved N/A. Review age counts days since
+ * metadataLastReviewed; metadata that has never been reviewed fails it.
+ * A failure covered by one of the application's accepted `risks` is kept,
+ * with acceptedRisk set, but does not count against compliance.
+ * Returns { compliant, minTotalScore, policies: [{ id, name }], failures:
+ * [{ policyId, policyName, rule, category, message, acceptedRisk }] }.
+ * compliant is null when no policy applies; minTotalScore is the strictest
+ * applicable score target.
+ */
+export function evaluateCompliance(application, policies, risks = [], now = new Date()) {
+  const applicable = policies.filter(policy => policyApplies(policy, application));
+  const { toolCategories } = getScoringConfig();
+  const failures = [];
+
+  for (const policy of applicable) {
+    const fail = (rule, message, category = null) => {
+      const failure = { policyId: policy.id, policyName: policy.name, rule, category, message };
+      const risk = risks.find(entry => riskCovers(entry, failure, now));
+      failures.push({ ...failure, acceptedRisk: risk ? { id: risk.id, expiresAt: risk.expiresAt } : null });
+    };
+
+    if (policy.minTotalScore !== null) {
+      const score = application.currentTotalScore;
+      if (score === null || score === undefined) {
+        fail('minTotalScore', `Not scored yet (minimum ${policy.minTotalScore})`);
+      } else if (score < policy.minTotalScore) {
+        fail('minTotalScore', `Score ${score} is below the minimum of ${policy.minTotalScore}`);
+      }
+    }
+
+    // Categories since removed from the scoring config are no longer required
+    for (const category of splitList(policy.requiredToolCategories)) {
+      if (toolCategories[category] && !coversToolCategory(application, category, now)) {
+        fail('requiredToolCategories', `No ${toolCategories[category].name} tool in place`, category);
+      }
+    }
+
+    if (policy.maxReviewAgeDays !== null) {
+      if (!application.metadataLastReviewed) {
+        fail('maxReviewAgeDays', `Metadata has never been reviewed (maximum ${policy.maxReviewAgeDays} days)`);
+      } else {
+        const days = Math.floor((now - new Date(application.metadataLastReviewed)) / DAY_MS);
+        if (days > policy.maxReviewAgeDays) {
+          fail('maxReviewAgeDays', `Metadata last reviewed ${days} days ago (maximum ${policy.maxReviewAgeDays})`);
+        }
+      }
+    }
+  }
+
+  return {
+    compliant: applicable.length > 0 ? failures.every(failure => failure.acceptedRisk) : null,
+    minTotalScore: minimumScore(application, applicable),
+    policies: applicable.map(({ id, name }) => ({ id, name })),
+    failures,
+  };
+}
+
+/**
+ * All policies, with the company each is scoped to
+ */
+export async function getPolicies() {
+  return prisma.policy.findMany({
+    include: {
+      company: {
+        select: {
+          id: true,
+          name: true,
+        },
+      },
+    },
+    orderBy: {
+      name: 'asc',
+    },
+  });
+}
+
+/**
+ * Add a `compliance` evaluation to each application, taking its accepted
+ * risks into account. Applications need their `tools` included.
+ */
+export async function withCompliance(applications) {
+  const now = new Date();
+  const [policies, risks] = await Promise.all([
+    prisma.policy.findMany(),
+    getAcceptedRisks(applications.map(application => application.id), now),
+  ]);
+  return applications.map(application => ({
+    ...application,
+    compliance: evaluateCompliance(
+      application,
+      policies,
+      risks.filter(risk => risk.applicationId === application.id),
+      now
+    ),
+  }));
+}
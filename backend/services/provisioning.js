@@ -0,0 +1,320 @@
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { prisma } from '../prisma/client.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const productConfig = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '..', 'config', 'products.json'), 'utf-8')
+);
+
+const SCRIPTS_DIR = process.env.PROVISIONING_SCRIPTS_DIR
+  || path.join(__dirname, '..', 'scripts', 'provisioning');
+const SCRIPT_TIMEOUT_MS = parseInt(process.env.PROVISIONING_TIMEOUT_MS) || 10 * 60 * 1000;
+const OUTPUT_FLUSH_INTERVAL_MS = 1000;
+const HEARTBEAT_INTERVAL_MS = 60 * 1000; // A running job records that it is alive at least this often
+const STALE_AFTER_MS = 5 * 60 * 1000; // A RUNNING job not heard from for this long has died
+
+const handlers = new Map();
+
+/**
+ * Register a provisioning handler for a product
+ * The handler is called as handler({ request, product, log }) and should throw
+ * on failure. Anything passed to log() is appended to the job output.
+ * Registering a handler replaces the product's configured script.
+ */
+export function registerProvisioningHandler(product, handler) {
+  handlers.set(product, handler);
+}
+
+/**
+ * Default handler for products with a `script` in config/products.json
+ * Runs the script from SCRIPTS_DIR with the request details in its environment
+ * and streams stdout/stderr into the job output. A non-zero exit fails the job.
+ */
+function scriptHandler(script) {
+  return ({ request, product, log }) => new Promise((resolve, reject) => {
+    const scriptPath = path.resolve(SCRIPTS_DIR, script);
+
+    if (!fs.existsSync(scriptPath)) {
+      reject(new Error(`Provisioning script not found: ${scriptPath}`));
+      return;
+    }
+
+    log(`$ ${scriptPath}\n`);
+
+    const child = spawn(scriptPath, [], {
+      env: {
+        ...process.env,
+        REQUEST_ID: String(request.id),
+        REQUEST_TYPE: request.requestType,
+        REQUEST_USERS: request.users || '',
+        PRODUCT: product,
+        APPLICATION_ID: request.application?.id || '',
+        APPLICATION_NAME: request.application?.name || '',
+        COMPANY_NAME: request.application?.company?.name || '',
+      },
+    });
+
+    const timer = setTimeout(() => {
+      log(`\nTimed out after ${SCRIPT_TIMEOUT_MS}ms, killing script\n`);
+      child.kill('SIGKILL');
+    }, SCRIPT_TIMEOUT_MS);
+
+    child.stdout.on('data', chunk => log(chunk.toString()));
+    child.stderr.on('data', chunk => log(chunk.toString()));
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(signal ? `Script killed by ${signal}` : `Script exited with code ${code}`));
+      }
+    });
+  });
+}
+
+function getHandler(product) {
+  if (handlers.has(product)) {
+    return handlers.get(product);
+  }
+
+  const script = productConfig[product]?.script;
+  return script ? scriptHandler(script) : null;
+}
+
+/**
+ * Whether a product is provisioned automatically, by a registered handler or
+ * a configured script. Other products are onboarded by hand.
+ */
+export function hasProvisioningHandler(product) {
+  return getHandler(product) !== null;
+}
+
+// Products listed on a request
+function requestProducts(request) {
+  return request.products.split(',').map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Run one product's handler, recording the attempt as a ScriptJob
+ * Output is buffered and flushed to the job periodically so the log viewer
+ * can follow along while the handler is still running. Each flush is also a
+ * heartbeat, written at least every HEARTBEAT_INTERVAL_MS, so other
+ * instances can tell the job is alive. Returns the job's final status.
+ */
+async function runJob(request, product) {
+  const job = await prisma.scriptJob.create({
+    data: {
+      requestId: request.id,
+      product,
+      status: 'RUNNING',
+      output: '',
+    },
+  });
+
+  let output = '';
+  let dirty = false;
+  let lastHeartbeat = Date.now();
+  let pendingFlush = Promise.resolve();
+  const log = (text) => {
+    output += text;
+    dirty = true;
+  };
+
+  const flush = setInterval(() => {
+    if (!dirty && Date.now() - lastHeartbeat < HEARTBEAT_INTERVAL_MS) return;
+    dirty = false;
+    lastHeartbeat = Date.now();
+    pendingFlush = prisma.scriptJob.updateMany({
+      where: { id: job.id, status: 'RUNNING' },
+      data: { output, heartbeatAt: new Date() },
+    }).catch(error => {
+      console.error('Error flushing provisioning output:', error);
+    });
+  }, OUTPUT_FLUSH_INTERVAL_MS);
+
+  let status = 'COMPLETED';
+  try {
+    const handler = getHandler(product);
+    if (!handler) {
+      throw new Error(`No provisioning handler registered for ${product}`);
+    }
+    await handler({ request, product, log });
+  } catch (error) {
+    status = 'FAILED';
+    log(`\n${error.message}\n`);
+  } finally {
+    clearInterval(flush);
+  }
+
+  // Let an in-flight flush land first so it cannot overwrite the final output
+  await pendingFlush;
+
+  // A job another instance already failed as stale stays failed
+  const { count } = await prisma.scriptJob.updateMany({
+    where: { id: job.id, status: 'RUNNING' },
+    data: {
+      status,
+      output,
+      endedAt: new Date(),
+    },
+  });
+
+  return count > 0 ? status : 'FAILED';
+}
+
+/**
+ * Provision the given products for a request, one ScriptJob per product
+ * with a handler. The request is IN_PROGRESS while jobs run, then FAILED if
+ * any automated product has not succeeded (including earlier attempts),
+ * APPROVED if the rest of its products are left for manual onboarding, or
+ * COMPLETED if every product was provisioned.
+ */
+export async function runProvisioning(requestId, products) {
+  const request = await prisma.request.findUnique({
+    where: { id: requestId },
+    include: {
+      application: {
+        select: {
+          id: true,
+          name: true,
+          company: {
+            select: {
+              name: true,
+            },
+          },
+        },
+      },
+    },
+  });
+
+  if (!request) {
+    throw new Error(`Request ${requestId} not found`);
+  }
+
+  await prisma.request.update({
+    where: { id: requestId },
+    data: { status: 'IN_PROGRESS' },
+  });
+
+  for (const product of products.filter(hasProvisioningHandler)) {
+    await runJob(request, product);
+  }
+
+  const failed = await getFailedProducts(requestId);
+  const manual = requestProducts(request).filter(product => !hasProvisioningHandler(product));
+
+  let status = 'COMPLETED';
+  if (failed.length > 0) {
+    status = 'FAILED';
+  } else if (manual.length > 0) {
+    status = 'APPROVED';
+  }
+
+  await prisma.request.update({
+    where: { id: requestId },
+    data: { status },
+  });
+}
+
+/**
+ * Automated products on a request whose most recent job did not complete
+ * Automated products that have never been attempted count as failed;
+ * products without a handler are onboarded by hand and never do.
+ */
+export async function getFailedProducts(requestId) {
+  const request = await prisma.request.findUnique({
+    where: { id: requestId },
+    include: {
+      scriptJobs: {
+        orderBy: {
+          id: 'desc',
+        },
+      },
+    },
+  });
+
+  if (!request) {
+    return [];
+  }
+
+  return requestProducts(request).filter(hasProvisioningHandler).filter(product => {
+    const latest = request.scriptJobs.find(job => job.product === product);
+    return !latest || latest.status === 'FAILED';
+  });
+}
+
+/**
+ * Mark jobs left RUNNING by a stopped process as FAILED, along with their
+ * requests. Handlers do not survive a restart. Jobs that sent a heartbeat
+ * recently may belong to another backend instance and are left alone; a dead
+ * job is caught once it goes STALE_AFTER_MS without one.
+ */
+export async function recoverInterruptedJobs() {
+  const staleBefore = new Date(Date.now() - STALE_AFTER_MS);
+  const stale = await prisma.scriptJob.findMany({
+    where: {
+      status: 'RUNNING',
+      heartbeatAt: { lt: staleBefore },
+    },
+    select: { id: true, requestId: true, output: true },
+  });
+
+  const interrupted = [];
+  for (const job of stale) {
+    // Skip jobs that sent a heartbeat or finished since they were read
+    const { count } = await prisma.scriptJob.updateMany({
+      where: {
+        id: job.id,
+        status: 'RUNNING',
+        heartbeatAt: { lt: staleBefore },
+      },
+      data: {
+        status: 'FAILED',
+        output: `${job.output}\nInterrupted: the server running it stopped\n`,
+        endedAt: new Date(),
+      },
+    });
+    if (count > 0) {
+      interrupted.push(job);
+    }
+  }
+
+  if (interrupted.length === 0) {
+    return;
+  }
+
+  const requestIds = [...new Set(interrupted.map(job => job.requestId))];
+  await prisma.request.updateMany({
+    where: {
+      id: { in: requestIds },
+      status: 'IN_PROGRESS',
+    },
+    data: { status: 'FAILED' },
+  });
+
+  console.log(`⚠️  Marked ${interrupted.length} interrupted provisioning job(s) as failed`);
+}
+
+/**
+ * Recover interrupted jobs now and every STALE_AFTER_MS, so a job cut off on
+ * another instance is failed without waiting for the next restart
+ */
+export function scheduleInterruptedJobRecovery() {
+  const recover = () => recoverInterruptedJobs().catch(error => {
+    console.error('Failed to recover provisioning jobs:', error);
+  });
+
+  recover();
+  setInterval(recover, STALE_AFTER_MS).unref();
+}
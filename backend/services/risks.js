@@ -0,0 +1,172 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { prisma } from '../prisma/client.js';
+import { getScoringConfig } from './scoring.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const RISK_CONFIG = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '..', 'config', 'riskAcceptance.json'), 'utf-8')
+);
+delete RISK_CONFIG['//'];
+
+export const EXPIRY_WARNING_DAYS = RISK_CONFIG.expiryWarningDays;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Policy rules a risk can cover (see evaluateCompliance in services/policies.js)
+const POLICY_RULES = ['minTotalScore', 'requiredToolCategories', 'maxReviewAgeDays'];
+
+/**
+ * Effective status of a risk acceptance
+ * 'EXPIRED' for an accepted risk past its expiry date, otherwise the stored
+ * status: 'PENDING', 'ACCEPTED', 'REJECTED' or 'CLOSED'.
+ */
+export function riskStatus(risk, now = new Date()) {
+  if (risk.status === 'ACCEPTED' && new Date(risk.expiresAt) <= now) {
+    return 'EXPIRED';
+  }
+  return risk.status;
+}
+
+/**
+ * Whether an accepted risk excuses a failing policy rule
+ * ({ rule, category } from evaluateCompliance). A risk covering a required
+ * tool category only covers that category.
+ */
+export function riskCovers(risk, failure, now = new Date()) {
+  if (riskStatus(risk, now) !== 'ACCEPTED' || risk.rule !== failure.rule) {
+    return false;
+  }
+  return risk.rule !== 'requiredToolCategories' || risk.toolCategory === failure.category;
+}
+
+/**
+ * Validate a risk acceptance submitted for an application
+ * The risk description, approver and expiry date are required; the expiry
+ * must be in the future and within maxAcceptanceDays. The policy rule is
+ * optional, and needs a tool category when it is requiredToolCategories.
+ * Returns { risk } ready to save, or { error }.
+ */
+export function normalizeRisk(input, now = new Date()) {
+  const description = input?.description?.trim();
+  if (!description) {
+    return { error: 'Risk description is required' };
+  }
+
+  const approver = input.approver?.trim();
+  if (!approver) {
+    return { error: 'Approver is required' };
+  }
+
+  const expiresAt = input.expiresAt ? new Date(input.expiresAt) : null;
+  if (!expiresAt || Number.isNaN(expiresAt.getTime())) {
+    return { error: 'Expiry date is required' };
+  }
+  if (expiresAt <= now) {
+    return { error: 'Expiry date must be in the future' };
+  }
+  if (expiresAt - now > RISK_CONFIG.maxAcceptanceDays * DAY_MS) {
+    return { error: `Risks can be accepted for at most ${RISK_CONFIG.maxAcceptanceDays} days` };
+  }
+
+  const rule = input.rule || null;
+  if (rule && !POLICY_RULES.includes(rule)) {
+    return { error: 'Invalid policy rule' };
+  }
+
+  let toolCategory = null;
+  if (rule === 'requiredToolCategories') {
+    toolCategory = input.toolCategory || null;
+    if (!getScoringConfig().toolCategories[toolCategory]) {
+      return { error: 'Choose the tool category the risk covers' };
+    }
+  }
+
+  return {
+    risk: {
+      description,
+      compensatingControls: input.compensatingControls?.trim() || null,
+      rule,
+      toolCategory,
+      approver,
+      expiresAt,
+    },
+  };
+}
+
+/**
+ * Risk acceptance with its effective status and the tool category's name
+ */
+export function formatRisk(risk, now = new Date()) {
+  const { toolCategories } = getScoringConfig();
+  return {
+    ...risk,
+    toolCategoryName: risk.toolCategory ? toolCategories[risk.toolCategory]?.name || risk.toolCategory : null,
+    status: riskStatus(risk, now),
+  };
+}
+
+/**
+ * Accepted, unexpired risks for the given applications
+ */
+export async function getAcceptedRisks(applicationIds, now = new Date()) {
+  return prisma.riskAcceptance.findMany({
+    where: {
+      applicationId: { in: applicationIds },
+      status: 'ACCEPTED',
+      expiresAt: { gt: now },
+    },
+  });
+}
+
+/**
+ * Accepted risks that have expired or expire within EXPIRY_WARNING_DAYS,
+ * soonest first, with their application and company
+ */
+export async function getExpiringRisks(now = new Date()) {
+  const risks = await prisma.riskAcceptance.findMany({
+    where: {
+      status: 'ACCEPTED',
+      expiresAt: { lte: new Date(now.getTime() + EXPIRY_WARNING_DAYS * DAY_MS) },
+    },
+    include: {
+      application: {
+        select: {
+          id: true,
+          name: true,
+          company: {
+            select: {
+              id: true,
+              name: true,
+            },
+          },
+        },
+      },
+    },
+    orderBy: {
+      expiresAt: 'asc',
+    },
+  });
+
+  return risks.map(risk => formatRisk(risk, now));
+}
+
+/**
+ * Record an admin's decision on a risk: 'ACCEPTED', 'REJECTED' or 'CLOSED'
+ * (the risk no longer applies). Returns the updated, formatted risk.
+ */
+export async function reviewRisk(id, status, adminEmail) {
+  const risk = await prisma.riskAcceptance.update({
+    where: { id },
+    data: {
+      status,
+      reviewedBy: adminEmail,
+      reviewedAt: new Date(),
+    },
+  });
+
+  return formatRisk(risk);
+}
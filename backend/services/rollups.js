@@ -0,0 +1,177 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { prisma } from '../prisma/client.js';
+import { minimumScore } from './policies.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROLLUP_CONFIG = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '..', 'config', 'rollups.json'), 'utf-8')
+);
+delete ROLLUP_CONFIG['//'];
+
+// Application fields a rollup needs
+const ROLLUP_SELECT = {
+  id: true,
+  name: true,
+  companyId: true,
+  businessCriticality: true,
+  facing: true,
+  currentTotalScore: true,
+};
+
+/**
+ * Rollup weight of an application: its criticality weight times its facing weight
+ */
+export function rollupWeight(app) {
+  const { businessCriticality, facing } = ROLLUP_CONFIG;
+  const criticalityWeight = businessCriticality[app.businessCriticality?.toString()] ?? businessCriticality.unrated;
+  const facingWeight = facing[app.facing] ?? facing.unrated;
+  return criticalityWeight * facingWeight;
+}
+
+// Score at percentile p (0-100) of sorted scores, interpolating between neighbours
+function percentile(sorted, p) {
+  const index = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return Math.round(sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower));
+}
+
+/**
+ * Policies with a minimum score, for rollupScores; only those that can apply
+ * to `companyId` when one is given
+ */
+export function getScorePolicies(companyId = null) {
+  return prisma.policy.findMany({
+    where: {
+      minTotalScore: { not: null },
+      ...(companyId && { OR: [{ companyId }, { companyId: null }] }),
+    },
+  });
+}
+
+/**
+ * Aggregate cached application scores
+ * averageScore is the plain mean; weightedScore weights each application by
+ * rollupWeight. Applications that have never been scored are counted but
+ * left out of every figure. An application is below threshold when it
+ * scores under the strictest minimum score of the `policies` that apply to
+ * it, or under the configured threshold when none sets one.
+ * @returns {Object} - { averageScore, weightedScore, applicationCount, scoredApplicationCount,
+ *   highestApplication, lowestApplication, percentiles: { p10, ... },
+ *   belowThreshold: { threshold, count, applications } }
+ */
+export function rollupScores(applications, policies = []) {
+  const { threshold } = ROLLUP_CONFIG;
+
+  const scored = applications
+    .filter(app => app.currentTotalScore !== null && app.currentTotalScore !== undefined)
+    .map(app => ({
+      id: app.id,
+      name: app.name,
+      score: app.currentTotalScore,
+      weight: rollupWeight(app),
+      threshold: minimumScore(app, policies) ?? threshold,
+    }));
+
+  if (scored.length === 0) {
+    return {
+      averageScore: null,
+      weightedScore: null,
+      applicationCount: applications.length,
+      scoredApplicationCount: 0,
+      highestApplication: null,
+      lowestApplication: null,
+      percentiles: null,
+      belowThreshold: { threshold, count: 0, applications: [] },
+    };
+  }
+
+  const byScore = [...scored].sort((a, b) => a.score - b.score);
+  const scores = byScore.map(app => app.score);
+  const totalWeight = scored.reduce((sum, app) => sum + app.weight, 0);
+  const below = byScore.filter(app => app.score < app.threshold);
+
+  return {
+    averageScore: Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length),
+    weightedScore: Math.round(scored.reduce((sum, app) => sum + app.score * app.weight, 0) / totalWeight),
+    applicationCount: applications.length,
+    scoredApplicationCount: scored.length,
+    highestApplication: byScore[byScore.length - 1],
+    lowestApplication: byScore[0],
+    percentiles: Object.fromEntries(
+      ROLLUP_CONFIG.percentiles.map(p => [`p${p}`, percentile(scores, p)])
+    ),
+    belowThreshold: {
+      threshold,
+      count: below.length,
+      applications: below,
+    },
+  };
+}
+
+/**
+ * Score rollup for one company's applications
+ */
+export async function getCompanyRollup(companyId) {
+  const [applications, policies] = await Promise.all([
+    prisma.application.findMany({
+      where: { companyId },
+      select: ROLLUP_SELECT,
+    }),
+    getScorePolicies(companyId),
+  ]);
+
+  return rollupScores(applications, policies);
+}
+
+/**
+ * Score rollup across every company, plus each company's own rollup
+ * Companies are listed weakest weighted score first; companies with no
+ * scored applications come last.
+ */
+export async function getPortfolioRollup() {
+  const [applications, companies, policies] = await Promise.all([
+    prisma.application.findMany({
+      select: ROLLUP_SELECT,
+    }),
+    prisma.company.findMany({
+      select: {
+        id: true,
+        name: true,
+      },
+    }),
+    getScorePolicies(),
+  ]);
+
+  const byCompany = new Map(companies.map(company => [company.id, []]));
+  for (const application of applications) {
+    byCompany.get(application.companyId)?.push(application);
+  }
+
+  const companyRollups = companies
+    .map(company => {
+      const rollup = rollupScores(byCompany.get(company.id), policies);
+      return {
+        id: company.id,
+        name: company.name,
+        weightedScore: rollup.weightedScore,
+        averageScore: rollup.averageScore,
+        applicationCount: rollup.applicationCount,
+        scoredApplicationCount: rollup.scoredApplicationCount,
+        belowThresholdCount: rollup.belowThreshold.count,
+      };
+    })
+    // Lowest score first; companies with nothing scored last (Infinity - Infinity
+    // would be NaN, which leaves the sort order undefined)
+    .sort((a, b) => (a.weightedScore === null) - (b.weightedScore === null)
+      || a.weightedScore - b.weightedScore);
+
+  return {
+    ...rollupScores(applications, policies),
+    companies: companyRollups,
+  };
+}
@@ -0,0 +1,201 @@
+import { prisma } from '../prisma/client.js';
+import { calculateApplicationScore, getScoringConfig, KNOWLEDGE_FIELDS } from './scoring.js';
+import { refreshScoringConfig } from './scoringConfig.js';
+
+// Application fields that feed into the score, with labels for history annotations.
+// Tool assignments are compared separately, per configured tool category.
+const SCORING_FIELD_LABELS = {
+  ...KNOWLEDGE_FIELDS,
+  metadataLastReviewed: 'Review date',
+};
+
+function sameValue(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a ?? 0).getTime() === new Date(b ?? 0).getTime();
+  }
+  return (a ?? null) === (b ?? null);
+}
+
+// Labels for tool assignment changes, e.g. "SAST tool", "SCA N/A"
+function describeToolChanges(before, after) {
+  const { toolCategories } = getScoringConfig();
+  const beforeTools = new Map((before.tools || []).map(assignment => [assignment.category, assignment]));
+  const afterTools = new Map((after.tools || []).map(assignment => [assignment.category, assignment]));
+  const changed = [];
+
+  for (const [key, category] of Object.entries(toolCategories)) {
+    const from = beforeTools.get(key) || {};
+    const to = afterTools.get(key) || {};
+
+    if (!sameValue(from.tool, to.tool)) changed.push(`${category.name} tool`);
+    if (!sameValue(from.integrationLevel, to.integrationLevel)) changed.push(`${category.name} integration level`);
+    if (!sameValue(from.notApplicable ?? false, to.notApplicable ?? false)) {
+      changed.push(`${category.name} N/A`);
+    } else if (!sameValue(from.naStatus, to.naStatus)) {
+      changed.push(`${category.name} N/A review`);
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Describe which scoring inputs differ between two versions of an application
+ * Both versions need their `tools` loaded.
+ * Returns e.g. "Updated: SAST tool, DAST integration level", or null if none changed.
+ */
+export function describeScoringChanges(before, after) {
+  const changed = [
+    ...Object.keys(SCORING_FIELD_LABELS)
+      .filter(field => !sameValue(before[field], after[field]))
+      .map(field => SCORING_FIELD_LABELS[field]),
+    ...describeToolChanges(before, after),
+  ];
+
+  return changed.length > 0 ? `Updated: ${changed.join(', ')}` : null;
+}
+
+/**
+ * Calculate an application's score and persist it if it changed
+ * The application needs its `tools` loaded.
+ * A Score row is only written when the result differs from the application's
+ * cached current score, so reading a score never grows the history. The cache
+ * on the application is refreshed whenever the score or scoring config changed.
+ * Failures are logged rather than thrown so score bookkeeping never fails
+ * the request that triggered it, unless `throwErrors` is set. Returns the
+ * calculated scores.
+ */
+export async function recordScore(application, reason = null, { throwErrors = false } = {}) {
+  // Score with, and stamp, the latest weights even if another instance saved them
+  await refreshScoringConfig();
+
+  const scores = calculateApplicationScore(application);
+  const configVersion = getScoringConfig().version;
+
+  const scoreChanged = application.currentKnowledgeScore !== scores.knowledgeScore
+    || application.currentToolScore !== scores.toolScore
+    || application.currentTotalScore !== scores.totalScore;
+  const configChanged = application.scoreConfigVersion !== configVersion;
+
+  if (!scoreChanged && !configChanged) {
+    return scores;
+  }
+
+  try {
+    const calculatedAt = new Date();
+
+    await prisma.$transaction([
+      ...(scoreChanged ? [
+        prisma.score.create({
+          data: {
+            applicationId: application.id,
+            knowledgeScore: scores.knowledgeScore,
+            toolScore: scores.toolScore,
+            totalScore: scores.totalScore,
+            configVersion,
+            calculatedAt,
+            reason: reason
+              || (configChanged && application.scoreConfigVersion ? 'Scoring config changed' : 'Recalculated'),
+          },
+        }),
+      ] : []),
+      prisma.application.update({
+        where: { id: application.id },
+        data: {
+          currentKnowledgeScore: scores.knowledgeScore,
+          currentToolScore: scores.toolScore,
+          currentTotalScore: scores.totalScore,
+          scoreConfigVersion: configVersion,
+          ...(scoreChanged && { scoreCalculatedAt: calculatedAt }),
+        },
+      }),
+    ]);
+  } catch (error) {
+    if (throwErrors) {
+      throw error;
+    }
+    console.error('Error saving score to database:', error);
+  }
+
+  return scores;
+}
+
+/**
+ * Recalculate cached scores that were calculated under a different scoring
+ * config version (or never calculated). Run at startup and after an admin
+ * edits the config, so list views reflect the change without each
+ * application having to be opened first.
+ */
+export async function refreshStaleScores() {
+  const { version } = getScoringConfig();
+
+  const applications = await prisma.application.findMany({
+    include: {
+      tools: true,
+    },
+    where: {
+      OR: [
+        { scoreConfigVersion: null },
+        { scoreConfigVersion: { not: version } },
+      ],
+    },
+  });
+
+  for (const application of applications) {
+    await recordScore(application);
+  }
+
+  if (applications.length > 0) {
+    console.log(`Refreshed cached scores for ${applications.length} application(s)`);
+  }
+}
+
+/**
+ * Get an application's score history, oldest first
+ * Consecutive rows with identical scores are collapsed so each point marks an
+ * actual change. Each point carries the delta from the previous point and the
+ * reason recorded when the change was first seen.
+ */
+export async function getScoreHistory(applicationId) {
+  const rows = await prisma.score.findMany({
+    where: { applicationId },
+    orderBy: {
+      calculatedAt: 'asc',
+    },
+  });
+
+  const points = [];
+  let previous = null;
+
+  for (const row of rows) {
+    if (
+      previous
+      && previous.knowledgeScore === row.knowledgeScore
+      && previous.toolScore === row.toolScore
+      && previous.totalScore === row.totalScore
+    ) {
+      continue;
+    }
+
+    points.push({
+      calculatedAt: row.calculatedAt,
+      knowledgeScore: row.knowledgeScore,
+      toolScore: row.toolScore,
+      totalScore: row.totalScore,
+      reason: row.reason,
+      configVersion: row.configVersion,
+      change: previous ? {
+        knowledgeScore: row.knowledgeScore - previous.knowledgeScore,
+        toolScore: row.toolScore - previous.toolScore,
+        totalScore: row.totalScore - previous.totalScore,
+      } : null,
+    });
+
+    previous = row;
+  }
+
+  return {
+    points,
+    recordCount: rows.length,
+  };
+}
@@ -0,0 +1,271 @@
+import { prisma } from '../prisma/client.js';
+import { getScoringConfig } from './scoring.js';
+import { recordScore } from './scoreHistory.js';
+import { refreshScoringConfig } from './scoringConfig.js';
+
+const BATCH_SIZE = 50; // Applications loaded, and progress saved, per step
+const MAX_RECORDED_FAILURES = 100; // Failures beyond this are only counted
+const NIGHTLY_REFRESH_HOUR = 2; // Server local time
+const STALE_AFTER_MS = 10 * 60 * 1000; // A RUNNING run not heard from for this long has died
+
+// Serialises claiming a run across every backend instance (pg_advisory_xact_lock)
+const CLAIM_LOCK = 'score-recalculation';
+
+// Thrown inside a run whose row is no longer RUNNING, e.g. after another
+// instance declared it dead, so it stops without overwriting that status
+class RunAbandonedError extends Error {}
+
+/**
+ * Score recalculation run with its failures parsed
+ */
+export function formatScoreRecalculation(recalculation) {
+  return {
+    ...recalculation,
+    failures: recalculation.failures ? JSON.parse(recalculation.failures) : [],
+  };
+}
+
+// Recalculate every application in batches, saving progress after each batch
+async function runScoreRecalculation(recalculation, applicationIds) {
+  let processed = 0;
+  let changed = 0;
+  const failures = [];
+  let failed = 0;
+
+  for (let i = 0; i < applicationIds.length; i += BATCH_SIZE) {
+    const ids = applicationIds.slice(i, i + BATCH_SIZE);
+    // Applications deleted since the run started are skipped
+    const applications = await prisma.application.findMany({
+      where: { id: { in: ids } },
+      include: {
+        tools: true,
+      },
+    });
+
+    for (const application of applications) {
+      try {
+        const scores = await recordScore(application, recalculation.reason, { throwErrors: true });
+        if (scores.totalScore !== application.currentTotalScore
+          || scores.knowledgeScore !== application.currentKnowledgeScore
+          || scores.toolScore !== application.currentToolScore) {
+          changed++;
+        }
+      } catch (error) {
+        failed++;
+        if (failures.length < MAX_RECORDED_FAILURES) {
+          failures.push({ applicationId: application.id, name: application.name, error: error.message });
+        }
+      }
+    }
+
+    processed += ids.length;
+    await updateRunningRecalculation(recalculation.id, {
+      processed,
+      changed,
+      failed,
+      failures: failures.length > 0 ? JSON.stringify(failures) : null,
+      heartbeatAt: new Date(),
+    });
+  }
+
+  await updateRunningRecalculation(recalculation.id, {
+    status: 'COMPLETED',
+    endedAt: new Date(),
+  });
+
+  return prisma.scoreRecalculation.findUnique({
+    where: { id: recalculation.id },
+  });
+}
+
+// Update a run only while it is still RUNNING
+async function updateRunningRecalculation(id, data) {
+  const { count } = await prisma.scoreRecalculation.updateMany({
+    where: { id, status: 'RUNNING' },
+    data,
+  });
+
+  if (count === 0) {
+    throw new RunAbandonedError(`Score recalculation ${id} is no longer running`);
+  }
+}
+
+// Fail RUNNING runs whose instance has stopped saving progress
+function failStaleRecalculations(client = prisma) {
+  return client.scoreRecalculation.updateMany({
+    where: {
+      status: 'RUNNING',
+      heartbeatAt: { lt: new Date(Date.now() - STALE_AFTER_MS) },
+    },
+    data: {
+      status: 'FAILED',
+      error: 'Interrupted: the server running it stopped',
+      endedAt: new Date(),
+    },
+  });
+}
+
+// Record a new RUNNING run, unless one is already running on any instance.
+// The check and insert happen under a database lock, so only one claimant
+// wins. With `notStartedSince`, also skip if a run with the same reason has
+// started since then (every instance's nightly timer fires).
+async function claimScoreRecalculation({ reason, requestedBy, notStartedSince }) {
+  return prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${CLAIM_LOCK}))`;
+
+    await failStaleRecalculations(tx);
+
+    const active = await tx.scoreRecalculation.findFirst({
+      where: { status: 'RUNNING' },
+    });
+    if (active) {
+      return { error: 'A score recalculation is already running' };
+    }
+
+    if (notStartedSince) {
+      const recent = await tx.scoreRecalculation.findFirst({
+        where: { reason, startedAt: { gte: notStartedSince } },
+      });
+      if (recent) {
+        return { error: `Already started at ${recent.startedAt.toISOString()}` };
+      }
+    }
+
+    const applications = await tx.application.findMany({
+      select: { id: true },
+      orderBy: { name: 'asc' },
+    });
+
+    const recalculation = await tx.scoreRecalculation.create({
+      data: {
+        status: 'RUNNING',
+        reason,
+        requestedBy,
+        configVersion: getScoringConfig().version,
+        total: applications.length,
+      },
+    });
+
+    return { recalculation, applicationIds: applications.map(application => application.id) };
+  });
+}
+
+/**
+ * Start recalculating every application's score in the background
+ * Metadata freshness decays and N/A approvals expire with time alone, and
+ * scoring code changes without a config change, so cached scores drift
+ * without anyone editing the application. History is only written for
+ * scores that changed, with `reason` recorded on each new row. Progress is
+ * saved on the run as it goes. Only one run can be in progress at a time,
+ * across every backend instance.
+ * Returns { recalculation } once the run is recorded, or { error }.
+ * @param {Object} options
+ * @param {string} options.reason - Recorded on the run and its Score rows
+ * @param {string|null} [options.requestedBy] - Admin email
+ * @param {Date} [options.notStartedSince] - Skip if a run with this reason
+ *   started at or after this time
+ */
+export async function startScoreRecalculation({ reason, requestedBy = null, notStartedSince = null }) {
+  // The run records the config version it scores with
+  await refreshScoringConfig();
+
+  const { recalculation, applicationIds, error } = await claimScoreRecalculation({
+    reason,
+    requestedBy,
+    notStartedSince,
+  });
+
+  if (error) {
+    return { error };
+  }
+
+  runScoreRecalculation(recalculation, applicationIds)
+    .then(finished => {
+      console.log(`Score recalculation ${finished.id}: ${finished.changed} of ${finished.total} score(s) changed, ${finished.failed} failed`);
+    })
+    .catch(async error => {
+      if (error instanceof RunAbandonedError) {
+        console.error(error.message);
+        return;
+      }
+
+      console.error('Error in score recalculation:', error);
+      await prisma.scoreRecalculation.updateMany({
+        where: { id: recalculation.id, status: 'RUNNING' },
+        data: {
+          status: 'FAILED',
+          error: error.message,
+          endedAt: new Date(),
+        },
+      }).catch(updateError => {
+        console.error('Error recording failed score recalculation:', updateError);
+      });
+    });
+
+  return { recalculation: formatScoreRecalculation(recalculation) };
+}
+
+/**
+ * Get a score recalculation run, or null if it does not exist
+ */
+export async function getScoreRecalculation(id) {
+  const recalculation = await prisma.scoreRecalculation.findUnique({
+    where: { id },
+  });
+
+  return recalculation ? formatScoreRecalculation(recalculation) : null;
+}
+
+/**
+ * Most recent score recalculation runs, newest first
+ */
+export async function getScoreRecalculations(limit = 10) {
+  const recalculations = await prisma.scoreRecalculation.findMany({
+    orderBy: {
+      startedAt: 'desc',
+    },
+    take: limit,
+  });
+
+  return recalculations.map(formatScoreRecalculation);
+}
+
+/**
+ * Mark runs left RUNNING by a stopped process as FAILED
+ * Called on startup. Runs that saved progress recently may belong to another
+ * backend instance and are left alone; a dead run is caught once it goes
+ * STALE_AFTER_MS without progress.
+ */
+export async function recoverInterruptedRecalculations() {
+  await failStaleRecalculations();
+}
+
+/**
+ * Recalculate every score every night at NIGHTLY_REFRESH_HOUR
+ * Skipped when a recalculation is already running, or another instance has
+ * already started tonight's. Each run schedules the
+ * next, so the time stays put across DST changes.
+ */
+export function scheduleNightlyScoreRefresh() {
+  const next = new Date();
+  next.setHours(NIGHTLY_REFRESH_HOUR, 0, 0, 0);
+  if (next <= new Date()) {
+    next.setDate(next.getDate() + 1);
+  }
+
+  setTimeout(async () => {
+    try {
+      // Every instance schedules this; the first to claim the night's run wins
+      const { error } = await startScoreRecalculation({
+        reason: 'Nightly recalculation',
+        notStartedSince: new Date(next.getTime() - STALE_AFTER_MS),
+      });
+      if (error) {
+        console.log(`Nightly score refresh skipped: ${error}`);
+      }
+    } catch (error) {
+      console.error('Error in nightly score refresh:', error);
+    }
+    scheduleNightlyScoreRefresh();
+  }, next.getTime() - Date.now());
+}
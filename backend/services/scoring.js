@@ -5,151 +5,398 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Load configs once at module level
-const integrationLevels = JSON.parse(
-  fs.readFileSync(
-    path.join(__dirname, '..', 'config', 'scoring', 'integrationLevels.json'),
-    'utf-8'
-  )
-);
-const toolQuality = JSON.parse(
-  fs.readFileSync(
-    path.join(__dirname, '..', 'config', 'scoring', 'toolQuality.json'),
-    'utf-8'
-  )
-);
-const riskFactors = JSON.parse(
-  fs.readFileSync(
-    path.join(__dirname, '..', 'config', 'scoring', 'riskFactors.json'),
-    'utf-8'
-  )
-);
+// Default weights shipped in config/scoring. They seed the first ScoringConfig
+// version; from then on the database copy is authoritative.
+const readDefaultConfig = (name) => {
+  const values = JSON.parse(
+    fs.readFileSync(path.join(__dirname, '..', 'config', 'scoring', name), 'utf-8')
+  );
+  delete values['//'];
+  return values;
+};
+
+export const DEFAULT_SCORING_CONFIG = {
+  integrationLevels: readDefaultConfig('integrationLevels.json'),
+  toolQuality: readDefaultConfig('toolQuality.json'),
+  riskFactors: readDefaultConfig('riskFactors.json'),
+  toolCategories: readDefaultConfig('toolCategories.json'),
+  knowledgeSharing: readDefaultConfig('knowledgeSharing.json'),
+};
+
+// Weights used by the calculations below unless a draft config is passed in.
+// Swapped by services/scoringConfig.js when the database config is loaded at
+// startup, edited by an admin, or found to have a newer version saved by
+// another backend instance (refreshScoringConfig).
+let activeConfig = {
+  version: null,
+  ...DEFAULT_SCORING_CONFIG,
+};
+
+/**
+ * Make a scoring config version the one used for new calculations
+ */
+export function setScoringConfig(version, config) {
+  activeConfig = {
+    version,
+    integrationLevels: config.integrationLevels,
+    toolQuality: config.toolQuality,
+    riskFactors: config.riskFactors,
+    toolCategories: config.toolCategories,
+    knowledgeSharing: config.knowledgeSharing,
+  };
+}
+
+/**
+ * Get the active scoring config: { version, integrationLevels, toolQuality, riskFactors, toolCategories, knowledgeSharing }
+ * version is null until the database config has been loaded.
+ */
+export function getScoringConfig() {
+  return activeConfig;
+}
 
 const MAX_SCORE_PER_CATEGORY = 50;
 
+// Round breakdown figures for display; scores themselves are rounded once at the end
+const roundPoints = (points) => Math.round(points * 10) / 10;
+
+// Application fields that can count toward metadata completeness, with
+// labels. The scoring config picks which of them count and by how much.
+export const KNOWLEDGE_FIELDS = {
+  description: 'Description',
+  devTeamContact: 'Dev team contact',
+  repoUrl: 'Repository URL',
+  language: 'Language',
+  framework: 'Framework',
+  serverEnvironment: 'Server environment',
+  authProfiles: 'Auth profiles',
+  dataTypes: 'Data types',
+  owner: 'Owner',
+  facing: 'Facing',
+  deploymentType: 'Deployment type',
+  businessCriticality: 'Business criticality',
+  criticalAspects: 'Critical aspects',
+  interfaces: 'Interfaces',
+  securityTestingDescription: 'Security testing description',
+};
+
+export const FRESHNESS_CURVES = ['step', 'linear', 'quadratic'];
+
+// Completeness is 80% of the Knowledge Sharing score, freshness 20%
+const COMPLETENESS_POINTS = MAX_SCORE_PER_CATEGORY * 0.8;
+const FRESHNESS_POINTS = MAX_SCORE_PER_CATEGORY * 0.2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Share (0-1) of the freshness points earned `days` after the last review
+ * Full points up to graceDays and none from windowDays. In between, 'step'
+ * keeps full points, 'linear' falls evenly and 'quadratic' falls slowly at
+ * first, then faster.
+ */
+export function freshnessFactor(days, { curve, graceDays, windowDays }) {
+  if (days >= windowDays) return 0;
+  if (days <= graceDays || curve === 'step') return 1;
+
+  const elapsed = (days - graceDays) / (windowDays - graceDays);
+  return curve === 'quadratic' ? 1 - elapsed * elapsed : 1 - elapsed;
+}
+
+/**
+ * Calculate the Knowledge Sharing breakdown (0-50 points)
+ * - 40 points for metadata completeness: the weighted share of the
+ *   configured fields that are filled in
+ * - 10 points for metadata freshness, decaying as the last review ages
+ * Pass `now` to score as of another time.
+ * @returns {Object} - { score, completenessScore, freshnessScore, fieldsFilled, totalFields,
+ *   fields: [{ field, label, weight, filled }], lastReviewed, daysSinceReview, freshness }
+ */
+export function calculateKnowledgeBreakdown(app, config = getScoringConfig(), now = new Date()) {
+  // Versions saved before these settings existed use the shipped defaults
+  const { fields, freshness } = config.knowledgeSharing || DEFAULT_SCORING_CONFIG.knowledgeSharing;
+
+  const scored = Object.entries(fields)
+    .filter(([, weight]) => weight > 0)
+    .map(([field, weight]) => ({
+      field,
+      label: KNOWLEDGE_FIELDS[field] || field,
+      weight,
+      filled: app[field] !== null && app[field] !== undefined && app[field] !== '',
+    }));
+  const totalWeight = scored.reduce((sum, field) => sum + field.weight, 0);
+  const filledWeight = scored.filter(field => field.filled).reduce((sum, field) => sum + field.weight, 0);
+  const completeness = totalWeight > 0 ? (filledWeight / totalWeight) * COMPLETENESS_POINTS : 0;
+
+  const lastReviewed = app.metadataLastReviewed ? new Date(app.metadataLastReviewed) : null;
+  const daysSinceReview = lastReviewed
+    ? Math.max(0, Math.floor((now.getTime() - lastReviewed.getTime()) / DAY_MS))
+    : null;
+  const freshnessScore = lastReviewed ? FRESHNESS_POINTS * freshnessFactor(daysSinceReview, freshness) : 0;
+
+  return {
+    score: Math.round(completeness + freshnessScore),
+    completenessScore: roundPoints(completeness),
+    freshnessScore: roundPoints(freshnessScore),
+    fieldsFilled: scored.filter(field => field.filled).length,
+    totalFields: scored.length,
+    fields: scored,
+    lastReviewed,
+    daysSinceReview,
+    freshness,
+  };
+}
+
 /**
  * Calculate Knowledge Sharing Score (0-50 points)
- * - 40 points for metadata completeness (8 fields)
- * - 10 points if metadata reviewed within last 6 months
+ * See calculateKnowledgeBreakdown for how the points are worked out.
  */
-export function calculateKnowledgeSharingScore(app) {
-  let score = 0;
-  const totalFields = 8; // Number of metadata fields we are scoring on
-  let fieldsFilled = 0;
-
-  // Count filled metadata fields
-  if (app.description) fieldsFilled++;
-  if (app.devTeamContact) fieldsFilled++;
-  if (app.repoUrl) fieldsFilled++;
-  if (app.language) fieldsFilled++;
-  if (app.framework) fieldsFilled++;
-  if (app.serverEnvironment) fieldsFilled++;
-  if (app.authProfiles) fieldsFilled++;
-  if (app.dataTypes) fieldsFilled++;
-
-  // Completeness is 80% of the score (40 points max)
-  score = (fieldsFilled / totalFields) * (MAX_SCORE_PER_CATEGORY * 0.8);
-
-  // Freshness is 20% of the score (10 points max)
-  if (app.metadataLastReviewed) {
-    const reviewDate = new Date(app.metadataLastReviewed);
-    const sixMonthsAgo = new Date();
-    sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
-    if (reviewDate > sixMonthsAgo) {
-      score += MAX_SCORE_PER_CATEGORY * 0.2;
-    }
-  }
+export function calculateKnowledgeSharingScore(app, config = getScoringConfig(), now = new Date()) {
+  return calculateKnowledgeBreakdown(app, config, now).score;
+}
 
-  return Math.round(score);
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
 }
 
+// Risk factors and how an application's attribute is matched against the
+// configured weights. Most are comma-separated lists matched exactly;
+// deploymentType is free text, so a weight applies when its key is contained.
+export const RISK_FACTORS = {
+  facing: { label: 'Facing', values: (app) => [app.facing] },
+  dataTypes: { label: 'Data type', values: (app) => splitList(app.dataTypes) },
+  businessCriticality: {
+    label: 'Business criticality',
+    values: (app) => [app.businessCriticality?.toString()],
+  },
+  criticalAspects: { label: 'Critical aspect', values: (app) => splitList(app.criticalAspects) },
+  deploymentType: { label: 'Deployment', contains: true, values: (app) => [app.deploymentType] },
+};
+
 /**
- * Calculate Tool Usage Score (0-50 points)
- * Based on 4 tool categories with risk-adjusted scoring
+ * Work out an application's risk weight
+ * Every configured factor the application matches is returned, highest
+ * weight first; the highest weight (at least 1.0) is the one applied.
+ * @returns {Object} - { weight, factors: [{ factor, label, value, weight, applied }] }
  */
-export function calculateToolUsageScore(app) {
-  const toolCategories = ['sast', 'dast', 'appFirewall', 'apiSecurity'];
-  const MAX_TOOL_SCORE = 50;
-  const BASE_POINTS_PER_CATEGORY = MAX_TOOL_SCORE / toolCategories.length; // 12.5
-
-  let totalAchievedPoints = 0;
-  let totalPossiblePoints = 0;
-
-  for (const category of toolCategories) {
-    // 1. Determine the risk-adjusted maximum points for this category
-    let riskWeight = 1.0;
-    
-    // Apply facing risk factor
-    if (app.facing && riskFactors.facing[app.facing]) {
-      riskWeight = Math.max(riskWeight, riskFactors.facing[app.facing]);
-    }
-    
-    // Apply data type risk factors (use max of all applicable)
-    if (app.dataTypes) {
-      const dataTypesArray = app.dataTypes.split(',').map(dt => dt.trim());
-      dataTypesArray.forEach(dt => {
-        if (riskFactors.dataTypes[dt]) {
-          riskWeight = Math.max(riskWeight, riskFactors.dataTypes[dt]);
+export function calculateRiskWeight(app, riskFactors) {
+  const factors = [];
+
+  for (const [factor, { label, values, contains }] of Object.entries(RISK_FACTORS)) {
+    const weights = riskFactors[factor] || {};
+
+    for (const value of values(app)) {
+      if (!value) continue;
+
+      for (const [key, weight] of Object.entries(weights)) {
+        const matches = contains ? value.toLowerCase().includes(key.toLowerCase()) : value === key;
+        if (matches) {
+          factors.push({ factor, label, value: key, weight });
         }
-      });
-    }
-    
-    const categoryMaxPoints = BASE_POINTS_PER_CATEGORY * riskWeight;
-
-    // 2. Add to total possible points for normalization
-    totalPossiblePoints += categoryMaxPoints;
-
-    // 3. Check if tool is marked as N/A (only for API Security)
-    const isNA = category === 'apiSecurity' && app.apiSecurityNA;
-    if (isNA) {
-      // If Not Applicable, the app achieves the full possible points for this category
-      totalAchievedPoints += categoryMaxPoints;
-      continue;
+      }
     }
+  }
 
-    // 4. Calculate achieved points based on implementation
-    const toolField = `${category}Tool`;
-    const levelField = `${category}IntegrationLevel`;
-    const tool = app[toolField];
-    const level = app[levelField];
+  factors.sort((a, b) => b.weight - a.weight);
+  const weight = Math.max(1.0, factors[0]?.weight ?? 1.0);
 
-    if (!tool || level === null || level === undefined) {
-      continue; // No tool, so 0 achieved points for this category
-    }
+  return {
+    weight,
+    factors: factors.map((entry, index) => ({
+      ...entry,
+      applied: index === 0 && entry.weight > 1.0,
+    })),
+  };
+}
+
+/**
+ * Effective review status of a tool category marked Not Applicable
+ * Returns null when the category is not N/A, 'EXPIRED' for an approval past
+ * its expiry date, and otherwise the stored status: 'PENDING', 'APPROVED' or
+ * 'REJECTED'. Only 'APPROVED' earns the category's points.
+ */
+export function notApplicableStatus(assignment, now = new Date()) {
+  if (!assignment?.notApplicable) {
+    return null;
+  }
+  const status = assignment.naStatus || 'PENDING';
+  if (status === 'APPROVED' && assignment.naExpiresAt && new Date(assignment.naExpiresAt) <= now) {
+    return 'EXPIRED';
+  }
+  return status;
+}
+
+/**
+ * Whether an application covers a tool category: a tool at a known
+ * integration level, or an N/A an admin has approved (and not expired)
+ */
+export function coversToolCategory(app, category, now = new Date()) {
+  const assignment = (app.tools || []).find(tool => tool.category === category);
+  if (!assignment) return false;
+  if (assignment.notApplicable) return notApplicableStatus(assignment, now) === 'APPROVED';
+  return Boolean(assignment.tool) && assignment.integrationLevel !== null;
+}
+
+/**
+ * Calculate the Tool Usage breakdown per tool category
+ * Each category's share of the 50 points is its weight relative to the other
+ * scored categories. A category earns its share times the integration level
+ * weight times the tool quality weight, or its full share when an admin has
+ * approved it as N/A. An N/A awaiting review, rejected or expired earns nothing.
+ * If the categories together fall short of 50 points, the shortfall is
+ * multiplied by the application's risk weight, so the same gap costs a riskier
+ * application more. A category's pointsLost is its part of that: its own
+ * shortfall times the risk weight, negative where a better-than-par tool makes
+ * up for gaps elsewhere.
+ * Tool assignments are read from `app.tools` (ApplicationTool rows).
+ * @returns {Object} - { score, risk, categories: [{ category, name, maxPoints, riskWeight,
+ *   tool, integrationLevel, integrationWeight, toolQuality, toolWeight, notApplicable,
+ *   naStatus, achievedPoints, pointsLost }] }
+ */
+export function calculateToolBreakdown(app, config = getScoringConfig()) {
+  const { integrationLevels, toolQuality, riskFactors, toolCategories } = config;
+
+  const scored = Object.entries(toolCategories).filter(([, category]) => category.weight > 0);
+  const totalWeight = scored.reduce((sum, [, category]) => sum + category.weight, 0);
+  const assignments = new Map((app.tools || []).map(assignment => [assignment.category, assignment]));
+  const risk = calculateRiskWeight(app, riskFactors);
+
+  const categories = scored.map(([key, category]) => {
+    const maxPoints = MAX_SCORE_PER_CATEGORY * category.weight / totalWeight;
+    const assignment = assignments.get(key);
+    const tool = assignment?.tool || null;
+    const level = assignment?.integrationLevel ?? null;
+
+    const notApplicable = Boolean(assignment?.notApplicable);
+    const naStatus = notApplicableStatus(assignment);
 
-    // Get integration level weight (convert level to string for lookup)
-    const levelKey = level.toString();
-    const integrationWeight = integrationLevels[levelKey]?.weight || 0;
+    let integrationWeight = 0;
+    let quality = null;
+    let toolWeight = 0;
+    let achievedPoints = 0;
 
-    // Get tool quality weight
-    let toolWeight = toolQuality.other || 0.8;
-    if (toolQuality.managed[tool]) {
-      toolWeight = toolQuality.managed[tool];
-    } else if (toolQuality.approvedUnmanaged[tool]) {
-      toolWeight = toolQuality.approvedUnmanaged[tool];
+    if (notApplicable) {
+      // An approved N/A achieves the full possible points for this category
+      achievedPoints = naStatus === 'APPROVED' ? maxPoints : 0;
+    } else if (tool && level !== null) {
+      integrationWeight = integrationLevels[level.toString()]?.weight || 0;
+
+      // Tool quality: managed and approved tools are listed, anything else is "other"
+      quality = 'other';
+      toolWeight = toolQuality.other || 0.8;
+      if (toolQuality.managed[tool]) {
+        quality = 'managed';
+        toolWeight = toolQuality.managed[tool];
+      } else if (toolQuality.approvedUnmanaged[tool]) {
+        quality = 'approvedUnmanaged';
+        toolWeight = toolQuality.approvedUnmanaged[tool];
+      }
+
+      achievedPoints = maxPoints * integrationWeight * toolWeight;
     }
 
-    // Calculate achieved points for this tool
-    const achievedPointsForTool = categoryMaxPoints * integrationWeight * toolWeight;
-    totalAchievedPoints += achievedPointsForTool;
+    return {
+      category: key,
+      name: category.name,
+      maxPoints,
+      riskWeight: risk.weight,
+      tool,
+      integrationLevel: level,
+      integrationWeight,
+      toolQuality: quality,
+      toolWeight,
+      notApplicable,
+      naStatus,
+      achievedPoints,
+    };
+  });
+
+  if (totalWeight === 0) {
+    return { score: 0, risk, categories };
   }
 
-  if (totalPossiblePoints === 0) return 0;
+  // Scale the shortfall by the risk weight
+  const totalAchievedPoints = categories.reduce((sum, category) => sum + category.achievedPoints, 0);
+  const shortfall = MAX_SCORE_PER_CATEGORY - totalAchievedPoints;
+  const lossWeight = shortfall > 0 ? risk.weight : 1;
+  const score = shortfall > 0
+    ? MAX_SCORE_PER_CATEGORY - shortfall * lossWeight
+    : totalAchievedPoints;
+
+  return {
+    score: Math.max(0, Math.round(score)),
+    risk,
+    categories: categories.map(category => ({
+      ...category,
+      maxPoints: roundPoints(category.maxPoints),
+      achievedPoints: roundPoints(category.achievedPoints),
+      pointsLost: roundPoints((category.maxPoints - category.achievedPoints) * lossWeight),
+    })),
+  };
+}
+
+/**
+ * Calculate Tool Usage Score (0-50 points)
+ * See calculateToolBreakdown for how the points are worked out.
+ * Pass `config` to score against draft weights instead of the active ones.
+ */
+export function calculateToolUsageScore(app, config = getScoringConfig()) {
+  return calculateToolBreakdown(app, config).score;
+}
+
+/**
+ * Suggest tool changes that would raise an application's Tool Usage score
+ * For every scored category that is not N/A (or whose N/A was rejected or
+ * has expired): raising the integration level
+ * to the next level and to the top level, or adding a tool if there is none
+ * (scored as an unlisted tool). Each suggestion is re-scored, so gain is the
+ * exact change in the Tool Usage score. Biggest gains first.
+ * @returns {Array} - [{ category, name, tool, fromLevel, toLevel, toLevelName, gain }]
+ */
+export function recommendToolImprovements(app, config = getScoringConfig()) {
+  const { integrationLevels } = config;
+  const current = calculateToolBreakdown(app, config);
+  const levels = Object.keys(integrationLevels).map(Number).sort((a, b) => a - b);
+  const topLevel = levels[levels.length - 1];
+  const recommendations = [];
+
+  for (const category of current.categories) {
+    if (category.naStatus === 'APPROVED' || category.naStatus === 'PENDING') continue;
+
+    const fromLevel = category.tool ? category.integrationLevel : null;
+    const higher = levels.filter(level => fromLevel === null || level > fromLevel);
+    const targets = [...new Set([higher[0], topLevel])].filter(level => higher.includes(level));
+
+    for (const toLevel of targets) {
+      // A new tool gets a placeholder name that no tool quality list contains
+      const tools = (app.tools || []).filter(assignment => assignment.category !== category.category);
+      tools.push({ category: category.category, tool: category.tool || 'New tool', integrationLevel: toLevel });
 
-  // 5. Normalize the score to be out of 50
-  const normalizedScore = (totalAchievedPoints / totalPossiblePoints) * MAX_TOOL_SCORE;
+      const gain = calculateToolBreakdown({ ...app, tools }, config).score - current.score;
+      if (gain > 0) {
+        recommendations.push({
+          category: category.category,
+          name: category.name,
+          tool: category.tool,
+          fromLevel,
+          toLevel,
+          toLevelName: integrationLevels[toLevel].name,
+          gain,
+        });
+      }
+    }
+  }
 
-  return Math.round(normalizedScore);
+  return recommendations.sort((a, b) => b.gain - a.gain);
 }
 
 /**
  * Calculate total application score
  * @param {Object} app - Application object from database
+ * @param {Object} [config] - Scoring weights; defaults to the active config
  * @returns {Object} - { knowledgeScore, toolScore, totalScore }
  */
-export function calculateApplicationScore(app) {
-  const knowledgeScore = calculateKnowledgeSharingScore(app);
-  const toolScore = calculateToolUsageScore(app);
+export function calculateApplicationScore(app, config = getScoringConfig()) {
+  const knowledgeScore = calculateKnowledgeSharingScore(app, config);
+  const toolScore = calculateToolUsageScore(app, config);
   const totalScore = knowledgeScore + toolScore;
 
   return {
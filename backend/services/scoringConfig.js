@@ -0,0 +1,415 @@
+import { prisma } from '../prisma/client.js';
+import {
+  DEFAULT_SCORING_CONFIG,
+  RISK_FACTORS,
+  KNOWLEDGE_FIELDS,
+  FRESHNESS_CURVES,
+  setScoringConfig,
+  getScoringConfig,
+  calculateApplicationScore,
+} from './scoring.js';
+
+/**
+ * Parse a ScoringConfig row's JSON columns
+ */
+export function parseScoringConfig(row) {
+  return {
+    ...row,
+    config: JSON.parse(row.config),
+    changes: row.changes ? JSON.parse(row.changes) : null,
+  };
+}
+
+/**
+ * Activate the latest scoring config version from the database
+ * On first run the table is empty, so the defaults from config/scoring are
+ * saved as version 1. Defaults added to config/scoring since then (a new
+ * section, risk factor or weight that no saved version has ever had) are
+ * filled in and saved as a new version. Weights an admin removed stay removed.
+ */
+export async function loadScoringConfig() {
+  let latest = await prisma.scoringConfig.findFirst({
+    orderBy: { version: 'desc' },
+  });
+
+  if (!latest) {
+    latest = await prisma.scoringConfig.create({
+      data: {
+        version: 1,
+        config: JSON.stringify(DEFAULT_SCORING_CONFIG),
+        note: 'Initial weights from config/scoring',
+      },
+    });
+    console.log('Seeded scoring config version 1 from config/scoring');
+  }
+
+  const config = JSON.parse(latest.config);
+  const added = await findNewDefaults();
+
+  if (added.length > 0) {
+    const upgraded = await saveScoringConfig(
+      fillDefaults(config, added),
+      null,
+      `Added default ${added.join(', ')} from config/scoring`
+    );
+    console.log(`Saved scoring config version ${upgraded.version} with default ${added.join(', ')}`);
+    return upgraded;
+  }
+
+  setScoringConfig(latest.version, config);
+  return latest;
+}
+
+/**
+ * Switch to the latest saved scoring config version if it is newer than the
+ * active one, e.g. because an admin saved or restored weights on another
+ * backend instance. Only the version number is read unless it changed. If
+ * the database cannot be read, the active config stays in use.
+ */
+export async function refreshScoringConfig() {
+  try {
+    const latest = await prisma.scoringConfig.findFirst({
+      orderBy: { version: 'desc' },
+      select: { version: true },
+    });
+
+    const { version } = getScoringConfig();
+    if (!latest || (version !== null && latest.version <= version)) {
+      return;
+    }
+
+    const row = await prisma.scoringConfig.findUnique({
+      where: { version: latest.version },
+    });
+    setScoringConfig(row.version, JSON.parse(row.config));
+  } catch (error) {
+    console.error('Error refreshing scoring config:', error);
+  }
+}
+
+// Paths of default weights that no saved version has ever contained, reduced
+// to the outermost new entry (e.g. 'riskFactors.businessCriticality')
+async function findNewDefaults() {
+  const versions = await prisma.scoringConfig.findMany({
+    select: { config: true },
+  });
+
+  const known = new Set();
+  for (const version of versions) {
+    for (const path of Object.keys(flattenConfig(JSON.parse(version.config)))) {
+      const parts = path.split('.');
+      parts.forEach((_, index) => known.add(parts.slice(0, index + 1).join('.')));
+    }
+  }
+
+  const added = new Set();
+  for (const path of Object.keys(flattenConfig(DEFAULT_SCORING_CONFIG))) {
+    const parts = path.split('.');
+    const index = parts.findIndex((_, i) => !known.has(parts.slice(0, i + 1).join('.')));
+    if (index !== -1) {
+      added.add(parts.slice(0, index + 1).join('.'));
+    }
+  }
+
+  return [...added];
+}
+
+// Copy the default value at each path into a copy of config
+function fillDefaults(config, paths) {
+  const filled = structuredClone(config);
+
+  for (const path of paths) {
+    const parts = path.split('.');
+    let target = filled;
+    let source = DEFAULT_SCORING_CONFIG;
+    for (const part of parts.slice(0, -1)) {
+      target[part] = target[part] || {};
+      target = target[part];
+      source = source[part];
+    }
+    target[parts[parts.length - 1]] = structuredClone(source[parts[parts.length - 1]]);
+  }
+
+  return filled;
+}
+
+/**
+ * Prepare a saved version's config to be made active again
+ * Versions saved before a section or risk factor existed lack it, so the
+ * missing parts are filled from config/scoring before validating, as at
+ * startup. Returns { config } or { error }, like normalizeScoringConfig.
+ */
+export function prepareRestoredConfig(config) {
+  const missing = Object.keys(DEFAULT_SCORING_CONFIG)
+    .filter(section => config[section] === undefined);
+
+  if (config.riskFactors) {
+    for (const factor of Object.keys(DEFAULT_SCORING_CONFIG.riskFactors)) {
+      if (config.riskFactors[factor] === undefined) {
+        missing.push(`riskFactors.${factor}`);
+      }
+    }
+  }
+
+  return normalizeScoringConfig(fillDefaults(config, missing));
+}
+
+const isWeight = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Validate a { name: weight } map, returning a clean copy or null if invalid
+function normalizeWeights(weights) {
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    return null;
+  }
+
+  const result = {};
+  for (const [key, weight] of Object.entries(weights)) {
+    if (!key.trim() || !isWeight(weight)) {
+      return null;
+    }
+    result[key.trim()] = weight;
+  }
+  return result;
+}
+
+/**
+ * Validate a submitted scoring config
+ * Returns { config } with unknown keys dropped and names trimmed, or { error }.
+ */
+export function normalizeScoringConfig(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Scoring config is required' };
+  }
+
+  const { integrationLevels, toolQuality, riskFactors, toolCategories, knowledgeSharing } = input;
+
+  if (!integrationLevels || typeof integrationLevels !== 'object' || Object.keys(integrationLevels).length === 0) {
+    return { error: 'At least one integration level is required' };
+  }
+
+  const levels = {};
+  for (const [level, entry] of Object.entries(integrationLevels)) {
+    if (!/^\d+$/.test(level)) {
+      return { error: `Integration level "${level}" must be a whole number` };
+    }
+    if (!entry?.name?.trim()) {
+      return { error: `Integration level ${level} needs a name` };
+    }
+    if (!isWeight(entry.weight) || entry.weight > 1) {
+      return { error: `Integration level ${level} weight must be between 0 and 1` };
+    }
+    levels[level] = { name: entry.name.trim(), weight: entry.weight };
+  }
+
+  const managed = normalizeWeights(toolQuality?.managed);
+  const approvedUnmanaged = normalizeWeights(toolQuality?.approvedUnmanaged);
+  if (!managed || !approvedUnmanaged || !isWeight(toolQuality.other)) {
+    return { error: 'Tool quality weights must be non-negative numbers' };
+  }
+
+  const risk = {};
+  for (const factor of Object.keys(RISK_FACTORS)) {
+    risk[factor] = normalizeWeights(riskFactors?.[factor] || {});
+    if (!risk[factor]) {
+      return { error: 'Risk factor weights must be non-negative numbers' };
+    }
+  }
+
+  if (!toolCategories || typeof toolCategories !== 'object' || Object.keys(toolCategories).length === 0) {
+    return { error: 'At least one tool category is required' };
+  }
+
+  const categories = {};
+  for (const [key, category] of Object.entries(toolCategories)) {
+    if (!/^[a-z][a-zA-Z0-9]*$/.test(key)) {
+      return { error: `Tool category key "${key}" must be camelCase letters and digits` };
+    }
+    if (!category?.name?.trim()) {
+      return { error: `Tool category ${key} needs a name` };
+    }
+    if (!isWeight(category.weight)) {
+      return { error: `Tool category ${category.name.trim()} weight must be a non-negative number` };
+    }
+    categories[key] = {
+      name: category.name.trim(),
+      weight: category.weight,
+    };
+  }
+
+  const fields = normalizeWeights(knowledgeSharing?.fields);
+  if (!fields || !Object.values(fields).some(weight => weight > 0)) {
+    return { error: 'At least one metadata field must count toward completeness' };
+  }
+  const unknownField = Object.keys(fields).find(field => !KNOWLEDGE_FIELDS[field]);
+  if (unknownField) {
+    return { error: `Unknown metadata field: ${unknownField}` };
+  }
+
+  const { curve, graceDays, windowDays } = knowledgeSharing.freshness || {};
+  if (!FRESHNESS_CURVES.includes(curve)) {
+    return { error: `Freshness curve must be one of ${FRESHNESS_CURVES.join(', ')}` };
+  }
+  if (!Number.isInteger(graceDays) || graceDays < 0 || !Number.isInteger(windowDays) || windowDays <= graceDays) {
+    return { error: 'Freshness window must be a whole number of days longer than the grace period' };
+  }
+
+  return {
+    config: {
+      integrationLevels: levels,
+      toolQuality: { managed, approvedUnmanaged, other: toolQuality.other },
+      riskFactors: risk,
+      toolCategories: categories,
+      knowledgeSharing: { fields, freshness: { curve, graceDays, windowDays } },
+    },
+  };
+}
+
+// Flatten nested weights to { 'toolQuality.managed.Snyk': 1.2, ... }
+function flattenConfig(value, prefix = '', result = {}) {
+  for (const [key, child] of Object.entries(value)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (child && typeof child === 'object') {
+      flattenConfig(child, path, result);
+    } else {
+      result[path] = child;
+    }
+  }
+  return result;
+}
+
+/**
+ * Diff two scoring configs
+ * Returns { 'path.to.weight': { from, to } }; added or removed entries have a
+ * null on the missing side.
+ */
+export function diffScoringConfig(before, after) {
+  const from = flattenConfig(before);
+  const to = flattenConfig(after);
+  const changes = {};
+
+  for (const path of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if ((from[path] ?? null) !== (to[path] ?? null)) {
+      changes[path] = { from: from[path] ?? null, to: to[path] ?? null };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Save a validated config as the next version and make it active
+ * Returns the new ScoringConfig row, or null if nothing changed.
+ */
+export async function saveScoringConfig(config, adminEmail, note = null) {
+  const saved = await prisma.$transaction(async (tx) => {
+    const latest = await tx.scoringConfig.findFirst({
+      orderBy: { version: 'desc' },
+    });
+
+    const changes = latest ? diffScoringConfig(JSON.parse(latest.config), config) : null;
+    if (changes && Object.keys(changes).length === 0) {
+      return null;
+    }
+
+    return tx.scoringConfig.create({
+      data: {
+        version: (latest?.version || 0) + 1,
+        config: JSON.stringify(config),
+        changes: changes ? JSON.stringify(changes) : null,
+        note,
+        createdBy: adminEmail,
+      },
+    });
+  });
+
+  if (saved) {
+    setScoringConfig(saved.version, config);
+  }
+
+  return saved;
+}
+
+const HISTOGRAM_BUCKET_SIZE = 10;
+
+// Count total scores per 10-point bucket (0-9, 10-19, ..., 90-100)
+function scoreHistogram(totals) {
+  const buckets = Array(100 / HISTOGRAM_BUCKET_SIZE).fill(0);
+  for (const total of totals) {
+    buckets[Math.min(Math.floor(total / HISTOGRAM_BUCKET_SIZE), buckets.length - 1)]++;
+  }
+  return buckets.map((count, index) => ({
+    min: index * HISTOGRAM_BUCKET_SIZE,
+    max: index === buckets.length - 1 ? 100 : (index + 1) * HISTOGRAM_BUCKET_SIZE - 1,
+    count,
+  }));
+}
+
+const average = (values) =>
+  values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+
+/**
+ * Score every application under both the active config and a draft config
+ * Nothing is persisted. Returns per-application and per-company before/after
+ * totals with deltas, plus a histogram of total scores for each side.
+ */
+export async function simulateScoringConfig(draftConfig) {
+  const applications = await prisma.application.findMany({
+    include: {
+      tools: true,
+      company: {
+        select: {
+          id: true,
+          name: true,
+        },
+      },
+    },
+    orderBy: {
+      name: 'asc',
+    },
+  });
+
+  const results = applications.map(application => {
+    const before = calculateApplicationScore(application);
+    const after = calculateApplicationScore(application, draftConfig);
+
+    return {
+      id: application.id,
+      name: application.name,
+      company: application.company,
+      before,
+      after,
+      delta: after.totalScore - before.totalScore,
+    };
+  });
+
+  const byCompany = new Map();
+  for (const result of results) {
+    if (!byCompany.has(result.company.id)) {
+      byCompany.set(result.company.id, { ...result.company, results: [] });
+    }
+    byCompany.get(result.company.id).results.push(result);
+  }
+
+  const companies = [...byCompany.values()].map(({ results: companyResults, ...company }) => {
+    const before = average(companyResults.map(result => result.before.totalScore));
+    const after = average(companyResults.map(result => result.after.totalScore));
+
+    return {
+      ...company,
+      applicationCount: companyResults.length,
+      before,
+      after,
+      delta: after - before,
+    };
+  });
+
+  return {
+    applications: results,
+    companies,
+    histogram: {
+      before: scoreHistogram(results.map(result => result.before.totalScore)),
+      after: scoreHistogram(results.map(result => result.after.totalScore)),
+    },
+    changedCount: results.filter(result => result.delta !== 0).length,
+  };
+}
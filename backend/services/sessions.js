@@ -0,0 +1,235 @@
+import crypto from 'crypto';
+import session from 'express-session';
+import { prisma } from '../prisma/client.js';
+import { recordSessionClient } from '../middleware/sessionClient.js';
+
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000; // touch() writes at most this often per session
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // For sessions whose cookie has no expiry
+
+// When a session should be forgotten: its cookie's expiry, or DEFAULT_TTL_MS from now
+function sessionExpiry(sess) {
+  return sess.cookie?.expires ? new Date(sess.cookie.expires) : new Date(Date.now() + DEFAULT_TTL_MS);
+}
+
+// Columns derived from the session data, so sessions can be listed per user
+function sessionColumns(sess) {
+  return {
+    data: JSON.stringify(sess),
+    expiresAt: sessionExpiry(sess),
+    userId: sess.userId || null,
+    userAgent: sess.userAgent || null,
+    ipAddress: sess.ipAddress || null,
+    lastSeenAt: new Date(),
+  };
+}
+
+/**
+ * express-session store backed by the Session table
+ * Sessions survive restarts and are shared between backend instances.
+ * Ending a session marks its row revoked rather than deleting it, so a request
+ * still in flight cannot save the session back into existence. Expired rows
+ * are deleted every CLEANUP_INTERVAL_MS.
+ */
+export class PrismaSessionStore extends session.Store {
+  constructor() {
+    super();
+
+    this.cleanupTimer = setInterval(() => {
+      deleteExpiredSessions().catch(error => {
+        console.error('Error deleting expired sessions:', error);
+      });
+    }, CLEANUP_INTERVAL_MS);
+    this.cleanupTimer.unref();
+  }
+
+  get(sid, callback) {
+    prisma.session.findUnique({ where: { sid } })
+      .then(row => {
+        if (!row || row.revokedAt || row.expiresAt <= new Date()) {
+          return callback(null, null);
+        }
+        callback(null, JSON.parse(row.data));
+      })
+      .catch(callback);
+  }
+
+  // Only creates a row for a session id that was never stored; a revoked
+  // session's row is left as it is
+  set(sid, sess, callback) {
+    const columns = sessionColumns(sess);
+    prisma.session.updateMany({
+      where: { sid, revokedAt: null },
+      data: columns,
+    })
+      .then(({ count }) => count > 0 || prisma.session.createMany({
+        data: [{ id: crypto.randomUUID(), sid, ...columns }],
+        skipDuplicates: true,
+      }))
+      .then(() => callback?.())
+      .catch(error => callback?.(error));
+  }
+
+  // Called on requests that did not change the session: extend its expiry and
+  // record that it was seen, skipping the write if it was seen very recently
+  touch(sid, sess, callback) {
+    const now = new Date();
+    prisma.session.updateMany({
+      where: {
+        sid,
+        revokedAt: null,
+        lastSeenAt: { lt: new Date(now.getTime() - LAST_SEEN_RESOLUTION_MS) },
+      },
+      data: {
+        expiresAt: sessionExpiry(sess),
+        lastSeenAt: now,
+      },
+    })
+      .then(() => callback?.())
+      .catch(error => callback?.(error));
+  }
+
+  destroy(sid, callback) {
+    revokeSessions({ sid })
+      .then(() => callback?.())
+      .catch(error => callback?.(error));
+  }
+
+  length(callback) {
+    prisma.session.count({ where: { revokedAt: null, expiresAt: { gt: new Date() } } })
+      .then(count => callback(null, count))
+      .catch(callback);
+  }
+
+  clear(callback) {
+    prisma.session.deleteMany({})
+      .then(() => callback?.())
+      .catch(error => callback?.(error));
+  }
+}
+
+/**
+ * Replace the request's session with a new, empty one under a new session id
+ * Call whenever a session gains privileges (credentials accepted, second
+ * factor passed), so an id planted before sign-in is never promoted to a
+ * signed-in session.
+ * @param {Object} req - Express request
+ */
+export function regenerateSession(req) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate(error => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * Sign a user in on a new session, replacing the request's session and
+ * anything it held (such as a pending second-factor or SSO sign-in)
+ * @param {Object} req - Express request
+ * @param {Object} user - User with id, email, verifiedAccount, isAdmin and companyId
+ */
+export async function establishSession(req, user) {
+  await regenerateSession(req);
+  req.session.userId = user.id;
+  req.session.email = user.email;
+  req.session.verified = user.verifiedAccount;
+  req.session.isAdmin = user.isAdmin;
+  req.session.companyId = user.companyId;
+  recordSessionClient(req);
+}
+
+/**
+ * Mark the sessions matching `where` revoked
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export async function revokeSessions(where) {
+  const result = await prisma.session.updateMany({
+    where: { ...where, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  return result.count;
+}
+
+/**
+ * Delete sessions past their expiry, revoked or not
+ * @returns {Promise<number>} Number of deleted sessions
+ */
+export async function deleteExpiredSessions() {
+  const result = await prisma.session.deleteMany({
+    where: { expiresAt: { lte: new Date() } },
+  });
+  return result.count;
+}
+
+/**
+ * Short description of the browser and OS in a user agent, e.g. "Firefox on
+ * Windows"; null if the user agent is unknown
+ */
+export function describeUserAgent(userAgent) {
+  if (!userAgent) {
+    return null;
+  }
+
+  const browser = [
+    [/Edg\//, 'Edge'],
+    [/OPR\//, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+    [/curl\//, 'curl'],
+  ].find(([pattern]) => pattern.test(userAgent))?.[1];
+
+  const os = [
+    [/iPhone|iPad/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/CrOS/, 'ChromeOS'],
+    [/Linux/, 'Linux'],
+  ].find(([pattern]) => pattern.test(userAgent))?.[1];
+
+  if (browser && os) {
+    return `${browser} on ${os}`;
+  }
+  return browser || os || 'Unknown device';
+}
+
+/**
+ * A user's unexpired sessions, most recently seen first
+ * `current` marks the session with sid `currentSid`. Session ids are never
+ * returned, since they would let the holder sign in as the user.
+ */
+export async function getUserSessions(userId, currentSid = null) {
+  const sessions = await prisma.session.findMany({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    orderBy: {
+      lastSeenAt: 'desc',
+    },
+  });
+
+  return sessions.map(row => ({
+    id: row.id,
+    device: describeUserAgent(row.userAgent),
+    userAgent: row.userAgent,
+    ipAddress: row.ipAddress,
+    createdAt: row.createdAt,
+    lastSeenAt: row.lastSeenAt,
+    expiresAt: row.expiresAt,
+    current: row.sid === currentSid,
+  }));
+}
+
+/**
+ * Sign a user out of their sessions, optionally keeping the one with sid
+ * `exceptSid`
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export async function revokeUserSessions(userId, exceptSid = null) {
+  return revokeSessions({
+    userId,
+    ...(exceptSid && { sid: { not: exceptSid } }),
+  });
+}
@@ -0,0 +1,89 @@
+import { registerProvisioningHandler } from './provisioning.js';
+
+const PRODUCT = 'Snyk';
+const DEFAULT_API_URL = 'https://api.snyk.io/v1';
+
+// Emails listed on a request, lowercased
+function requestedEmails(request) {
+  return (request.users || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Call the Snyk v1 API, throwing on any non-2xx response
+async function snykRequest(config, method, pathname, body) {
+  const response = await fetch(`${config.apiUrl}${pathname}`, {
+    method,
+    headers: {
+      Authorization: `token ${config.token}`,
+      ...(body && { 'Content-Type': 'application/json' }),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`Snyk API ${method} ${pathname} failed with status ${response.status}${detail ? `: ${detail}` : ''}`);
+  }
+
+  return response.status === 204 ? null : response.json().catch(() => null);
+}
+
+/**
+ * Provisioning handler for Snyk requests
+ * NEW_ACCESS and ADD_USERS invite the listed users to the Snyk organization;
+ * REMOVE_USERS removes them. Users already in the wanted state are skipped,
+ * so a retried request picks up where the failed attempt stopped.
+ */
+function snykHandler(config) {
+  return async ({ request, log }) => {
+    const emails = requestedEmails(request);
+    if (emails.length === 0) {
+      log('No users listed on the request; nothing to change in Snyk\n');
+      return;
+    }
+
+    const members = await snykRequest(config, 'GET', `/org/${config.orgId}/members`);
+    const membersByEmail = new Map(
+      members.filter(member => member.email).map(member => [member.email.toLowerCase(), member])
+    );
+
+    for (const email of emails) {
+      const member = membersByEmail.get(email);
+
+      if (request.requestType === 'REMOVE_USERS') {
+        if (!member) {
+          log(`${email} is not a member of the Snyk organization\n`);
+          continue;
+        }
+        await snykRequest(config, 'DELETE', `/org/${config.orgId}/members/${member.id}`);
+        log(`Removed ${email} from the Snyk organization\n`);
+      } else if (member) {
+        log(`${email} is already a member of the Snyk organization\n`);
+      } else {
+        await snykRequest(config, 'POST', `/org/${config.orgId}/invite`, { email, isAdmin: false });
+        log(`Invited ${email} to the Snyk organization\n`);
+      }
+    }
+  };
+}
+
+/**
+ * Provision Snyk requests through the Snyk API when SNYK_TOKEN and
+ * SNYK_ORG_ID are set; otherwise Snyk requests are onboarded by hand
+ * @returns {boolean} Whether the handler was registered
+ */
+export function registerSnykProvisioning() {
+  const { SNYK_TOKEN, SNYK_ORG_ID, SNYK_API_URL } = process.env;
+  if (!SNYK_TOKEN || !SNYK_ORG_ID) {
+    return false;
+  }
+
+  registerProvisioningHandler(PRODUCT, snykHandler({
+    token: SNYK_TOKEN,
+    orgId: SNYK_ORG_ID,
+    apiUrl: (SNYK_API_URL || DEFAULT_API_URL).replace(/\/$/, ''),
+  }));
+  return true;
+}
@@ -13,6 +13,18 @@ export function extractDomain(email) {
   return parts[1].toLowerCase();
 }
 
+/**
+ * Parse a company's comma-separated email domains
+ * @param {string|null} domains - Company.domains
+ * @returns {string[]} Lowercase domains
+ */
+export function parseCompanyDomains(domains) {
+  return (domains || '')
+    .split(',')
+    .map(d => d.trim().toLowerCase())
+    .filter(Boolean);
+}
+
 /**
  * Find company by domain match
  * @param {string} domain - Domain to match
@@ -34,13 +46,7 @@ export async function findCompanyByDomain(domain) {
   });
 
   for (const company of companies) {
-    if (!company.domains) continue;
-    
-    const companyDomains = company.domains
-      .split(',')
-      .map(d => d.trim().toLowerCase());
-    
-    if (companyDomains.includes(domain)) {
+    if (parseCompanyDomains(company.domains).includes(domain)) {
       return { id: company.id, name: company.name };
     }
   }
@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+
+// Secrets stored in the database (TOTP secrets, SSO client secrets) are
+// encrypted with AES-256-GCM, so a copy of the database alone does not reveal
+// them. Changing the key makes existing encrypted values unreadable.
+// MFA_ENCRYPTION_KEY is the older name, from before SSO client secrets were
+// encrypted too; deployments that set it keep their enrolled TOTP secrets.
+function encryptionKeySecret() {
+  const secret = process.env.ENCRYPTION_KEY || process.env.MFA_ENCRYPTION_KEY;
+  if (secret) {
+    return secret;
+  }
+
+  // Rotating the session secret must not lock every stored secret away, and
+  // the development fallback is public, so production needs its own key
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('ENCRYPTION_KEY must be set in production (see backend/.env.example)');
+  }
+  return process.env.SESSION_SECRET || 'your-secret-key-change-in-production';
+}
+
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(encryptionKeySecret())
+  .digest();
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} secret - Plain text
+ * @returns {string} "iv.tag.ciphertext", each part base64
+ */
+export function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+}
+
+/**
+ * Decrypt a secret encrypted with encryptSecret
+ * @param {string} value - Stored value
+ * @returns {string} Plain text
+ */
+export function decryptSecret(value) {
+  const [iv, tag, ciphertext] = value.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
@@ -1,38 +1,85 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { prisma } from '../prisma/client.js';
 
-const CODE_LENGTH = 6;
-const CODE_EXPIRATION_MINUTES = 15;
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const MAGIC_CODE_CONFIG = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '..', 'config', 'magicCode.json'), 'utf-8')
+);
+delete MAGIC_CODE_CONFIG['//'];
+
+const CODE_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const INVALID_CODE_ERROR = 'Invalid or expired magic code';
 
 /**
- * Generate a random 6-character alphanumeric code
+ * Generate a random alphanumeric code with a CSPRNG
  * @returns {string} Random code
  */
 function generateCode() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
   let code = '';
-  for (let i = 0; i < CODE_LENGTH; i++) {
-    code += chars.charAt(Math.floor(Math.random() * chars.length));
+  for (let i = 0; i < MAGIC_CODE_CONFIG.codeLength; i++) {
+    code += CODE_CHARS.charAt(crypto.randomInt(CODE_CHARS.length));
   }
   return code;
 }
 
+// Constant-time comparison, so response timing does not reveal how much of a
+// guess was right
+function codesMatch(given, expected) {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * An email address as magic codes are requested and validated with: trimmed
+ * and lowercased, matching the per-email rate limit key
+ * @param {string} email - Email address as submitted
+ * @returns {string}
+ */
+export function normalizeEmail(email) {
+  return String(email).trim().toLowerCase();
+}
+
+/**
+ * When a user's magic-code sign-in lockout ends, or null if not locked
+ * @param {Object} user - User with magicCodeLockedUntil
+ * @returns {Date|null}
+ */
+export function getMagicCodeLockout(user) {
+  return user.magicCodeLockedUntil && user.magicCodeLockedUntil > new Date()
+    ? user.magicCodeLockedUntil
+    : null;
+}
+
 /**
  * Create a magic code for a user
+ * Any codes the user has not used yet are discarded, so only the most
+ * recently sent code works.
  * @param {string} userId - User ID
  * @returns {Promise<{code: string, expiresAt: Date}>} Magic code and expiration
  */
 export async function createMagicCode(userId) {
   const code = generateCode();
   const expiresAt = new Date();
-  expiresAt.setMinutes(expiresAt.getMinutes() + CODE_EXPIRATION_MINUTES);
+  expiresAt.setMinutes(expiresAt.getMinutes() + MAGIC_CODE_CONFIG.codeExpirationMinutes);
 
-  await prisma.magicCode.create({
-    data: {
-      code,
-      userId,
-      expiresAt,
-    },
-  });
+  await prisma.$transaction([
+    prisma.magicCode.deleteMany({
+      where: { userId, usedAt: null },
+    }),
+    prisma.magicCode.create({
+      data: {
+        code,
+        userId,
+        expiresAt,
+      },
+    }),
+  ]);
 
   return { code, expiresAt };
 }
@@ -53,36 +100,98 @@ export async function cleanupExpiredMagicCodes() {
   return result.count;
 }
 
+// Count a wrong code against the user, locking magic-code sign-in and
+// discarding their outstanding code once maxFailedAttempts is reached
+async function recordFailedAttempt(user) {
+  const { magicCodeFailedAttempts } = await prisma.user.update({
+    where: { id: user.id },
+    data: { magicCodeFailedAttempts: { increment: 1 } },
+    select: { magicCodeFailedAttempts: true },
+  });
+
+  if (magicCodeFailedAttempts < MAGIC_CODE_CONFIG.maxFailedAttempts) {
+    return { valid: false, error: INVALID_CODE_ERROR };
+  }
+
+  const lockedUntil = new Date();
+  lockedUntil.setMinutes(lockedUntil.getMinutes() + MAGIC_CODE_CONFIG.lockoutMinutes);
+
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { id: user.id },
+      data: {
+        magicCodeFailedAttempts: 0,
+        magicCodeLockedUntil: lockedUntil,
+      },
+    }),
+    prisma.magicCode.deleteMany({
+      where: { userId: user.id, usedAt: null },
+    }),
+  ]);
+
+  console.warn(`Magic-code sign-in locked for ${user.email} until ${lockedUntil.toISOString()}`);
+  return { valid: false, lockedUntil, error: 'Too many incorrect codes' };
+}
+
 /**
- * Validate and use a magic code
+ * Validate and use a magic code sent to an email address
+ * The code must be the latest one sent to that email. Each wrong code counts
+ * toward the account's lockout; a correct code resets the count.
+ * @param {string} email - Email address the code was sent to
  * @param {string} code - Magic code to validate
- * @returns {Promise<{valid: boolean, userId?: string, error?: string}>}
+ * @returns {Promise<{valid: boolean, userId?: string, lockedUntil?: Date, error?: string}>}
  */
-export async function validateMagicCode(code) {
+export async function validateMagicCode(email, code) {
+  const user = await prisma.user.findUnique({
+    where: { email: normalizeEmail(email) },
+  });
+
+  if (!user) {
+    return { valid: false, error: INVALID_CODE_ERROR };
+  }
+
+  const lockedUntil = getMagicCodeLockout(user);
+  if (lockedUntil) {
+    return { valid: false, lockedUntil, error: 'Too many incorrect codes' };
+  }
+
   const magicCode = await prisma.magicCode.findFirst({
     where: {
-      code,
+      userId: user.id,
       expiresAt: {
         gt: new Date(), // Not expired
       },
       usedAt: null, // Not used
     },
-    include: {
-      user: true,
+    orderBy: {
+      createdAt: 'desc',
     },
   });
 
-  if (!magicCode) {
-    return { valid: false, error: 'Invalid or expired magic code' };
+  if (!magicCode || !codesMatch(code, magicCode.code)) {
+    return recordFailedAttempt(user);
   }
 
-  // Mark code as used
-  await prisma.magicCode.update({
-    where: { id: magicCode.id },
+  // Mark code as used; the usedAt condition stops two concurrent requests
+  // both signing in with it
+  const { count } = await prisma.magicCode.updateMany({
+    where: { id: magicCode.id, usedAt: null },
     data: { usedAt: new Date() },
   });
 
-  return { valid: true, userId: magicCode.userId };
-}
+  if (count === 0) {
+    return { valid: false, error: INVALID_CODE_ERROR };
+  }
 
+  if (user.magicCodeFailedAttempts > 0 || user.magicCodeLockedUntil) {
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        magicCodeFailedAttempts: 0,
+        magicCodeLockedUntil: null,
+      },
+    });
+  }
 
+  return { valid: true, userId: user.id };
+}
@@ -23,6 +23,17 @@ import { Users } from './pages/Users.jsx';
 import { AcceptInvitation } from './pages/AcceptInvitation.jsx';
 import { Domains } from './pages/Domains.jsx';
 import { DomainDetail } from './pages/DomainDetail.jsx';
+import { Requests } from './pages/Requests.jsx';
+import { CompanyChanges } from './pages/CompanyChanges.jsx';
+import { ScoringSettings } from './pages/ScoringSettings.jsx';
+import { NotApplicableApprovals } from './pages/NotApplicableApprovals.jsx';
+import { Benchmarking } from './pages/Benchmarking.jsx';
+import { CompanyBenchmarkReport } from './pages/CompanyBenchmarkReport.jsx';
+import { Policies } from './pages/Policies.jsx';
+import { RiskRegister } from './pages/RiskRegister.jsx';
+import { Sessions } from './pages/Sessions.jsx';
+import { TwoFactor } from './pages/TwoFactor.jsx';
+import { SsoCallback } from './pages/SsoCallback.jsx';
 
 function CatchAllRedirect() {
   const { isAuthenticated, isVerified, loading } = useAuthStore();
@@ -108,6 +119,10 @@ function App() {
           path="/invite/:token"
           element={<AcceptInvitation />}
         />
+        <Route
+          path="/sso/callback"
+          element={<SsoCallback />}
+        />
 
         {/* Protected routes */}
         <Route
@@ -160,6 +175,16 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/companies/:id/benchmark"
+          element={
+            <ProtectedRoute>
+              <Layout>
+                <CompanyBenchmarkReport />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/applications"
           element={
@@ -200,6 +225,26 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/account/sessions"
+          element={
+            <ProtectedRoute>
+              <Layout>
+                <Sessions />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/account/two-factor"
+          element={
+            <ProtectedRoute>
+              <Layout>
+                <TwoFactor />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/domains"
           element={
@@ -220,6 +265,76 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/requests"
+          element={
+            <ProtectedRoute>
+              <Layout>
+                <Requests />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/changes"
+          element={
+            <ProtectedRoute>
+              <Layout>
+                <CompanyChanges />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/admin/scoring"
+          element={
+            <ProtectedRoute>
+              <Layout>
+                <ScoringSettings />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/admin/not-applicable"
+          element={
+            <ProtectedRoute>
+              <Layout>
+                <NotApplicableApprovals />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/admin/benchmarks"
+          element={
+            <ProtectedRoute>
+              <Layout>
+                <Benchmarking />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/admin/policies"
+          element={
+            <ProtectedRoute>
+              <Layout>
+                <Policies />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/admin/risks"
+          element={
+            <ProtectedRoute>
+              <Layout>
+                <RiskRegister />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
 
         {/* Legacy route redirect - backward compatibility */}
         <Route
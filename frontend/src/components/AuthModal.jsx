@@ -2,11 +2,13 @@ import { useState, useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import useAuthStore from '../store/authStore.js';
 import { Button, Input, Modal, Alert } from './ui/index.js';
+import { SecondFactorForm } from './auth/SecondFactorForm.jsx';
+import { MfaEnrollment } from './auth/MfaEnrollment.jsx';
 
 export function AuthModal({ isOpen, onClose, initialMode = 'login' }) {
   const navigate = useNavigate();
   const location = useLocation();
-  const { login, register, requestMagicCode, loginWithMagicCode, error, clearError, isAuthenticated, isVerified } = useAuthStore();
+  const { login, register, requestMagicCode, loginWithMagicCode, startSso, verifyMfa, completeMfaEnrollment, error, clearError, isAuthenticated, isVerified } = useAuthStore();
   
   const [isLogin, setIsLogin] = useState(initialMode === 'login');
   const [email, setEmail] = useState('');
@@ -19,6 +21,8 @@ export function AuthModal({ isOpen, onClose, initialMode = 'login' }) {
   const [magicCodeLoading, setMagicCodeLoading] = useState(false);
   const [magicCodeSent, setMagicCodeSent] = useState(false);
   const [successMessage, setSuccessMessage] = useState('');
+  const [ssoLoading, setSsoLoading] = useState(false);
+  const [mfaStep, setMfaStep] = useState(null); // null, 'challenge' or 'enroll' once credentials are accepted
 
   // Update isLogin based on route or initialMode
   useEffect(() => {
@@ -50,6 +54,7 @@ export function AuthModal({ isOpen, onClose, initialMode = 'login' }) {
       setShowMagicCodeModal(false);
       setMagicCodeStep('request');
       setMagicCode('');
+      setMfaStep(null);
       clearError();
     }
   }, [isOpen, clearError]);
@@ -66,7 +71,9 @@ export function AuthModal({ isOpen, onClose, initialMode = 'login' }) {
     setLoading(false);
 
     if (result.success) {
-      if (isLogin) {
+      if (result.mfaRequired || result.mfaEnrollmentRequired) {
+        setMfaStep(result.mfaRequired ? 'challenge' : 'enroll');
+      } else if (isLogin) {
         onClose();
         navigate('/dashboard');
       } else {
@@ -104,16 +111,57 @@ export function AuthModal({ isOpen, onClose, initialMode = 'login' }) {
     clearError();
     setMagicCodeLoading(true);
 
-    const result = await loginWithMagicCode(magicCode.trim().toUpperCase());
+    const result = await loginWithMagicCode(email, magicCode.trim().toUpperCase());
     setMagicCodeLoading(false);
 
     if (result.success) {
       setShowMagicCodeModal(false);
+      if (result.mfaRequired || result.mfaEnrollmentRequired) {
+        setMfaStep(result.mfaRequired ? 'challenge' : 'enroll');
+        return;
+      }
+      onClose();
+      navigate('/dashboard');
+    }
+  };
+
+  const handleSsoClick = async () => {
+    clearError();
+    setSsoLoading(true);
+    const result = await startSso(email);
+
+    if (result.success) {
+      window.location.assign(result.authorizationUrl);
+    } else {
+      setSsoLoading(false);
+    }
+  };
+
+  const handleMfaSubmit = async (factor) => {
+    clearError();
+    setLoading(true);
+
+    const result = await verifyMfa(factor);
+    setLoading(false);
+
+    if (result.success) {
       onClose();
       navigate('/dashboard');
     }
   };
 
+  const handleMfaEnrolled = (result) => {
+    completeMfaEnrollment(result.user);
+    onClose();
+    navigate('/dashboard');
+  };
+
+  const cancelMfa = () => {
+    setMfaStep(null);
+    setPassword('');
+    clearError();
+  };
+
   const openMagicCodeModal = () => {
     if (!email) {
       return;
@@ -142,7 +190,7 @@ export function AuthModal({ isOpen, onClose, initialMode = 'login' }) {
       <Modal
         isOpen={isOpen}
         onClose={onClose}
-        title={isLogin ? 'Sign In' : 'Create Account'}
+        title={mfaStep ? 'Two-Factor Authentication' : isLogin ? 'Sign In' : 'Create Account'}
         size="md"
       >
         {successMessage && (
@@ -157,99 +205,126 @@ export function AuthModal({ isOpen, onClose, initialMode = 'login' }) {
           </Alert>
         )}
 
-        <form onSubmit={handlePasswordSubmit} className="space-y-4">
-          <div>
-            <Input
-              label="Email"
-              type="email"
-              id="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              placeholder="you@example.com"
-              required
-            />
-            {/* Magic code button - commented out for now */}
-            {/* <button
-              type="button"
-              onClick={openMagicCodeModal}
-              disabled={!email}
-              className="mt-2 text-sm text-blue-600 hover:text-blue-700 disabled:text-gray-400 disabled:cursor-not-allowed"
-            >
-              Use magic code instead
-            </button> */}
-          </div>
+        {mfaStep === 'challenge' && (
+          <SecondFactorForm onSubmit={handleMfaSubmit} onCancel={cancelMfa} loading={loading} />
+        )}
 
-          <Input
-            label="Password"
-            type="password"
-            id="password"
-            value={password}
-            onChange={(e) => setPassword(e.target.value)}
-            placeholder="••••••••"
-            required
-            minLength={isLogin ? undefined : 8}
-            helperText={!isLogin ? 'Must be at least 8 characters' : undefined}
-          />
-
-          {!isLogin && (
-            <Input
-              label="Confirm Password"
-              type="password"
-              id="confirmPassword"
-              value={confirmPassword}
-              onChange={(e) => setConfirmPassword(e.target.value)}
-              placeholder="••••••••"
-              required
-              error={passwordError}
-            />
-          )}
+        {mfaStep === 'enroll' && (
+          <>
+            <p className="text-sm text-gray-600 mb-4">
+              Your account requires two-factor authentication. Set it up to finish signing in.
+            </p>
+            <MfaEnrollment onComplete={handleMfaEnrolled} onCancel={cancelMfa} />
+          </>
+        )}
 
-          <div className="flex gap-3 pt-2">
-            <Button
-              type="button"
-              variant="secondary"
-              className="flex-1"
-              onClick={onClose}
-            >
-              Cancel
-            </Button>
-            <Button
-              type="submit"
-              variant="primary"
-              className="flex-1"
-              disabled={loading || (!isLogin && password !== confirmPassword)}
-              loading={loading}
-            >
-              {isLogin ? 'Sign In' : 'Sign Up'}
-            </Button>
-          </div>
-        </form>
-
-        <div className="mt-4 text-center">
-          <p className="text-sm text-gray-600">
-            {isLogin ? (
-              <>
-                Don't have an account?{' '}
-                <button
-                  onClick={() => setIsLogin(false)}
-                  className="text-blue-600 hover:text-blue-700 font-medium"
+        {!mfaStep && (
+          <>
+            <form onSubmit={handlePasswordSubmit} className="space-y-4">
+              <div>
+                <Input
+                  label="Email"
+                  type="email"
+                  id="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="you@example.com"
+                  required
+                />
+                {/* Magic code button - commented out for now */}
+                {/* <button
+                  type="button"
+                  onClick={openMagicCodeModal}
+                  disabled={!email}
+                  className="mt-2 text-sm text-blue-600 hover:text-blue-700 disabled:text-gray-400 disabled:cursor-not-allowed"
+                >
+                  Use magic code instead
+                </button> */}
+                {isLogin && (
+                  <button
+                    type="button"
+                    onClick={handleSsoClick}
+                    disabled={!email || ssoLoading}
+                    className="mt-2 text-sm text-blue-600 hover:text-blue-700 disabled:text-gray-400 disabled:cursor-not-allowed"
+                  >
+                    {ssoLoading ? 'Redirecting to your identity provider...' : 'Sign in with company SSO instead'}
+                  </button>
+                )}
+              </div>
+
+              <Input
+                label="Password"
+                type="password"
+                id="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="••••••••"
+                required
+                minLength={isLogin ? undefined : 8}
+                helperText={!isLogin ? 'Must be at least 8 characters' : undefined}
+              />
+
+              {!isLogin && (
+                <Input
+                  label="Confirm Password"
+                  type="password"
+                  id="confirmPassword"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  placeholder="••••••••"
+                  required
+                  error={passwordError}
+                />
+              )}
+
+              <div className="flex gap-3 pt-2">
+                <Button
+                  type="button"
+                  variant="secondary"
+                  className="flex-1"
+                  onClick={onClose}
                 >
-                  Sign up
-                </button>
-              </>
-            ) : (
-              <>
-                Already have an account?{' '}
-                <button
-                  onClick={() => setIsLogin(true)}
-                  className="text-blue-600 hover:text-blue-700 font-medium"
+                  Cancel
+                </Button>
+                <Button
+                  type="submit"
+                  variant="primary"
+                  className="flex-1"
+                  disabled={loading || (!isLogin && password !== confirmPassword)}
+                  loading={loading}
                 >
-                  Sign in
-                </button>
-              </>
-            )}
-          </p>
-        </div>
+                  {isLogin ? 'Sign In' : 'Sign Up'}
+                </Button>
+              </div>
+            </form>
+
+            <div className="mt-4 text-center">
+              <p className="text-sm text-gray-600">
+                {isLogin ? (
+                  <>
+                    Don't have an account?{' '}
+                    <button
+                      onClick={() => setIsLogin(false)}
+                      className="text-blue-600 hover:text-blue-700 font-medium"
+                    >
+                      Sign up
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    Already have an account?{' '}
+                    <button
+                      onClick={() => setIsLogin(true)}
+                      className="text-blue-600 hover:text-blue-700 font-medium"
+                    >
+                      Sign in
+                    </button>
+                  </>
+                )}
+              </p>
+            </div>
+          </>
+        )}
       </Modal>
 
       {/* Nested Magic Code Modal - commented out for now */}
@@ -266,8 +341,7 @@ export function AuthModal({ isOpen, onClose, initialMode = 'login' }) {
               <div>
                 <p className="font-semibold mb-2">How it works:</p>
                 <ul className="list-disc list-inside space-y-1 text-sm">
-                  <li>A magic code will be generated and printed to the server console</li>
-                  <li>Ask your administrator to retrieve the code for you</li>
+                  <li>A magic code will be emailed to you</li>
                   <li>Enter the code below to {isLogin ? 'sign in' : 'register'}</li>
                 </ul>
               </div>
@@ -298,7 +372,7 @@ export function AuthModal({ isOpen, onClose, initialMode = 'login' }) {
           <form onSubmit={handleMagicCodeSubmit} className="space-y-4">
             {magicCodeSent && (
               <Alert variant="success">
-                Code generated! Ask your administrator to retrieve it from the console.
+                Code sent! Check your email for the magic code.
               </Alert>
             )}
 
@@ -147,6 +147,65 @@ export function Layout({ children }) {
                     >
                       Domains
                     </DropdownItem>
+                    <DropdownItem
+                      onClick={() => {
+                        navigate('/requests');
+                      }}
+                    >
+                      {isAdmin() ? 'Request Queue' : 'Tool Requests'}
+                    </DropdownItem>
+                    <DropdownItem
+                      onClick={() => {
+                        navigate('/changes');
+                      }}
+                    >
+                      {isAdmin() ? 'Change Approvals' : 'Company Changes'}
+                    </DropdownItem>
+                    {isAdmin() && (
+                      <DropdownItem
+                        onClick={() => {
+                          navigate('/admin/scoring');
+                        }}
+                      >
+                        Scoring Settings
+                      </DropdownItem>
+                    )}
+                    {isAdmin() && (
+                      <DropdownItem
+                        onClick={() => {
+                          navigate('/admin/not-applicable');
+                        }}
+                      >
+                        N/A Approvals
+                      </DropdownItem>
+                    )}
+                    {isAdmin() && (
+                      <DropdownItem
+                        onClick={() => {
+                          navigate('/admin/benchmarks');
+                        }}
+                      >
+                        Benchmarking
+                      </DropdownItem>
+                    )}
+                    {isAdmin() && (
+                      <DropdownItem
+                        onClick={() => {
+                          navigate('/admin/policies');
+                        }}
+                      >
+                        Policies
+                      </DropdownItem>
+                    )}
+                    {isAdmin() && (
+                      <DropdownItem
+                        onClick={() => {
+                          navigate('/admin/risks');
+                        }}
+                      >
+                        Risk Register
+                      </DropdownItem>
+                    )}
                     <DropdownItem
                       onClick={() => {
                         navigate('/users');
@@ -154,6 +213,20 @@ export function Layout({ children }) {
                     >
                       Users
                     </DropdownItem>
+                    <DropdownItem
+                      onClick={() => {
+                        navigate('/account/sessions');
+                      }}
+                    >
+                      Active Sessions
+                    </DropdownItem>
+                    <DropdownItem
+                      onClick={() => {
+                        navigate('/account/two-factor');
+                      }}
+                    >
+                      Two-Factor Authentication
+                    </DropdownItem>
                     {isAdmin() && (
                       <>
                         <DropdownItem divider />
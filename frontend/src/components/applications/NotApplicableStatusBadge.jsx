@@ -0,0 +1,25 @@
+export const NA_STATUS_OPTIONS = [
+  { value: 'PENDING', label: 'Pending approval' },
+  { value: 'APPROVED', label: 'Approved' },
+  { value: 'REJECTED', label: 'Rejected' },
+  { value: 'EXPIRED', label: 'Expired' },
+];
+
+const statusClasses = {
+  PENDING: 'bg-yellow-100 text-yellow-800',
+  APPROVED: 'bg-green-100 text-green-800',
+  REJECTED: 'bg-red-100 text-red-800',
+  EXPIRED: 'bg-gray-100 text-gray-800',
+};
+
+// Review status of a tool category marked Not Applicable
+export function NotApplicableStatusBadge({ status, expiresAt }) {
+  const label = NA_STATUS_OPTIONS.find(option => option.value === status)?.label || status;
+
+  return (
+    <span className={`px-2 py-1 text-xs font-medium rounded whitespace-nowrap ${statusClasses[status] || 'bg-gray-100 text-gray-800'}`}>
+      {label}
+      {status === 'APPROVED' && expiresAt && ` until ${new Date(expiresAt).toLocaleDateString()}`}
+    </span>
+  );
+}
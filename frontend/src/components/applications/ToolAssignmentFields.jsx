@@ -0,0 +1,83 @@
+import { Input } from '../ui/Input.jsx';
+import { Select } from '../ui/Select.jsx';
+import { Checkbox } from '../ui/Checkbox.jsx';
+import { NotApplicableStatusBadge } from './NotApplicableStatusBadge.jsx';
+
+const EMPTY_ASSIGNMENT = { tool: '', integrationLevel: '', notApplicable: false, naReason: '', naStatus: null };
+
+// Tool and integration level inputs for every tool category in the scoring
+// config. `value` is keyed by category; see utils/toolAssignments.js.
+// Any category can be marked N/A with a reason, which an admin then reviews.
+export function ToolAssignmentFields({ categories = [], integrationLevels = [], value = {}, onChange, disabled = false }) {
+  const update = (category, changes) => {
+    // A new or re-worded N/A goes back for review once saved
+    const resetsReview = 'notApplicable' in changes || 'naReason' in changes;
+    onChange({
+      ...value,
+      [category]: {
+        ...EMPTY_ASSIGNMENT,
+        ...value[category],
+        ...changes,
+        ...(resetsReview && { naStatus: null }),
+      },
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      {categories.map(category => {
+        const assignment = { ...EMPTY_ASSIGNMENT, ...value[category.value] };
+
+        return (
+          <div key={category.value} className="space-y-2">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <Input
+                label={`${category.label} Tool`}
+                value={assignment.tool}
+                onChange={(e) => update(category.value, { tool: e.target.value })}
+                disabled={disabled || assignment.notApplicable}
+              />
+              <Select
+                label={`${category.label} Integration Level`}
+                value={assignment.integrationLevel}
+                onChange={(e) => update(category.value, { integrationLevel: e.target.value })}
+                options={[
+                  { value: '', label: 'Select level' },
+                  ...integrationLevels,
+                ]}
+                disabled={disabled || assignment.notApplicable}
+              />
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-center">
+              <div className="flex items-center gap-2">
+                <Checkbox
+                  id={`${category.value}NA`}
+                  label={`${category.label} Not Applicable`}
+                  checked={assignment.notApplicable}
+                  onChange={(e) => update(category.value, { notApplicable: e.target.checked })}
+                  disabled={disabled}
+                />
+                {assignment.notApplicable && (
+                  assignment.naStatus ? (
+                    <NotApplicableStatusBadge status={assignment.naStatus} expiresAt={assignment.naExpiresAt} />
+                  ) : (
+                    <span className="text-xs text-gray-500">Needs admin approval once saved</span>
+                  )
+                )}
+              </div>
+              {assignment.notApplicable && (
+                <Input
+                  placeholder="Why doesn't this apply?"
+                  value={assignment.naReason}
+                  onChange={(e) => update(category.value, { naReason: e.target.value })}
+                  disabled={disabled}
+                  required
+                />
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
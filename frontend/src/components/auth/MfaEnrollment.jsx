@@ -0,0 +1,117 @@
+import { useState, useEffect } from 'react';
+import { api } from '../../lib/api.js';
+import { Alert, Button, Input, LoadingSpinner } from '../ui/index.js';
+import { RecoveryCodes } from './RecoveryCodes.jsx';
+
+/**
+ * Set up an authenticator app: scan the QR code, confirm with a code, then
+ * save the recovery codes. onComplete receives the enable response, which
+ * includes the user when enrolling finished a sign-in.
+ */
+export function MfaEnrollment({ onComplete, onCancel }) {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    startSetup();
+  }, []);
+
+  const startSetup = async () => {
+    try {
+      setError(null);
+      setSetup(await api.startMfaSetup());
+    } catch (error) {
+      setError(error.message || 'Failed to start two-factor setup');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      setError(null);
+      setResult(await api.enableMfa(code));
+    } catch (error) {
+      setError(error.message || 'Failed to enable two-factor authentication');
+      setCode('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (result) {
+    return (
+      <div className="space-y-4">
+        <Alert variant="success">Two-factor authentication is now enabled.</Alert>
+        <RecoveryCodes codes={result.recoveryCodes} />
+        <Button variant="primary" className="w-full" onClick={() => onComplete(result)}>
+          I've Saved My Recovery Codes
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <Alert variant="error">
+          {error}
+        </Alert>
+      )}
+
+      {!setup ? (
+        !error && (
+          <div className="flex justify-center py-8">
+            <LoadingSpinner />
+          </div>
+        )
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <p className="text-sm text-gray-700">
+            Scan this QR code with an authenticator app such as Google Authenticator, 1Password or
+            Authy, then enter the 6-digit code it shows.
+          </p>
+          <div className="flex justify-center">
+            <img src={setup.qrCode} alt="Two-factor authentication QR code" className="w-48 h-48" />
+          </div>
+          <p className="text-xs text-gray-500 text-center">
+            Can't scan it? Enter this key instead:
+            <span className="block mt-1 font-mono text-sm text-gray-900 break-all">{setup.secret}</span>
+          </p>
+          <Input
+            label="Authentication Code"
+            type="text"
+            id="mfaEnrollmentCode"
+            value={code}
+            onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+            placeholder="123456"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            required
+            className="text-center text-2xl font-mono tracking-widest"
+          />
+          <div className="flex gap-3 pt-2">
+            {onCancel && (
+              <Button type="button" variant="secondary" className="flex-1" onClick={onCancel}>
+                Cancel
+              </Button>
+            )}
+            <Button
+              type="submit"
+              variant="primary"
+              className="flex-1"
+              disabled={loading || code.length !== 6}
+              loading={loading}
+            >
+              Enable
+            </Button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import { Alert, Button, toast } from '../ui/index.js';
+import { isClipboardAvailable, copyToClipboard } from '../../utils/clipboard.js';
+
+/**
+ * One-time display of newly generated recovery codes
+ */
+export function RecoveryCodes({ codes }) {
+  const handleDownload = () => {
+    const blob = new Blob([`${codes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-3">
+      <Alert variant="warning">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+        authenticator app. They will not be shown again.
+      </Alert>
+      <div className="grid grid-cols-2 gap-2 p-4 bg-gray-50 rounded-lg font-mono text-sm text-gray-900">
+        {codes.map((code) => (
+          <div key={code}>{code}</div>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        {isClipboardAvailable() && (
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            onClick={() => copyToClipboard(
+              codes.join('\n'),
+              () => toast.success('Recovery codes copied to clipboard'),
+              (error) => toast.error(error)
+            )}
+          >
+            Copy
+          </Button>
+        )}
+        <Button type="button" variant="outline" size="sm" onClick={handleDownload}>
+          Download
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import { useState } from 'react';
+import { Button, Input } from '../ui/index.js';
+
+/**
+ * Second step of a sign-in: a code from the authenticator app, or a recovery
+ * code. onSubmit receives { code } or { recoveryCode }.
+ */
+export function SecondFactorForm({ onSubmit, onCancel, loading = false, allowRecoveryCode = true, cancelLabel = 'Back' }) {
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [value, setValue] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(useRecoveryCode ? { recoveryCode: value.trim() } : { code: value.trim() });
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setValue('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {useRecoveryCode ? (
+        <Input
+          label="Recovery Code"
+          type="text"
+          id="recoveryCode"
+          value={value}
+          onChange={(e) => setValue(e.target.value.toUpperCase())}
+          placeholder="XXXXX-XXXXX"
+          autoComplete="off"
+          required
+          className="text-center font-mono tracking-widest"
+          helperText="Each recovery code can be used once"
+        />
+      ) : (
+        <Input
+          label="Authentication Code"
+          type="text"
+          id="mfaCode"
+          value={value}
+          onChange={(e) => setValue(e.target.value.replace(/\D/g, '').slice(0, 6))}
+          placeholder="123456"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          autoFocus
+          required
+          className="text-center text-2xl font-mono tracking-widest"
+          helperText="Enter the 6-digit code from your authenticator app"
+        />
+      )}
+
+      {allowRecoveryCode && (
+        <button
+          type="button"
+          onClick={toggleRecoveryCode}
+          className="text-sm text-blue-600 hover:text-blue-700"
+        >
+          {useRecoveryCode ? 'Use authenticator app instead' : 'Use a recovery code instead'}
+        </button>
+      )}
+
+      <div className="flex gap-3 pt-2">
+        <Button
+          type="button"
+          variant="secondary"
+          className="flex-1"
+          onClick={onCancel}
+        >
+          {cancelLabel}
+        </Button>
+        <Button
+          type="submit"
+          variant="primary"
+          className="flex-1"
+          disabled={loading || (!useRecoveryCode && value.length !== 6) || !value}
+          loading={loading}
+        >
+          Verify
+        </Button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,36 @@
+export const CHANGE_STATUS_OPTIONS = [
+  { value: 'PENDING', label: 'Pending' },
+  { value: 'APPROVED', label: 'Approved' },
+  { value: 'REJECTED', label: 'Rejected' },
+];
+
+// Labels for the company fields that members can propose changes to
+export const COMPANY_FIELD_LABELS = {
+  engManager: 'Engineering Manager',
+  language: 'Language',
+  framework: 'Framework',
+  serverEnvironment: 'Server Environment',
+  facing: 'Facing',
+  deploymentType: 'Deployment Type',
+  authProfiles: 'Auth Profiles',
+  dataTypes: 'Data Types',
+};
+
+// Fields members can propose changes to (see PROPOSABLE_COMPANY_FIELDS in the backend)
+export const PROPOSABLE_COMPANY_FIELDS = Object.keys(COMPANY_FIELD_LABELS);
+
+const statusClasses = {
+  PENDING: 'bg-yellow-100 text-yellow-800',
+  APPROVED: 'bg-green-100 text-green-800',
+  REJECTED: 'bg-red-100 text-red-800',
+};
+
+export function ChangeStatusBadge({ status }) {
+  const label = CHANGE_STATUS_OPTIONS.find(option => option.value === status)?.label || status;
+
+  return (
+    <span className={`px-2 py-1 text-xs font-medium rounded ${statusClasses[status] || 'bg-gray-100 text-gray-800'}`}>
+      {label}
+    </span>
+  );
+}
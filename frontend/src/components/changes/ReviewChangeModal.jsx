@@ -0,0 +1,259 @@
+import { useState, useEffect } from 'react';
+import { Modal } from '../ui/Modal.jsx';
+import { Button } from '../ui/Button.jsx';
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '../ui/Table.jsx';
+import { api } from '../../lib/api.js';
+import { toast } from '../ui/Toast.jsx';
+import { ChangeStatusBadge, COMPANY_FIELD_LABELS } from './ChangeStatusBadge.jsx';
+
+function displayValue(value) {
+  return value === null || value === undefined || value === ''
+    ? <span className="italic text-gray-400">empty</span>
+    : value;
+}
+
+function MergeSummary({ change }) {
+  const summary = change.changeDetails || {};
+
+  return (
+    <div className="text-sm text-gray-700 space-y-1">
+      <p>
+        <strong>{change.companyName}</strong> was merged into{' '}
+        <strong>{change.finalTargetCompanyName}</strong> and deleted.
+      </p>
+      <ul className="list-disc list-inside">
+        <li>{summary.applications || 0} application(s), {summary.users || 0} user(s), {summary.invitations || 0} invitation(s) and {summary.contacts || 0} contact(s) moved</li>
+        <li>{summary.domainsMoved || 0} hosting domain(s) moved</li>
+        {summary.domainsMerged?.length > 0 && (
+          <li>Hosting domains combined with existing ones: {summary.domainsMerged.join(', ')}</li>
+        )}
+        {summary.emailDomainsAdded?.length > 0 && (
+          <li>Email domains added: {summary.emailDomainsAdded.join(', ')}</li>
+        )}
+        {summary.fieldsFilled?.length > 0 && (
+          <li>
+            Defaults copied: {summary.fieldsFilled.map(field => COMPANY_FIELD_LABELS[field] || field).join(', ')}
+          </li>
+        )}
+        {summary.requireMfaAdded && (
+          <li>Two-factor authentication is now required, as it was for {change.companyName}</li>
+        )}
+        {summary.ssoConnectionMoved && (
+          <li>Single sign-on settings moved from {change.companyName}</li>
+        )}
+        {summary.pendingChangesMoved > 0 && (
+          <li>{summary.pendingChangesMoved} pending change request(s) moved</li>
+        )}
+      </ul>
+    </div>
+  );
+}
+
+export function ReviewChangeModal({ isOpen, onClose, changeId, onReviewed, canReview = false }) {
+  const [change, setChange] = useState(null);
+  const [selectedFields, setSelectedFields] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(null);
+
+  useEffect(() => {
+    if (isOpen && changeId) {
+      loadChange();
+    } else {
+      setChange(null);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isOpen, changeId]);
+
+  const loadChange = async () => {
+    try {
+      setLoading(true);
+      const data = await api.getCompanyChange(changeId);
+      setChange(data);
+      setSelectedFields(Object.keys(data.changeDetails || {}));
+    } catch (error) {
+      toast.error(error.message || 'Failed to load change');
+      onClose();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleField = (field, checked) => {
+    setSelectedFields(prev => (
+      checked ? [...prev, field] : prev.filter(f => f !== field)
+    ));
+  };
+
+  const handleApprove = async (fields, action) => {
+    if (fields.length === 0) {
+      toast.error('Select at least one field to approve, or reject the change');
+      return;
+    }
+
+    try {
+      setSubmitting(action);
+      await api.approveCompanyChange(change.id, fields);
+      toast.success('Change approved');
+      onReviewed?.();
+      onClose();
+    } catch (error) {
+      toast.error(error.message || 'Failed to approve change');
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  const handleReject = async () => {
+    try {
+      setSubmitting('reject');
+      await api.rejectCompanyChange(change.id);
+      toast.success('Change rejected');
+      onReviewed?.();
+      onClose();
+    } catch (error) {
+      toast.error(error.message || 'Failed to reject change');
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  const fields = Object.keys(change?.changeDetails || {});
+  const isPending = change?.status === 'PENDING';
+  const reviewable = isPending && canReview;
+  const approvedFields = change?.approvedFields?.split(',') || [];
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={change ? `${change.actionTaken === 'MERGE' ? 'Merge of' : 'Changes to'} ${change.companyName || 'company'}` : 'Review Change'}
+      size="xl"
+      footer={
+        reviewable ? (
+          <>
+            <Button
+              variant="secondary"
+              onClick={onClose}
+              disabled={!!submitting}
+            >
+              Cancel
+            </Button>
+            <Button
+              variant="danger"
+              onClick={handleReject}
+              loading={submitting === 'reject'}
+              disabled={!!submitting}
+            >
+              Reject
+            </Button>
+            <Button
+              variant="outline"
+              onClick={() => handleApprove(selectedFields, 'approveSelected')}
+              loading={submitting === 'approveSelected'}
+              disabled={!!submitting || selectedFields.length === fields.length}
+            >
+              Approve Selected ({selectedFields.length})
+            </Button>
+            <Button
+              variant="success"
+              onClick={() => handleApprove(fields, 'approveAll')}
+              loading={submitting === 'approveAll'}
+              disabled={!!submitting}
+            >
+              Approve All
+            </Button>
+          </>
+        ) : (
+          <Button variant="secondary" onClick={onClose}>
+            Close
+          </Button>
+        )
+      }
+    >
+      {loading || !change ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : (
+        <div className="space-y-4">
+          <div className="flex justify-between items-start text-sm text-gray-600">
+            <div className="space-y-1">
+              <p><strong>Proposed by:</strong> {change.userEmail}</p>
+              <p><strong>Submitted:</strong> {new Date(change.createdAt).toLocaleString()}</p>
+              {change.approvedBy && (
+                <p>
+                  <strong>Reviewed by:</strong> {change.approvedBy}
+                  {change.approvedAt && ` on ${new Date(change.approvedAt).toLocaleString()}`}
+                </p>
+              )}
+            </div>
+            <ChangeStatusBadge status={change.status} />
+          </div>
+
+          {reviewable && !change.currentValues && (
+            <p className="text-sm text-red-600">
+              The company this change targets no longer exists. Reject the change to clear it from the queue.
+            </p>
+          )}
+
+          {change.actionTaken === 'MERGE' ? (
+            <MergeSummary change={change} />
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  {reviewable && <TableHead>Apply</TableHead>}
+                  <TableHead>Field</TableHead>
+                  <TableHead>When Proposed</TableHead>
+                  {isPending && <TableHead>Current</TableHead>}
+                  <TableHead>Proposed</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {fields.map((field) => {
+                  const { from, to } = change.changeDetails[field];
+                  const current = change.currentValues?.[field];
+                  const drifted = isPending && change.currentValues && current !== from;
+
+                  return (
+                    <TableRow key={field}>
+                      {reviewable && (
+                        <TableCell>
+                          <input
+                            type="checkbox"
+                            className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                            checked={selectedFields.includes(field)}
+                            onChange={(e) => toggleField(field, e.target.checked)}
+                          />
+                        </TableCell>
+                      )}
+                      <TableCell>
+                        <span className="font-medium">{COMPANY_FIELD_LABELS[field] || field}</span>
+                        {!isPending && change.status === 'APPROVED' && (
+                          <div className="text-xs text-gray-500">
+                            {approvedFields.includes(field) ? 'Applied' : 'Not applied'}
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <span className="text-red-700 line-through decoration-red-300">{displayValue(from)}</span>
+                      </TableCell>
+                      {isPending && (
+                        <TableCell>
+                          <span className={drifted ? 'text-yellow-700' : ''} title={drifted ? 'Changed since this was proposed' : undefined}>
+                            {change.currentValues ? displayValue(current) : '—'}
+                          </span>
+                        </TableCell>
+                      )}
+                      <TableCell>
+                        <span className="text-green-700">{displayValue(to)}</span>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          )}
+        </div>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,107 @@
+import { useState, useEffect } from 'react';
+import { Modal } from '../ui/Modal.jsx';
+import { Button } from '../ui/Button.jsx';
+import { Select } from '../ui/Select.jsx';
+import { api } from '../../lib/api.js';
+import { toast } from '../ui/Toast.jsx';
+
+export function MergeCompanyModal({ isOpen, onClose, company, onMerged }) {
+  const [companies, setCompanies] = useState([]);
+  const [targetCompanyId, setTargetCompanyId] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setTargetCompanyId('');
+      loadCompanies();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isOpen]);
+
+  const loadCompanies = async () => {
+    try {
+      const data = await api.getCompanies();
+      setCompanies(Array.isArray(data) ? data.filter(c => c.id !== company.id) : []);
+    } catch (error) {
+      console.error('Failed to load companies:', error);
+    }
+  };
+
+  const target = companies.find(c => c.id === targetCompanyId);
+
+  const handleMerge = async () => {
+    if (!targetCompanyId) {
+      toast.error('Please select a company to merge into');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const result = await api.mergeCompany(company.id, targetCompanyId);
+      toast.success(result.message || 'Companies merged');
+      onMerged?.(result.company);
+      onClose();
+    } catch (error) {
+      toast.error(error.message || 'Failed to merge companies');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={`Merge ${company.name}`}
+      footer={
+        <>
+          <Button
+            variant="secondary"
+            onClick={onClose}
+            disabled={loading}
+          >
+            Cancel
+          </Button>
+          <Button
+            variant="danger"
+            onClick={handleMerge}
+            loading={loading}
+            disabled={!targetCompanyId}
+          >
+            Merge and Delete {company.name}
+          </Button>
+        </>
+      }
+    >
+      <div className="space-y-4">
+        <Select
+          label="Merge into"
+          id="targetCompanyId"
+          value={targetCompanyId}
+          onChange={(e) => setTargetCompanyId(e.target.value)}
+          placeholder="Select a company"
+          options={companies.map(c => ({ value: c.id, label: c.name }))}
+          required
+        />
+
+        <div className="text-sm text-gray-600 space-y-2">
+          <p>
+            All applications ({company._count?.applications || 0}), users ({company.users?.length || 0}),
+            hosting domains, invitations, contacts, grades and policies of <strong>{company.name}</strong> will
+            move to <strong>{target?.name || 'the selected company'}</strong>.
+          </p>
+          <p>
+            Hosting domains both companies have are combined, email domains are added to the
+            target, and any default settings the target is missing are copied over. If either
+            company requires two-factor authentication, the merged company will too, and
+            single sign-on settings move to the target. Companies that both have single sign-on
+            cannot be merged.
+          </p>
+          <p className="text-red-600">
+            {company.name} is deleted afterwards. This cannot be undone.
+          </p>
+        </div>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,164 @@
+import { useState, useEffect } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/Card.jsx';
+import { Button } from '../ui/Button.jsx';
+import { Input } from '../ui/Input.jsx';
+import { Checkbox } from '../ui/Checkbox.jsx';
+import { api } from '../../lib/api.js';
+import { toast } from '../ui/Toast.jsx';
+
+const EMPTY_FORM = {
+  issuer: '',
+  clientId: '',
+  clientSecret: '',
+  autoVerify: false,
+  enabled: true,
+};
+
+// Single sign-on card for a company (admins only)
+export function SsoSettingsPanel({ companyId }) {
+  const [settings, setSettings] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadSettings();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [companyId]);
+
+  const applySettings = (data) => {
+    setSettings(data);
+    setFormData(data.connection ? {
+      issuer: data.connection.issuer,
+      clientId: data.connection.clientId,
+      clientSecret: '',
+      autoVerify: data.connection.autoVerify,
+      enabled: data.connection.enabled,
+    } : EMPTY_FORM);
+  };
+
+  const loadSettings = async () => {
+    try {
+      applySettings(await api.getCompanySso(companyId));
+    } catch (error) {
+      console.error('Failed to load SSO settings:', error);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // A blank secret keeps the stored one
+    const { clientSecret, ...rest } = formData;
+    const data = clientSecret ? formData : rest;
+
+    try {
+      setSaving(true);
+      applySettings(await api.updateCompanySso(companyId, data));
+      toast.success('SSO settings saved');
+    } catch (error) {
+      toast.error(error.message || 'Failed to save SSO settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!confirm('Remove single sign-on for this company? Members will need to sign in another way.')) {
+      return;
+    }
+
+    try {
+      await api.deleteCompanySso(companyId);
+      toast.success('SSO settings removed');
+      loadSettings();
+    } catch (error) {
+      toast.error(error.message || 'Failed to remove SSO settings');
+    }
+  };
+
+  if (!settings) {
+    return null;
+  }
+
+  const connection = settings.connection;
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex justify-between items-center">
+          <CardTitle>Single Sign-On</CardTitle>
+          {connection && (
+            <span className={`px-2 py-1 text-xs font-medium rounded ${connection.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}>
+              {connection.enabled ? 'Enabled' : 'Disabled'}
+            </span>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent>
+        <p className="text-sm text-gray-600 mb-4">
+          {settings.emailDomains.length > 0
+            ? `Users with ${settings.emailDomains.map(domain => `@${domain}`).join(', ')} addresses can sign in through your OpenID Connect provider.`
+            : 'Add email domains to this company before users can sign in with SSO.'}
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <Input
+            label="Issuer URL"
+            id="ssoIssuer"
+            value={formData.issuer}
+            onChange={(e) => setFormData({ ...formData, issuer: e.target.value })}
+            placeholder="https://login.example.com"
+            required
+          />
+          <Input
+            label="Client ID"
+            id="ssoClientId"
+            value={formData.clientId}
+            onChange={(e) => setFormData({ ...formData, clientId: e.target.value })}
+            required
+          />
+          <Input
+            label="Client Secret"
+            id="ssoClientSecret"
+            type="password"
+            value={formData.clientSecret}
+            onChange={(e) => setFormData({ ...formData, clientSecret: e.target.value })}
+            placeholder={connection?.hasClientSecret ? 'Leave blank to keep the current secret' : 'Optional for public clients'}
+            autoComplete="off"
+          />
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Redirect URI</label>
+            <code className="block p-2 bg-gray-50 rounded text-xs text-gray-900 break-all">
+              {settings.redirectUri}
+            </code>
+            <p className="mt-1 text-xs text-gray-500">Register this with the identity provider</p>
+          </div>
+          <Checkbox
+            id="ssoAutoVerify"
+            label="Verify users automatically"
+            checked={formData.autoVerify}
+            onChange={(e) => setFormData({ ...formData, autoVerify: e.target.checked })}
+            helperText="Users who sign in with SSO skip admin approval"
+          />
+          <Checkbox
+            id="ssoEnabled"
+            label="Enabled"
+            checked={formData.enabled}
+            onChange={(e) => setFormData({ ...formData, enabled: e.target.checked })}
+          />
+
+          <div className="flex gap-3 pt-2">
+            <Button type="submit" variant="primary" className="flex-1" loading={saving} disabled={saving}>
+              {connection ? 'Save SSO Settings' : 'Set Up SSO'}
+            </Button>
+            {connection && (
+              <Button type="button" variant="danger" onClick={handleRemove}>
+                Remove
+              </Button>
+            )}
+          </div>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
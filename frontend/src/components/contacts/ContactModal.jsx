@@ -0,0 +1,142 @@
+import { useState, useEffect } from 'react';
+import { Modal } from '../ui/Modal.jsx';
+import { Button } from '../ui/Button.jsx';
+import { Input } from '../ui/Input.jsx';
+import { Checkbox } from '../ui/Checkbox.jsx';
+import { api } from '../../lib/api.js';
+import { toast } from '../ui/Toast.jsx';
+
+const emptyForm = {
+  name: '',
+  title: '',
+  email: '',
+  phone: '',
+  roles: [],
+};
+
+// Create or edit a contact. Pass `contact` to edit; otherwise `owner`
+// ({ companyId } or { applicationId }) says where the new contact belongs.
+export function ContactModal({ isOpen, onClose, contact, owner, roles, onSaved }) {
+  const [loading, setLoading] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    if (isOpen) {
+      setFormData(contact ? {
+        name: contact.name || '',
+        title: contact.title || '',
+        email: contact.email || '',
+        phone: contact.phone || '',
+        roles: contact.roles ? contact.roles.split(',') : [],
+      } : emptyForm);
+    }
+  }, [isOpen, contact]);
+
+  const toggleRole = (role, checked) => {
+    setFormData(prev => ({
+      ...prev,
+      roles: checked
+        ? [...prev.roles, role]
+        : prev.roles.filter(r => r !== role),
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.name.trim()) {
+      toast.error('Please enter a name');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      if (contact) {
+        await api.updateContact(contact.id, formData);
+        toast.success('Contact updated successfully');
+      } else {
+        await api.createContact({ ...formData, ...owner });
+        toast.success('Contact added successfully');
+      }
+      onSaved?.();
+      onClose();
+    } catch (error) {
+      toast.error(error.message || 'Failed to save contact');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={contact ? 'Edit Contact' : 'Add Contact'}
+      footer={
+        <>
+          <Button
+            variant="secondary"
+            onClick={onClose}
+            disabled={loading}
+          >
+            Cancel
+          </Button>
+          <Button
+            variant="primary"
+            onClick={handleSubmit}
+            loading={loading}
+          >
+            {contact ? 'Save' : 'Add Contact'}
+          </Button>
+        </>
+      }
+    >
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <Input
+          label="Name"
+          id="contactName"
+          value={formData.name}
+          onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+          required
+        />
+        <Input
+          label="Title"
+          id="contactTitle"
+          value={formData.title}
+          onChange={(e) => setFormData({ ...formData, title: e.target.value })}
+          placeholder="Staff Engineer"
+        />
+        <Input
+          label="Email"
+          id="contactEmail"
+          type="email"
+          value={formData.email}
+          onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+          placeholder="name@example.com"
+        />
+        <Input
+          label="Phone"
+          id="contactPhone"
+          type="tel"
+          value={formData.phone}
+          onChange={(e) => setFormData({ ...formData, phone: e.target.value })}
+          placeholder="+1 555 123 4567"
+        />
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Roles</label>
+          <div className="grid grid-cols-2 gap-2">
+            {roles.map(role => (
+              <Checkbox
+                key={role.value}
+                id={`role-${role.value}`}
+                label={role.label}
+                checked={formData.roles.includes(role.value)}
+                onChange={(e) => toggleRole(role.value, e.target.checked)}
+              />
+            ))}
+          </div>
+        </div>
+      </form>
+    </Modal>
+  );
+}
@@ -0,0 +1,146 @@
+import { useState, useEffect } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/Card.jsx';
+import { Button } from '../ui/Button.jsx';
+import { api } from '../../lib/api.js';
+import { toast } from '../ui/Toast.jsx';
+import { ContactModal } from './ContactModal.jsx';
+
+// Contacts card for a company ({ companyId }) or an application ({ applicationId })
+export function ContactsPanel({ companyId, applicationId, canEdit }) {
+  const [contacts, setContacts] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [editingContact, setEditingContact] = useState(null);
+
+  const owner = companyId ? { companyId } : { applicationId };
+
+  useEffect(() => {
+    loadContacts();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [companyId, applicationId]);
+
+  useEffect(() => {
+    loadRoles();
+  }, []);
+
+  const loadContacts = async () => {
+    try {
+      const data = await api.getContacts(owner);
+      setContacts(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error('Failed to load contacts:', error);
+    }
+  };
+
+  const loadRoles = async () => {
+    try {
+      const data = await api.getContactRoles();
+      setRoles(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error('Failed to load contact roles:', error);
+    }
+  };
+
+  const getRoleLabel = (role) =>
+    roles.find(option => option.value === role)?.label || role;
+
+  const openModal = (contact = null) => {
+    setEditingContact(contact);
+    setShowModal(true);
+  };
+
+  const handleDelete = async (contact) => {
+    if (!confirm(`Remove ${contact.name} from contacts?`)) {
+      return;
+    }
+
+    try {
+      await api.deleteContact(contact.id);
+      toast.success('Contact removed');
+      loadContacts();
+    } catch (error) {
+      toast.error(error.message || 'Failed to remove contact');
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex justify-between items-center">
+          <CardTitle>Contacts ({contacts.length})</CardTitle>
+          {canEdit && (
+            <Button
+              variant="primary"
+              size="sm"
+              onClick={() => openModal()}
+            >
+              Add Contact
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent padding="none">
+        {contacts.length > 0 ? (
+          <div className="divide-y divide-gray-200">
+            {contacts.map((contact) => (
+              <div key={contact.id} className="p-4">
+                <div className="flex justify-between items-start gap-2">
+                  <div className="min-w-0">
+                    <div className="font-medium text-gray-900">{contact.name}</div>
+                    {contact.title && (
+                      <div className="text-sm text-gray-500">{contact.title}</div>
+                    )}
+                    <div className="text-sm mt-1 space-y-0.5">
+                      {contact.email && (
+                        <a href={`mailto:${contact.email}`} className="block text-blue-600 hover:text-blue-700 truncate">
+                          {contact.email}
+                        </a>
+                      )}
+                      {contact.phone && (
+                        <a href={`tel:${contact.phone}`} className="block text-blue-600 hover:text-blue-700">
+                          {contact.phone}
+                        </a>
+                      )}
+                    </div>
+                    {contact.roles && (
+                      <div className="flex flex-wrap gap-1 mt-2">
+                        {contact.roles.split(',').map(role => (
+                          <span key={role} className="px-2 py-0.5 text-xs font-medium rounded bg-blue-100 text-blue-800">
+                            {getRoleLabel(role)}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                  {canEdit && (
+                    <div className="flex gap-1 shrink-0">
+                      <Button variant="ghost" size="sm" onClick={() => openModal(contact)}>
+                        Edit
+                      </Button>
+                      <Button variant="ghost" size="sm" onClick={() => handleDelete(contact)}>
+                        Remove
+                      </Button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="p-4 text-center text-gray-500">
+            No contacts yet
+          </div>
+        )}
+      </CardContent>
+
+      <ContactModal
+        isOpen={showModal}
+        onClose={() => setShowModal(false)}
+        contact={editingContact}
+        owner={owner}
+        roles={roles}
+        onSaved={loadContacts}
+      />
+    </Card>
+  );
+}
@@ -5,9 +5,12 @@ import { toast } from '../ui/Toast.jsx';
 import { Card, CardHeader, CardTitle, CardContent } from '../ui/Card.jsx';
 import { Button } from '../ui/Button.jsx';
 import { LoadingPage } from '../ui/Loading.jsx';
+import { ScoreRollupDetails } from '../scoring/ScoreRollupDetails.jsx';
+import { ScoreRecalculationCard } from './ScoreRecalculationCard.jsx';
 
 export function AdminStats() {
   const [stats, setStats] = useState(null);
+  const [portfolio, setPortfolio] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -17,8 +20,12 @@ export function AdminStats() {
   const loadStats = async () => {
     try {
       setLoading(true);
-      const data = await api.getAdminStats();
+      const [data, portfolioData] = await Promise.all([
+        api.getAdminStats(),
+        api.getPortfolioRollup(),
+      ]);
       setStats(data);
+      setPortfolio(portfolioData);
     } catch (error) {
       toast.error('Failed to load dashboard stats');
       console.error(error);
@@ -162,6 +169,98 @@ export function AdminStats() {
         </CardContent>
       </Card>
 
+      {/* Score Recalculation */}
+      <ScoreRecalculationCard initialRecalculation={stats.scoreRecalculation} />
+
+      {/* Expiring Risk Acceptances */}
+      <Card className="mb-8">
+        <CardHeader>
+          <div className="flex justify-between items-center">
+            <CardTitle>Expiring Risk Acceptances</CardTitle>
+            <Link to="/admin/risks" className="text-sm text-blue-600 hover:text-blue-700">
+              Risk register →
+            </Link>
+          </div>
+        </CardHeader>
+        <CardContent padding="none">
+          {stats.risks.expiring.length > 0 ? (
+            <div className="divide-y divide-gray-200">
+              {stats.risks.expiring.map(risk => (
+                <Link
+                  key={risk.id}
+                  to={`/applications/${risk.application.id}`}
+                  className="p-4 flex justify-between items-center gap-2 hover:bg-gray-50"
+                >
+                  <div className="min-w-0">
+                    <div className="font-medium text-gray-900 truncate">
+                      {risk.application.name}
+                      <span className="ml-2 text-xs font-normal text-gray-500">{risk.application.company?.name}</span>
+                    </div>
+                    <div className="text-sm text-gray-600 truncate">{risk.description}</div>
+                  </div>
+                  <div className={`text-sm font-medium shrink-0 ${risk.status === 'EXPIRED' ? 'text-red-600' : 'text-yellow-600'}`}>
+                    {risk.status === 'EXPIRED' ? 'Expired' : 'Expires'} {new Date(risk.expiresAt).toLocaleDateString()}
+                  </div>
+                </Link>
+              ))}
+            </div>
+          ) : (
+            <div className="p-4 text-center text-gray-500">
+              No accepted risks expire in the next {stats.risks.expiryWarningDays} days
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Portfolio Scores */}
+      {portfolio?.weightedScore !== null && portfolio?.weightedScore !== undefined && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+          <Card>
+            <CardHeader>
+              <div className="flex justify-between items-center">
+                <CardTitle>Portfolio Score</CardTitle>
+                <span className="text-2xl font-bold text-gray-900">{portfolio.weightedScore}/100</span>
+              </div>
+            </CardHeader>
+            <CardContent padding="none">
+              <div className="divide-y divide-gray-200 max-h-96 overflow-y-auto">
+                {portfolio.companies.map(company => (
+                  <Link
+                    key={company.id}
+                    to={`/companies/${company.id}`}
+                    className="p-4 flex justify-between items-center gap-2 hover:bg-gray-50"
+                  >
+                    <div className="min-w-0">
+                      <div className="font-medium text-gray-900 truncate">{company.name}</div>
+                      <div className="text-xs text-gray-500">
+                        {company.scoredApplicationCount} of {company.applicationCount} applications scored
+                        {company.belowThresholdCount > 0 && (
+                          <span className="text-red-600">, {company.belowThresholdCount} below minimum score</span>
+                        )}
+                      </div>
+                    </div>
+                    <div className="text-right shrink-0">
+                      <div className={`font-bold ${
+                        company.weightedScore === null ? 'text-gray-400' :
+                        company.weightedScore >= 76 ? 'text-green-600' :
+                        company.weightedScore >= 51 ? 'text-yellow-600' :
+                        'text-red-600'
+                      }`}>
+                        {company.weightedScore ?? '—'}
+                      </div>
+                      {company.averageScore !== null && (
+                        <div className="text-xs text-gray-500">avg {company.averageScore}</div>
+                      )}
+                    </div>
+                  </Link>
+                ))}
+              </div>
+            </CardContent>
+          </Card>
+          <ScoreRollupDetails rollup={portfolio} title="Portfolio Distribution" />
+        </div>
+      )}
+
       {/* Quick Links */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
         <Card className="flex flex-col">
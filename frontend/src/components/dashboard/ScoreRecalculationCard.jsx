@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { api } from '../../lib/api.js';
+import { toast } from '../ui/Toast.jsx';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/Card.jsx';
+import { Button } from '../ui/Button.jsx';
+
+const POLL_INTERVAL_MS = 2000;
+
+// The last full score recalculation, with a button to start one. Follows a
+// running recalculation's progress until it finishes.
+export function ScoreRecalculationCard({ initialRecalculation }) {
+  const [recalculation, setRecalculation] = useState(initialRecalculation);
+  const [starting, setStarting] = useState(false);
+
+  const isRunning = recalculation?.status === 'RUNNING';
+
+  useEffect(() => {
+    if (!isRunning) return;
+
+    const interval = setInterval(async () => {
+      try {
+        const updated = await api.getScoreRecalculation(recalculation.id);
+        setRecalculation(updated);
+        if (updated.status === 'COMPLETED') {
+          toast.success(`Recalculated ${updated.total} scores: ${updated.changed} changed`);
+        } else if (updated.status === 'FAILED') {
+          toast.error('Score recalculation failed');
+        }
+      } catch (error) {
+        console.error('Failed to refresh score recalculation:', error);
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearInterval(interval);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isRunning, recalculation?.id]);
+
+  const handleStart = async () => {
+    if (!confirm('Recalculate every application\'s score now?')) {
+      return;
+    }
+
+    try {
+      setStarting(true);
+      setRecalculation(await api.startScoreRecalculation());
+    } catch (error) {
+      toast.error(error.message || 'Failed to start score recalculation');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const progress = recalculation?.total ? Math.round((recalculation.processed / recalculation.total) * 100) : 0;
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <div className="flex justify-between items-center">
+          <CardTitle>Score Recalculation</CardTitle>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={handleStart}
+            loading={starting}
+            disabled={isRunning}
+          >
+            Recalculate All Scores
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {!recalculation ? (
+          <p className="text-center text-gray-500">
+            No full recalculation has run yet
+          </p>
+        ) : (
+          <>
+            <p className="text-sm text-gray-600">
+              {isRunning ? 'Started' : 'Last run'} {new Date(recalculation.startedAt).toLocaleString()}
+              {' by '}{recalculation.requestedBy || 'the nightly schedule'}
+              {recalculation.status === 'FAILED' && (
+                <span className="text-red-600"> (failed{recalculation.error && `: ${recalculation.error}`})</span>
+              )}
+            </p>
+            {isRunning && (
+              <div className="mt-3">
+                <div className="flex justify-between text-sm mb-1">
+                  <span className="text-gray-600">Recalculating</span>
+                  <span className="font-medium">{recalculation.processed}/{recalculation.total}</span>
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div
+                    className="h-2 rounded-full bg-blue-600"
+                    style={{ width: `${progress}%` }}
+                  />
+                </div>
+              </div>
+            )}
+            <p className="mt-2 text-sm text-gray-600">
+              {recalculation.processed} of {recalculation.total} applications recalculated,
+              {' '}{recalculation.changed} score(s) changed
+              {recalculation.failed > 0 && (
+                <span className="text-red-600">, {recalculation.failed} failed</span>
+              )}
+            </p>
+            {recalculation.failures.length > 0 && (
+              <ul className="mt-2 space-y-1 text-sm">
+                {recalculation.failures.map(failure => (
+                  <li key={failure.applicationId}>
+                    <Link
+                      to={`/applications/${failure.applicationId}`}
+                      className="font-medium text-blue-600 hover:text-blue-700"
+                    >
+                      {failure.name}
+                    </Link>
+                    <span className="text-gray-500">: {failure.error}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -5,6 +5,7 @@ import { api } from '../../lib/api.js';
 import { Card, CardHeader, CardTitle, CardContent } from '../ui/Card.jsx';
 import { Button } from '../ui/Button.jsx';
 import { LoadingPage } from '../ui/Loading.jsx';
+import { ScoreRollupDetails } from '../scoring/ScoreRollupDetails.jsx';
 
 export function UserStats() {
   const { user } = useAuthStore();
@@ -43,13 +44,13 @@ export function UserStats() {
     <>
       {/* Score Cards */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8">
-        {/* Average Score Card */}
-        {scoreData.averageScore !== null && (
+        {/* Weighted Score Card */}
+        {scoreData.weightedScore !== null && (
           <Link to={`/applications?companyId=${user.companyId}`}>
             <Card className="hover:shadow-lg transition-shadow cursor-pointer">
               <CardHeader>
                 <div className="flex justify-between items-center">
-                  <CardTitle className="text-sm">Average Score 📊</CardTitle>
+                  <CardTitle className="text-sm">Weighted Score 📊</CardTitle>
                   <Link
                     to="/docs/scoring-methodology"
                     className="text-xs text-blue-600 hover:text-blue-700"
@@ -63,18 +64,21 @@ export function UserStats() {
               <CardContent>
                 <div className="text-center">
                   <div className={`text-3xl font-bold mb-1 ${
-                    scoreData.averageScore >= 76 ? 'text-green-600' :
-                    scoreData.averageScore >= 51 ? 'text-yellow-600' :
+                    scoreData.weightedScore >= 76 ? 'text-green-600' :
+                    scoreData.weightedScore >= 51 ? 'text-yellow-600' :
                     'text-red-600'
                   }`}>
-                    {scoreData.averageScore}/100
+                    {scoreData.weightedScore}/100
                   </div>
                   <div className={`inline-block px-2 py-1 rounded-full text-xs font-medium ${
-                    scoreData.averageScore >= 76 ? 'bg-green-100 text-green-800' :
-                    scoreData.averageScore >= 51 ? 'bg-yellow-100 text-yellow-800' :
+                    scoreData.weightedScore >= 76 ? 'bg-green-100 text-green-800' :
+                    scoreData.weightedScore >= 51 ? 'bg-yellow-100 text-yellow-800' :
                     'bg-red-100 text-red-800'
                   }`}>
-                    {scoreData.averageScore >= 76 ? 'Excellent' : scoreData.averageScore >= 51 ? 'Good' : 'Needs Improvement'}
+                    {scoreData.weightedScore >= 76 ? 'Excellent' : scoreData.weightedScore >= 51 ? 'Good' : 'Needs Improvement'}
+                  </div>
+                  <div className="text-xs text-gray-500 mt-2">
+                    Plain average {scoreData.averageScore}/100
                   </div>
                 </div>
               </CardContent>
@@ -125,6 +129,10 @@ export function UserStats() {
           )}
         </div>
 
+      <div className="mb-8">
+        <ScoreRollupDetails rollup={scoreData} />
+      </div>
+
       {/* View All Applications Link */}
       <div className="text-center mb-8">
         <Link
@@ -0,0 +1,99 @@
+import { useState, useEffect } from 'react';
+import { Modal } from '../ui/Modal.jsx';
+import { Button } from '../ui/Button.jsx';
+import { Select } from '../ui/Select.jsx';
+import { Textarea } from '../ui/Textarea.jsx';
+import { api } from '../../lib/api.js';
+import { toast } from '../ui/Toast.jsx';
+
+const RATING_OPTIONS = [
+  { value: '', label: 'Select rating' },
+  { value: '1', label: '1 - Poor' },
+  { value: '2', label: '2 - Below expectations' },
+  { value: '3', label: '3 - Meets expectations' },
+  { value: '4', label: '4 - Good' },
+  { value: '5', label: '5 - Excellent' },
+];
+
+// Record an assessor grade for `owner` ({ companyId } or { applicationId }).
+// `criteria` maps rating fields to labels, as returned with the grading history.
+export function GradeModal({ isOpen, onClose, owner, criteria, onSaved }) {
+  const [loading, setLoading] = useState(false);
+  const [formData, setFormData] = useState({});
+
+  useEffect(() => {
+    if (isOpen) {
+      setFormData({ notes: '' });
+    }
+  }, [isOpen]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const missing = Object.entries(criteria).find(([field]) => !formData[field]);
+    if (missing) {
+      toast.error(`Please rate ${missing[1]}`);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      await api.createGrade(owner, formData);
+      toast.success('Grade recorded');
+      onSaved?.();
+      onClose();
+    } catch (error) {
+      toast.error(error.message || 'Failed to record grade');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Record Grade"
+      footer={
+        <>
+          <Button
+            variant="secondary"
+            onClick={onClose}
+            disabled={loading}
+          >
+            Cancel
+          </Button>
+          <Button
+            variant="primary"
+            onClick={handleSubmit}
+            loading={loading}
+          >
+            Record Grade
+          </Button>
+        </>
+      }
+    >
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {Object.entries(criteria).map(([field, label]) => (
+          <Select
+            key={field}
+            label={label}
+            id={`grade-${field}`}
+            value={formData[field] || ''}
+            onChange={(e) => setFormData({ ...formData, [field]: e.target.value })}
+            options={RATING_OPTIONS}
+            required
+          />
+        ))}
+        <Textarea
+          label="Notes"
+          id="gradeNotes"
+          value={formData.notes || ''}
+          onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+          rows={4}
+          placeholder="Findings from the posture review behind these ratings"
+        />
+      </form>
+    </Modal>
+  );
+}
@@ -0,0 +1,144 @@
+import { useState, useEffect } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/Card.jsx';
+import { Button } from '../ui/Button.jsx';
+import { api } from '../../lib/api.js';
+import { GradeModal } from './GradeModal.jsx';
+
+const LETTER_COLORS = {
+  A: 'bg-green-100 text-green-800',
+  B: 'bg-green-100 text-green-800',
+  C: 'bg-yellow-100 text-yellow-800',
+  D: 'bg-orange-100 text-orange-800',
+  F: 'bg-red-100 text-red-800',
+};
+
+function LetterGrade({ letter, size = 'sm' }) {
+  if (!letter) {
+    return <span className="text-gray-400">—</span>;
+  }
+  return (
+    <span className={`inline-block font-bold rounded ${LETTER_COLORS[letter] || 'bg-gray-100 text-gray-800'} ${
+      size === 'lg' ? 'px-4 py-2 text-3xl' : 'px-2 py-0.5 text-sm'
+    }`}>
+      {letter}
+    </span>
+  );
+}
+
+// Letter grade and assessor grading history for a company ({ companyId }) or
+// an application ({ applicationId }). Admins can record a new grade.
+export function GradingPanel({ companyId, applicationId, isAdmin }) {
+  const [grading, setGrading] = useState(null);
+  const [showModal, setShowModal] = useState(false);
+
+  const owner = companyId ? { companyId } : { applicationId };
+
+  useEffect(() => {
+    loadGrading();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [companyId, applicationId]);
+
+  const loadGrading = async () => {
+    try {
+      const data = await api.getGrades(owner);
+      setGrading(data);
+    } catch (error) {
+      console.error('Failed to load grades:', error);
+    }
+  };
+
+  if (!grading) {
+    return null;
+  }
+
+  const { current, history, criteria } = grading;
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex justify-between items-center">
+          <CardTitle>Grade</CardTitle>
+          {isAdmin && (
+            <Button
+              variant="primary"
+              size="sm"
+              onClick={() => setShowModal(true)}
+            >
+              Record Grade
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent padding="none">
+        <div className="p-4 flex items-center gap-4 border-b border-gray-200">
+          <LetterGrade letter={current.letterGrade} size="lg" />
+          <div className="text-sm text-gray-600 space-y-0.5">
+            <div>
+              Automated score: <span className="font-medium">{current.automatedScore ?? '—'}</span>
+            </div>
+            <div>
+              Assessor score: <span className="font-medium">{current.assessorScore ?? 'Not yet graded'}</span>
+            </div>
+            {current.gradedAt ? (
+              <div className="text-xs text-gray-500">
+                Last graded {new Date(current.gradedAt).toLocaleDateString()} by {current.gradedBy}
+              </div>
+            ) : (
+              <div className="text-xs text-gray-500">
+                From the automated score until an assessor grades it
+              </div>
+            )}
+          </div>
+        </div>
+
+        {history.length > 0 ? (
+          <div className="divide-y divide-gray-200">
+            {history.map(grade => (
+              <div key={grade.id} className="p-4">
+                <div className="flex justify-between items-start gap-2">
+                  <div className="text-sm">
+                    <div className="font-medium text-gray-900">
+                      {new Date(grade.createdAt).toLocaleDateString()}
+                    </div>
+                    <div className="text-gray-500">{grade.gradedBy}</div>
+                  </div>
+                  <div className="text-right shrink-0">
+                    <LetterGrade letter={grade.letterGrade} />
+                    <div className="text-xs text-gray-500 mt-1">{grade.blendedScore}/100</div>
+                  </div>
+                </div>
+                <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs text-gray-600">
+                  {Object.entries(criteria).map(([field, label]) => (
+                    <span key={field}>
+                      {label}: <span className="font-medium">{grade[field]}/5</span>
+                    </span>
+                  ))}
+                  <span>
+                    Automated: <span className="font-medium">{grade.automatedScore ?? '—'}</span>
+                  </span>
+                </div>
+                {grade.notes && (
+                  <p className="mt-2 text-sm text-gray-700 whitespace-pre-line">{grade.notes}</p>
+                )}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="p-4 text-center text-gray-500">
+            No assessor grades yet
+          </div>
+        )}
+      </CardContent>
+
+      {isAdmin && (
+        <GradeModal
+          isOpen={showModal}
+          onClose={() => setShowModal(false)}
+          owner={owner}
+          criteria={criteria}
+          onSaved={loadGrading}
+        />
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,28 @@
+// Policy compliance of an application (the `compliance` field on application
+// responses). Hovering a non-compliant badge lists the failing rules.
+export function ComplianceBadge({ compliance }) {
+  if (!compliance || compliance.compliant === null) {
+    return <span className="text-xs text-gray-400">No policy</span>;
+  }
+
+  if (compliance.compliant) {
+    const accepted = compliance.failures.length;
+    return (
+      <span className="px-2 py-1 text-xs font-medium rounded whitespace-nowrap bg-green-100 text-green-800">
+        Compliant{accepted > 0 && ` (${accepted} risk${accepted === 1 ? '' : 's'} accepted)`}
+      </span>
+    );
+  }
+
+  // Failures covered by an accepted risk do not count against compliance
+  const failures = compliance.failures.filter(failure => !failure.acceptedRisk);
+
+  return (
+    <span
+      className="px-2 py-1 text-xs font-medium rounded whitespace-nowrap bg-red-100 text-red-800"
+      title={failures.map(failure => `${failure.policyName}: ${failure.message}`).join('\n')}
+    >
+      {failures.length} failing rule{failures.length === 1 ? '' : 's'}
+    </span>
+  );
+}
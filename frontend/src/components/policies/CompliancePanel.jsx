@@ -0,0 +1,68 @@
+import { Link } from 'react-router-dom';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/Card.jsx';
+import { ComplianceBadge } from './ComplianceBadge.jsx';
+
+// Policies that apply to an application and the rules it fails, including
+// failures excused by an accepted risk
+export function CompliancePanel({ compliance, isAdmin }) {
+  if (!compliance) {
+    return null;
+  }
+
+  const { policies, failures } = compliance;
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex justify-between items-center">
+          <CardTitle>Policy Compliance</CardTitle>
+          <ComplianceBadge compliance={compliance} />
+        </div>
+      </CardHeader>
+      <CardContent padding="none">
+        {policies.length === 0 ? (
+          <div className="p-4 text-center text-gray-500">
+            No policy applies to this application
+            {isAdmin && (
+              <>
+                {' '}
+                <Link to="/admin/policies" className="text-blue-600 hover:text-blue-700">
+                  Manage policies →
+                </Link>
+              </>
+            )}
+          </div>
+        ) : (
+          <>
+            <div className="p-4 border-b border-gray-200 text-sm text-gray-600">
+              Evaluated against {policies.map(policy => policy.name).join(', ')}
+            </div>
+            {failures.length > 0 ? (
+              <ul className="divide-y divide-gray-200">
+                {failures.map((failure, index) => (
+                  <li key={`${failure.policyId}-${index}`} className="p-4 flex justify-between gap-4 text-sm">
+                    {failure.acceptedRisk ? (
+                      <span className="text-gray-500">
+                        {failure.message}
+                        <span className="ml-2 text-xs text-green-700">
+                          Risk accepted until {new Date(failure.acceptedRisk.expiresAt).toLocaleDateString()}
+                        </span>
+                      </span>
+                    ) : (
+                      <span className="text-red-700">{failure.message}</span>
+                    )}
+                    <span className="text-xs text-gray-500 shrink-0">{failure.policyName}</span>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <div className="p-4 text-sm text-green-700">
+                Meets every rule of the policies that apply
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
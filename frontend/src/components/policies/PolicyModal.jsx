@@ -0,0 +1,170 @@
+import { useState, useEffect } from 'react';
+import { Modal } from '../ui/Modal.jsx';
+import { Button } from '../ui/Button.jsx';
+import { Input } from '../ui/Input.jsx';
+import { Select } from '../ui/Select.jsx';
+import { Checkbox } from '../ui/Checkbox.jsx';
+import { api } from '../../lib/api.js';
+import { toast } from '../ui/Toast.jsx';
+
+// Business criticality is rated 1-5, 5 being most critical
+const CRITICALITY_TIER_OPTIONS = [
+  { value: '', label: 'All tiers' },
+  ...[1, 2, 3, 4, 5].map(num => ({ value: num.toString(), label: `Criticality ${num}` })),
+];
+
+const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Create a security policy, or edit `policy` when given. `companies` and
+// `toolCategories` ({ value, label }) fill the scope and required-tool pickers.
+export function PolicyModal({ isOpen, onClose, policy, companies, toolCategories, onSaved }) {
+  const [loading, setLoading] = useState(false);
+  const [formData, setFormData] = useState({});
+
+  useEffect(() => {
+    if (isOpen) {
+      setFormData({
+        name: policy?.name || '',
+        companyId: policy?.companyId || '',
+        businessCriticality: policy?.businessCriticality?.toString() || '',
+        minTotalScore: policy?.minTotalScore?.toString() || '',
+        requiredToolCategories: splitList(policy?.requiredToolCategories),
+        maxReviewAgeDays: policy?.maxReviewAgeDays?.toString() || '',
+      });
+    }
+  }, [isOpen, policy]);
+
+  const toggleCategory = (category) => {
+    const selected = formData.requiredToolCategories;
+    setFormData({
+      ...formData,
+      requiredToolCategories: selected.includes(category)
+        ? selected.filter(key => key !== category)
+        : [...selected, category],
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.name.trim()) {
+      toast.error('Policy name is required');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      if (policy) {
+        await api.updatePolicy(policy.id, formData);
+        toast.success('Policy updated');
+      } else {
+        await api.createPolicy(formData);
+        toast.success('Policy created');
+      }
+      onSaved?.();
+      onClose();
+    } catch (error) {
+      toast.error(error.message || 'Failed to save policy');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={policy ? 'Edit Policy' : 'New Policy'}
+      footer={
+        <>
+          <Button
+            variant="secondary"
+            onClick={onClose}
+            disabled={loading}
+          >
+            Cancel
+          </Button>
+          <Button
+            variant="primary"
+            onClick={handleSubmit}
+            loading={loading}
+          >
+            {policy ? 'Save Policy' : 'Create Policy'}
+          </Button>
+        </>
+      }
+    >
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <Input
+          label="Name"
+          id="policyName"
+          value={formData.name || ''}
+          onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+          placeholder="e.g. Critical applications baseline"
+          required
+        />
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <Select
+            label="Company"
+            id="policyCompany"
+            value={formData.companyId || ''}
+            onChange={(e) => setFormData({ ...formData, companyId: e.target.value })}
+            options={[
+              { value: '', label: 'All companies' },
+              ...companies.map(company => ({ value: company.id, label: company.name })),
+            ]}
+          />
+          <Select
+            label="Criticality Tier"
+            id="policyCriticality"
+            value={formData.businessCriticality || ''}
+            onChange={(e) => setFormData({ ...formData, businessCriticality: e.target.value })}
+            options={CRITICALITY_TIER_OPTIONS}
+          />
+        </div>
+
+        <p className="text-sm text-gray-600">
+          Set any of the rules below; rules left blank are not checked.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <Input
+            label="Minimum Total Score"
+            id="policyMinScore"
+            type="number"
+            min="0"
+            max="100"
+            value={formData.minTotalScore || ''}
+            onChange={(e) => setFormData({ ...formData, minTotalScore: e.target.value })}
+            placeholder="0-100"
+          />
+          <Input
+            label="Maximum Review Age (days)"
+            id="policyMaxReviewAge"
+            type="number"
+            min="1"
+            value={formData.maxReviewAgeDays || ''}
+            onChange={(e) => setFormData({ ...formData, maxReviewAgeDays: e.target.value })}
+            placeholder="e.g. 180"
+          />
+        </div>
+
+        <div>
+          <div className="text-sm font-medium text-gray-700 mb-2">Required Tool Categories</div>
+          <div className="grid grid-cols-2 gap-2">
+            {toolCategories.map(category => (
+              <Checkbox
+                key={category.value}
+                id={`policy-tool-${category.value}`}
+                label={category.label}
+                checked={formData.requiredToolCategories?.includes(category.value) || false}
+                onChange={() => toggleCategory(category.value)}
+              />
+            ))}
+          </div>
+        </div>
+      </form>
+    </Modal>
+  );
+}
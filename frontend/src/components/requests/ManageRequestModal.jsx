@@ -0,0 +1,186 @@
+import { useState, useEffect } from 'react';
+import { Modal } from '../ui/Modal.jsx';
+import { Button } from '../ui/Button.jsx';
+import { Select } from '../ui/Select.jsx';
+import { Textarea } from '../ui/Textarea.jsx';
+import { api } from '../../lib/api.js';
+import { toast } from '../ui/Toast.jsx';
+import { ProvisioningJobs } from './ProvisioningJobs.jsx';
+
+export const REQUEST_STATUS_OPTIONS = [
+  { value: 'PENDING', label: 'Pending' },
+  { value: 'IN_PROGRESS', label: 'In Progress' },
+  { value: 'APPROVED', label: 'Approved (manual onboarding)' },
+  { value: 'COMPLETED', label: 'Completed' },
+  { value: 'FAILED', label: 'Failed' },
+];
+
+const POLL_INTERVAL_MS = 2000;
+
+export function ManageRequestModal({ isOpen, onClose, request, onUpdated }) {
+  const [loading, setLoading] = useState(false);
+  const [provisioning, setProvisioning] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [jobs, setJobs] = useState([]);
+  const [formData, setFormData] = useState({
+    status: 'PENDING',
+    adminNotes: '',
+  });
+
+  useEffect(() => {
+    if (request) {
+      setStatus(request.status);
+      setJobs([]);
+      setFormData({
+        status: request.status || 'PENDING',
+        adminNotes: request.adminNotes || '',
+      });
+    }
+  }, [request]);
+
+  useEffect(() => {
+    if (isOpen && request) {
+      loadJobs();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isOpen, request]);
+
+  // Follow provisioning output until the request leaves IN_PROGRESS
+  useEffect(() => {
+    if (!isOpen || !request || status !== 'IN_PROGRESS') return;
+
+    const interval = setInterval(async () => {
+      try {
+        const [updated] = await Promise.all([api.getRequest(request.id), loadJobs()]);
+        if (updated.status !== 'IN_PROGRESS') {
+          setStatus(updated.status);
+          setFormData(prev => ({ ...prev, status: updated.status }));
+          onUpdated?.();
+        }
+      } catch (error) {
+        console.error('Failed to refresh request:', error);
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearInterval(interval);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isOpen, request, status]);
+
+  const loadJobs = async () => {
+    try {
+      const data = await api.getRequestJobs(request.id);
+      setJobs(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error('Failed to load provisioning jobs:', error);
+    }
+  };
+
+  const handleProvision = async () => {
+    try {
+      setProvisioning(true);
+      const updated = status === 'FAILED'
+        ? await api.retryRequest(request.id)
+        : await api.approveRequest(request.id);
+      setStatus(updated.status);
+      setFormData(prev => ({ ...prev, status: updated.status }));
+      toast.success('Provisioning started');
+      onUpdated?.();
+    } catch (error) {
+      toast.error(error.message || 'Failed to start provisioning');
+    } finally {
+      setProvisioning(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!request) return;
+
+    try {
+      setLoading(true);
+      await api.updateRequest(request.id, formData);
+      toast.success('Request updated successfully');
+      onUpdated?.();
+      onClose();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update request');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!request) return null;
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={`Request #${request.id}`}
+      size="lg"
+      footer={
+        <>
+          <Button
+            variant="secondary"
+            onClick={onClose}
+            disabled={loading}
+          >
+            Cancel
+          </Button>
+          {(status === 'PENDING' || status === 'FAILED') && (
+            <Button
+              variant="success"
+              onClick={handleProvision}
+              loading={provisioning}
+              disabled={loading}
+            >
+              {status === 'FAILED' ? 'Retry Failed' : 'Approve & Provision'}
+            </Button>
+          )}
+          <Button
+            variant="primary"
+            onClick={handleSubmit}
+            loading={loading}
+            disabled={status === 'IN_PROGRESS'}
+          >
+            Save
+          </Button>
+        </>
+      }
+    >
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="space-y-1 text-sm text-gray-600">
+          <p><strong>Application:</strong> {request.application?.name || '—'}</p>
+          <p><strong>Company:</strong> {request.application?.company?.name || '—'}</p>
+          <p><strong>Products:</strong> {request.products}</p>
+          <p><strong>Type:</strong> {request.requestType}</p>
+          <p><strong>Requested by:</strong> {request.User?.email || '—'}</p>
+          {request.users && <p><strong>Users:</strong> {request.users}</p>}
+          {request.notes && <p className="whitespace-pre-wrap"><strong>Notes:</strong> {request.notes}</p>}
+        </div>
+
+        <Select
+          label="Status"
+          id="status"
+          value={formData.status}
+          onChange={(e) => setFormData({ ...formData, status: e.target.value })}
+          options={REQUEST_STATUS_OPTIONS}
+        />
+
+        <Textarea
+          label="Admin Notes"
+          id="adminNotes"
+          value={formData.adminNotes}
+          onChange={(e) => setFormData({ ...formData, adminNotes: e.target.value })}
+          rows={4}
+          helperText="Visible to the requesting company"
+        />
+
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 mb-2">Provisioning Jobs</h3>
+          <ProvisioningJobs jobs={jobs} />
+        </div>
+      </form>
+    </Modal>
+  );
+}
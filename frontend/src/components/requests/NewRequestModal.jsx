@@ -0,0 +1,203 @@
+import { useState, useEffect } from 'react';
+import { Modal } from '../ui/Modal.jsx';
+import { Button } from '../ui/Button.jsx';
+import { Select } from '../ui/Select.jsx';
+import { Textarea } from '../ui/Textarea.jsx';
+import { Checkbox } from '../ui/Checkbox.jsx';
+import { api } from '../../lib/api.js';
+import { toast } from '../ui/Toast.jsx';
+
+export const REQUEST_TYPE_OPTIONS = [
+  { value: 'NEW_ACCESS', label: 'Onboard application to product' },
+  { value: 'ADD_USERS', label: 'Add users' },
+  { value: 'REMOVE_USERS', label: 'Remove users' },
+];
+
+const emptyForm = {
+  applicationId: '',
+  products: [],
+  requestType: 'NEW_ACCESS',
+  users: '',
+  notes: '',
+};
+
+export function NewRequestModal({ isOpen, onClose, onCreated, application }) {
+  const [applications, setApplications] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    if (isOpen) {
+      setFormData({ ...emptyForm, applicationId: application?.id || '' });
+      loadProducts();
+      if (!application) {
+        loadApplications();
+      }
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isOpen, application]);
+
+  const loadProducts = async () => {
+    try {
+      const data = await api.getRequestProducts();
+      setProducts(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error('Failed to load products:', error);
+    }
+  };
+
+  const loadApplications = async () => {
+    try {
+      const data = await api.getApplications();
+      setApplications(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error('Failed to load applications:', error);
+    }
+  };
+
+  const toggleProduct = (product, checked) => {
+    setFormData(prev => ({
+      ...prev,
+      products: checked
+        ? [...prev.products, product]
+        : prev.products.filter(p => p !== product),
+    }));
+  };
+
+  const needsUsers = formData.requestType === 'ADD_USERS' || formData.requestType === 'REMOVE_USERS';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.applicationId) {
+      toast.error('Please select an application');
+      return;
+    }
+
+    if (formData.products.length === 0) {
+      toast.error('Please select at least one product');
+      return;
+    }
+
+    if (needsUsers && !formData.users.trim()) {
+      toast.error('Please list the users for this request');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      await api.createRequest({
+        applicationId: formData.applicationId,
+        products: formData.products,
+        requestType: formData.requestType,
+        users: formData.users
+          .split(/[\n,]/)
+          .map(u => u.trim())
+          .filter(Boolean),
+        notes: formData.notes,
+      });
+      toast.success('Request submitted successfully');
+      onCreated?.();
+      onClose();
+    } catch (error) {
+      toast.error(error.message || 'Failed to submit request');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Request Security Tooling"
+      size="lg"
+      footer={
+        <>
+          <Button
+            variant="secondary"
+            onClick={onClose}
+            disabled={loading}
+          >
+            Cancel
+          </Button>
+          <Button
+            variant="primary"
+            onClick={handleSubmit}
+            loading={loading}
+          >
+            Submit Request
+          </Button>
+        </>
+      }
+    >
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {application ? (
+          <p className="text-sm text-gray-600">
+            <strong>Application:</strong> {application.name}
+          </p>
+        ) : (
+          <Select
+            label="Application"
+            id="applicationId"
+            value={formData.applicationId}
+            onChange={(e) => setFormData({ ...formData, applicationId: e.target.value })}
+            placeholder="Select an application"
+            options={applications.map(app => ({
+              value: app.id,
+              label: app.company?.name ? `${app.name} (${app.company.name})` : app.name,
+            }))}
+            required
+          />
+        )}
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Products<span className="text-red-500 ml-1">*</span>
+          </label>
+          <div className="space-y-2">
+            {products.map(product => (
+              <Checkbox
+                key={product.value}
+                id={`product-${product.value}`}
+                label={product.label}
+                checked={formData.products.includes(product.value)}
+                onChange={(e) => toggleProduct(product.value, e.target.checked)}
+              />
+            ))}
+          </div>
+        </div>
+
+        <Select
+          label="Request Type"
+          id="requestType"
+          value={formData.requestType}
+          onChange={(e) => setFormData({ ...formData, requestType: e.target.value })}
+          options={REQUEST_TYPE_OPTIONS}
+          required
+        />
+
+        <Textarea
+          label="Users"
+          id="users"
+          value={formData.users}
+          onChange={(e) => setFormData({ ...formData, users: e.target.value })}
+          rows={3}
+          placeholder="dev1@example.com, dev2@example.com"
+          helperText="Email addresses of the people who need access (comma or newline separated)"
+          required={needsUsers}
+        />
+
+        <Textarea
+          label="Notes"
+          id="notes"
+          value={formData.notes}
+          onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+          rows={3}
+          placeholder="Anything the AppSec team should know about this request"
+        />
+      </form>
+    </Modal>
+  );
+}
@@ -0,0 +1,47 @@
+import { useState } from 'react';
+import { RequestStatusBadge } from './RequestStatusBadge.jsx';
+
+export function ProvisioningJobs({ jobs }) {
+  const [expandedId, setExpandedId] = useState(null);
+
+  if (jobs.length === 0) {
+    return (
+      <p className="text-sm text-gray-500">No provisioning attempts yet</p>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      {jobs.map((job) => {
+        // Running jobs and the latest attempt are shown expanded by default
+        const expanded = expandedId === null
+          ? job.status === 'RUNNING' || job.id === jobs[0].id
+          : expandedId === job.id;
+
+        return (
+          <div key={job.id} className="border border-gray-200 rounded-md">
+            <button
+              type="button"
+              onClick={() => setExpandedId(expanded ? -1 : job.id)}
+              className="w-full flex justify-between items-center px-3 py-2 text-sm text-left hover:bg-gray-50"
+            >
+              <span className="font-medium text-gray-900">{job.product || 'Job'} #{job.id}</span>
+              <span className="flex items-center gap-3">
+                <span className="text-xs text-gray-500">
+                  {new Date(job.startedAt).toLocaleString()}
+                  {job.endedAt && ` – ${new Date(job.endedAt).toLocaleTimeString()}`}
+                </span>
+                <RequestStatusBadge status={job.status} />
+              </span>
+            </button>
+            {expanded && (
+              <pre className="bg-gray-900 text-gray-100 text-xs p-3 max-h-64 overflow-auto whitespace-pre-wrap rounded-b-md">
+                {job.output || 'No output yet'}
+              </pre>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+import { REQUEST_STATUS_OPTIONS } from './ManageRequestModal.jsx';
+
+// Provisioning job statuses share the badge with request statuses
+const JOB_STATUS_LABELS = {
+  RUNNING: 'Running',
+};
+
+const statusClasses = {
+  PENDING: 'bg-yellow-100 text-yellow-800',
+  IN_PROGRESS: 'bg-blue-100 text-blue-800',
+  RUNNING: 'bg-blue-100 text-blue-800',
+  APPROVED: 'bg-purple-100 text-purple-800',
+  COMPLETED: 'bg-green-100 text-green-800',
+  FAILED: 'bg-red-100 text-red-800',
+};
+
+export function RequestStatusBadge({ status }) {
+  const label = REQUEST_STATUS_OPTIONS.find(option => option.value === status)?.label
+    || JOB_STATUS_LABELS[status]
+    || status;
+
+  return (
+    <span className={`px-2 py-1 text-xs font-medium rounded ${statusClasses[status] || 'bg-gray-100 text-gray-800'}`}>
+      {label}
+    </span>
+  );
+}
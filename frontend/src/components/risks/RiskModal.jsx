@@ -0,0 +1,151 @@
+import { useState, useEffect } from 'react';
+import { Modal } from '../ui/Modal.jsx';
+import { Button } from '../ui/Button.jsx';
+import { Input } from '../ui/Input.jsx';
+import { Select } from '../ui/Select.jsx';
+import { Textarea } from '../ui/Textarea.jsx';
+import { api } from '../../lib/api.js';
+import { toast } from '../ui/Toast.jsx';
+
+// Policy rule a risk covers, as one select value: the rule, or
+// requiredToolCategories:<category> for a missing tool
+const ruleValue = (risk) =>
+  risk?.rule === 'requiredToolCategories' ? `${risk.rule}:${risk.toolCategory}` : risk?.rule || '';
+
+const parseRuleValue = (value) => {
+  const [rule, toolCategory] = value.split(':');
+  return { rule: rule || null, toolCategory: toolCategory || null };
+};
+
+// Record a risk acceptance for an application, or edit `risk` when given.
+// `toolCategories` ({ value, label }) list the tools a risk can stand in for.
+export function RiskModal({ isOpen, onClose, applicationId, risk, toolCategories, isAdmin, onSaved }) {
+  const [loading, setLoading] = useState(false);
+  const [formData, setFormData] = useState({});
+
+  useEffect(() => {
+    if (isOpen) {
+      setFormData({
+        description: risk?.description || '',
+        compensatingControls: risk?.compensatingControls || '',
+        control: ruleValue(risk),
+        approver: risk?.approver || '',
+        expiresAt: risk?.expiresAt ? new Date(risk.expiresAt).toISOString().slice(0, 10) : '',
+      });
+    }
+  }, [isOpen, risk]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.description.trim() || !formData.approver.trim() || !formData.expiresAt) {
+      toast.error('Please fill in the risk, approver and expiry date');
+      return;
+    }
+
+    const { control, ...fields } = formData;
+    const data = { ...fields, ...parseRuleValue(control), applicationId };
+
+    try {
+      setLoading(true);
+      if (risk) {
+        await api.updateRisk(risk.id, data);
+        toast.success(isAdmin ? 'Risk updated' : 'Risk updated and sent for acceptance');
+      } else {
+        await api.createRisk(data);
+        toast.success('Risk recorded');
+      }
+      onSaved?.();
+      onClose();
+    } catch (error) {
+      toast.error(error.message || 'Failed to save risk');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={risk ? 'Edit Risk' : 'Record Risk'}
+      footer={
+        <>
+          <Button
+            variant="secondary"
+            onClick={onClose}
+            disabled={loading}
+          >
+            Cancel
+          </Button>
+          <Button
+            variant="primary"
+            onClick={handleSubmit}
+            loading={loading}
+          >
+            {risk ? 'Save Risk' : 'Record Risk'}
+          </Button>
+        </>
+      }
+    >
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <Textarea
+          label="Risk"
+          id="riskDescription"
+          value={formData.description || ''}
+          onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+          rows={3}
+          placeholder="e.g. No DAST: the legacy UI cannot be crawled by the scanner"
+          required
+        />
+        <Textarea
+          label="Compensating Controls"
+          id="riskCompensatingControls"
+          value={formData.compensatingControls || ''}
+          onChange={(e) => setFormData({ ...formData, compensatingControls: e.target.value })}
+          rows={3}
+          placeholder="e.g. WAF in blocking mode and an annual penetration test"
+        />
+        <Select
+          label="Policy Rule Covered"
+          id="riskControl"
+          value={formData.control || ''}
+          onChange={(e) => setFormData({ ...formData, control: e.target.value })}
+          options={[
+            { value: '', label: 'None (record only)' },
+            { value: 'minTotalScore', label: 'Minimum score' },
+            { value: 'maxReviewAgeDays', label: 'Maximum review age' },
+            ...toolCategories.map(category => ({
+              value: `requiredToolCategories:${category.value}`,
+              label: `Required tool: ${category.label}`,
+            })),
+          ]}
+          helperText="Once accepted, a failing rule it covers no longer counts against the application"
+        />
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <Input
+            label="Approver"
+            id="riskApprover"
+            value={formData.approver || ''}
+            onChange={(e) => setFormData({ ...formData, approver: e.target.value })}
+            placeholder="Name and role of the risk owner"
+            required
+          />
+          <Input
+            label="Expires"
+            id="riskExpiresAt"
+            type="date"
+            value={formData.expiresAt || ''}
+            onChange={(e) => setFormData({ ...formData, expiresAt: e.target.value })}
+            required
+          />
+        </div>
+        {risk && !isAdmin && (
+          <p className="text-sm text-gray-500">
+            Saving changes sends the risk back for admin acceptance.
+          </p>
+        )}
+      </form>
+    </Modal>
+  );
+}
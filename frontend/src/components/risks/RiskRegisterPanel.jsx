@@ -0,0 +1,192 @@
+import { useState, useEffect } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/Card.jsx';
+import { Button } from '../ui/Button.jsx';
+import { api } from '../../lib/api.js';
+import { toast } from '../ui/Toast.jsx';
+import { RiskModal } from './RiskModal.jsx';
+import { RiskStatusBadge } from './RiskStatusBadge.jsx';
+
+const RULE_LABELS = {
+  minTotalScore: 'Minimum score',
+  maxReviewAgeDays: 'Maximum review age',
+};
+
+const ruleLabel = (risk) =>
+  risk.rule === 'requiredToolCategories' ? `Required tool: ${risk.toolCategoryName}` : RULE_LABELS[risk.rule];
+
+// Risk acceptances recorded for an application. Company members record and
+// edit risks; admins accept, reject or close them. `onChange` runs after any
+// change, since accepted risks affect the policy evaluation.
+export function RiskRegisterPanel({ applicationId, toolCategories, canEdit, isAdmin, onChange }) {
+  const [risks, setRisks] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [editingRisk, setEditingRisk] = useState(null);
+  const [reviewingId, setReviewingId] = useState(null);
+
+  useEffect(() => {
+    loadRisks();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [applicationId]);
+
+  const loadRisks = async () => {
+    try {
+      const data = await api.getRisks(applicationId);
+      setRisks(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error('Failed to load risks:', error);
+    }
+  };
+
+  const handleSaved = () => {
+    loadRisks();
+    onChange?.();
+  };
+
+  const openModal = (risk = null) => {
+    setEditingRisk(risk);
+    setShowModal(true);
+  };
+
+  const handleReview = async (risk, action) => {
+    try {
+      setReviewingId(risk.id);
+      if (action === 'accept') {
+        await api.acceptRisk(risk.id);
+        toast.success('Risk accepted');
+      } else if (action === 'reject') {
+        await api.rejectRisk(risk.id);
+        toast.success('Risk rejected');
+      } else {
+        await api.closeRisk(risk.id);
+        toast.success('Risk closed');
+      }
+      handleSaved();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update risk');
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  const handleDelete = async (risk) => {
+    if (!confirm('Delete this risk?')) {
+      return;
+    }
+
+    try {
+      await api.deleteRisk(risk.id);
+      toast.success('Risk deleted');
+      handleSaved();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete risk');
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex justify-between items-center">
+          <CardTitle>Risk Register ({risks.length})</CardTitle>
+          {canEdit && (
+            <Button
+              variant="primary"
+              size="sm"
+              onClick={() => openModal()}
+            >
+              Record Risk
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent padding="none">
+        {risks.length > 0 ? (
+          <div className="divide-y divide-gray-200">
+            {risks.map((risk) => (
+              <div key={risk.id} className="p-4">
+                <div className="flex justify-between items-start gap-2">
+                  <div className="min-w-0">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <RiskStatusBadge status={risk.status} expiresAt={risk.expiresAt} />
+                      {risk.rule && (
+                        <span className="px-2 py-0.5 text-xs font-medium rounded bg-blue-100 text-blue-800">
+                          {ruleLabel(risk)}
+                        </span>
+                      )}
+                    </div>
+                    <p className="mt-2 text-sm text-gray-900 whitespace-pre-line">{risk.description}</p>
+                    {risk.compensatingControls && (
+                      <p className="mt-1 text-sm text-gray-600 whitespace-pre-line">
+                        <span className="font-medium">Compensating controls:</span> {risk.compensatingControls}
+                      </p>
+                    )}
+                    <div className="mt-2 text-xs text-gray-500">
+                      Approver {risk.approver}, expires {new Date(risk.expiresAt).toLocaleDateString()}.
+                      Recorded by {risk.createdBy}
+                      {risk.reviewedBy && `; reviewed by ${risk.reviewedBy}`}
+                    </div>
+                  </div>
+                  <div className="flex flex-wrap justify-end gap-1 shrink-0">
+                    {isAdmin && risk.status !== 'ACCEPTED' && risk.status !== 'EXPIRED' && (
+                      <Button
+                        variant="primary"
+                        size="sm"
+                        onClick={() => handleReview(risk, 'accept')}
+                        disabled={reviewingId === risk.id}
+                      >
+                        Accept
+                      </Button>
+                    )}
+                    {isAdmin && risk.status === 'PENDING' && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleReview(risk, 'reject')}
+                        disabled={reviewingId === risk.id}
+                      >
+                        Reject
+                      </Button>
+                    )}
+                    {isAdmin && (risk.status === 'ACCEPTED' || risk.status === 'EXPIRED') && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleReview(risk, 'close')}
+                        disabled={reviewingId === risk.id}
+                      >
+                        Close
+                      </Button>
+                    )}
+                    {canEdit && (
+                      <Button variant="ghost" size="sm" onClick={() => openModal(risk)}>
+                        Edit
+                      </Button>
+                    )}
+                    {canEdit && (isAdmin || (risk.status !== 'ACCEPTED' && risk.status !== 'EXPIRED')) && (
+                      <Button variant="ghost" size="sm" onClick={() => handleDelete(risk)}>
+                        Delete
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="p-4 text-center text-gray-500">
+            No risks recorded
+          </div>
+        )}
+      </CardContent>
+
+      <RiskModal
+        isOpen={showModal}
+        onClose={() => setShowModal(false)}
+        applicationId={applicationId}
+        risk={editingRisk}
+        toolCategories={toolCategories}
+        isAdmin={isAdmin}
+        onSaved={handleSaved}
+      />
+    </Card>
+  );
+}
@@ -0,0 +1,27 @@
+export const RISK_STATUS_OPTIONS = [
+  { value: 'PENDING', label: 'Pending acceptance' },
+  { value: 'ACCEPTED', label: 'Accepted' },
+  { value: 'REJECTED', label: 'Rejected' },
+  { value: 'EXPIRED', label: 'Expired' },
+  { value: 'CLOSED', label: 'Closed' },
+];
+
+const statusClasses = {
+  PENDING: 'bg-yellow-100 text-yellow-800',
+  ACCEPTED: 'bg-green-100 text-green-800',
+  REJECTED: 'bg-red-100 text-red-800',
+  EXPIRED: 'bg-orange-100 text-orange-800',
+  CLOSED: 'bg-gray-100 text-gray-800',
+};
+
+// Status of a risk acceptance
+export function RiskStatusBadge({ status, expiresAt }) {
+  const label = RISK_STATUS_OPTIONS.find(option => option.value === status)?.label || status;
+
+  return (
+    <span className={`px-2 py-1 text-xs font-medium rounded whitespace-nowrap ${statusClasses[status] || 'bg-gray-100 text-gray-800'}`}>
+      {label}
+      {status === 'ACCEPTED' && expiresAt && ` until ${new Date(expiresAt).toLocaleDateString()}`}
+    </span>
+  );
+}
@@ -3,8 +3,10 @@ import { Link } from 'react-router-dom';
 import { Card, CardHeader, CardTitle, CardContent } from '../ui/Card.jsx';
 import { Button } from '../ui/Button.jsx';
 import { Modal } from '../ui/Modal.jsx';
+import { ScoreHistoryChart } from './ScoreHistoryChart.jsx';
+import { NotApplicableStatusBadge } from '../applications/NotApplicableStatusBadge.jsx';
 
-export function ScoreCard({ knowledgeScore, toolScore, totalScore, breakdown, onMarkReviewed, isAdmin, lastReviewed, showBreakdownByDefault = false }) {
+export function ScoreCard({ knowledgeScore, toolScore, totalScore, breakdown, history, onMarkReviewed, isAdmin, lastReviewed, target = null, showBreakdownByDefault = false }) {
   const [showBreakdown, setShowBreakdown] = useState(showBreakdownByDefault);
   const [showReviewModal, setShowReviewModal] = useState(false);
   const [markingReviewed, setMarkingReviewed] = useState(false);
@@ -71,6 +73,11 @@ export function ScoreCard({ knowledgeScore, toolScore, totalScore, breakdown, on
                 <div className={`inline-block px-3 py-1 rounded-full text-xs font-medium ${getScoreBgColor(totalScore)} ${getScoreColor(totalScore)}`}>
                   {totalScore >= 76 ? 'Excellent' : totalScore >= 51 ? 'Good' : 'Needs Improvement'}
                 </div>
+                {target !== null && target !== undefined && (
+                  <div className={`mt-2 text-xs font-medium ${totalScore >= target ? 'text-green-700' : 'text-red-700'}`}>
+                    {totalScore >= target ? 'Meets' : 'Below'} policy target of {target}
+                  </div>
+                )}
 
                 {/* Category Scores */}
                 <div className="mt-6 space-y-4">
@@ -117,17 +124,32 @@ export function ScoreCard({ knowledgeScore, toolScore, totalScore, breakdown, on
                         </span>
                       </div>
                       <div className="text-gray-500 pl-2">
-                        {breakdown.knowledgeSharing?.fieldsFilled || 0} of {breakdown.knowledgeSharing?.totalFields || 8} fields filled
+                        {breakdown.knowledgeSharing?.fieldsFilled || 0} of {breakdown.knowledgeSharing?.totalFields || 0} fields filled
+                        {breakdown.knowledgeSharing?.fields?.some(field => !field.filled) && (
+                          <span>
+                            {' '}(missing: {breakdown.knowledgeSharing.fields
+                              .filter(field => !field.filled)
+                              .map(field => field.label)
+                              .join(', ')})
+                          </span>
+                        )}
                       </div>
                       <div className="flex justify-between mt-2">
-                        <span className="text-gray-600">Metadata Attestation:</span>
+                        <span className="text-gray-600">Metadata Freshness:</span>
                         <span className="font-medium">
-                          {breakdown.knowledgeSharing?.reviewScore || 0}/10 points
+                          {breakdown.knowledgeSharing?.freshnessScore || 0}/10 points
                         </span>
                       </div>
                       {breakdown.knowledgeSharing?.lastReviewed ? (
                         <div className="text-gray-500 pl-2">
                           Last reviewed: {new Date(breakdown.knowledgeSharing.lastReviewed).toLocaleDateString()}
+                          {' '}({breakdown.knowledgeSharing.daysSinceReview} days ago)
+                          {breakdown.knowledgeSharing.freshness && (
+                            <div>
+                              Full points for {breakdown.knowledgeSharing.freshness.graceDays} days, none after{' '}
+                              {breakdown.knowledgeSharing.freshness.windowDays} days
+                            </div>
+                          )}
                         </div>
                       ) : (
                         <div className="text-yellow-600 pl-2">
@@ -141,16 +163,104 @@ export function ScoreCard({ knowledgeScore, toolScore, totalScore, breakdown, on
                   <div>
                     <div className="font-medium text-gray-700 mb-2">Tool Usage ({toolScore}/50 points)</div>
                     <div className="text-xs text-gray-600">
-                      Score based on security tool implementation across 4 categories:
-                      <ul className="list-disc list-inside mt-1 space-y-1 text-gray-500">
-                        <li>SAST (Static Application Security Testing)</li>
-                        <li>DAST (Dynamic Application Security Testing)</li>
-                        <li>Application Firewall (WAF)</li>
-                        <li>API Security</li>
-                      </ul>
-                      <div className="mt-2 text-gray-500">
+                      <div className="text-gray-500">
                         Each tool is scored based on integration level, tool quality, and application risk factors.
                       </div>
+                      {breakdown.toolUsage?.categories && (
+                        <table className="w-full mt-2">
+                          <thead>
+                            <tr className="text-left text-gray-500 border-b">
+                              <th className="py-1 font-medium">Category</th>
+                              <th className="py-1 font-medium">Tool</th>
+                              <th className="py-1 font-medium text-right">Level</th>
+                              <th className="py-1 font-medium text-right">Quality</th>
+                              <th className="py-1 font-medium text-right">Points</th>
+                              <th className="py-1 font-medium text-right">Lost</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {breakdown.toolUsage.categories.map(category => (
+                              <tr key={category.category} className="border-b last:border-0">
+                                <td className="py-1">{category.name}</td>
+                                <td className="py-1 text-gray-500">
+                                  {category.notApplicable ? (
+                                    <span className="flex items-center gap-1">
+                                      N/A <NotApplicableStatusBadge status={category.naStatus} />
+                                    </span>
+                                  ) : category.tool || '—'}
+                                </td>
+                                <td className="py-1 text-right">
+                                  {category.tool && !category.notApplicable
+                                    ? `${category.integrationLevel} (×${category.integrationWeight})`
+                                    : '—'}
+                                </td>
+                                <td className="py-1 text-right">
+                                  {category.toolQuality ? `×${category.toolWeight}` : '—'}
+                                </td>
+                                <td className="py-1 text-right font-medium">
+                                  {category.achievedPoints}/{category.maxPoints}
+                                </td>
+                                <td className={`py-1 text-right ${category.pointsLost > 0 ? 'text-red-600' : category.pointsLost < 0 ? 'text-green-600' : 'text-gray-400'}`}>
+                                  {category.pointsLost > 0
+                                    ? `-${category.pointsLost}`
+                                    : category.pointsLost < 0 ? `+${-category.pointsLost}` : '0'}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
+                      {breakdown.toolUsage?.risk && (
+                        <div className="mt-3">
+                          <div className="flex justify-between">
+                            <span className="text-gray-600">Risk Weight:</span>
+                            <span className="font-medium">×{breakdown.toolUsage.risk.weight}</span>
+                          </div>
+                          {breakdown.toolUsage.risk.weight > 1 ? (
+                            <div className="text-gray-500 pl-2">
+                              Missing tool points count {breakdown.toolUsage.risk.weight}× because of:
+                            </div>
+                          ) : (
+                            <div className="text-gray-500 pl-2">
+                              No elevated risk factors apply
+                            </div>
+                          )}
+                          {breakdown.toolUsage.risk.factors.length > 0 && (
+                            <ul className="mt-1 pl-2 space-y-0.5">
+                              {breakdown.toolUsage.risk.factors.map(factor => (
+                                <li
+                                  key={`${factor.factor}-${factor.value}`}
+                                  className={`flex justify-between ${factor.applied ? 'text-gray-900 font-medium' : 'text-gray-500'}`}
+                                >
+                                  <span>{factor.label}: {factor.value}{factor.applied && ' (applied)'}</span>
+                                  <span>×{factor.weight}</span>
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </div>
+                      )}
+                      {breakdown.toolUsage?.recommendations?.length > 0 && (
+                        <div className="mt-3">
+                          <div className="text-gray-600 mb-1">Recommended Improvements:</div>
+                          <ul className="space-y-1 pl-2">
+                            {breakdown.toolUsage.recommendations.map(recommendation => (
+                              <li
+                                key={`${recommendation.category}-${recommendation.toLevel}`}
+                                className="flex justify-between gap-2"
+                              >
+                                <span className="text-gray-700">
+                                  {recommendation.fromLevel === null
+                                    ? `Add a ${recommendation.name} tool at level ${recommendation.toLevel}`
+                                    : `Move ${recommendation.name} from level ${recommendation.fromLevel} to ${recommendation.toLevel}`}
+                                  <span className="text-gray-500"> ({recommendation.toLevelName})</span>
+                                </span>
+                                <span className="font-medium text-green-600 shrink-0">+{recommendation.gain}</span>
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
                     </div>
                   </div>
 
@@ -168,6 +278,14 @@ export function ScoreCard({ knowledgeScore, toolScore, totalScore, breakdown, on
               </div>
             )}
           </div>
+
+          {/* Score History */}
+          {history && (
+            <div className="mt-6 pt-4 border-t">
+              <div className="font-medium text-gray-700 text-sm mb-2">Score History</div>
+              <ScoreHistoryChart points={history.points} />
+            </div>
+          )}
         </CardContent>
       </Card>
 
@@ -0,0 +1,149 @@
+const WIDTH = 600;
+const HEIGHT = 180;
+const PADDING = { top: 10, right: 10, bottom: 20, left: 30 };
+
+const SERIES = [
+  { key: 'totalScore', label: 'Total', color: '#2563eb' },
+  { key: 'knowledgeScore', label: 'Knowledge Sharing', color: '#16a34a' },
+  { key: 'toolScore', label: 'Tool Usage', color: '#9333ea' },
+];
+
+function formatDelta(value) {
+  if (!value) return '±0';
+  return value > 0 ? `+${value}` : `${value}`;
+}
+
+function describePoint(point) {
+  const lines = [
+    new Date(point.calculatedAt).toLocaleString(),
+    `Total ${point.totalScore} · Knowledge ${point.knowledgeScore} · Tools ${point.toolScore}`,
+  ];
+  if (point.change) {
+    lines.push(`Change: total ${formatDelta(point.change.totalScore)} (knowledge ${formatDelta(point.change.knowledgeScore)}, tools ${formatDelta(point.change.toolScore)})`);
+  }
+  if (point.reason) {
+    lines.push(point.reason);
+  }
+  if (point.configVersion) {
+    lines.push(`Scoring config v${point.configVersion}`);
+  }
+  return lines.join('\n');
+}
+
+// Step chart of score changes over time. Scores hold their value until the
+// next recorded change, so each series is drawn as horizontal steps.
+export function ScoreHistoryChart({ points }) {
+  if (!points || points.length === 0) {
+    return (
+      <p className="text-sm text-gray-500">No score history yet</p>
+    );
+  }
+
+  const start = new Date(points[0].calculatedAt).getTime();
+  const end = Math.max(Date.now(), start + 1);
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const x = (date) => PADDING.left + ((new Date(date).getTime() - start) / (end - start)) * plotWidth;
+  const y = (score) => PADDING.top + (1 - score / 100) * plotHeight;
+
+  const stepPath = (key) => {
+    let d = `M ${x(points[0].calculatedAt)} ${y(points[0][key])}`;
+    for (let i = 1; i < points.length; i++) {
+      d += ` H ${x(points[i].calculatedAt)} V ${y(points[i][key])}`;
+    }
+    return `${d} H ${x(end)}`;
+  };
+
+  const recentChanges = points.filter(point => point.change).slice(-5).reverse();
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label="Score history chart">
+        {[0, 25, 50, 75, 100].map(tick => (
+          <g key={tick}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(tick)}
+              y2={y(tick)}
+              stroke="#e5e7eb"
+              strokeWidth="1"
+            />
+            <text x={PADDING.left - 6} y={y(tick) + 3} textAnchor="end" fontSize="10" fill="#6b7280">
+              {tick}
+            </text>
+          </g>
+        ))}
+
+        <text x={PADDING.left} y={HEIGHT - 4} fontSize="10" fill="#6b7280">
+          {new Date(start).toLocaleDateString()}
+        </text>
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 4} textAnchor="end" fontSize="10" fill="#6b7280">
+          Today
+        </text>
+
+        {SERIES.map(series => (
+          <path
+            key={series.key}
+            d={stepPath(series.key)}
+            fill="none"
+            stroke={series.color}
+            strokeWidth={series.key === 'totalScore' ? 2.5 : 1.5}
+          />
+        ))}
+
+        {points.map(point => (
+          <circle
+            key={point.calculatedAt}
+            cx={x(point.calculatedAt)}
+            cy={y(point.totalScore)}
+            r="4"
+            fill="#2563eb"
+            stroke="#ffffff"
+            strokeWidth="1.5"
+          >
+            <title>{describePoint(point)}</title>
+          </circle>
+        ))}
+      </svg>
+
+      <div className="flex flex-wrap gap-4 mt-2 text-xs text-gray-600">
+        {SERIES.map(series => (
+          <span key={series.key} className="flex items-center gap-1">
+            <span className="inline-block w-3 h-0.5" style={{ backgroundColor: series.color }} />
+            {series.label}
+          </span>
+        ))}
+      </div>
+
+      {recentChanges.length > 0 && (
+        <div className="mt-4">
+          <div className="text-xs font-medium text-gray-700 mb-2">Recent Changes</div>
+          <ul className="space-y-1 text-xs">
+            {recentChanges.map(point => (
+              <li key={point.calculatedAt} className="flex items-start gap-2">
+                <span className={`font-medium w-10 shrink-0 ${
+                  point.change.totalScore > 0 ? 'text-green-600' :
+                  point.change.totalScore < 0 ? 'text-red-600' :
+                  'text-gray-500'
+                }`}>
+                  {formatDelta(point.change.totalScore)}
+                </span>
+                <span className="text-gray-500 shrink-0">
+                  {new Date(point.calculatedAt).toLocaleDateString()}
+                </span>
+                <span className="text-gray-700">
+                  {point.reason || 'Score recalculated'}
+                  <span className="text-gray-400">
+                    {' '}(knowledge {formatDelta(point.change.knowledgeScore)}, tools {formatDelta(point.change.toolScore)})
+                  </span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import { Link } from 'react-router-dom';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/Card.jsx';
+
+const scoreColor = (score) =>
+  score >= 76 ? 'text-green-600' : score >= 51 ? 'text-yellow-600' : 'text-red-600';
+
+// Percentile bands and below-threshold applications from a score rollup
+// (GET /api/companies/:id/average-score or /api/admin/portfolio-rollup)
+export function ScoreRollupDetails({ rollup, title = 'Score Distribution' }) {
+  if (!rollup?.percentiles) {
+    return null;
+  }
+
+  const { belowThreshold } = rollup;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{title}</CardTitle>
+      </CardHeader>
+      <CardContent padding="none">
+        <div className="p-4 border-b border-gray-200">
+          <p className="text-sm text-gray-600 mb-3">
+            Weighted by business criticality and exposure: <span className="font-medium">{rollup.weightedScore}/100</span>
+            {' '}(plain average {rollup.averageScore}/100 across {rollup.scoredApplicationCount} scored applications)
+          </p>
+          <div className="grid grid-cols-5 gap-2 text-center">
+            {Object.entries(rollup.percentiles).map(([band, score]) => (
+              <div key={band} className="p-2 bg-gray-50 rounded-lg">
+                <div className="text-xs text-gray-500 uppercase">{band}</div>
+                <div className={`text-lg font-bold ${scoreColor(score)}`}>{score}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="p-4">
+          <div className="text-sm font-medium text-gray-700">
+            {belowThreshold.count} application{belowThreshold.count === 1 ? '' : 's'} below minimum score
+          </div>
+          <p className="text-xs text-gray-500 mb-2">
+            The strictest minimum score of the policies that apply, or {belowThreshold.threshold} without one
+          </p>
+          {belowThreshold.count > 0 ? (
+            <ul className="divide-y divide-gray-100 text-sm">
+              {belowThreshold.applications.map(application => (
+                <li key={application.id} className="py-1 flex justify-between gap-2">
+                  <Link
+                    to={`/applications/${application.id}`}
+                    className="text-blue-600 hover:text-blue-700 truncate"
+                    title={application.name}
+                  >
+                    {application.name}
+                  </Link>
+                  <span className="shrink-0">
+                    <span className="text-xs text-gray-500 mr-2">weight ×{application.weight}</span>
+                    <span className={`font-medium ${scoreColor(application.score)}`}>{application.score}/100</span>
+                    <span className="text-xs text-gray-500 ml-2">min {application.threshold}</span>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <div className="text-sm text-gray-500">Every scored application meets its minimum score</div>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
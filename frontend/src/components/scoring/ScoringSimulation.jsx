@@ -0,0 +1,228 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/Card.jsx';
+import { Checkbox } from '../ui/Checkbox.jsx';
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '../ui/Table.jsx';
+
+// Same colour bands as ScoreCard: 76+ green, 51-75 yellow, below 51 red
+const BANDS = [
+  { label: 'Excellent', min: 76, className: 'text-green-600' },
+  { label: 'Good', min: 51, className: 'text-yellow-600' },
+  { label: 'Needs Improvement', min: 0, className: 'text-red-600' },
+];
+
+const scoreBand = (score) => BANDS.findIndex(band => score >= band.min);
+
+function Delta({ value }) {
+  if (!value) {
+    return <span className="text-gray-400">±0</span>;
+  }
+  return (
+    <span className={`font-medium ${value > 0 ? 'text-green-600' : 'text-red-600'}`}>
+      {value > 0 ? `+${value}` : value}
+    </span>
+  );
+}
+
+function Score({ value }) {
+  if (value === null || value === undefined) {
+    return <span className="text-gray-400">—</span>;
+  }
+  return <span className={BANDS[scoreBand(value)].className}>{value}</span>;
+}
+
+function BandChange({ before, after }) {
+  const from = scoreBand(before);
+  const to = scoreBand(after);
+  if (from === to) {
+    return null;
+  }
+  return (
+    <span className={`px-2 py-0.5 text-xs font-medium rounded ${
+      to > from ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'
+    }`}>
+      {BANDS[from].label} → {BANDS[to].label}
+    </span>
+  );
+}
+
+function Histogram({ before, after }) {
+  const max = Math.max(1, ...before.map(bucket => bucket.count), ...after.map(bucket => bucket.count));
+
+  return (
+    <div>
+      <div className="flex items-end gap-2 h-40">
+        {before.map((bucket, index) => (
+          <div
+            key={bucket.min}
+            className="flex-1 flex items-end justify-center gap-0.5 h-full"
+            title={`${bucket.min}-${bucket.max}: ${bucket.count} before, ${after[index].count} after`}
+          >
+            <div
+              className="w-1/2 bg-gray-300 rounded-t"
+              style={{ height: `${(bucket.count / max) * 100}%` }}
+            />
+            <div
+              className="w-1/2 bg-blue-600 rounded-t"
+              style={{ height: `${(after[index].count / max) * 100}%` }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-2 mt-1 text-xs text-gray-500">
+        {before.map(bucket => (
+          <div key={bucket.min} className="flex-1 text-center">
+            {bucket.min}-{bucket.max}
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-4 mt-2 text-xs text-gray-600">
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 h-3 bg-gray-300 rounded" /> Current
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 h-3 bg-blue-600 rounded" /> Draft
+        </span>
+      </div>
+    </div>
+  );
+}
+
+// Results of POST /api/admin/scoring-config/simulate: what the draft weights
+// would do to every application and company, biggest drops first
+export function ScoringSimulation({ simulation }) {
+  const [changedOnly, setChangedOnly] = useState(true);
+
+  const applications = simulation.applications
+    .filter(app => !changedOnly || app.delta !== 0)
+    .sort((a, b) => a.delta - b.delta);
+
+  const companies = [...simulation.companies].sort((a, b) => a.delta - b.delta);
+
+  const droppedBand = simulation.applications
+    .filter(app => scoreBand(app.after.totalScore) > scoreBand(app.before.totalScore)).length;
+  const raisedBand = simulation.applications
+    .filter(app => scoreBand(app.after.totalScore) < scoreBand(app.before.totalScore)).length;
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <Card>
+          <div className="text-sm text-gray-500">Applications</div>
+          <div className="text-2xl font-bold text-gray-900">{simulation.applications.length}</div>
+        </Card>
+        <Card>
+          <div className="text-sm text-gray-500">Score Changes</div>
+          <div className="text-2xl font-bold text-gray-900">{simulation.changedCount}</div>
+        </Card>
+        <Card>
+          <div className="text-sm text-gray-500">Drop a Colour Band</div>
+          <div className="text-2xl font-bold text-red-600">{droppedBand}</div>
+        </Card>
+        <Card>
+          <div className="text-sm text-gray-500">Rise a Colour Band</div>
+          <div className="text-2xl font-bold text-green-600">{raisedBand}</div>
+        </Card>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Score Distribution</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <Histogram before={simulation.histogram.before} after={simulation.histogram.after} />
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <div className="flex justify-between items-center">
+            <CardTitle>Applications ({applications.length})</CardTitle>
+            <Checkbox
+              id="simulationChangedOnly"
+              label="Only show changed scores"
+              checked={changedOnly}
+              onChange={(e) => setChangedOnly(e.target.checked)}
+            />
+          </div>
+        </CardHeader>
+        <CardContent padding="none">
+          {applications.length === 0 ? (
+            <div className="p-6 text-center text-gray-500">
+              No application scores change with these weights
+            </div>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Application</TableHead>
+                  <TableHead>Company</TableHead>
+                  <TableHead>Current</TableHead>
+                  <TableHead>Draft</TableHead>
+                  <TableHead>Change</TableHead>
+                  <TableHead></TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {applications.map(app => (
+                  <TableRow key={app.id}>
+                    <TableCell>
+                      <Link to={`/applications/${app.id}`} className="font-medium text-blue-600 hover:text-blue-700">
+                        {app.name}
+                      </Link>
+                    </TableCell>
+                    <TableCell>{app.company.name}</TableCell>
+                    <TableCell><Score value={app.before.totalScore} /></TableCell>
+                    <TableCell><Score value={app.after.totalScore} /></TableCell>
+                    <TableCell><Delta value={app.delta} /></TableCell>
+                    <TableCell>
+                      <BandChange before={app.before.totalScore} after={app.after.totalScore} />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Companies ({companies.length})</CardTitle>
+        </CardHeader>
+        <CardContent padding="none">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Company</TableHead>
+                <TableHead>Applications</TableHead>
+                <TableHead>Current Average</TableHead>
+                <TableHead>Draft Average</TableHead>
+                <TableHead>Change</TableHead>
+                <TableHead></TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {companies.map(company => (
+                <TableRow key={company.id}>
+                  <TableCell>
+                    <Link to={`/companies/${company.id}`} className="font-medium text-blue-600 hover:text-blue-700">
+                      {company.name}
+                    </Link>
+                  </TableCell>
+                  <TableCell>{company.applicationCount}</TableCell>
+                  <TableCell><Score value={company.before} /></TableCell>
+                  <TableCell><Score value={company.after} /></TableCell>
+                  <TableCell><Delta value={company.delta} /></TableCell>
+                  <TableCell>
+                    <BandChange before={company.before} after={company.after} />
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -18,6 +18,7 @@ export function InviteUserModal({ isOpen, onClose, onInvited }) {
     isAdmin: false,
   });
   const [invitationUrl, setInvitationUrl] = useState('');
+  const [emailSent, setEmailSent] = useState(false);
   const hasInvitationRef = useRef(false); // Track if we just created an invitation
 
   // Reset form and invitation URL when modal opens/closes
@@ -109,7 +110,12 @@ export function InviteUserModal({ isOpen, onClose, onInvited }) {
       
       console.log('After setState call - hasInvitationRef:', hasInvitationRef.current); // Debug log
       
-      toast.success('Invitation created successfully');
+      setEmailSent(Boolean(result.emailSent));
+      if (result.emailSent) {
+        toast.success(`Invitation emailed to ${formData.email}`);
+      } else {
+        toast.warning('Invitation created, but the email could not be sent');
+      }
       
       // DON'T call onInvited immediately - wait until user closes the modal
       // This prevents parent re-renders from resetting the invitation URL
@@ -205,7 +211,9 @@ export function InviteUserModal({ isOpen, onClose, onInvited }) {
                   Invitation Created Successfully
                 </h3>
                 <p className="text-sm text-green-800">
-                  Invitation has been created for <strong>{formData.email}</strong>. Share the link below with them to complete their account setup.
+                  {emailSent
+                    ? <>An invitation email has been sent to <strong>{formData.email}</strong>. You can also share the link below with them.</>
+                    : <>Invitation has been created for <strong>{formData.email}</strong>, but the email could not be sent. Share the link below with them to complete their account setup.</>}
                 </p>
               </div>
             </div>
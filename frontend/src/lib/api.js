@@ -44,10 +44,10 @@ export const api = {
       body: JSON.stringify({ email }),
     }),
 
-  loginWithMagicCode: (code) =>
+  loginWithMagicCode: (email, code) =>
     apiRequest('/api/auth/login-magic', {
       method: 'POST',
-      body: JSON.stringify({ code }),
+      body: JSON.stringify({ email, code }),
     }),
 
   logout: () =>
@@ -58,6 +58,52 @@ export const api = {
   getCurrentUser: () =>
     apiRequest('/api/auth/me'),
 
+  // Single sign-on through the identity provider of the email's company
+  startSso: (email) =>
+    apiRequest('/api/auth/sso/start', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    }),
+
+  completeSso: (query) =>
+    apiRequest('/api/auth/sso/callback', {
+      method: 'POST',
+      body: JSON.stringify({ query }),
+    }),
+
+  // Two-factor authentication; factor is { code } or { recoveryCode }
+  verifyMfa: (factor) =>
+    apiRequest('/api/auth/mfa/verify', {
+      method: 'POST',
+      body: JSON.stringify(factor),
+    }),
+
+  getMfaStatus: () =>
+    apiRequest('/api/auth/mfa'),
+
+  startMfaSetup: () =>
+    apiRequest('/api/auth/mfa/setup', {
+      method: 'POST',
+    }),
+
+  enableMfa: (code) =>
+    apiRequest('/api/auth/mfa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    }),
+
+  disableMfa: (factor) =>
+    apiRequest('/api/auth/mfa/disable', {
+      method: 'POST',
+      body: JSON.stringify(factor),
+    }),
+
+  regenerateRecoveryCodes: (code) =>
+    apiRequest('/api/auth/mfa/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    }),
+
   // User endpoints
   getPendingUsers: async () => {
     const data = await apiRequest('/api/users/pending');
@@ -112,6 +158,29 @@ export const api = {
       body: JSON.stringify(data),
     }),
 
+  getMySessions: () =>
+    apiRequest('/api/users/me/sessions'),
+
+  revokeMySession: (sessionId) =>
+    apiRequest(`/api/users/me/sessions/${sessionId}`, {
+      method: 'DELETE',
+    }),
+
+  revokeOtherSessions: () =>
+    apiRequest('/api/users/me/sessions', {
+      method: 'DELETE',
+    }),
+
+  forceLogoutUser: (userId) =>
+    apiRequest(`/api/users/${userId}/logout`, {
+      method: 'POST',
+    }),
+
+  resetUserMfa: (userId) =>
+    apiRequest(`/api/users/${userId}/mfa/reset`, {
+      method: 'POST',
+    }),
+
   // Company management
   getCompanies: () =>
     apiRequest('/api/companies'),
@@ -120,6 +189,8 @@ export const api = {
     apiRequest(`/api/companies/${id}`),
   getCompanyAverageScore: (id) =>
     apiRequest(`/api/companies/${id}/average-score`),
+  getCompanyBenchmark: (id) =>
+    apiRequest(`/api/companies/${id}/benchmark`),
   getCompanyDomains: (id) =>
     apiRequest(`/api/companies/${id}/domains`),
   getCompanyBySlug: (slug) =>
@@ -145,6 +216,13 @@ export const api = {
     }),
   getIntegrationLevels: () =>
     apiRequest('/api/config/integration-levels'),
+  getToolCategories: () =>
+    apiRequest('/api/config/tool-categories'),
+  getRequestProducts: () =>
+    apiRequest('/api/config/products'),
+
+  getContactRoles: () =>
+    apiRequest('/api/config/contact-roles'),
 
   createCompany: (data) =>
     apiRequest('/api/companies', {
@@ -158,6 +236,26 @@ export const api = {
       body: JSON.stringify(data),
     }),
 
+  getCompanySso: (id) =>
+    apiRequest(`/api/companies/${id}/sso`),
+
+  updateCompanySso: (id, data) =>
+    apiRequest(`/api/companies/${id}/sso`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    }),
+
+  deleteCompanySso: (id) =>
+    apiRequest(`/api/companies/${id}/sso`, {
+      method: 'DELETE',
+    }),
+
+  mergeCompany: (id, targetCompanyId) =>
+    apiRequest(`/api/companies/${id}/merge`, {
+      method: 'POST',
+      body: JSON.stringify({ targetCompanyId }),
+    }),
+
   assignUserToCompany: (companyId, userId) =>
     apiRequest(`/api/companies/${companyId}/users`, {
       method: 'POST',
@@ -179,11 +277,28 @@ export const api = {
   getApplicationScore: (id) =>
     apiRequest(`/api/applications/${id}/score`),
 
+  getApplicationScoreHistory: (id) =>
+    apiRequest(`/api/applications/${id}/score-history`),
+
   markApplicationReviewed: (id) =>
     apiRequest(`/api/applications/${id}/review`, {
       method: 'POST',
     }),
 
+  // Grading: owner is { companyId } or { applicationId }
+  getGrades: (owner) =>
+    apiRequest(owner.companyId
+      ? `/api/companies/${owner.companyId}/grades`
+      : `/api/applications/${owner.applicationId}/grades`),
+
+  createGrade: (owner, data) =>
+    apiRequest(owner.companyId
+      ? `/api/companies/${owner.companyId}/grade`
+      : `/api/applications/${owner.applicationId}/grade`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }),
+
   createApplication: (data) =>
     apiRequest('/api/applications', {
       method: 'POST',
@@ -226,6 +341,128 @@ export const api = {
     return apiRequest(`/api/applications/search/name?${params}`);
   },
 
+  // Product requests
+  getRequests: (filters = {}) => {
+    const params = new URLSearchParams();
+    if (filters.status) params.append('status', filters.status);
+    if (filters.companyId) params.append('companyId', filters.companyId);
+    if (filters.applicationId) params.append('applicationId', filters.applicationId);
+    const queryString = params.toString();
+    return apiRequest(`/api/requests${queryString ? `?${queryString}` : ''}`);
+  },
+
+  getRequest: (id) =>
+    apiRequest(`/api/requests/${id}`),
+
+  createRequest: (data) =>
+    apiRequest('/api/requests', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }),
+
+  updateRequest: (id, data) =>
+    apiRequest(`/api/requests/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    }),
+
+  approveRequest: (id) =>
+    apiRequest(`/api/requests/${id}/approve`, {
+      method: 'POST',
+    }),
+
+  retryRequest: (id) =>
+    apiRequest(`/api/requests/${id}/retry`, {
+      method: 'POST',
+    }),
+
+  getRequestJobs: (id) =>
+    apiRequest(`/api/requests/${id}/jobs`),
+
+  // Contact endpoints
+  getContacts: (filters = {}) => {
+    const params = new URLSearchParams();
+    if (filters.companyId) params.append('companyId', filters.companyId);
+    if (filters.applicationId) params.append('applicationId', filters.applicationId);
+    return apiRequest(`/api/contacts?${params}`);
+  },
+
+  createContact: (data) =>
+    apiRequest('/api/contacts', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }),
+
+  updateContact: (id, data) =>
+    apiRequest(`/api/contacts/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    }),
+
+  deleteContact: (id) =>
+    apiRequest(`/api/contacts/${id}`, {
+      method: 'DELETE',
+    }),
+
+  // Risk acceptances
+  getRisks: (applicationId) =>
+    apiRequest(`/api/risks?applicationId=${applicationId}`),
+
+  createRisk: (data) =>
+    apiRequest('/api/risks', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }),
+
+  updateRisk: (id, data) =>
+    apiRequest(`/api/risks/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    }),
+
+  deleteRisk: (id) =>
+    apiRequest(`/api/risks/${id}`, {
+      method: 'DELETE',
+    }),
+
+  acceptRisk: (id) =>
+    apiRequest(`/api/risks/${id}/accept`, {
+      method: 'POST',
+    }),
+
+  rejectRisk: (id) =>
+    apiRequest(`/api/risks/${id}/reject`, {
+      method: 'POST',
+    }),
+
+  closeRisk: (id) =>
+    apiRequest(`/api/risks/${id}/close`, {
+      method: 'POST',
+    }),
+
+  // Company change approval endpoints
+  getCompanyChanges: (filters = {}) => {
+    const params = new URLSearchParams();
+    if (filters.status) params.append('status', filters.status);
+    if (filters.companyId) params.append('companyId', filters.companyId);
+    const queryString = params.toString();
+    return apiRequest(`/api/changes${queryString ? `?${queryString}` : ''}`);
+  },
+
+  getCompanyChange: (id) =>
+    apiRequest(`/api/changes/${id}`),
+
+  approveCompanyChange: (id, fields) =>
+    apiRequest(`/api/changes/${id}/approve`, {
+      method: 'POST',
+      body: JSON.stringify({ fields }),
+    }),
+
+  rejectCompanyChange: (id) =>
+    apiRequest(`/api/changes/${id}/reject`, {
+      method: 'POST',
+    }),
+
   // Admin endpoints
   getAdminStats: () =>
     apiRequest('/api/admin/stats'),
@@ -238,5 +475,89 @@ export const api = {
     const queryString = params.toString();
     return apiRequest(`/api/admin/applications${queryString ? `?${queryString}` : ''}`);
   },
+
+  getPortfolioRollup: () =>
+    apiRequest('/api/admin/portfolio-rollup'),
+
+  getBenchmarks: () =>
+    apiRequest('/api/admin/benchmarks'),
+
+  getPolicies: () =>
+    apiRequest('/api/admin/policies'),
+
+  createPolicy: (data) =>
+    apiRequest('/api/admin/policies', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }),
+
+  updatePolicy: (id, data) =>
+    apiRequest(`/api/admin/policies/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    }),
+
+  deletePolicy: (id) =>
+    apiRequest(`/api/admin/policies/${id}`, {
+      method: 'DELETE',
+    }),
+
+  getRiskRegister: (filters = {}) => {
+    const params = new URLSearchParams();
+    if (filters.status) params.append('status', filters.status);
+    const queryString = params.toString();
+    return apiRequest(`/api/admin/risks${queryString ? `?${queryString}` : ''}`);
+  },
+
+  getScoringConfig: () =>
+    apiRequest('/api/admin/scoring-config'),
+
+  getScoringConfigVersions: () =>
+    apiRequest('/api/admin/scoring-config/versions'),
+
+  updateScoringConfig: (config, note) =>
+    apiRequest('/api/admin/scoring-config', {
+      method: 'PUT',
+      body: JSON.stringify({ config, note }),
+    }),
+
+  simulateScoringConfig: (config) =>
+    apiRequest('/api/admin/scoring-config/simulate', {
+      method: 'POST',
+      body: JSON.stringify({ config }),
+    }),
+
+  restoreScoringConfig: (version) =>
+    apiRequest(`/api/admin/scoring-config/versions/${version}/restore`, {
+      method: 'POST',
+    }),
+
+  startScoreRecalculation: () =>
+    apiRequest('/api/admin/score-recalculations', {
+      method: 'POST',
+    }),
+
+  getScoreRecalculations: () =>
+    apiRequest('/api/admin/score-recalculations'),
+
+  getScoreRecalculation: (id) =>
+    apiRequest(`/api/admin/score-recalculations/${id}`),
+
+  getNotApplicableRequests: (filters = {}) => {
+    const params = new URLSearchParams();
+    if (filters.status) params.append('status', filters.status);
+    const queryString = params.toString();
+    return apiRequest(`/api/admin/not-applicable${queryString ? `?${queryString}` : ''}`);
+  },
+
+  approveNotApplicable: (id) =>
+    apiRequest(`/api/admin/not-applicable/${id}/approve`, {
+      method: 'POST',
+    }),
+
+  rejectNotApplicable: (id) =>
+    apiRequest(`/api/admin/not-applicable/${id}/reject`, {
+      method: 'POST',
+    }),
 };
 
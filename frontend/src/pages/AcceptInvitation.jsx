@@ -6,6 +6,8 @@ import { LoadingPage } from '../components/ui/Loading.jsx';
 import { Card, CardContent } from '../components/ui/Card.jsx';
 import { Button } from '../components/ui/Button.jsx';
 import { Input } from '../components/ui/Input.jsx';
+import { SecondFactorForm } from '../components/auth/SecondFactorForm.jsx';
+import { MfaEnrollment } from '../components/auth/MfaEnrollment.jsx';
 import useAuthStore from '../store/authStore.js';
 
 export function AcceptInvitation() {
@@ -15,6 +17,7 @@ export function AcceptInvitation() {
   const [submitting, setSubmitting] = useState(false);
   const [invitation, setInvitation] = useState(null);
   const [error, setError] = useState(null);
+  const [mfaStep, setMfaStep] = useState(null); // 'challenge' or 'enroll' when signing in needs a second factor
   const [formData, setFormData] = useState({
     password: '',
     confirmPassword: '',
@@ -52,6 +55,14 @@ export function AcceptInvitation() {
     try {
       setSubmitting(true);
       const result = await api.acceptInvitation(token, formData.password);
+
+      // The password is set, but signing in needs a second factor first
+      if (result.mfaRequired || result.mfaEnrollmentRequired) {
+        toast.success('Password set');
+        setMfaStep(result.mfaRequired ? 'challenge' : 'enroll');
+        setSubmitting(false);
+        return;
+      }
       
       // Refresh auth store to get the new session
       const authStore = useAuthStore.getState();
@@ -69,6 +80,23 @@ export function AcceptInvitation() {
     }
   };
 
+  const handleMfaSubmit = async (factor) => {
+    setSubmitting(true);
+    const result = await useAuthStore.getState().verifyMfa(factor);
+    setSubmitting(false);
+
+    if (result.success) {
+      navigate('/dashboard');
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const handleMfaEnrolled = (result) => {
+    useAuthStore.getState().completeMfaEnrollment(result.user);
+    navigate('/dashboard');
+  };
+
   if (loading) {
     return <LoadingPage message="Loading invitation..." />;
   }
@@ -154,45 +182,59 @@ export function AcceptInvitation() {
             )}
           </div>
 
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <Input
-              label="Password"
-              type="password"
-              id="password"
-              value={formData.password}
-              onChange={(e) => setFormData({ ...formData, password: e.target.value })}
-              placeholder="••••••••"
-              required
-              minLength={8}
-              helperText="Must be at least 8 characters long"
+          {mfaStep === 'challenge' && (
+            <SecondFactorForm
+              onSubmit={handleMfaSubmit}
+              onCancel={() => navigate('/login')}
+              loading={submitting}
             />
+          )}
 
-            <Input
-              label="Confirm Password"
-              type="password"
-              id="confirmPassword"
-              value={formData.confirmPassword}
-              onChange={(e) => setFormData({ ...formData, confirmPassword: e.target.value })}
-              placeholder="••••••••"
-              required
-              minLength={8}
-              error={
-                formData.confirmPassword && formData.password !== formData.confirmPassword
-                  ? 'Passwords do not match'
-                  : undefined
-              }
-            />
+          {mfaStep === 'enroll' && (
+            <MfaEnrollment onComplete={handleMfaEnrolled} onCancel={() => navigate('/login')} />
+          )}
 
-            <Button
-              type="submit"
-              variant="primary"
-              className="w-full"
-              disabled={submitting}
-              loading={submitting}
-            >
-              Create Account
-            </Button>
-          </form>
+          {!mfaStep && (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <Input
+                label="Password"
+                type="password"
+                id="password"
+                value={formData.password}
+                onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                placeholder="••••••••"
+                required
+                minLength={8}
+                helperText="Must be at least 8 characters long"
+              />
+
+              <Input
+                label="Confirm Password"
+                type="password"
+                id="confirmPassword"
+                value={formData.confirmPassword}
+                onChange={(e) => setFormData({ ...formData, confirmPassword: e.target.value })}
+                placeholder="••••••••"
+                required
+                minLength={8}
+                error={
+                  formData.confirmPassword && formData.password !== formData.confirmPassword
+                    ? 'Passwords do not match'
+                    : undefined
+                }
+              />
+
+              <Button
+                type="submit"
+                variant="primary"
+                className="w-full"
+                disabled={submitting}
+                loading={submitting}
+              >
+                Create Account
+              </Button>
+            </form>
+          )}
         </CardContent>
       </Card>
     </div>
@@ -8,10 +8,16 @@ import { Button } from '../components/ui/Button.jsx';
 import { Input } from '../components/ui/Input.jsx';
 import { Textarea } from '../components/ui/Textarea.jsx';
 import { Select } from '../components/ui/Select.jsx';
-import { Checkbox } from '../components/ui/Checkbox.jsx';
 import { Modal } from '../components/ui/Modal.jsx';
 import { ScoreCard } from '../components/scoring/ScoreCard.jsx';
 import { DomainPills } from '../components/domains/DomainPills.jsx';
+import { NewRequestModal } from '../components/requests/NewRequestModal.jsx';
+import { ContactsPanel } from '../components/contacts/ContactsPanel.jsx';
+import { GradingPanel } from '../components/grading/GradingPanel.jsx';
+import { CompliancePanel } from '../components/policies/CompliancePanel.jsx';
+import { RiskRegisterPanel } from '../components/risks/RiskRegisterPanel.jsx';
+import { ToolAssignmentFields } from '../components/applications/ToolAssignmentFields.jsx';
+import { toolAssignmentsToForm, toolAssignmentsFromForm } from '../utils/toolAssignments.js';
 import useAuthStore from '../store/authStore.js';
 
 export function ApplicationDetail() {
@@ -23,13 +29,16 @@ export function ApplicationDetail() {
   const [saving, setSaving] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
   const [integrationLevels, setIntegrationLevels] = useState([]);
+  const [toolCategories, setToolCategories] = useState([]);
   const [scores, setScores] = useState(null);
+  const [scoreHistory, setScoreHistory] = useState(null);
   const [loadingScore, setLoadingScore] = useState(false);
   const [changingStatus, setChangingStatus] = useState(false);
   const [domains, setDomains] = useState([]);
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
   const [originalFormData, setOriginalFormData] = useState(null);
   const [showCancelModal, setShowCancelModal] = useState(false);
+  const [showRequestModal, setShowRequestModal] = useState(false);
 
   const [formData, setFormData] = useState({
     name: '',
@@ -44,20 +53,13 @@ export function ApplicationDetail() {
     dataTypes: '',
     devTeamContact: '',
     securityTestingDescription: '',
-    sastTool: '',
-    sastIntegrationLevel: '',
-    dastTool: '',
-    dastIntegrationLevel: '',
-    appFirewallTool: '',
-    appFirewallIntegrationLevel: '',
-    apiSecurityTool: '',
-    apiSecurityIntegrationLevel: '',
-    apiSecurityNA: false,
+    tools: {},
     status: 'onboarded',
   });
 
   useEffect(() => {
     loadIntegrationLevels();
+    loadToolCategories();
     if (id) {
       loadApplication();
       loadScore();
@@ -73,11 +75,23 @@ export function ApplicationDetail() {
     }
   };
 
+  const loadToolCategories = async () => {
+    try {
+      const categories = await api.getToolCategories();
+      setToolCategories(categories);
+    } catch (error) {
+      console.error('Failed to load tool categories:', error);
+    }
+  };
+
   const loadScore = async () => {
     try {
       setLoadingScore(true);
       const scoreData = await api.getApplicationScore(id);
       setScores(scoreData);
+      // Loaded after the score so a newly recorded change shows up in the history
+      const historyData = await api.getApplicationScoreHistory(id);
+      setScoreHistory(historyData);
     } catch (error) {
       console.error('Failed to load score:', error);
     } finally {
@@ -85,6 +99,16 @@ export function ApplicationDetail() {
     }
   };
 
+  // Re-evaluate policies without reloading the page (e.g. after a risk is accepted)
+  const refreshCompliance = async () => {
+    try {
+      const data = await api.getApplication(id);
+      setApplication(current => ({ ...current, compliance: data.compliance }));
+    } catch (error) {
+      console.error('Failed to refresh compliance:', error);
+    }
+  };
+
   const handleMarkReviewed = async () => {
     try {
       await api.markApplicationReviewed(id);
@@ -165,15 +189,7 @@ export function ApplicationDetail() {
         dataTypes: data.dataTypes || '',
         devTeamContact: data.devTeamContact || '',
         securityTestingDescription: data.securityTestingDescription || '',
-        sastTool: data.sastTool || '',
-        sastIntegrationLevel: data.sastIntegrationLevel?.toString() || '',
-        dastTool: data.dastTool || '',
-        dastIntegrationLevel: data.dastIntegrationLevel?.toString() || '',
-        appFirewallTool: data.appFirewallTool || '',
-        appFirewallIntegrationLevel: data.appFirewallIntegrationLevel?.toString() || '',
-        apiSecurityTool: data.apiSecurityTool || '',
-        apiSecurityIntegrationLevel: data.apiSecurityIntegrationLevel?.toString() || '',
-        apiSecurityNA: data.apiSecurityNA || false,
+        tools: toolAssignmentsToForm(data.tools),
         status: data.status || 'onboarded',
       };
       setFormData(newFormData);
@@ -193,7 +209,10 @@ export function ApplicationDetail() {
   const handleSave = async () => {
     try {
       setSaving(true);
-      await api.updateApplication(id, formData);
+      await api.updateApplication(id, {
+        ...formData,
+        tools: toolAssignmentsFromForm(formData.tools),
+      });
       toast.success('Application updated successfully');
       setIsEditing(false);
       setHasUnsavedChanges(false);
@@ -272,6 +291,11 @@ export function ApplicationDetail() {
             </p>
           </div>
           <div className="flex gap-3 items-center">
+            {canEdit() && !isEditing && (
+              <Button variant="outline" onClick={() => setShowRequestModal(true)}>
+                Request Tooling
+              </Button>
+            )}
             {canEdit() && !isEditing && (
               <Button variant="primary" onClick={handleEditClick}>
                 Edit Application
@@ -317,14 +341,32 @@ export function ApplicationDetail() {
             toolScore={scores.toolScore}
             totalScore={scores.totalScore}
             breakdown={scores.breakdown}
+            history={scoreHistory}
             onMarkReviewed={handleMarkReviewed}
             isAdmin={isAdmin()}
             lastReviewed={application.metadataLastReviewed}
+            target={application.compliance?.minTotalScore}
             showBreakdownByDefault={true}
           />
         </div>
       )}
 
+      {/* Policy Compliance */}
+      <div className="mb-6">
+        <CompliancePanel compliance={application.compliance} isAdmin={isAdmin()} />
+      </div>
+
+      {/* Risk Register */}
+      <div className="mb-6">
+        <RiskRegisterPanel
+          applicationId={application.id}
+          toolCategories={toolCategories}
+          canEdit={canEdit()}
+          isAdmin={isAdmin()}
+          onChange={refreshCompliance}
+        />
+      </div>
+
       {/* Application Details */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Basic Information */}
@@ -362,7 +404,7 @@ export function ApplicationDetail() {
                 disabled={!isEditing}
                 rows={3}
                 placeholder="Name, email, phone, etc. (can include multiple contacts)"
-                helperText="Contact information for the development team"
+                helperText="Free-text notes; add named people with roles under Contacts below"
               />
             </div>
           </CardContent>
@@ -463,91 +505,27 @@ export function ApplicationDetail() {
             </div>
             
             {/* Right Column: Security Tools */}
-            <div className="space-y-4">
-                <div className="grid grid-cols-2 gap-4">
-                  <Input
-                    label="SAST Tool"
-                    value={formData.sastTool}
-                    onChange={(e) => handleFieldChange('sastTool', e.target.value)}
-                    disabled={!isEditing}
-                  />
-                  <Select
-                    label="SAST Integration Level"
-                    value={formData.sastIntegrationLevel}
-                    onChange={(e) => handleFieldChange('sastIntegrationLevel', e.target.value)}
-                    disabled={!isEditing}
-                    options={[
-                      { value: '', label: 'Select level' },
-                      ...integrationLevels,
-                    ]}
-                  />
-                </div>
-                <div className="grid grid-cols-2 gap-4">
-                  <Input
-                    label="DAST Tool"
-                    value={formData.dastTool}
-                    onChange={(e) => handleFieldChange('dastTool', e.target.value)}
-                    disabled={!isEditing}
-                  />
-                  <Select
-                    label="DAST Integration Level"
-                    value={formData.dastIntegrationLevel}
-                    onChange={(e) => handleFieldChange('dastIntegrationLevel', e.target.value)}
-                    disabled={!isEditing}
-                    options={[
-                      { value: '', label: 'Select level' },
-                      ...integrationLevels,
-                    ]}
-                  />
-                </div>
-                <div className="grid grid-cols-2 gap-4">
-                  <Input
-                    label="App Firewall Tool"
-                    value={formData.appFirewallTool}
-                    onChange={(e) => handleFieldChange('appFirewallTool', e.target.value)}
-                    disabled={!isEditing}
-                  />
-                  <Select
-                    label="App Firewall Integration Level"
-                    value={formData.appFirewallIntegrationLevel}
-                    onChange={(e) => handleFieldChange('appFirewallIntegrationLevel', e.target.value)}
-                    disabled={!isEditing}
-                    options={[
-                      { value: '', label: 'Select level' },
-                      ...integrationLevels,
-                    ]}
-                  />
-                </div>
-                <div className="grid grid-cols-2 gap-4">
-                  <Input
-                    label="API Security Tool"
-                    value={formData.apiSecurityTool}
-                    onChange={(e) => handleFieldChange('apiSecurityTool', e.target.value)}
-                    disabled={!isEditing}
-                  />
-                  <Select
-                    label="API Security Integration Level"
-                    value={formData.apiSecurityIntegrationLevel}
-                    onChange={(e) => handleFieldChange('apiSecurityIntegrationLevel', e.target.value)}
-                    disabled={!isEditing}
-                    options={[
-                      { value: '', label: 'Select level' },
-                      ...integrationLevels,
-                    ]}
-                  />
-                </div>
-                <Checkbox
-                  id="apiSecurityNA"
-                  label="API Security Not Applicable"
-                  checked={formData.apiSecurityNA}
-                  onChange={(e) => handleFieldChange('apiSecurityNA', e.target.checked)}
-                  disabled={!isEditing}
-                />
-              </div>
-            </div>
+            <ToolAssignmentFields
+              categories={toolCategories}
+              integrationLevels={integrationLevels}
+              value={formData.tools}
+              onChange={(tools) => handleFieldChange('tools', tools)}
+              disabled={!isEditing}
+            />
+          </div>
           </CardContent>
         </Card>
 
+      {/* Contacts */}
+      <div className="mt-6">
+        <ContactsPanel applicationId={application.id} canEdit={canEdit()} />
+      </div>
+
+      {/* Grading */}
+      <div className="mt-6">
+        <GradingPanel applicationId={application.id} isAdmin={isAdmin()} />
+      </div>
+
       {/* Sticky Save Bar - Only show when editing */}
       {isEditing && (
         <div className="fixed bottom-0 left-0 right-0 bg-white border-t border-gray-200 shadow-lg z-50">
@@ -586,6 +564,13 @@ export function ApplicationDetail() {
         </div>
       )}
 
+      {/* Tool Request Modal */}
+      <NewRequestModal
+        isOpen={showRequestModal}
+        onClose={() => setShowRequestModal(false)}
+        application={application}
+      />
+
       {/* Cancel Confirmation Modal */}
       <Modal
         isOpen={showCancelModal}
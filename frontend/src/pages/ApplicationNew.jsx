@@ -8,6 +8,8 @@ import { Input } from '../components/ui/Input.jsx';
 import { Textarea } from '../components/ui/Textarea.jsx';
 import { Select } from '../components/ui/Select.jsx';
 import { Checkbox } from '../components/ui/Checkbox.jsx';
+import { ToolAssignmentFields } from '../components/applications/ToolAssignmentFields.jsx';
+import { toolAssignmentsFromForm } from '../utils/toolAssignments.js';
 import useAuthStore from '../store/authStore.js';
 
 export function ApplicationNew() {
@@ -22,6 +24,8 @@ export function ApplicationNew() {
   const [interfaces, setInterfaces] = useState([]);
   const [showInterfaceResults, setShowInterfaceResults] = useState(false);
   const [integrationLevels, setIntegrationLevels] = useState([]);
+  const [toolCategories, setToolCategories] = useState([]);
+  const [tools, setTools] = useState({});
 
   const [formData, setFormData] = useState({
     companyId: '',
@@ -41,20 +45,12 @@ export function ApplicationNew() {
     devTeamContact: '',
     securityTestingDescription: '',
     additionalNotes: '',
-    sastTool: '',
-    sastIntegrationLevel: '',
-    dastTool: '',
-    dastIntegrationLevel: '',
-    appFirewallTool: '',
-    appFirewallIntegrationLevel: '',
-    apiSecurityTool: '',
-    apiSecurityIntegrationLevel: '',
-    apiSecurityNA: false,
   });
 
   useEffect(() => {
     loadCompanies();
     loadIntegrationLevels();
+    loadToolCategories();
   }, []);
 
   const loadIntegrationLevels = async () => {
@@ -66,6 +62,15 @@ export function ApplicationNew() {
     }
   };
 
+  const loadToolCategories = async () => {
+    try {
+      const categories = await api.getToolCategories();
+      setToolCategories(categories);
+    } catch (error) {
+      console.error('Failed to load tool categories:', error);
+    }
+  };
+
   useEffect(() => {
     if (formData.companyId && useDefaults) {
       loadCompanyDefaults();
@@ -173,6 +178,7 @@ export function ApplicationNew() {
         ...formDataWithoutOwner,
         criticalAspects: criticalAspects.length > 0 ? criticalAspects : null,
         interfaces: interfaces,
+        tools: toolAssignmentsFromForm(tools),
       });
       toast.success('Application created successfully');
       navigate(`/applications/${application.id}`);
@@ -503,78 +509,12 @@ export function ApplicationNew() {
               <CardTitle>Security Tools</CardTitle>
             </CardHeader>
             <CardContent>
-              <div className="space-y-4">
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  <Input
-                    label="SAST Tool"
-                    value={formData.sastTool}
-                    onChange={(e) => setFormData({ ...formData, sastTool: e.target.value })}
-                  />
-                  <Select
-                    label="SAST Integration Level"
-                    value={formData.sastIntegrationLevel}
-                    onChange={(e) => setFormData({ ...formData, sastIntegrationLevel: e.target.value })}
-                    options={[
-                      { value: '', label: 'Select level' },
-                      ...integrationLevels,
-                    ]}
-                  />
-                </div>
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  <Input
-                    label="DAST Tool"
-                    value={formData.dastTool}
-                    onChange={(e) => setFormData({ ...formData, dastTool: e.target.value })}
-                  />
-                  <Select
-                    label="DAST Integration Level"
-                    value={formData.dastIntegrationLevel}
-                    onChange={(e) => setFormData({ ...formData, dastIntegrationLevel: e.target.value })}
-                    options={[
-                      { value: '', label: 'Select level' },
-                      ...integrationLevels,
-                    ]}
-                  />
-                </div>
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  <Input
-                    label="App Firewall Tool"
-                    value={formData.appFirewallTool}
-                    onChange={(e) => setFormData({ ...formData, appFirewallTool: e.target.value })}
-                  />
-                  <Select
-                    label="App Firewall Integration Level"
-                    value={formData.appFirewallIntegrationLevel}
-                    onChange={(e) => setFormData({ ...formData, appFirewallIntegrationLevel: e.target.value })}
-                    options={[
-                      { value: '', label: 'Select level' },
-                      ...integrationLevels,
-                    ]}
-                  />
-                </div>
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  <Input
-                    label="API Security Tool"
-                    value={formData.apiSecurityTool}
-                    onChange={(e) => setFormData({ ...formData, apiSecurityTool: e.target.value })}
-                  />
-                  <Select
-                    label="API Security Integration Level"
-                    value={formData.apiSecurityIntegrationLevel}
-                    onChange={(e) => setFormData({ ...formData, apiSecurityIntegrationLevel: e.target.value })}
-                    options={[
-                      { value: '', label: 'Select level' },
-                      ...integrationLevels,
-                    ]}
-                  />
-                </div>
-                <Checkbox
-                  id="apiSecurityNA"
-                  label="API Security Not Applicable"
-                  checked={formData.apiSecurityNA}
-                  onChange={(e) => setFormData({ ...formData, apiSecurityNA: e.target.checked })}
-                />
-              </div>
+              <ToolAssignmentFields
+                categories={toolCategories}
+                integrationLevels={integrationLevels}
+                value={tools}
+                onChange={setTools}
+              />
             </CardContent>
           </Card>
 
@@ -10,6 +10,7 @@ import { Select } from '../components/ui/Select.jsx';
 import { Button } from '../components/ui/Button.jsx';
 import useAuthStore from '../store/authStore.js';
 import { calculateCompleteness } from '../utils/applicationCompleteness.js';
+import { ComplianceBadge } from '../components/policies/ComplianceBadge.jsx';
 
 export function Applications() {
   const navigate = useNavigate();
@@ -17,8 +18,8 @@ export function Applications() {
   const { isAdmin } = useAuthStore();
   const [applications, setApplications] = useState([]);
   const [companies, setCompanies] = useState([]);
+  const [toolCategories, setToolCategories] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [scores, setScores] = useState({}); // Cache scores by application ID
   const [filters, setFilters] = useState({
     companyId: searchParams.get('companyId') || '',
     status: '',
@@ -34,6 +35,7 @@ export function Applications() {
       loadCompanies();
     }
     loadApplications();
+    loadToolCategories();
   }, []);
 
   useEffect(() => {
@@ -60,6 +62,15 @@ export function Applications() {
     }
   };
 
+  const loadToolCategories = async () => {
+    try {
+      const data = await api.getToolCategories();
+      setToolCategories(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error('Failed to load tool categories:', error);
+    }
+  };
+
   const loadApplications = async () => {
     try {
       setLoading(true);
@@ -74,11 +85,6 @@ export function Applications() {
       }
       
       setApplications(Array.isArray(data) ? data : []);
-      
-      // Load scores for all applications
-      if (data && Array.isArray(data) && data.length > 0) {
-        loadScoresForApplications(data);
-      }
     } catch (error) {
       toast.error('Failed to load applications');
       console.error(error);
@@ -87,26 +93,6 @@ export function Applications() {
     }
   };
 
-  const loadScoresForApplications = async (apps) => {
-    // Load scores in parallel for better performance
-    const scorePromises = apps.map(async (app) => {
-      try {
-        const scoreData = await api.getApplicationScore(app.id);
-        return { id: app.id, score: scoreData.totalScore };
-      } catch (error) {
-        console.error(`Failed to load score for app ${app.id}:`, error);
-        return { id: app.id, score: null };
-      }
-    });
-
-    const scoreResults = await Promise.all(scorePromises);
-    const scoresMap = {};
-    scoreResults.forEach(({ id, score }) => {
-      scoresMap[id] = score;
-    });
-    setScores(scoresMap);
-  };
-
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({ ...prev, [key]: value }));
   };
@@ -154,7 +140,7 @@ export function Applications() {
       header: 'Status',
       cell: ({ row }) => {
         const app = row.original;
-        const completeness = calculateCompleteness(app);
+        const completeness = calculateCompleteness(app, toolCategories);
         return (
           <div className="flex items-center gap-2">
             <span className={`px-2 py-1 text-xs font-medium rounded ${
@@ -178,11 +164,11 @@ export function Applications() {
       },
     },
     {
-      accessorKey: 'score',
+      accessorKey: 'currentTotalScore',
       header: 'Score',
       cell: ({ row }) => {
-        const score = scores[row.original.id];
-        if (score !== undefined) {
+        const score = row.original.currentTotalScore;
+        if (score !== null && score !== undefined) {
           return (
             <span className={`text-sm font-medium ${
               score >= 76 ? 'text-green-600' :
@@ -197,12 +183,23 @@ export function Applications() {
       },
       enableSorting: true,
       sortingFn: (rowA, rowB) => {
-        const scoreA = scores[rowA.original.id] ?? -1;
-        const scoreB = scores[rowB.original.id] ?? -1;
+        const scoreA = rowA.original.currentTotalScore ?? -1;
+        const scoreB = rowB.original.currentTotalScore ?? -1;
         return scoreA - scoreB;
       },
     },
-  ], [isAdmin, scores, navigate]);
+    {
+      id: 'compliance',
+      // Non-compliant sorts first, then compliant, then no policy
+      accessorFn: (row) => {
+        const compliant = row.compliance?.compliant;
+        return compliant === null || compliant === undefined ? 2 : compliant ? 1 : 0;
+      },
+      header: 'Compliance',
+      cell: ({ row }) => <ComplianceBadge compliance={row.original.compliance} />,
+      enableSorting: true,
+    },
+  ], [isAdmin, navigate, toolCategories]);
 
   // Filter data based on admin filters and global filter
   const filteredData = useMemo(() => {
@@ -2,11 +2,13 @@ import { useState, useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import useAuthStore from '../store/authStore.js';
 import { Button, Input, Modal, Alert } from '../components/ui/index.js';
+import { SecondFactorForm } from '../components/auth/SecondFactorForm.jsx';
+import { MfaEnrollment } from '../components/auth/MfaEnrollment.jsx';
 
 export function Auth() {
   const navigate = useNavigate();
   const location = useLocation();
-  const { login, register, requestMagicCode, loginWithMagicCode, error, clearError, isAuthenticated, isVerified } = useAuthStore();
+  const { login, register, requestMagicCode, loginWithMagicCode, startSso, verifyMfa, completeMfaEnrollment, error, clearError, isAuthenticated, isVerified } = useAuthStore();
   
   const [isLogin, setIsLogin] = useState(location.pathname === '/login');
 
@@ -27,6 +29,8 @@ export function Auth() {
   const [magicCodeLoading, setMagicCodeLoading] = useState(false);
   const [magicCodeSent, setMagicCodeSent] = useState(false);
   const [successMessage, setSuccessMessage] = useState('');
+  const [ssoLoading, setSsoLoading] = useState(false);
+  const [mfaStep, setMfaStep] = useState(null); // null, 'challenge' or 'enroll' once credentials are accepted
 
   // Update isLogin when route changes
   useEffect(() => {
@@ -45,7 +49,9 @@ export function Auth() {
     setLoading(false);
 
     if (result.success) {
-      if (isLogin) {
+      if (result.mfaRequired || result.mfaEnrollmentRequired) {
+        setMfaStep(result.mfaRequired ? 'challenge' : 'enroll');
+      } else if (isLogin) {
         navigate('/');
       } else {
         // After registration, show success message and switch to login
@@ -83,15 +89,54 @@ export function Auth() {
     clearError();
     setMagicCodeLoading(true);
 
-    const result = await loginWithMagicCode(magicCode.trim().toUpperCase());
+    const result = await loginWithMagicCode(email, magicCode.trim().toUpperCase());
     setMagicCodeLoading(false);
 
     if (result.success) {
       setShowMagicCodeModal(false);
+      if (result.mfaRequired || result.mfaEnrollmentRequired) {
+        setMfaStep(result.mfaRequired ? 'challenge' : 'enroll');
+        return;
+      }
       navigate('/');
     }
   };
 
+  const handleSsoClick = async () => {
+    clearError();
+    setSsoLoading(true);
+    const result = await startSso(email);
+
+    if (result.success) {
+      window.location.assign(result.authorizationUrl);
+    } else {
+      setSsoLoading(false);
+    }
+  };
+
+  const handleMfaSubmit = async (factor) => {
+    clearError();
+    setLoading(true);
+
+    const result = await verifyMfa(factor);
+    setLoading(false);
+
+    if (result.success) {
+      navigate('/');
+    }
+  };
+
+  const handleMfaEnrolled = (result) => {
+    completeMfaEnrollment(result.user);
+    navigate('/');
+  };
+
+  const cancelMfa = () => {
+    setMfaStep(null);
+    setPassword('');
+    clearError();
+  };
+
   const openMagicCodeModal = () => {
     if (!email) {
       return;
@@ -120,10 +165,12 @@ export function Auth() {
       <div className="max-w-md w-full bg-white rounded-xl shadow-lg p-8">
         <div className="text-center mb-8">
           <h1 className="text-3xl font-bold text-gray-900 mb-2">
-            {isLogin ? 'Welcome Back' : 'Create Account'}
+            {mfaStep ? 'Two-Factor Authentication' : isLogin ? 'Welcome Back' : 'Create Account'}
           </h1>
           <p className="text-gray-600">
-            {isLogin ? 'Sign in to your account' : 'Sign up to get started'}
+            {mfaStep === 'challenge' && 'Enter the code from your authenticator app'}
+            {mfaStep === 'enroll' && 'Your account requires two-factor authentication. Set it up to finish signing in.'}
+            {!mfaStep && (isLogin ? 'Sign in to your account' : 'Sign up to get started')}
           </p>
         </div>
 
@@ -139,98 +186,120 @@ export function Auth() {
           </Alert>
         )}
 
-        <form onSubmit={handlePasswordSubmit} className="space-y-6">
-          <div>
-            <Input
-              label="Email"
-              type="email"
-              id="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              placeholder="you@example.com"
-              required
-            />
-            {/* Magic code button - commented out for now */}
-            {/* <button
-              type="button"
-              onClick={openMagicCodeModal}
-              disabled={!email}
-              className="mt-2 text-sm text-blue-600 hover:text-blue-700 disabled:text-gray-400 disabled:cursor-not-allowed"
-            >
-              Use magic code instead
-            </button> */}
-          </div>
+        {mfaStep === 'challenge' && (
+          <SecondFactorForm onSubmit={handleMfaSubmit} onCancel={cancelMfa} loading={loading} />
+        )}
 
-          <Input
-            label="Password"
-            type="password"
-            id="password"
-            value={password}
-            onChange={(e) => setPassword(e.target.value)}
-            placeholder="••••••••"
-            required
-            minLength={isLogin ? undefined : 8}
-            helperText={!isLogin ? 'Must be at least 8 characters' : undefined}
-          />
-
-          {!isLogin && (
-            <Input
-              label="Confirm Password"
-              type="password"
-              id="confirmPassword"
-              value={confirmPassword}
-              onChange={(e) => setConfirmPassword(e.target.value)}
-              placeholder="••••••••"
-              required
-              error={passwordError}
-            />
-          )}
-
-          <Button
-            type="submit"
-            variant="primary"
-            className="w-full"
-            disabled={loading || (!isLogin && password !== confirmPassword)}
-            loading={loading}
-          >
-            {isLogin ? 'Sign In' : 'Sign Up'}
-          </Button>
-        </form>
-
-        <div className="mt-6 text-center">
-          <p className="text-sm text-gray-600">
-            {isLogin ? (
-              <>
-                Don't have an account?{' '}
-                <button
-                  onClick={() => {
-                    setIsLogin(false);
-                    setPassword('');
-                    clearError();
-                  }}
-                  className="text-blue-600 hover:text-blue-700 font-medium"
-                >
-                  Sign up
-                </button>
-              </>
-            ) : (
-              <>
-                Already have an account?{' '}
-                <button
-                  onClick={() => {
-                    setIsLogin(true);
-                    setPassword('');
-                    setConfirmPassword('');
-                    clearError();
-                  }}
-                  className="text-blue-600 hover:text-blue-700 font-medium"
+        {mfaStep === 'enroll' && (
+          <MfaEnrollment onComplete={handleMfaEnrolled} onCancel={cancelMfa} />
+        )}
+
+        {!mfaStep && (
+          <>
+            <form onSubmit={handlePasswordSubmit} className="space-y-6">
+              <div>
+                <Input
+                  label="Email"
+                  type="email"
+                  id="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="you@example.com"
+                  required
+                />
+                {/* Magic code button - commented out for now */}
+                {/* <button
+                  type="button"
+                  onClick={openMagicCodeModal}
+                  disabled={!email}
+                  className="mt-2 text-sm text-blue-600 hover:text-blue-700 disabled:text-gray-400 disabled:cursor-not-allowed"
                 >
-                  Sign in
-                </button>
-              </>
-            )}
-          </p>
-        </div>
+                  Use magic code instead
+                </button> */}
+                {isLogin && (
+                  <button
+                    type="button"
+                    onClick={handleSsoClick}
+                    disabled={!email || ssoLoading}
+                    className="mt-2 text-sm text-blue-600 hover:text-blue-700 disabled:text-gray-400 disabled:cursor-not-allowed"
+                  >
+                    {ssoLoading ? 'Redirecting to your identity provider...' : 'Sign in with company SSO instead'}
+                  </button>
+                )}
+              </div>
+
+              <Input
+                label="Password"
+                type="password"
+                id="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="••••••••"
+                required
+                minLength={isLogin ? undefined : 8}
+                helperText={!isLogin ? 'Must be at least 8 characters' : undefined}
+              />
+
+              {!isLogin && (
+                <Input
+                  label="Confirm Password"
+                  type="password"
+                  id="confirmPassword"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  placeholder="••••••••"
+                  required
+                  error={passwordError}
+                />
+              )}
+
+              <Button
+                type="submit"
+                variant="primary"
+                className="w-full"
+                disabled={loading || (!isLogin && password !== confirmPassword)}
+                loading={loading}
+              >
+                {isLogin ? 'Sign In' : 'Sign Up'}
+              </Button>
+            </form>
+
+            <div className="mt-6 text-center">
+              <p className="text-sm text-gray-600">
+                {isLogin ? (
+                  <>
+                    Don't have an account?{' '}
+                    <button
+                      onClick={() => {
+                        setIsLogin(false);
+                        setPassword('');
+                        clearError();
+                      }}
+                      className="text-blue-600 hover:text-blue-700 font-medium"
+                    >
+                      Sign up
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    Already have an account?{' '}
+                    <button
+                      onClick={() => {
+                        setIsLogin(true);
+                        setPassword('');
+                        setConfirmPassword('');
+                        clearError();
+                      }}
+                      className="text-blue-600 hover:text-blue-700 font-medium"
+                    >
+                      Sign in
+                    </button>
+                  </>
+                )}
+              </p>
+            </div>
+          </>
+        )}
       </div>
 
       {/* Magic Code Modal - commented out for now */}
@@ -247,8 +316,7 @@ export function Auth() {
               <div>
                 <p className="font-semibold mb-2">How it works:</p>
                 <ul className="list-disc list-inside space-y-1 text-sm">
-                  <li>A magic code will be generated and printed to the server console</li>
-                  <li>Ask your administrator to retrieve the code for you</li>
+                  <li>A magic code will be emailed to you</li>
                   <li>Enter the code below to {isLogin ? 'sign in' : 'register'}</li>
                 </ul>
               </div>
@@ -279,7 +347,7 @@ export function Auth() {
           <form onSubmit={handleMagicCodeSubmit} className="space-y-4">
             {magicCodeSent && (
               <Alert variant="success">
-                Code generated! Ask your administrator to retrieve it from the console.
+                Code sent! Check your email for the magic code.
               </Alert>
             )}
 
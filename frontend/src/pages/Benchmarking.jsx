@@ -0,0 +1,235 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { useReactTable, getCoreRowModel, getSortedRowModel, flexRender } from '@tanstack/react-table';
+import { api } from '../lib/api.js';
+import { toast } from '../components/ui/Toast.jsx';
+import { LoadingPage } from '../components/ui/Loading.jsx';
+import { Card, CardContent } from '../components/ui/Card.jsx';
+import { Button } from '../components/ui/Button.jsx';
+import useAuthStore from '../store/authStore.js';
+
+const scoreColor = (value) =>
+  value >= 76 ? 'text-green-600' : value >= 51 ? 'text-yellow-600' : 'text-red-600';
+
+// Render a 0-100 figure, or a dash when the company has nothing to measure
+function Figure({ value, suffix = '' }) {
+  if (value === null || value === undefined) {
+    return <span className="text-xs text-gray-400">—</span>;
+  }
+  return <span className={`font-medium ${scoreColor(value)}`}>{value}{suffix}</span>;
+}
+
+// Sort companies with no figure below every real value
+const sortValue = (value) => value ?? -1;
+
+export function Benchmarking() {
+  const { isAdmin } = useAuthStore();
+  const [benchmarks, setBenchmarks] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [sorting, setSorting] = useState([{ id: 'weightedScore', desc: true }]);
+
+  useEffect(() => {
+    if (isAdmin()) {
+      loadBenchmarks();
+    } else {
+      setLoading(false);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const loadBenchmarks = async () => {
+    try {
+      setLoading(true);
+      const data = await api.getBenchmarks();
+      setBenchmarks(data);
+    } catch (error) {
+      toast.error('Failed to load benchmarks');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const columns = useMemo(() => [
+    {
+      id: 'rank',
+      accessorFn: (row) => row.rank ?? Infinity,
+      header: 'Rank',
+      cell: ({ row }) => row.original.rank ?? <span className="text-xs text-gray-400">—</span>,
+    },
+    {
+      accessorKey: 'name',
+      header: 'Company',
+      cell: ({ row }) => (
+        <Link
+          to={`/companies/${row.original.id}`}
+          className="font-medium text-blue-600 hover:text-blue-700"
+        >
+          {row.original.name}
+        </Link>
+      ),
+    },
+    {
+      id: 'weightedScore',
+      accessorFn: (row) => sortValue(row.weightedScore),
+      header: 'Weighted Score',
+      cell: ({ row }) => <Figure value={row.original.weightedScore} />,
+    },
+    {
+      accessorKey: 'applicationCount',
+      header: 'Apps',
+    },
+    ...(benchmarks?.categories || []).map(category => ({
+      id: `coverage-${category.key}`,
+      accessorFn: (row) => sortValue(row.toolCoverage[category.key]),
+      header: category.name,
+      cell: ({ row }) => <Figure value={row.original.toolCoverage[category.key]} suffix="%" />,
+    })),
+    {
+      id: 'onboardingCompletion',
+      accessorFn: (row) => sortValue(row.onboardingCompletion),
+      header: 'Onboarded',
+      cell: ({ row }) => <Figure value={row.original.onboardingCompletion} suffix="%" />,
+    },
+    {
+      id: 'metadataFreshness',
+      accessorFn: (row) => sortValue(row.metadataFreshness),
+      header: 'Freshness',
+      cell: ({ row }) => <Figure value={row.original.metadataFreshness} suffix="%" />,
+    },
+    {
+      id: 'report',
+      header: '',
+      cell: ({ row }) => (
+        <Link to={`/companies/${row.original.id}/benchmark`}>
+          <Button variant="ghost" size="sm">
+            Report
+          </Button>
+        </Link>
+      ),
+      enableSorting: false,
+    },
+  ], [benchmarks]);
+
+  const table = useReactTable({
+    data: benchmarks?.companies || [],
+    columns,
+    getCoreRowModel: getCoreRowModel(),
+    getSortedRowModel: getSortedRowModel(),
+    state: {
+      sorting,
+    },
+    onSortingChange: setSorting,
+  });
+
+  if (loading) {
+    return <LoadingPage message="Loading benchmarks..." />;
+  }
+
+  if (!isAdmin() || !benchmarks) {
+    return (
+      <div>
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Benchmarking</h1>
+        </div>
+        <Card>
+          <CardContent>
+            <div className="text-center py-12 text-gray-500">
+              {isAdmin() ? 'Benchmarks could not be loaded.' : 'Only administrators can compare companies.'}
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  const { medians } = benchmarks;
+
+  return (
+    <div>
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Benchmarking</h1>
+        <p className="text-gray-600">
+          Companies ranked by criticality-weighted score. Tool coverage is the share of a company&apos;s
+          applications with a tool (or an approved N/A) in each category; freshness is the share of metadata
+          freshness points still earned. Open a company&apos;s report to share it.
+        </p>
+      </div>
+
+      <Card>
+        <CardContent padding="none">
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                {table.getHeaderGroups().map(headerGroup => (
+                  <tr key={headerGroup.id}>
+                    {headerGroup.headers.map(header => (
+                      <th
+                        key={header.id}
+                        className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                      >
+                        {header.isPlaceholder ? null : (
+                          <div
+                            className={`flex items-center gap-1 ${
+                              header.column.getCanSort() ? 'cursor-pointer select-none' : ''
+                            }`}
+                            onClick={header.column.getToggleSortingHandler()}
+                          >
+                            {flexRender(
+                              header.column.columnDef.header,
+                              header.getContext()
+                            )}
+                            {header.column.getCanSort() && (
+                              <span className="text-gray-400">
+                                {{
+                                  asc: ' ↑',
+                                  desc: ' ↓',
+                                }[header.column.getIsSorted()] ?? ' ⇅'}
+                              </span>
+                            )}
+                          </div>
+                        )}
+                      </th>
+                    ))}
+                  </tr>
+                ))}
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {table.getRowModel().rows.map(row => (
+                  <tr key={row.id} className="hover:bg-gray-50">
+                    {row.getVisibleCells().map(cell => (
+                      <td key={cell.id} className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                        {flexRender(cell.column.columnDef.cell, cell.getContext())}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot className="bg-gray-50 border-t border-gray-200">
+                <tr className="text-sm text-gray-700">
+                  <td className="px-4 py-3" />
+                  <td className="px-4 py-3 font-medium">Portfolio median</td>
+                  <td className="px-4 py-3"><Figure value={medians.weightedScore} /></td>
+                  <td className="px-4 py-3" />
+                  {benchmarks.categories.map(category => (
+                    <td key={category.key} className="px-4 py-3">
+                      <Figure value={medians.toolCoverage[category.key]} suffix="%" />
+                    </td>
+                  ))}
+                  <td className="px-4 py-3"><Figure value={medians.onboardingCompletion} suffix="%" /></td>
+                  <td className="px-4 py-3"><Figure value={medians.metadataFreshness} suffix="%" /></td>
+                  <td className="px-4 py-3" />
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+          {benchmarks.companies.length === 0 && (
+            <div className="p-4 text-center text-gray-500">
+              No companies to compare yet
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,270 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { api } from '../lib/api.js';
+import { toast } from '../components/ui/Toast.jsx';
+import { LoadingPage } from '../components/ui/Loading.jsx';
+import { Card, CardHeader, CardTitle, CardContent } from '../components/ui/Card.jsx';
+import { Button } from '../components/ui/Button.jsx';
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '../components/ui/Table.jsx';
+import { isClipboardAvailable, copyToClipboard } from '../utils/clipboard.js';
+
+const scoreColor = (value) =>
+  value >= 76 ? 'text-green-600' : value >= 51 ? 'text-yellow-600' : 'text-red-600';
+
+const STATUS_LABELS = {
+  onboarded: 'Onboarded',
+  pending_technical: 'Pending Technical',
+  pending_executive: 'Pending Executive',
+};
+
+const formatFigure = (value, suffix = '') => (value === null || value === undefined ? '—' : `${value}${suffix}`);
+
+// One figure for the company next to the portfolio median
+function ComparisonRow({ label, value, median, suffix = '' }) {
+  const difference = value !== null && median !== null ? value - median : null;
+
+  return (
+    <TableRow>
+      <TableCell className="font-medium">{label}</TableCell>
+      <TableCell>
+        <span className={value === null ? 'text-gray-400' : `font-medium ${scoreColor(value)}`}>
+          {formatFigure(value, suffix)}
+        </span>
+      </TableCell>
+      <TableCell>{formatFigure(median, suffix)}</TableCell>
+      <TableCell>
+        {difference === null ? (
+          <span className="text-gray-400">—</span>
+        ) : (
+          <span className={difference >= 0 ? 'text-green-600' : 'text-red-600'}>
+            {difference > 0 ? '+' : ''}{difference}
+          </span>
+        )}
+      </TableCell>
+    </TableRow>
+  );
+}
+
+// A single company's benchmark against the portfolio, laid out to print or
+// share. Other companies are never named, so company members can see it too.
+export function CompanyBenchmarkReport() {
+  const { id } = useParams();
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadReport();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id]);
+
+  const loadReport = async () => {
+    try {
+      setLoading(true);
+      const data = await api.getCompanyBenchmark(id);
+      setReport(data);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load benchmark report');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingPage message="Loading benchmark report..." />;
+  }
+
+  if (!report) {
+    return null;
+  }
+
+  const { company, categories, medians, applications } = report;
+
+  return (
+    <div>
+      <div className="mb-8 flex flex-wrap justify-between items-start gap-4">
+        <div>
+          <Link
+            to={`/companies/${company.id}`}
+            className="text-blue-600 hover:text-blue-700 print:hidden"
+          >
+            ← Back to {company.name}
+          </Link>
+          <h1 className="text-3xl font-bold text-gray-900 mt-2 mb-2">{company.name} Benchmark Report</h1>
+          <p className="text-gray-600">
+            Compared with the median of {report.companyCount} portfolio companies.
+            Generated {new Date(report.generatedAt).toLocaleDateString()}.
+          </p>
+        </div>
+        <div className="flex gap-2 print:hidden">
+          {isClipboardAvailable() && (
+            <Button
+              variant="outline"
+              onClick={() => {
+                copyToClipboard(
+                  window.location.href,
+                  () => toast.success('Link copied to clipboard'),
+                  (error) => toast.error(error)
+                );
+              }}
+            >
+              Copy Link
+            </Button>
+          )}
+          <Button variant="primary" onClick={() => window.print()}>
+            Print / Save as PDF
+          </Button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <Card>
+          <CardContent>
+            <div className="text-center">
+              <div className="text-sm text-gray-500 mb-1">Portfolio Rank</div>
+              <div className="text-3xl font-bold text-gray-900">
+                {company.rank ? `${company.rank} of ${report.rankedCount}` : 'Unranked'}
+              </div>
+              {!company.rank && (
+                <div className="text-xs text-gray-500 mt-1">No scored applications yet</div>
+              )}
+            </div>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardContent>
+            <div className="text-center">
+              <div className="text-sm text-gray-500 mb-1">Weighted Score</div>
+              <div className={`text-3xl font-bold ${company.weightedScore === null ? 'text-gray-400' : scoreColor(company.weightedScore)}`}>
+                {formatFigure(company.weightedScore, '/100')}
+              </div>
+              <div className="text-xs text-gray-500 mt-1">
+                Portfolio median {formatFigure(medians.weightedScore, '/100')}
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardContent>
+            <div className="text-center">
+              <div className="text-sm text-gray-500 mb-1">Applications</div>
+              <div className="text-3xl font-bold text-gray-900">{company.applicationCount}</div>
+              <div className="text-xs text-gray-500 mt-1">
+                {company.scoredApplicationCount} scored, {company.belowThresholdCount} below minimum score
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+
+      <Card className="mb-6">
+        <CardHeader>
+          <CardTitle>Compared with the Portfolio</CardTitle>
+        </CardHeader>
+        <CardContent padding="none">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Measure</TableHead>
+                <TableHead>{company.name}</TableHead>
+                <TableHead>Portfolio Median</TableHead>
+                <TableHead>Difference</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              <ComparisonRow label="Weighted score" value={company.weightedScore} median={medians.weightedScore} />
+              <ComparisonRow
+                label="Onboarding completion"
+                value={company.onboardingCompletion}
+                median={medians.onboardingCompletion}
+                suffix="%"
+              />
+              <ComparisonRow
+                label="Metadata freshness"
+                value={company.metadataFreshness}
+                median={medians.metadataFreshness}
+                suffix="%"
+              />
+              {categories.map(category => (
+                <ComparisonRow
+                  key={category.key}
+                  label={`${category.name} coverage`}
+                  value={company.toolCoverage[category.key]}
+                  median={medians.toolCoverage[category.key]}
+                  suffix="%"
+                />
+              ))}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Applications ({applications.length})</CardTitle>
+        </CardHeader>
+        <CardContent padding="none">
+          {applications.length === 0 ? (
+            <div className="p-6 text-center text-gray-500">
+              No applications yet
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Application</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead>Score</TableHead>
+                    <TableHead>Last Reviewed</TableHead>
+                    {categories.map(category => (
+                      <TableHead key={category.key}>{category.name}</TableHead>
+                    ))}
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {applications.map(application => (
+                    <TableRow key={application.id}>
+                      <TableCell>
+                        <Link
+                          to={`/applications/${application.id}`}
+                          className="font-medium text-blue-600 hover:text-blue-700"
+                        >
+                          {application.name}
+                        </Link>
+                      </TableCell>
+                      <TableCell>{STATUS_LABELS[application.status] || application.status}</TableCell>
+                      <TableCell>
+                        {application.totalScore === null ? (
+                          <span className="text-gray-400">—</span>
+                        ) : (
+                          <span className={`font-medium ${scoreColor(application.totalScore)}`}>
+                            {application.totalScore}/100
+                          </span>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {application.metadataLastReviewed
+                          ? new Date(application.metadataLastReviewed).toLocaleDateString()
+                          : 'Never'}
+                      </TableCell>
+                      {categories.map(category => (
+                        <TableCell key={category.key}>
+                          {application.coverage[category.key] ? (
+                            <span className="text-green-600">✓</span>
+                          ) : (
+                            <span className="text-red-600">✗</span>
+                          )}
+                        </TableCell>
+                      ))}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { api } from '../lib/api.js';
+import { toast } from '../components/ui/Toast.jsx';
+import { LoadingPage } from '../components/ui/Loading.jsx';
+import { Card, CardHeader, CardTitle, CardContent } from '../components/ui/Card.jsx';
+import { Button } from '../components/ui/Button.jsx';
+import { Select } from '../components/ui/Select.jsx';
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '../components/ui/Table.jsx';
+import { ReviewChangeModal } from '../components/changes/ReviewChangeModal.jsx';
+import { ChangeStatusBadge, CHANGE_STATUS_OPTIONS, COMPANY_FIELD_LABELS } from '../components/changes/ChangeStatusBadge.jsx';
+import useAuthStore from '../store/authStore.js';
+
+export function CompanyChanges() {
+  const { isAdmin } = useAuthStore();
+  const [changes, setChanges] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('PENDING');
+  const [selectedChangeId, setSelectedChangeId] = useState(null);
+
+  useEffect(() => {
+    loadChanges();
+  }, [statusFilter]);
+
+  const loadChanges = async () => {
+    try {
+      setLoading(true);
+      const data = await api.getCompanyChanges({ status: statusFilter });
+      setChanges(Array.isArray(data) ? data : []);
+    } catch (error) {
+      toast.error('Failed to load changes');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingPage message="Loading changes..." />;
+  }
+
+  return (
+    <div>
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Company Changes</h1>
+        <p className="text-gray-600">
+          {isAdmin()
+            ? 'Review changes to company details proposed by company members, and past company merges'
+            : 'Changes to your company details awaiting or past admin review'}
+        </p>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <div className="flex justify-between items-center">
+            <CardTitle>Changes ({changes.length})</CardTitle>
+            <div className="w-56">
+              <Select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                options={[
+                  { value: '', label: 'All Statuses' },
+                  ...CHANGE_STATUS_OPTIONS,
+                ]}
+              />
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {changes.length === 0 ? (
+            <div className="p-6 text-center text-gray-500">
+              No changes found
+            </div>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Company</TableHead>
+                  <TableHead>Fields</TableHead>
+                  <TableHead>Proposed</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead>Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {changes.map((change) => (
+                  <TableRow key={change.id}>
+                    <TableCell>
+                      {change.actionTaken === 'MERGE' ? (
+                        // The source company no longer exists after a merge
+                        <span className="font-medium">{change.companyName}</span>
+                      ) : change.targetCompanyId ? (
+                        <Link
+                          to={`/companies/${change.targetCompanyId}`}
+                          className="font-medium text-blue-600 hover:text-blue-700"
+                        >
+                          {change.companyName}
+                        </Link>
+                      ) : change.companyName || '—'}
+                    </TableCell>
+                    <TableCell>
+                      {change.actionTaken === 'MERGE' ? (
+                        <span>
+                          Merged into{' '}
+                          <Link
+                            to={`/companies/${change.finalTargetCompanyId}`}
+                            className="text-blue-600 hover:text-blue-700"
+                          >
+                            {change.finalTargetCompanyName}
+                          </Link>
+                        </span>
+                      ) : Object.keys(change.changeDetails || {})
+                        .map(field => COMPANY_FIELD_LABELS[field] || field)
+                        .join(', ')}
+                    </TableCell>
+                    <TableCell>
+                      <div>{new Date(change.createdAt).toLocaleDateString()}</div>
+                      <div className="text-xs text-gray-500">{change.userEmail}</div>
+                    </TableCell>
+                    <TableCell>
+                      <ChangeStatusBadge status={change.status} />
+                    </TableCell>
+                    <TableCell>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => setSelectedChangeId(change.id)}
+                      >
+                        {isAdmin() && change.status === 'PENDING' ? 'Review' : 'View'}
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      <ReviewChangeModal
+        isOpen={!!selectedChangeId}
+        onClose={() => setSelectedChangeId(null)}
+        changeId={selectedChangeId}
+        onReviewed={loadChanges}
+        canReview={isAdmin()}
+      />
+    </div>
+  );
+}
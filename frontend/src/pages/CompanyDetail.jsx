@@ -7,9 +7,16 @@ import { Card, CardHeader, CardTitle, CardContent } from '../components/ui/Card.
 import { Button } from '../components/ui/Button.jsx';
 import { Input } from '../components/ui/Input.jsx';
 import { Textarea } from '../components/ui/Textarea.jsx';
+import { Checkbox } from '../components/ui/Checkbox.jsx';
 import { Select } from '../components/ui/Select.jsx';
 import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '../components/ui/Table.jsx';
 import { Modal } from '../components/ui/Modal.jsx';
+import { COMPANY_FIELD_LABELS, PROPOSABLE_COMPANY_FIELDS } from '../components/changes/ChangeStatusBadge.jsx';
+import { MergeCompanyModal } from '../components/companies/MergeCompanyModal.jsx';
+import { SsoSettingsPanel } from '../components/companies/SsoSettingsPanel.jsx';
+import { ContactsPanel } from '../components/contacts/ContactsPanel.jsx';
+import { GradingPanel } from '../components/grading/GradingPanel.jsx';
+import { ScoreRollupDetails } from '../components/scoring/ScoreRollupDetails.jsx';
 import useAuthStore from '../store/authStore.js';
 import { isClipboardAvailable, copyToClipboard } from '../utils/clipboard.js';
 
@@ -21,12 +28,14 @@ export function CompanyDetail() {
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [showAddUserModal, setShowAddUserModal] = useState(false);
+  const [showMergeModal, setShowMergeModal] = useState(false);
   const [newUserEmail, setNewUserEmail] = useState('');
   const [allUsers, setAllUsers] = useState([]);
   const [loadingUsers, setLoadingUsers] = useState(false);
-  const [averageScore, setAverageScore] = useState(null);
+  const [weightedScore, setWeightedScore] = useState(null);
   const [scoreData, setScoreData] = useState(null);
   const [domains, setDomains] = useState([]);
+  const [pendingChanges, setPendingChanges] = useState([]);
 
   // Form state
   const [formData, setFormData] = useState({
@@ -40,6 +49,7 @@ export function CompanyDetail() {
     deploymentType: '',
     authProfiles: '',
     dataTypes: '',
+    requireMfa: false,
   });
 
   useEffect(() => {
@@ -47,13 +57,23 @@ export function CompanyDetail() {
       loadCompany();
       loadAverageScore();
       loadDomains();
+      loadPendingChanges();
     }
   }, [id]);
 
+  const loadPendingChanges = async () => {
+    try {
+      const data = await api.getCompanyChanges({ companyId: id, status: 'PENDING' });
+      setPendingChanges(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error('Failed to load pending changes:', error);
+    }
+  };
+
   const loadAverageScore = async () => {
     try {
       const data = await api.getCompanyAverageScore(id);
-      setAverageScore(data.averageScore);
+      setWeightedScore(data.weightedScore);
       setScoreData(data);
     } catch (error) {
       console.error('Failed to load average score:', error);
@@ -85,6 +105,7 @@ export function CompanyDetail() {
         deploymentType: data.deploymentType || '',
         authProfiles: data.authProfiles || '',
         dataTypes: data.dataTypes || '',
+        requireMfa: !!data.requireMfa,
       });
     } catch (error) {
       toast.error('Failed to load company');
@@ -110,8 +131,19 @@ export function CompanyDetail() {
 
     try {
       setSaving(true);
-      await api.updateCompany(id, formData);
-      toast.success('Company updated successfully');
+      // Members can only propose changes to some fields; name, domains and the
+      // two-factor policy are admin-only
+      const data = isAdmin()
+        ? formData
+        : Object.fromEntries(PROPOSABLE_COMPANY_FIELDS.map(field => [field, formData[field]]));
+      const result = await api.updateCompany(id, data);
+      if (result.changeLog) {
+        // Member edits are queued for admin approval rather than applied
+        toast.success('Changes submitted for admin approval');
+        loadPendingChanges();
+      } else {
+        toast.success('Company updated successfully');
+      }
       loadCompany();
     } catch (error) {
       toast.error(error.message || 'Failed to update company');
@@ -190,12 +222,12 @@ export function CompanyDetail() {
           {/* Score Cards */}
           {scoreData && (
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-              {/* Average Score Card */}
-              {averageScore !== null && (
+              {/* Weighted Score Card */}
+              {weightedScore !== null && (
                 <Card>
                   <CardHeader>
                     <div className="flex justify-between items-center">
-                      <CardTitle className="text-sm">Average Score 📊</CardTitle>
+                      <CardTitle className="text-sm">Weighted Score 📊</CardTitle>
                       <Link
                         to="/docs/scoring-methodology"
                         className="text-xs text-blue-600 hover:text-blue-700"
@@ -208,18 +240,21 @@ export function CompanyDetail() {
                   <CardContent>
                     <div className="text-center">
                       <div className={`text-3xl font-bold mb-1 ${
-                        averageScore >= 76 ? 'text-green-600' :
-                        averageScore >= 51 ? 'text-yellow-600' :
+                        weightedScore >= 76 ? 'text-green-600' :
+                        weightedScore >= 51 ? 'text-yellow-600' :
                         'text-red-600'
                       }`}>
-                        {averageScore}/100
+                        {weightedScore}/100
                       </div>
                       <div className={`inline-block px-2 py-1 rounded-full text-xs font-medium ${
-                        averageScore >= 76 ? 'bg-green-100 text-green-800' :
-                        averageScore >= 51 ? 'bg-yellow-100 text-yellow-800' :
+                        weightedScore >= 76 ? 'bg-green-100 text-green-800' :
+                        weightedScore >= 51 ? 'bg-yellow-100 text-yellow-800' :
                         'bg-red-100 text-red-800'
                       }`}>
-                        {averageScore >= 76 ? 'Excellent' : averageScore >= 51 ? 'Good' : 'Needs Improvement'}
+                        {weightedScore >= 76 ? 'Excellent' : weightedScore >= 51 ? 'Good' : 'Needs Improvement'}
+                      </div>
+                      <div className="text-xs text-gray-500 mt-2">
+                        Plain average {scoreData.averageScore}/100
                       </div>
                     </div>
                   </CardContent>
@@ -275,15 +310,44 @@ export function CompanyDetail() {
             </div>
           )}
 
+          {scoreData && <ScoreRollupDetails rollup={scoreData} />}
+
           {/* View All Applications Link */}
           {scoreData && (
-            <div className="text-center">
+            <div className="flex justify-center gap-6">
               <Link
                 to={`/applications?companyId=${id}`}
                 className="text-sm text-blue-600 hover:text-blue-700"
               >
                 View all applications →
               </Link>
+              <Link
+                to={`/companies/${id}/benchmark`}
+                className="text-sm text-blue-600 hover:text-blue-700"
+              >
+                Benchmark report →
+              </Link>
+            </div>
+          )}
+
+          {pendingChanges.length > 0 && (
+            <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+              <p className="font-medium mb-1">
+                {pendingChanges.length} proposed change{pendingChanges.length !== 1 ? 's' : ''} awaiting admin approval
+              </p>
+              <ul className="list-disc list-inside space-y-1">
+                {pendingChanges.map((change) => (
+                  <li key={change.id}>
+                    {Object.keys(change.changeDetails || {})
+                      .map(field => COMPANY_FIELD_LABELS[field] || field)
+                      .join(', ')}
+                    {' '}by {change.userEmail} on {new Date(change.createdAt).toLocaleDateString()}
+                  </li>
+                ))}
+              </ul>
+              <Link to="/changes" className="inline-block mt-2 text-blue-600 hover:text-blue-700">
+                {isAdmin() ? 'Review changes →' : 'View changes →'}
+              </Link>
             </div>
           )}
 
@@ -314,6 +378,14 @@ export function CompanyDetail() {
                   onChange={(e) => setFormData({ ...formData, engManager: e.target.value })}
                   disabled={!canEditCompany()}
                 />
+                <Checkbox
+                  id="requireMfa"
+                  label="Require two-factor authentication"
+                  checked={formData.requireMfa}
+                  onChange={(e) => setFormData({ ...formData, requireMfa: e.target.checked })}
+                  disabled={!isAdmin()}
+                  helperText="Members must set up an authenticator app before they can sign in"
+                />
               </div>
             </CardContent>
           </Card>
@@ -325,6 +397,7 @@ export function CompanyDetail() {
             <CardContent>
               <p className="text-sm text-gray-600 mb-4">
                 These settings will be used as defaults when onboarding new applications for this company.
+                {!isAdmin() && ' Changes you save are reviewed by an admin before they take effect.'}
               </p>
               <div className="space-y-4">
                 <Input
@@ -514,6 +587,36 @@ export function CompanyDetail() {
             </CardContent>
           </Card>
 
+          {/* Contacts */}
+          <ContactsPanel companyId={company.id} canEdit={canEditCompany()} />
+
+          {/* Grading */}
+          <GradingPanel companyId={company.id} isAdmin={isAdmin()} />
+
+          {/* Single Sign-On */}
+          {isAdmin() && <SsoSettingsPanel companyId={company.id} />}
+
+          {/* Merge Company */}
+          {isAdmin() && (
+            <Card>
+              <CardHeader>
+                <CardTitle>Merge Company</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <p className="text-sm text-gray-600 mb-4">
+                  Duplicate of another company? Move everything from this company into the other one.
+                </p>
+                <Button
+                  variant="outline"
+                  className="w-full"
+                  onClick={() => setShowMergeModal(true)}
+                >
+                  Merge Into Another Company
+                </Button>
+              </CardContent>
+            </Card>
+          )}
+
           {/* Hosting Domains */}
           <Card>
             <CardHeader>
@@ -553,6 +656,13 @@ export function CompanyDetail() {
         </div>
       </div>
 
+      <MergeCompanyModal
+        isOpen={showMergeModal}
+        onClose={() => setShowMergeModal(false)}
+        company={company}
+        onMerged={(target) => navigate(`/companies/${target.id}`)}
+      />
+
       {/* Add User Modal */}
       <Modal
         isOpen={showAddUserModal}
@@ -0,0 +1,185 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { api } from '../lib/api.js';
+import { toast } from '../components/ui/Toast.jsx';
+import { LoadingPage } from '../components/ui/Loading.jsx';
+import { Card, CardHeader, CardTitle, CardContent } from '../components/ui/Card.jsx';
+import { Button } from '../components/ui/Button.jsx';
+import { Select } from '../components/ui/Select.jsx';
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '../components/ui/Table.jsx';
+import { NotApplicableStatusBadge, NA_STATUS_OPTIONS } from '../components/applications/NotApplicableStatusBadge.jsx';
+import useAuthStore from '../store/authStore.js';
+
+export function NotApplicableApprovals() {
+  const { isAdmin } = useAuthStore();
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('PENDING');
+  const [reviewingId, setReviewingId] = useState(null);
+
+  useEffect(() => {
+    if (isAdmin()) {
+      loadRequests();
+    } else {
+      setLoading(false);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [statusFilter]);
+
+  const loadRequests = async () => {
+    try {
+      setLoading(true);
+      const data = await api.getNotApplicableRequests({ status: statusFilter });
+      setRequests(Array.isArray(data) ? data : []);
+    } catch (error) {
+      toast.error('Failed to load N/A requests');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReview = async (request, approved) => {
+    try {
+      setReviewingId(request.id);
+      if (approved) {
+        await api.approveNotApplicable(request.id);
+        toast.success(`${request.categoryName} N/A approved for ${request.application.name}`);
+      } else {
+        await api.rejectNotApplicable(request.id);
+        toast.success(`${request.categoryName} N/A rejected for ${request.application.name}`);
+      }
+      loadRequests();
+    } catch (error) {
+      toast.error(error.message || 'Failed to review N/A');
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  if (loading) {
+    return <LoadingPage message="Loading N/A requests..." />;
+  }
+
+  if (!isAdmin()) {
+    return (
+      <div>
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">N/A Approvals</h1>
+        </div>
+        <Card>
+          <CardContent>
+            <div className="text-center py-12 text-gray-500">
+              Only administrators can review N/A requests.
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">N/A Approvals</h1>
+        <p className="text-gray-600">
+          Tool categories applications have marked Not Applicable. They earn full points only once approved,
+          and approvals expire.
+        </p>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <div className="flex justify-between items-center">
+            <CardTitle>N/A Requests ({requests.length})</CardTitle>
+            <div className="w-56">
+              <Select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                options={[
+                  { value: '', label: 'All Statuses' },
+                  ...NA_STATUS_OPTIONS,
+                ]}
+              />
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {requests.length === 0 ? (
+            <div className="p-6 text-center text-gray-500">
+              No N/A requests found
+            </div>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Application</TableHead>
+                  <TableHead>Category</TableHead>
+                  <TableHead>Reason</TableHead>
+                  <TableHead>Requested</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead>Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {requests.map((request) => (
+                  <TableRow key={request.id}>
+                    <TableCell>
+                      <Link
+                        to={`/applications/${request.application.id}`}
+                        className="font-medium text-blue-600 hover:text-blue-700"
+                      >
+                        {request.application.name}
+                      </Link>
+                      <div className="text-xs text-gray-500">{request.application.company?.name}</div>
+                    </TableCell>
+                    <TableCell>{request.categoryName}</TableCell>
+                    <TableCell>
+                      <div className="max-w-xs whitespace-normal text-sm text-gray-700">{request.naReason}</div>
+                    </TableCell>
+                    <TableCell>
+                      <div>{request.naRequestedAt ? new Date(request.naRequestedAt).toLocaleDateString() : '—'}</div>
+                      <div className="text-xs text-gray-500">{request.naRequestedBy}</div>
+                    </TableCell>
+                    <TableCell>
+                      <NotApplicableStatusBadge status={request.naStatus} expiresAt={request.naExpiresAt} />
+                      {request.naReviewedBy && (
+                        <div className="text-xs text-gray-500 mt-1">
+                          {request.naReviewedBy}, {new Date(request.naReviewedAt).toLocaleDateString()}
+                        </div>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <div className="flex gap-2">
+                        {request.naStatus !== 'APPROVED' && (
+                          <Button
+                            variant="primary"
+                            size="sm"
+                            onClick={() => handleReview(request, true)}
+                            disabled={reviewingId === request.id}
+                          >
+                            {request.naStatus === 'EXPIRED' ? 'Renew' : 'Approve'}
+                          </Button>
+                        )}
+                        {request.naStatus !== 'REJECTED' && (
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => handleReview(request, false)}
+                            disabled={reviewingId === request.id}
+                          >
+                            {request.naStatus === 'PENDING' ? 'Reject' : 'Revoke'}
+                          </Button>
+                        )}
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -11,6 +11,8 @@ import { Checkbox } from '../components/ui/Checkbox.jsx';
 import { RadioGroup, Radio } from '../components/ui/Radio.jsx';
 import { LoadingPage } from '../components/ui/Loading.jsx';
 import { Alert } from '../components/ui/Alert.jsx';
+import { ToolAssignmentFields } from '../components/applications/ToolAssignmentFields.jsx';
+import { toolAssignmentsToForm, toolAssignmentsFromForm } from '../utils/toolAssignments.js';
 
 export function OnboardApplication() {
   const { slug, applicationId } = useParams();
@@ -24,6 +26,8 @@ export function OnboardApplication() {
   const [interfaces, setInterfaces] = useState([]);
   const [showInterfaceResults, setShowInterfaceResults] = useState(false);
   const [integrationLevels, setIntegrationLevels] = useState([]);
+  const [toolCategories, setToolCategories] = useState([]);
+  const [tools, setTools] = useState({});
 
   const [formData, setFormData] = useState({
     name: '',
@@ -44,19 +48,11 @@ export function OnboardApplication() {
     hasSecurityTesting: '',
     securityTestingDescription: '',
     additionalNotes: '',
-    sastTool: '',
-    sastIntegrationLevel: '',
-    dastTool: '',
-    dastIntegrationLevel: '',
-    appFirewallTool: '',
-    appFirewallIntegrationLevel: '',
-    apiSecurityTool: '',
-    apiSecurityIntegrationLevel: '',
-    apiSecurityNA: false,
   });
 
   useEffect(() => {
     loadIntegrationLevels();
+    loadToolCategories();
     if (applicationId) {
       loadApplication();
     } else {
@@ -73,6 +69,15 @@ export function OnboardApplication() {
     }
   };
 
+  const loadToolCategories = async () => {
+    try {
+      const categories = await api.getToolCategories();
+      setToolCategories(categories);
+    } catch (error) {
+      console.error('Failed to load tool categories:', error);
+    }
+  };
+
   // Removed company defaults pre-fill for technical form
 
   // Debounced search for interfaces
@@ -118,16 +123,8 @@ export function OnboardApplication() {
         repoUrl: app.repoUrl || '',
         securityTestingDescription: app.securityTestingDescription || '',
         additionalNotes: app.additionalNotes || '',
-        sastTool: app.sastTool || '',
-        sastIntegrationLevel: app.sastIntegrationLevel?.toString() || '',
-        dastTool: app.dastTool || '',
-        dastIntegrationLevel: app.dastIntegrationLevel?.toString() || '',
-        appFirewallTool: app.appFirewallTool || '',
-        appFirewallIntegrationLevel: app.appFirewallIntegrationLevel?.toString() || '',
-        apiSecurityTool: app.apiSecurityTool || '',
-        apiSecurityIntegrationLevel: app.apiSecurityIntegrationLevel?.toString() || '',
-        apiSecurityNA: app.apiSecurityNA || false,
       }));
+      setTools(toolAssignmentsToForm(app.tools));
       
       // Load interfaces if they exist
       if (app.interfaces) {
@@ -207,15 +204,10 @@ export function OnboardApplication() {
           hasSecurityTesting: formData.hasSecurityTesting,
           securityTestingDescription: formData.securityTestingDescription,
           additionalNotes: formData.additionalNotes,
-          sastTool: formData.sastTool,
-          sastIntegrationLevel: formData.sastIntegrationLevel,
-          dastTool: formData.dastTool,
-          dastIntegrationLevel: formData.dastIntegrationLevel,
-          appFirewallTool: formData.appFirewallTool,
-          appFirewallIntegrationLevel: formData.appFirewallIntegrationLevel,
-          apiSecurityTool: formData.apiSecurityTool,
-          apiSecurityIntegrationLevel: formData.apiSecurityIntegrationLevel,
-          apiSecurityNA: formData.apiSecurityNA,
+          // Without security testing every category is cleared
+          tools: formData.hasSecurityTesting === 'Yes'
+            ? toolAssignmentsFromForm(tools)
+            : toolCategories.map(category => ({ category: category.value })),
         });
         toast.success('Application technical details updated successfully!');
       } else {
@@ -571,7 +563,10 @@ export function OnboardApplication() {
                     name="hasSecurityTesting"
                     value="No"
                     checked={formData.hasSecurityTesting === 'No'}
-                    onChange={(e) => setFormData({ ...formData, hasSecurityTesting: e.target.value, securityTestingDescription: '', sastTool: '', sastIntegrationLevel: '', dastTool: '', dastIntegrationLevel: '', appFirewallTool: '', appFirewallIntegrationLevel: '', apiSecurityTool: '', apiSecurityIntegrationLevel: '', apiSecurityNA: false })}
+                    onChange={(e) => {
+                      setFormData({ ...formData, hasSecurityTesting: e.target.value, securityTestingDescription: '' });
+                      setTools({});
+                    }}
                     label="No"
                   />
                 </RadioGroup>
@@ -586,82 +581,12 @@ export function OnboardApplication() {
                     />
                     <div className="mt-6 pt-6 border-t">
                       <h3 className="text-lg font-semibold text-gray-900 mb-4">Security Tools</h3>
-                      <div className="space-y-6">
-                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                          <Input
-                            label="SAST Tool"
-                            value={formData.sastTool}
-                            onChange={(e) => setFormData({ ...formData, sastTool: e.target.value })}
-                          />
-                          <Select
-                            label="SAST Integration Level"
-                            value={formData.sastIntegrationLevel}
-                            onChange={(e) => setFormData({ ...formData, sastIntegrationLevel: e.target.value })}
-                            options={[
-                              { value: '', label: 'Select level' },
-                              ...integrationLevels,
-                            ]}
-                          />
-                        </div>
-                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                          <Input
-                            label="DAST Tool"
-                            value={formData.dastTool}
-                            onChange={(e) => setFormData({ ...formData, dastTool: e.target.value })}
-                          />
-                          <Select
-                            label="DAST Integration Level"
-                            value={formData.dastIntegrationLevel}
-                            onChange={(e) => setFormData({ ...formData, dastIntegrationLevel: e.target.value })}
-                            options={[
-                              { value: '', label: 'Select level' },
-                              ...integrationLevels,
-                            ]}
-                          />
-                        </div>
-                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                          <Input
-                            label="WAF Tool"
-                            value={formData.appFirewallTool}
-                            onChange={(e) => setFormData({ ...formData, appFirewallTool: e.target.value })}
-                          />
-                          <Select
-                            label="WAF Integration Level"
-                            value={formData.appFirewallIntegrationLevel}
-                            onChange={(e) => setFormData({ ...formData, appFirewallIntegrationLevel: e.target.value })}
-                            options={[
-                              { value: '', label: 'Select level' },
-                              ...integrationLevels,
-                            ]}
-                          />
-                        </div>
-                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                          <Input
-                            label="API Security Tool"
-                            value={formData.apiSecurityTool}
-                            onChange={(e) => setFormData({ ...formData, apiSecurityTool: e.target.value })}
-                          />
-                          <div>
-                            <Select
-                              label="API Security Integration Level"
-                              value={formData.apiSecurityIntegrationLevel}
-                              onChange={(e) => setFormData({ ...formData, apiSecurityIntegrationLevel: e.target.value })}
-                              options={[
-                                { value: '', label: 'Select level' },
-                                ...integrationLevels,
-                              ]}
-                            />
-                            <div className="mt-2">
-                              <Checkbox
-                                id="apiSecurityNA"
-                                label="N/A"
-                                checked={formData.apiSecurityNA}
-                                onChange={(e) => setFormData({ ...formData, apiSecurityNA: e.target.checked })}
-                              />
-                            </div>
-                          </div>
-                        </div>
-                      </div>
+                      <ToolAssignmentFields
+                        categories={toolCategories}
+                        integrationLevels={integrationLevels}
+                        value={tools}
+                        onChange={setTools}
+                      />
                     </div>
                   </>
                 )}
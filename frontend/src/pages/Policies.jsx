@@ -0,0 +1,194 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { api } from '../lib/api.js';
+import { toast } from '../components/ui/Toast.jsx';
+import { LoadingPage } from '../components/ui/Loading.jsx';
+import { Card, CardHeader, CardTitle, CardContent } from '../components/ui/Card.jsx';
+import { Button } from '../components/ui/Button.jsx';
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '../components/ui/Table.jsx';
+import { PolicyModal } from '../components/policies/PolicyModal.jsx';
+import useAuthStore from '../store/authStore.js';
+
+export function Policies() {
+  const { isAdmin } = useAuthStore();
+  const [policies, setPolicies] = useState([]);
+  const [companies, setCompanies] = useState([]);
+  const [toolCategories, setToolCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingPolicy, setEditingPolicy] = useState(null);
+  const [showModal, setShowModal] = useState(false);
+
+  useEffect(() => {
+    if (isAdmin()) {
+      loadPolicies();
+      loadOptions();
+    } else {
+      setLoading(false);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const loadPolicies = async () => {
+    try {
+      setLoading(true);
+      const data = await api.getPolicies();
+      setPolicies(Array.isArray(data) ? data : []);
+    } catch (error) {
+      toast.error('Failed to load policies');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadOptions = async () => {
+    try {
+      const [companyData, categoryData] = await Promise.all([
+        api.getCompanies(),
+        api.getToolCategories(),
+      ]);
+      setCompanies(Array.isArray(companyData) ? companyData : []);
+      setToolCategories(categoryData);
+    } catch (error) {
+      console.error('Failed to load policy options:', error);
+    }
+  };
+
+  const openModal = (policy = null) => {
+    setEditingPolicy(policy);
+    setShowModal(true);
+  };
+
+  const handleDelete = async (policy) => {
+    if (!confirm(`Delete the policy "${policy.name}"?`)) {
+      return;
+    }
+
+    try {
+      await api.deletePolicy(policy.id);
+      toast.success('Policy deleted');
+      loadPolicies();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete policy');
+    }
+  };
+
+  const categoryName = (key) => toolCategories.find(category => category.value === key)?.label || key;
+
+  if (loading) {
+    return <LoadingPage message="Loading policies..." />;
+  }
+
+  if (!isAdmin()) {
+    return (
+      <div>
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Policies</h1>
+        </div>
+        <Card>
+          <CardContent>
+            <div className="text-center py-12 text-gray-500">
+              Only administrators can manage policies.
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Policies</h1>
+        <p className="text-gray-600">
+          Security targets applications are held to. A policy applies to one company or all of them, and to one
+          criticality tier or all of them; an application must meet the rules of every policy that applies.
+        </p>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <div className="flex justify-between items-center">
+            <CardTitle>Policies ({policies.length})</CardTitle>
+            <Button variant="primary" size="sm" onClick={() => openModal()}>
+              New Policy
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {policies.length === 0 ? (
+            <div className="p-6 text-center text-gray-500">
+              No policies yet
+            </div>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Name</TableHead>
+                  <TableHead>Applies To</TableHead>
+                  <TableHead>Min Score</TableHead>
+                  <TableHead>Required Tools</TableHead>
+                  <TableHead>Max Review Age</TableHead>
+                  <TableHead>Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {policies.map((policy) => (
+                  <TableRow key={policy.id}>
+                    <TableCell>
+                      <div className="font-medium">{policy.name}</div>
+                      <div className="text-xs text-gray-500">{policy.createdBy}</div>
+                    </TableCell>
+                    <TableCell>
+                      {policy.company ? (
+                        <Link
+                          to={`/companies/${policy.company.id}`}
+                          className="text-blue-600 hover:text-blue-700"
+                        >
+                          {policy.company.name}
+                        </Link>
+                      ) : (
+                        'All companies'
+                      )}
+                      <div className="text-xs text-gray-500">
+                        {policy.businessCriticality ? `Criticality ${policy.businessCriticality}` : 'All tiers'}
+                      </div>
+                    </TableCell>
+                    <TableCell>{policy.minTotalScore ?? '—'}</TableCell>
+                    <TableCell>
+                      <div className="max-w-xs whitespace-normal">
+                        {policy.requiredToolCategories
+                          ? policy.requiredToolCategories.split(',').map(categoryName).join(', ')
+                          : '—'}
+                      </div>
+                    </TableCell>
+                    <TableCell>{policy.maxReviewAgeDays ? `${policy.maxReviewAgeDays} days` : '—'}</TableCell>
+                    <TableCell>
+                      <div className="flex gap-2">
+                        <Button variant="outline" size="sm" onClick={() => openModal(policy)}>
+                          Edit
+                        </Button>
+                        <Button variant="outline" size="sm" onClick={() => handleDelete(policy)}>
+                          Delete
+                        </Button>
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      <PolicyModal
+        isOpen={showModal}
+        onClose={() => setShowModal(false)}
+        policy={editingPolicy}
+        companies={companies}
+        toolCategories={toolCategories}
+        onSaved={loadPolicies}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { api } from '../lib/api.js';
+import { toast } from '../components/ui/Toast.jsx';
+import { LoadingPage } from '../components/ui/Loading.jsx';
+import { Card, CardHeader, CardTitle, CardContent } from '../components/ui/Card.jsx';
+import { Button } from '../components/ui/Button.jsx';
+import { Select } from '../components/ui/Select.jsx';
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '../components/ui/Table.jsx';
+import { NewRequestModal, REQUEST_TYPE_OPTIONS } from '../components/requests/NewRequestModal.jsx';
+import { ManageRequestModal, REQUEST_STATUS_OPTIONS } from '../components/requests/ManageRequestModal.jsx';
+import { RequestStatusBadge } from '../components/requests/RequestStatusBadge.jsx';
+import useAuthStore from '../store/authStore.js';
+
+export function Requests() {
+  const { isAdmin } = useAuthStore();
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState(isAdmin() ? 'PENDING' : '');
+  const [showNewModal, setShowNewModal] = useState(false);
+  const [selectedRequest, setSelectedRequest] = useState(null);
+
+  useEffect(() => {
+    loadRequests();
+  }, [statusFilter]);
+
+  const loadRequests = async () => {
+    try {
+      setLoading(true);
+      const data = await api.getRequests({ status: statusFilter });
+      setRequests(Array.isArray(data) ? data : []);
+    } catch (error) {
+      toast.error('Failed to load requests');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getTypeLabel = (type) =>
+    REQUEST_TYPE_OPTIONS.find(option => option.value === type)?.label || type;
+
+  if (loading) {
+    return <LoadingPage message="Loading requests..." />;
+  }
+
+  return (
+    <div>
+      <div className="mb-8 flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">
+            {isAdmin() ? 'Request Queue' : 'Tool Requests'}
+          </h1>
+          <p className="text-gray-600">
+            {isAdmin()
+              ? 'Review and process security tooling requests from all companies'
+              : 'Request access to managed security tools for your applications'}
+          </p>
+        </div>
+        <Button variant="primary" onClick={() => setShowNewModal(true)}>
+          New Request
+        </Button>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <div className="flex justify-between items-center">
+            <CardTitle>Requests ({requests.length})</CardTitle>
+            <div className="w-56">
+              <Select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                options={[
+                  { value: '', label: 'All Statuses' },
+                  ...REQUEST_STATUS_OPTIONS,
+                ]}
+              />
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {requests.length === 0 ? (
+            <div className="p-6 text-center text-gray-500">
+              No requests found
+            </div>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>#</TableHead>
+                  <TableHead>Application</TableHead>
+                  {isAdmin() && <TableHead>Company</TableHead>}
+                  <TableHead>Products</TableHead>
+                  <TableHead>Type</TableHead>
+                  <TableHead>Requested</TableHead>
+                  <TableHead>Status</TableHead>
+                  {isAdmin() && <TableHead>Actions</TableHead>}
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {requests.map((request) => (
+                  <TableRow key={request.id}>
+                    <TableCell>{request.id}</TableCell>
+                    <TableCell>
+                      {request.application ? (
+                        <Link
+                          to={`/applications/${request.application.id}`}
+                          className="font-medium text-blue-600 hover:text-blue-700"
+                        >
+                          {request.application.name}
+                        </Link>
+                      ) : '—'}
+                    </TableCell>
+                    {isAdmin() && (
+                      <TableCell>{request.application?.company?.name || '—'}</TableCell>
+                    )}
+                    <TableCell>{request.products}</TableCell>
+                    <TableCell>{getTypeLabel(request.requestType)}</TableCell>
+                    <TableCell>
+                      <div>{new Date(request.createdAt).toLocaleDateString()}</div>
+                      <div className="text-xs text-gray-500">{request.User?.email}</div>
+                    </TableCell>
+                    <TableCell>
+                      <RequestStatusBadge status={request.status} />
+                      {request.adminNotes && (
+                        <div className="text-xs text-gray-500 mt-1 max-w-xs truncate" title={request.adminNotes}>
+                          {request.adminNotes}
+                        </div>
+                      )}
+                    </TableCell>
+                    {isAdmin() && (
+                      <TableCell>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setSelectedRequest(request)}
+                        >
+                          Manage
+                        </Button>
+                      </TableCell>
+                    )}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      <NewRequestModal
+        isOpen={showNewModal}
+        onClose={() => setShowNewModal(false)}
+        onCreated={loadRequests}
+      />
+
+      <ManageRequestModal
+        isOpen={!!selectedRequest}
+        onClose={() => setSelectedRequest(null)}
+        request={selectedRequest}
+        onUpdated={loadRequests}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,198 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { api } from '../lib/api.js';
+import { toast } from '../components/ui/Toast.jsx';
+import { LoadingPage } from '../components/ui/Loading.jsx';
+import { Card, CardHeader, CardTitle, CardContent } from '../components/ui/Card.jsx';
+import { Button } from '../components/ui/Button.jsx';
+import { Select } from '../components/ui/Select.jsx';
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '../components/ui/Table.jsx';
+import { RiskStatusBadge, RISK_STATUS_OPTIONS } from '../components/risks/RiskStatusBadge.jsx';
+import useAuthStore from '../store/authStore.js';
+
+export function RiskRegister() {
+  const { isAdmin } = useAuthStore();
+  const [risks, setRisks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [reviewingId, setReviewingId] = useState(null);
+
+  useEffect(() => {
+    if (isAdmin()) {
+      loadRisks();
+    } else {
+      setLoading(false);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [statusFilter]);
+
+  const loadRisks = async () => {
+    try {
+      setLoading(true);
+      const data = await api.getRiskRegister({ status: statusFilter });
+      setRisks(Array.isArray(data) ? data : []);
+    } catch (error) {
+      toast.error('Failed to load risk register');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReview = async (risk, action) => {
+    try {
+      setReviewingId(risk.id);
+      if (action === 'accept') {
+        await api.acceptRisk(risk.id);
+        toast.success(`Risk accepted for ${risk.application.name}`);
+      } else if (action === 'reject') {
+        await api.rejectRisk(risk.id);
+        toast.success(`Risk rejected for ${risk.application.name}`);
+      } else {
+        await api.closeRisk(risk.id);
+        toast.success(`Risk closed for ${risk.application.name}`);
+      }
+      loadRisks();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update risk');
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  if (loading) {
+    return <LoadingPage message="Loading risk register..." />;
+  }
+
+  if (!isAdmin()) {
+    return (
+      <div>
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Risk Register</h1>
+        </div>
+        <Card>
+          <CardContent>
+            <div className="text-center py-12 text-gray-500">
+              Only administrators can view the risk register.
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Risk Register</h1>
+        <p className="text-gray-600">
+          Risks applications have recorded against controls they cannot meet. An accepted risk excuses the policy
+          rule it covers until it expires.
+        </p>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <div className="flex justify-between items-center">
+            <CardTitle>Risks ({risks.length})</CardTitle>
+            <div className="w-56">
+              <Select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                options={[
+                  { value: '', label: 'All Statuses' },
+                  ...RISK_STATUS_OPTIONS,
+                ]}
+              />
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {risks.length === 0 ? (
+            <div className="p-6 text-center text-gray-500">
+              No risks found
+            </div>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Application</TableHead>
+                  <TableHead>Risk</TableHead>
+                  <TableHead>Approver</TableHead>
+                  <TableHead>Expires</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead>Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {risks.map((risk) => (
+                  <TableRow key={risk.id}>
+                    <TableCell>
+                      <Link
+                        to={`/applications/${risk.application.id}`}
+                        className="font-medium text-blue-600 hover:text-blue-700"
+                      >
+                        {risk.application.name}
+                      </Link>
+                      <div className="text-xs text-gray-500">{risk.application.company?.name}</div>
+                    </TableCell>
+                    <TableCell>
+                      <div className="max-w-xs whitespace-normal text-sm text-gray-700">{risk.description}</div>
+                      {risk.compensatingControls && (
+                        <div className="max-w-xs whitespace-normal text-xs text-gray-500 mt-1">
+                          Compensating: {risk.compensatingControls}
+                        </div>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <div>{risk.approver}</div>
+                      <div className="text-xs text-gray-500">{risk.createdBy}</div>
+                    </TableCell>
+                    <TableCell>{new Date(risk.expiresAt).toLocaleDateString()}</TableCell>
+                    <TableCell>
+                      <RiskStatusBadge status={risk.status} />
+                    </TableCell>
+                    <TableCell>
+                      <div className="flex gap-2">
+                        {risk.status === 'PENDING' && (
+                          <>
+                            <Button
+                              variant="primary"
+                              size="sm"
+                              onClick={() => handleReview(risk, 'accept')}
+                              disabled={reviewingId === risk.id}
+                            >
+                              Accept
+                            </Button>
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() => handleReview(risk, 'reject')}
+                              disabled={reviewingId === risk.id}
+                            >
+                              Reject
+                            </Button>
+                          </>
+                        )}
+                        {(risk.status === 'ACCEPTED' || risk.status === 'EXPIRED') && (
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => handleReview(risk, 'close')}
+                            disabled={reviewingId === risk.id}
+                          >
+                            Close
+                          </Button>
+                        )}
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
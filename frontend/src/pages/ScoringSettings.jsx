@@ -0,0 +1,629 @@
+import { useState, useEffect } from 'react';
+import { api } from '../lib/api.js';
+import { toast } from '../components/ui/Toast.jsx';
+import { LoadingPage } from '../components/ui/Loading.jsx';
+import { Card, CardHeader, CardTitle, CardContent } from '../components/ui/Card.jsx';
+import { Button } from '../components/ui/Button.jsx';
+import { Input } from '../components/ui/Input.jsx';
+import { Select } from '../components/ui/Select.jsx';
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '../components/ui/Table.jsx';
+import { ScoringSimulation } from '../components/scoring/ScoringSimulation.jsx';
+import useAuthStore from '../store/authStore.js';
+
+const SECTION_LABELS = {
+  integrationLevels: 'Integration level',
+  toolQuality: 'Tool quality',
+  riskFactors: 'Risk factor',
+  toolCategories: 'Tool category',
+  knowledgeSharing: 'Knowledge sharing',
+};
+
+const FRESHNESS_CURVE_OPTIONS = [
+  { value: 'step', label: 'Step (full points until the window ends)' },
+  { value: 'linear', label: 'Linear' },
+  { value: 'quadratic', label: 'Quadratic (slow at first, then faster)' },
+];
+
+// Risk factor sections, with a placeholder for a new row's name
+const RISK_FACTORS = [
+  { key: 'facing', title: 'Facing', placeholder: 'External' },
+  { key: 'dataTypes', title: 'Data Types', placeholder: 'PII' },
+  { key: 'businessCriticality', title: 'Business Criticality (1-5)', placeholder: '5' },
+  { key: 'criticalAspects', title: 'Critical Aspects', placeholder: 'Availability' },
+  { key: 'deploymentType', title: 'Deployment (matches text in the deployment description)', placeholder: 'Manual Pipeline Steps' },
+];
+
+// Weight maps ({ name: weight }) are edited as rows so names can change too
+const toRows = (weights) =>
+  Object.entries(weights || {}).map(([name, weight]) => ({ name, weight: String(weight) }));
+
+const fromRows = (rows) =>
+  Object.fromEntries(
+    rows
+      .filter(row => row.name.trim())
+      .map(row => [row.name.trim(), parseFloat(row.weight)])
+  );
+
+function toForm(config) {
+  return {
+    integrationLevels: Object.entries(config.integrationLevels).map(([level, entry]) => ({
+      level,
+      name: entry.name,
+      weight: String(entry.weight),
+    })),
+    managed: toRows(config.toolQuality.managed),
+    approvedUnmanaged: toRows(config.toolQuality.approvedUnmanaged),
+    other: String(config.toolQuality.other),
+    riskFactors: Object.fromEntries(
+      RISK_FACTORS.map(({ key }) => [key, toRows(config.riskFactors[key])])
+    ),
+    toolCategories: Object.entries(config.toolCategories).map(([key, category]) => ({
+      key,
+      name: category.name,
+      weight: String(category.weight),
+      isNew: false,
+    })),
+    knowledgeFields: Object.fromEntries(
+      Object.entries(config.knowledgeSharing?.fields || {}).map(([field, weight]) => [field, String(weight)])
+    ),
+    freshness: {
+      curve: config.knowledgeSharing?.freshness.curve || 'linear',
+      graceDays: String(config.knowledgeSharing?.freshness.graceDays ?? ''),
+      windowDays: String(config.knowledgeSharing?.freshness.windowDays ?? ''),
+    },
+  };
+}
+
+function fromForm(form) {
+  return {
+    integrationLevels: Object.fromEntries(
+      form.integrationLevels.map(row => [row.level, { name: row.name, weight: parseFloat(row.weight) }])
+    ),
+    toolQuality: {
+      managed: fromRows(form.managed),
+      approvedUnmanaged: fromRows(form.approvedUnmanaged),
+      other: parseFloat(form.other),
+    },
+    riskFactors: Object.fromEntries(
+      RISK_FACTORS.map(({ key }) => [key, fromRows(form.riskFactors[key])])
+    ),
+    toolCategories: Object.fromEntries(
+      form.toolCategories.map(row => [
+        row.key.trim(),
+        { name: row.name, weight: parseFloat(row.weight) },
+      ])
+    ),
+    knowledgeSharing: {
+      // A weight of 0 (or blank) leaves the field out
+      fields: Object.fromEntries(
+        Object.entries(form.knowledgeFields)
+          .map(([field, weight]) => [field, parseFloat(weight)])
+          .filter(([, weight]) => weight > 0)
+      ),
+      freshness: {
+        curve: form.freshness.curve,
+        graceDays: parseInt(form.freshness.graceDays),
+        windowDays: parseInt(form.freshness.windowDays),
+      },
+    },
+  };
+}
+
+// "toolQuality.managed.Snyk" -> "Tool quality › managed › Snyk"
+function describePath(path) {
+  const [section, ...rest] = path.split('.');
+  return [SECTION_LABELS[section] || section, ...rest].join(' › ');
+}
+
+function WeightRows({ title, rows, onChange, namePlaceholder }) {
+  const updateRow = (index, key, value) => {
+    onChange(rows.map((row, i) => (i === index ? { ...row, [key]: value } : row)));
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-sm font-medium text-gray-700">{title}</h3>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => onChange([...rows, { name: '', weight: '1' }])}
+        >
+          Add
+        </Button>
+      </div>
+      <div className="space-y-2">
+        {rows.map((row, index) => (
+          <div key={index} className="flex gap-2 items-center">
+            <Input
+              value={row.name}
+              onChange={(e) => updateRow(index, 'name', e.target.value)}
+              placeholder={namePlaceholder}
+            />
+            <div className="w-28 shrink-0">
+              <Input
+                type="number"
+                step="0.05"
+                min="0"
+                value={row.weight}
+                onChange={(e) => updateRow(index, 'weight', e.target.value)}
+              />
+            </div>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => onChange(rows.filter((_, i) => i !== index))}
+            >
+              Remove
+            </Button>
+          </div>
+        ))}
+        {rows.length === 0 && (
+          <p className="text-sm text-gray-500">None</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export function ScoringSettings() {
+  const { isAdmin } = useAuthStore();
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [active, setActive] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [form, setForm] = useState(null);
+  const [note, setNote] = useState('');
+  const [simulation, setSimulation] = useState(null);
+  const [simulating, setSimulating] = useState(false);
+
+  useEffect(() => {
+    if (isAdmin()) {
+      loadConfig();
+    } else {
+      setLoading(false);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const loadConfig = async () => {
+    try {
+      setLoading(true);
+      const [activeData, versionData] = await Promise.all([
+        api.getScoringConfig(),
+        api.getScoringConfigVersions(),
+      ]);
+      setActive(activeData);
+      setForm(toForm(activeData.config));
+      setVersions(Array.isArray(versionData) ? versionData : []);
+    } catch (error) {
+      toast.error('Failed to load scoring config');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateForm = (key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }));
+  };
+
+  const updateLevel = (index, key, value) => {
+    updateForm('integrationLevels', form.integrationLevels.map((row, i) => (
+      i === index ? { ...row, [key]: value } : row
+    )));
+  };
+
+  const updateCategory = (index, key, value) => {
+    updateForm('toolCategories', form.toolCategories.map((row, i) => (
+      i === index ? { ...row, [key]: value } : row
+    )));
+  };
+
+  const handleSimulate = async () => {
+    try {
+      setSimulating(true);
+      const data = await api.simulateScoringConfig(fromForm(form));
+      setSimulation(data);
+    } catch (error) {
+      toast.error(error.message || 'Failed to preview scoring config');
+    } finally {
+      setSimulating(false);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const saved = await api.updateScoringConfig(fromForm(form), note);
+      toast.success(`Saved scoring config version ${saved.version}. Scores are being recalculated.`);
+      setNote('');
+      setSimulation(null);
+      loadConfig();
+    } catch (error) {
+      toast.error(error.message || 'Failed to save scoring config');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (!confirm(`Restore scoring config version ${version}? This is saved as a new version.`)) {
+      return;
+    }
+
+    try {
+      const saved = await api.restoreScoringConfig(version);
+      toast.success(`Restored version ${version} as version ${saved.version}`);
+      loadConfig();
+    } catch (error) {
+      toast.error(error.message || 'Failed to restore scoring config');
+    }
+  };
+
+  if (loading) {
+    return <LoadingPage message="Loading scoring config..." />;
+  }
+
+  if (!isAdmin() || !form) {
+    return (
+      <div>
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Scoring Settings</h1>
+        </div>
+        <Card>
+          <CardContent>
+            <div className="text-center py-12 text-gray-500">
+              {isAdmin() ? 'Scoring config could not be loaded.' : 'Only administrators can change scoring settings.'}
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Scoring Settings</h1>
+        <p className="text-gray-600">
+          Weights used to calculate application scores. Active version: {active.version}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+        <Card>
+          <CardHeader>
+            <CardTitle>Integration Levels</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <p className="text-sm text-gray-500 mb-4">
+              Share of a tool category&apos;s points earned at each integration level (0 to 1).
+            </p>
+            <div className="space-y-2">
+              {form.integrationLevels.map((row, index) => (
+                <div key={row.level} className="flex gap-2 items-center">
+                  <span className="w-6 text-sm font-medium text-gray-700 shrink-0">{row.level}</span>
+                  <Input
+                    value={row.name}
+                    onChange={(e) => updateLevel(index, 'name', e.target.value)}
+                  />
+                  <div className="w-28 shrink-0">
+                    <Input
+                      type="number"
+                      step="0.05"
+                      min="0"
+                      max="1"
+                      value={row.weight}
+                      onChange={(e) => updateLevel(index, 'weight', e.target.value)}
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Risk Factors</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <p className="text-sm text-gray-500 mb-4">
+              Multipliers on the tool points an application loses for missing or weak tooling. The highest applicable factor is used.
+            </p>
+            <div className="space-y-6">
+              {RISK_FACTORS.map(({ key, title, placeholder }) => (
+                <WeightRows
+                  key={key}
+                  title={title}
+                  rows={form.riskFactors[key]}
+                  onChange={(rows) => updateForm('riskFactors', { ...form.riskFactors, [key]: rows })}
+                  namePlaceholder={placeholder}
+                />
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+
+        <Card className="lg:col-span-2">
+          <CardHeader>
+            <CardTitle>Tool Quality</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <p className="text-sm text-gray-500 mb-4">
+              Multipliers rewarding better tools. Tools not listed use the &quot;other&quot; weight.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <WeightRows
+                title="Managed"
+                rows={form.managed}
+                onChange={(rows) => updateForm('managed', rows)}
+                namePlaceholder="Tool name"
+              />
+              <WeightRows
+                title="Approved Unmanaged"
+                rows={form.approvedUnmanaged}
+                onChange={(rows) => updateForm('approvedUnmanaged', rows)}
+                namePlaceholder="Tool name"
+              />
+            </div>
+            <div className="w-48 mt-6">
+              <Input
+                label="Other Tools"
+                type="number"
+                step="0.05"
+                min="0"
+                value={form.other}
+                onChange={(e) => updateForm('other', e.target.value)}
+              />
+            </div>
+          </CardContent>
+        </Card>
+
+        <Card className="lg:col-span-2">
+          <CardHeader>
+            <div className="flex justify-between items-center">
+              <CardTitle>Tool Categories</CardTitle>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => updateForm('toolCategories', [
+                  ...form.toolCategories,
+                  { key: '', name: '', weight: '0', isNew: true },
+                ])}
+              >
+                Add Category
+              </Button>
+            </div>
+          </CardHeader>
+          <CardContent>
+            <p className="text-sm text-gray-500 mb-4">
+              Categories of security tooling asked about on every application. The 50 tool points are
+              split between categories by weight; a weight of 0 collects the tool without scoring it.
+              Removing a category stops it being scored but keeps what applications have entered.
+            </p>
+            <div className="space-y-2">
+              {form.toolCategories.map((row, index) => (
+                <div key={row.isNew ? `new-${index}` : row.key} className="flex gap-2 items-center">
+                  <div className="w-44 shrink-0">
+                    {row.isNew ? (
+                      <Input
+                        value={row.key}
+                        onChange={(e) => updateCategory(index, 'key', e.target.value)}
+                        placeholder="mobileScanning"
+                      />
+                    ) : (
+                      <span className="text-sm font-mono text-gray-700">{row.key}</span>
+                    )}
+                  </div>
+                  <Input
+                    value={row.name}
+                    onChange={(e) => updateCategory(index, 'name', e.target.value)}
+                    placeholder="Display name"
+                  />
+                  <div className="w-28 shrink-0">
+                    <Input
+                      type="number"
+                      step="0.25"
+                      min="0"
+                      value={row.weight}
+                      onChange={(e) => updateCategory(index, 'weight', e.target.value)}
+                    />
+                  </div>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => updateForm('toolCategories', form.toolCategories.filter((_, i) => i !== index))}
+                  >
+                    Remove
+                  </Button>
+                </div>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+
+        <Card className="lg:col-span-2">
+          <CardHeader>
+            <CardTitle>Knowledge Sharing</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <h3 className="text-sm font-medium text-gray-700 mb-2">Metadata Completeness (40 points)</h3>
+                <p className="text-sm text-gray-500 mb-4">
+                  Application fields that count toward completeness, weighted relative to each other.
+                  A weight of 0 leaves the field out.
+                </p>
+                <div className="space-y-2">
+                  {Object.entries(active.knowledgeFields || {}).map(([field, label]) => (
+                    <div key={field} className="flex gap-2 items-center">
+                      <span className="flex-1 text-sm text-gray-700">{label}</span>
+                      <div className="w-28 shrink-0">
+                        <Input
+                          type="number"
+                          step="0.25"
+                          min="0"
+                          value={form.knowledgeFields[field] ?? '0'}
+                          onChange={(e) => updateForm('knowledgeFields', { ...form.knowledgeFields, [field]: e.target.value })}
+                        />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+              <div>
+                <h3 className="text-sm font-medium text-gray-700 mb-2">Metadata Freshness (10 points)</h3>
+                <p className="text-sm text-gray-500 mb-4">
+                  Full points for the grace period after a metadata review, decaying along the curve to
+                  none once the window has passed.
+                </p>
+                <div className="space-y-4">
+                  <Select
+                    label="Decay Curve"
+                    value={form.freshness.curve}
+                    onChange={(e) => updateForm('freshness', { ...form.freshness, curve: e.target.value })}
+                    options={FRESHNESS_CURVE_OPTIONS}
+                  />
+                  <div className="grid grid-cols-2 gap-4">
+                    <Input
+                      label="Grace Period (days)"
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={form.freshness.graceDays}
+                      onChange={(e) => updateForm('freshness', { ...form.freshness, graceDays: e.target.value })}
+                    />
+                    <Input
+                      label="Window (days)"
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={form.freshness.windowDays}
+                      onChange={(e) => updateForm('freshness', { ...form.freshness, windowDays: e.target.value })}
+                    />
+                  </div>
+                </div>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+
+      <Card className="mb-6">
+        <CardContent>
+          <div className="flex flex-col md:flex-row gap-4 md:items-end">
+            <Input
+              label="Change Note"
+              id="scoringNote"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="Why are these weights changing?"
+            />
+            <div className="flex gap-2 shrink-0">
+              <Button
+                variant="secondary"
+                onClick={() => {
+                  setForm(toForm(active.config));
+                  setSimulation(null);
+                }}
+                disabled={saving}
+              >
+                Reset
+              </Button>
+              <Button
+                variant="secondary"
+                onClick={handleSimulate}
+                loading={simulating}
+                disabled={saving}
+              >
+                Preview Impact
+              </Button>
+              <Button
+                variant="primary"
+                onClick={handleSave}
+                loading={saving}
+              >
+                Save New Version
+              </Button>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      {simulation && (
+        <div className="mb-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-1">Impact Preview</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Scores under the draft weights compared with version {active.version}. Nothing has been saved.
+          </p>
+          <ScoringSimulation simulation={simulation} />
+        </div>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Version History ({versions.length})</CardTitle>
+        </CardHeader>
+        <CardContent padding="none">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Version</TableHead>
+                <TableHead>Saved</TableHead>
+                <TableHead>Changes</TableHead>
+                <TableHead></TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {versions.map(version => (
+                <TableRow key={version.version}>
+                  <TableCell className="align-top">
+                    <span className="font-medium">v{version.version}</span>
+                    {version.version === active.version && (
+                      <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded bg-green-100 text-green-800">
+                        Active
+                      </span>
+                    )}
+                  </TableCell>
+                  <TableCell className="align-top text-sm">
+                    <div>{new Date(version.createdAt).toLocaleString()}</div>
+                    <div className="text-gray-500">{version.createdBy || 'System'}</div>
+                  </TableCell>
+                  <TableCell className="align-top text-sm whitespace-normal">
+                    {version.note && (
+                      <div className="text-gray-900 mb-1">{version.note}</div>
+                    )}
+                    {version.changes ? (
+                      <ul className="space-y-0.5 text-gray-600">
+                        {Object.entries(version.changes).map(([path, change]) => (
+                          <li key={path}>
+                            {describePath(path)}: {change.from ?? '—'} → {change.to ?? '—'}
+                          </li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <span className="text-gray-400">Initial version</span>
+                    )}
+                  </TableCell>
+                  <TableCell className="align-top text-right">
+                    {version.version !== active.version && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleRestore(version.version)}
+                      >
+                        Restore
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { api } from '../lib/api.js';
+import { toast } from '../components/ui/Toast.jsx';
+import { LoadingPage } from '../components/ui/Loading.jsx';
+import { Card, CardHeader, CardTitle, CardContent } from '../components/ui/Card.jsx';
+import { Button } from '../components/ui/Button.jsx';
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '../components/ui/Table.jsx';
+import useAuthStore from '../store/authStore.js';
+
+export function Sessions() {
+  const { logout } = useAuthStore();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState(null);
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const loadSessions = async () => {
+    try {
+      const data = await api.getMySessions();
+      setSessions(Array.isArray(data) ? data : []);
+    } catch (error) {
+      toast.error('Failed to load sessions');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      await logout();
+      navigate('/login');
+      return;
+    }
+
+    try {
+      setRevokingId(session.id);
+      await api.revokeMySession(session.id);
+      toast.success('Session signed out');
+      loadSessions();
+    } catch (error) {
+      toast.error(error.message || 'Failed to sign out session');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!confirm('Sign out of all other sessions?')) {
+      return;
+    }
+
+    try {
+      const result = await api.revokeOtherSessions();
+      toast.success(result.message);
+      loadSessions();
+    } catch (error) {
+      toast.error(error.message || 'Failed to sign out other sessions');
+    }
+  };
+
+  if (loading) {
+    return <LoadingPage message="Loading sessions..." />;
+  }
+
+  return (
+    <div>
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Active Sessions</h1>
+        <p className="text-gray-600">
+          Browsers and devices signed in to your account. Sign out of any you don't recognise.
+        </p>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <div className="flex justify-between items-center">
+            <CardTitle>Sessions ({sessions.length})</CardTitle>
+            {sessions.length > 1 && (
+              <Button variant="outline" size="sm" onClick={handleRevokeOthers}>
+                Sign Out Other Sessions
+              </Button>
+            )}
+          </div>
+        </CardHeader>
+        <CardContent>
+          {sessions.length === 0 ? (
+            <div className="p-6 text-center text-gray-500">
+              No active sessions
+            </div>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Device</TableHead>
+                  <TableHead>IP Address</TableHead>
+                  <TableHead>Signed In</TableHead>
+                  <TableHead>Last Seen</TableHead>
+                  <TableHead>Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {sessions.map((session) => (
+                  <TableRow key={session.id}>
+                    <TableCell>
+                      <div className="font-medium text-gray-900">
+                        {session.device || 'Unknown device'}
+                        {session.current && (
+                          <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded bg-green-100 text-green-800">
+                            This session
+                          </span>
+                        )}
+                      </div>
+                      {session.userAgent && (
+                        <div className="max-w-xs truncate text-xs text-gray-500" title={session.userAgent}>
+                          {session.userAgent}
+                        </div>
+                      )}
+                    </TableCell>
+                    <TableCell>{session.ipAddress || '—'}</TableCell>
+                    <TableCell>{new Date(session.createdAt).toLocaleString()}</TableCell>
+                    <TableCell>{new Date(session.lastSeenAt).toLocaleString()}</TableCell>
+                    <TableCell>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleRevoke(session)}
+                        disabled={revokingId === session.id}
+                      >
+                        {session.current ? 'Log Out' : 'Sign Out'}
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { LoadingPage } from '../components/ui/Loading.jsx';
+import { Card, CardContent } from '../components/ui/Card.jsx';
+import { Button } from '../components/ui/Button.jsx';
+import { toast } from '../components/ui/Toast.jsx';
+import { SecondFactorForm } from '../components/auth/SecondFactorForm.jsx';
+import { MfaEnrollment } from '../components/auth/MfaEnrollment.jsx';
+import useAuthStore from '../store/authStore.js';
+
+/**
+ * Where the identity provider sends users back to after single sign-on
+ */
+export function SsoCallback() {
+  const navigate = useNavigate();
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [mfaStep, setMfaStep] = useState(null); // 'challenge' or 'enroll' when signing in needs a second factor
+  const started = useRef(false);
+
+  useEffect(() => {
+    // The authorization code can only be exchanged once
+    if (started.current) {
+      return;
+    }
+    started.current = true;
+    completeSignIn();
+  }, []);
+
+  const completeSignIn = async () => {
+    const result = await useAuthStore.getState().loginWithSso(window.location.search);
+
+    if (!result.success) {
+      setError(result.error || 'Single sign-on failed');
+      return;
+    }
+    if (result.mfaRequired || result.mfaEnrollmentRequired) {
+      setMfaStep(result.mfaRequired ? 'challenge' : 'enroll');
+      return;
+    }
+    navigate('/dashboard', { replace: true });
+  };
+
+  const handleMfaSubmit = async (factor) => {
+    setSubmitting(true);
+    const result = await useAuthStore.getState().verifyMfa(factor);
+    setSubmitting(false);
+
+    if (result.success) {
+      navigate('/dashboard', { replace: true });
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const handleMfaEnrolled = (result) => {
+    useAuthStore.getState().completeMfaEnrollment(result.user);
+    navigate('/dashboard', { replace: true });
+  };
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+        <Card className="max-w-md w-full">
+          <CardContent>
+            <div className="text-center">
+              <h1 className="text-2xl font-bold text-gray-900 mb-2">
+                Sign-In Failed
+              </h1>
+              <p className="text-gray-600 mb-4">{error}</p>
+              <Link to="/login">
+                <Button variant="primary">Go to Login</Button>
+              </Link>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  if (!mfaStep) {
+    return <LoadingPage message="Signing you in..." />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <Card className="max-w-md w-full">
+        <CardContent>
+          <h1 className="text-2xl font-bold text-gray-900 mb-6 text-center">
+            Two-Factor Authentication
+          </h1>
+
+          {mfaStep === 'challenge' && (
+            <SecondFactorForm
+              onSubmit={handleMfaSubmit}
+              onCancel={() => navigate('/login')}
+              loading={submitting}
+            />
+          )}
+
+          {mfaStep === 'enroll' && (
+            <MfaEnrollment onComplete={handleMfaEnrolled} onCancel={() => navigate('/login')} />
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,163 @@
+import { useState, useEffect } from 'react';
+import { api } from '../lib/api.js';
+import { toast } from '../components/ui/Toast.jsx';
+import { LoadingPage } from '../components/ui/Loading.jsx';
+import { Card, CardHeader, CardTitle, CardContent } from '../components/ui/Card.jsx';
+import { Button } from '../components/ui/Button.jsx';
+import { Alert, Modal } from '../components/ui/index.js';
+import { MfaEnrollment } from '../components/auth/MfaEnrollment.jsx';
+import { SecondFactorForm } from '../components/auth/SecondFactorForm.jsx';
+import { RecoveryCodes } from '../components/auth/RecoveryCodes.jsx';
+
+export function TwoFactor() {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [enrolling, setEnrolling] = useState(false);
+  const [action, setAction] = useState(null); // 'disable' or 'regenerate' while confirming with a code
+  const [submitting, setSubmitting] = useState(false);
+  const [newRecoveryCodes, setNewRecoveryCodes] = useState(null);
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const loadStatus = async () => {
+    try {
+      setStatus(await api.getMfaStatus());
+    } catch (error) {
+      toast.error('Failed to load two-factor authentication status');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEnrolled = () => {
+    setEnrolling(false);
+    toast.success('Two-factor authentication enabled');
+    loadStatus();
+  };
+
+  const handleConfirm = async (factor) => {
+    try {
+      setSubmitting(true);
+      if (action === 'disable') {
+        await api.disableMfa(factor);
+        toast.success('Two-factor authentication disabled');
+        setNewRecoveryCodes(null);
+      } else {
+        const result = await api.regenerateRecoveryCodes(factor.code);
+        setNewRecoveryCodes(result.recoveryCodes);
+        toast.success('New recovery codes generated');
+      }
+      setAction(null);
+      loadStatus();
+    } catch (error) {
+      toast.error(error.message || 'Failed to verify code');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingPage message="Loading two-factor authentication..." />;
+  }
+
+  return (
+    <div>
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Two-Factor Authentication</h1>
+        <p className="text-gray-600">
+          Require a code from an authenticator app, as well as your password or magic code, to sign in.
+        </p>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <div className="flex justify-between items-center">
+            <CardTitle>Authenticator App</CardTitle>
+            {status?.enabled ? (
+              <span className="px-2 py-1 text-xs font-medium rounded bg-green-100 text-green-800">
+                Enabled
+              </span>
+            ) : (
+              <span className="px-2 py-1 text-xs font-medium rounded bg-gray-100 text-gray-800">
+                Not enabled
+              </span>
+            )}
+          </div>
+        </CardHeader>
+        <CardContent>
+          {status?.required && (
+            <Alert variant={status.enabled ? 'info' : 'warning'} className="mb-4">
+              Your account is required to use two-factor authentication
+              {status.enabled ? ', so it cannot be turned off.' : '. Set it up now.'}
+            </Alert>
+          )}
+
+          {!status?.enabled && (
+            enrolling ? (
+              <div className="max-w-md">
+                <MfaEnrollment onComplete={handleEnrolled} onCancel={() => setEnrolling(false)} />
+              </div>
+            ) : (
+              <Button variant="primary" onClick={() => setEnrolling(true)}>
+                Set Up Two-Factor Authentication
+              </Button>
+            )
+          )}
+
+          {status?.enabled && (
+            <div className="space-y-4">
+              <div className="text-sm text-gray-700">
+                <p>Enabled on {new Date(status.enabledAt).toLocaleString()}</p>
+                <p className={status.recoveryCodesRemaining <= 2 ? 'text-red-600' : ''}>
+                  {status.recoveryCodesRemaining} unused recovery code(s) remaining
+                </p>
+              </div>
+
+              {newRecoveryCodes && (
+                <div className="max-w-md">
+                  <RecoveryCodes codes={newRecoveryCodes} />
+                </div>
+              )}
+
+              <div className="flex gap-3">
+                <Button variant="outline" onClick={() => setAction('regenerate')}>
+                  Generate New Recovery Codes
+                </Button>
+                {!status.required && (
+                  <Button variant="danger" onClick={() => setAction('disable')}>
+                    Turn Off
+                  </Button>
+                )}
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Modal
+        isOpen={!!action}
+        onClose={() => setAction(null)}
+        title={action === 'disable' ? 'Turn Off Two-Factor Authentication' : 'Generate New Recovery Codes'}
+        size="md"
+      >
+        <p className="text-sm text-gray-600 mb-4">
+          {action === 'disable'
+            ? 'Confirm with a code to turn off two-factor authentication. Your recovery codes will stop working.'
+            : 'Confirm with a code from your authenticator app. Your current recovery codes will stop working.'}
+        </p>
+        {action && (
+          <SecondFactorForm
+            onSubmit={handleConfirm}
+            onCancel={() => setAction(null)}
+            loading={submitting}
+            allowRecoveryCode={action === 'disable'}
+            cancelLabel="Cancel"
+          />
+        )}
+      </Modal>
+    </div>
+  );
+}
@@ -28,6 +28,7 @@ export function Users() {
   const [changePasswordModalOpen, setChangePasswordModalOpen] = useState(false);
   const [regenerateInviteModalOpen, setRegenerateInviteModalOpen] = useState(false);
   const [regeneratedInviteUrl, setRegeneratedInviteUrl] = useState('');
+  const [regeneratedInviteEmailed, setRegeneratedInviteEmailed] = useState(false);
   const [selectedUser, setSelectedUser] = useState(null);
   
   // Table state
@@ -80,6 +81,33 @@ export function Users() {
     await authStore.init();
   };
 
+  const handleForceLogoutClick = async (user) => {
+    if (!confirm(`Sign ${user.email} out of all their sessions?`)) {
+      return;
+    }
+
+    try {
+      const result = await api.forceLogoutUser(user.id);
+      toast.success(result.message);
+    } catch (error) {
+      toast.error(error.message || 'Failed to sign user out');
+    }
+  };
+
+  const handleResetMfaClick = async (user) => {
+    if (!confirm(`Reset two-factor authentication for ${user.email}? They will need to set it up again.`)) {
+      return;
+    }
+
+    try {
+      const result = await api.resetUserMfa(user.id);
+      toast.success(result.message);
+      loadUsers();
+    } catch (error) {
+      toast.error(error.message || 'Failed to reset two-factor authentication');
+    }
+  };
+
   const handleDeleteClick = (user) => {
     setSelectedUser(user);
     setDeleteConfirmOpen(true);
@@ -113,8 +141,13 @@ export function Users() {
       const result = await api.regenerateUserInvite(user.id);
       setSelectedUser(user);
       setRegeneratedInviteUrl(result.invitationUrl);
+      setRegeneratedInviteEmailed(Boolean(result.emailSent));
       setRegenerateInviteModalOpen(true);
-      toast.success('Invitation link regenerated successfully');
+      if (result.emailSent) {
+        toast.success(`New invitation link emailed to ${user.email}`);
+      } else {
+        toast.warning('Invitation link regenerated, but the email could not be sent');
+      }
     } catch (error) {
       toast.error(error.message || 'Failed to regenerate invitation link');
     }
@@ -182,6 +215,23 @@ export function Users() {
       },
       enableSorting: true,
     },
+    {
+      accessorKey: 'mfaEnabled',
+      header: 'Two-Factor',
+      cell: ({ row }) => {
+        const mfaEnabled = row.original.mfaEnabled;
+        return (
+          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+            mfaEnabled
+              ? 'bg-green-100 text-green-800'
+              : 'bg-gray-100 text-gray-800'
+          }`}>
+            {mfaEnabled ? 'On' : 'Off'}
+          </span>
+        );
+      },
+      enableSorting: true,
+    },
     {
       id: 'actions',
       header: 'Actions',
@@ -230,6 +280,26 @@ export function Users() {
                 >
                   Edit
                 </Button>
+                {!isCurrentUser && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleForceLogoutClick(user)}
+                    title="Sign the user out of all sessions"
+                  >
+                    Force Logout
+                  </Button>
+                )}
+                {!isCurrentUser && user.mfaEnabled && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleResetMfaClick(user)}
+                    title="Turn off the user's two-factor authentication so they can set it up again"
+                  >
+                    Reset 2FA
+                  </Button>
+                )}
                 <button
                   onClick={() => handleDeleteClick(user)}
                   className="p-1.5 text-red-600 hover:text-red-700 hover:bg-red-50 rounded transition-colors"
@@ -600,7 +670,10 @@ export function Users() {
                     New Invitation Link Generated
                   </h3>
                   <p className="text-sm text-green-800">
-                    A new invitation link has been generated for <strong>{selectedUser.email}</strong>. Share the link below with them to complete their account setup.
+                    A new invitation link has been generated for <strong>{selectedUser.email}</strong>.
+                    {regeneratedInviteEmailed
+                      ? ' It has been emailed to them; you can also share the link below.'
+                      : ' The email could not be sent, so share the link below with them to complete their account setup.'}
                   </p>
                 </div>
               </div>
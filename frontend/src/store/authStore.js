@@ -1,6 +1,20 @@
 import { create } from 'zustand';
 import { api } from '../lib/api.js';
 
+// Result of a login request: signed in, or which second-factor step follows
+// (mfaRequired: enter a code; mfaEnrollmentRequired: set up two-factor first)
+function signInResult(set, data) {
+  if (data.mfaRequired || data.mfaEnrollmentRequired) {
+    return {
+      success: true,
+      mfaRequired: !!data.mfaRequired,
+      mfaEnrollmentRequired: !!data.mfaEnrollmentRequired,
+    };
+  }
+  set({ user: data.user });
+  return { success: true };
+}
+
 const useAuthStore = create((set, get) => ({
   user: null,
   loading: true,
@@ -21,8 +35,7 @@ const useAuthStore = create((set, get) => ({
     try {
       set({ error: null });
       const data = await api.login(email, password);
-      set({ user: data.user });
-      return { success: true };
+      return signInResult(set, data);
     } catch (error) {
       set({ error: error.message });
       return { success: false, error: error.message };
@@ -55,10 +68,49 @@ const useAuthStore = create((set, get) => ({
   },
 
   // Login with magic code
-  loginWithMagicCode: async (code) => {
+  loginWithMagicCode: async (email, code) => {
+    try {
+      set({ error: null });
+      const data = await api.loginWithMagicCode(email, code);
+      return signInResult(set, data);
+    } catch (error) {
+      set({ error: error.message });
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Start single sign-on; on success the caller sends the browser to
+  // authorizationUrl
+  startSso: async (email) => {
+    try {
+      set({ error: null });
+      const data = await api.startSso(email);
+      return { success: true, authorizationUrl: data.authorizationUrl };
+    } catch (error) {
+      set({ error: error.message });
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Finish single sign-on with the query string the identity provider
+  // redirected back with
+  loginWithSso: async (query) => {
+    try {
+      set({ error: null });
+      const data = await api.completeSso(query);
+      return signInResult(set, data);
+    } catch (error) {
+      set({ error: error.message });
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Finish a sign-in with a code from the authenticator app ({ code }) or a
+  // recovery code ({ recoveryCode })
+  verifyMfa: async (factor) => {
     try {
       set({ error: null });
-      const data = await api.loginWithMagicCode(code);
+      const data = await api.verifyMfa(factor);
       set({ user: data.user });
       return { success: true };
     } catch (error) {
@@ -67,6 +119,9 @@ const useAuthStore = create((set, get) => ({
     }
   },
 
+  // Finish a sign-in that required setting up two-factor authentication
+  completeMfaEnrollment: (user) => set({ user, error: null }),
+
   // Logout
   logout: async () => {
     try {
@@ -1,9 +1,10 @@
 /**
  * Calculate the completeness percentage of an application
- * @param {Object} application - The application object
+ * @param {Object} application - The application object, with its `tools`
+ * @param {Array} toolCategories - Options from /api/config/tool-categories
  * @returns {Object} - { filled, total, percentage }
  */
-export function calculateCompleteness(application) {
+export function calculateCompleteness(application, toolCategories = []) {
   // List of all fields that should be filled for a complete application
   const fields = [
     // Basic info
@@ -21,23 +22,24 @@ export function calculateCompleteness(application) {
     'authProfiles',
     'dataTypes',
     
-    // Security tools
-    'sastTool',
-    'sastIntegrationLevel',
-    'dastTool',
-    'dastIntegrationLevel',
-    'appFirewallTool',
-    'appFirewallIntegrationLevel',
-    'apiSecurityTool',
-    'apiSecurityIntegrationLevel',
-    'apiSecurityNA',
-    
     // Interfaces (count as 1 field if present)
     'interfaces',
   ];
   
+  // Security tools: each scored category counts as one field, filled once it
+  // has a tool and integration level or is marked N/A
+  const scoredCategories = toolCategories.filter(category => category.weight > 0);
+  const assignments = application.tools || [];
+
   let filled = 0;
-  const total = fields.length;
+  const total = fields.length + scoredCategories.length;
+
+  scoredCategories.forEach(category => {
+    const assignment = assignments.find(tool => tool.category === category.value);
+    if (assignment && (assignment.notApplicable || (assignment.tool && assignment.integrationLevel !== null))) {
+      filled++;
+    }
+  });
   
   fields.forEach(field => {
     const value = application[field];
@@ -54,19 +56,6 @@ export function calculateCompleteness(application) {
           // If it's not valid JSON, don't count it
         }
       }
-    } else if (field === 'apiSecurityNA') {
-      // Boolean field - count as filled if explicitly set (true or false)
-      if (value !== null && value !== undefined) {
-        filled++;
-      }
-    } else if (field === 'sastIntegrationLevel' || 
-               field === 'dastIntegrationLevel' || 
-               field === 'appFirewallIntegrationLevel' || 
-               field === 'apiSecurityIntegrationLevel') {
-      // Integration levels are numbers, count if not null/undefined
-      if (value !== null && value !== undefined) {
-        filled++;
-      }
     } else {
       // String fields - count if not null, undefined, or empty string
       if (value !== null && value !== undefined && value !== '') {
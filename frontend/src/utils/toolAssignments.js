@@ -0,0 +1,48 @@
+/**
+ * Review status of an N/A tool assignment, mirroring notApplicableStatus in
+ * the backend scoring service: approvals past naExpiresAt are EXPIRED
+ * @param {Object} assignment - ApplicationTool row from the API
+ * @returns {string|null} - PENDING, APPROVED, REJECTED, EXPIRED, or null when not N/A
+ */
+export function notApplicableStatus(assignment) {
+  if (!assignment?.notApplicable) {
+    return null;
+  }
+  const status = assignment.naStatus || 'PENDING';
+  if (status === 'APPROVED' && assignment.naExpiresAt && new Date(assignment.naExpiresAt) <= new Date()) {
+    return 'EXPIRED';
+  }
+  return status;
+}
+
+/**
+ * Convert an application's tool assignments to form state keyed by category
+ * naStatus and naExpiresAt are read-only; the API ignores them when saving.
+ * @param {Array} tools - ApplicationTool rows from the API
+ * @returns {Object} - { [category]: { tool, integrationLevel, notApplicable, naReason, naStatus, naExpiresAt } }
+ */
+export function toolAssignmentsToForm(tools = []) {
+  return Object.fromEntries(tools.map(assignment => [
+    assignment.category,
+    {
+      tool: assignment.tool || '',
+      integrationLevel: assignment.integrationLevel !== null ? String(assignment.integrationLevel) : '',
+      notApplicable: assignment.notApplicable,
+      naReason: assignment.naReason || '',
+      naStatus: notApplicableStatus(assignment),
+      naExpiresAt: assignment.naExpiresAt,
+    },
+  ]));
+}
+
+/**
+ * Convert tool assignment form state to the `tools` array the API expects
+ * @param {Object} form - State from toolAssignmentsToForm / ToolAssignmentFields
+ * @returns {Array} - [{ category, tool, integrationLevel, notApplicable, naReason }]
+ */
+export function toolAssignmentsFromForm(form = {}) {
+  return Object.entries(form).map(([category, assignment]) => ({
+    category,
+    ...assignment,
+  }));
+}